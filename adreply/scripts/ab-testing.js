@@ -0,0 +1,412 @@
+/**
+ * A/B Testing for AdReply Extension
+ * Serves the variants of a template in alternation, records what happened after each comment
+ * (reply, reaction, lead) and compares conversion per variant with a significance test
+ */
+
+class ABTestManager {
+  constructor() {
+    this.experimentsKey = 'abExperiments';
+    this.exposuresKey = 'abExposures';
+
+    this.outcomeTypes = ['reply', 'reaction', 'lead'];
+    this.goals = {
+      any: 'Any response',
+      reply: 'Replies',
+      reaction: 'Reactions',
+      lead: 'Leads'
+    };
+
+    this.limits = {
+      maxNameLength: 80,
+      maxExposures: 5000,     // Oldest comments are dropped past this
+      minSamplePerArm: 20     // Below this, results are never called significant
+    };
+
+    this.experiments = null;
+    this.exposures = null;
+  }
+
+  /**
+   * Load experiments and the comments recorded for them
+   * @returns {Promise<Array>} Experiments
+   */
+  async loadExperiments() {
+    try {
+      const result = await chrome.storage.local.get([this.experimentsKey, this.exposuresKey]);
+      this.experiments = result[this.experimentsKey] || [];
+      this.exposures = result[this.exposuresKey] || [];
+    } catch (error) {
+      console.error('ABTestManager: Error loading experiments:', error);
+      this.experiments = [];
+      this.exposures = [];
+    }
+
+    return this.experiments;
+  }
+
+  /**
+   * Start an experiment on a template; every variant of the template becomes one arm
+   * @param {Object} template - Template with at least two variants
+   * @param {Object} options - { name, goal }
+   * @returns {Promise<Object>} Result with success status and the experiment
+   */
+  async createExperiment(template, options = {}) {
+    try {
+      await this.loadExperiments();
+
+      const variantCount = this.getVariantCount(template);
+      const experiment = {
+        id: `exp_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        templateId: template?.id,
+        templateLabel: template?.label || '',
+        templateRevision: template?.revision || 1,
+        name: (options.name || '').trim() || `${template?.label || 'Template'} wording test`,
+        goal: options.goal || 'any',
+        arms: Array.from({ length: variantCount }, (_, index) => index),
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        stoppedAt: null
+      };
+
+      const validation = this.validateExperiment(experiment);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors[0] };
+      }
+
+      if (this.getRunningExperiment(experiment.templateId)) {
+        return { success: false, error: 'This template already has a running experiment' };
+      }
+
+      this.experiments.push(experiment);
+      await this.saveExperiments();
+
+      return { success: true, experiment };
+    } catch (error) {
+      console.error('ABTestManager: Error creating experiment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop serving an experiment (its results are kept)
+   * @param {string} experimentId - Experiment ID
+   * @returns {Promise<Object>} Result with success status
+   */
+  async stopExperiment(experimentId) {
+    try {
+      await this.loadExperiments();
+
+      const experiment = this.experiments.find(e => e.id === experimentId);
+      if (!experiment) {
+        return { success: false, error: 'Experiment not found' };
+      }
+
+      experiment.status = 'stopped';
+      experiment.stoppedAt = new Date().toISOString();
+      await this.saveExperiments();
+
+      return { success: true, experiment };
+    } catch (error) {
+      console.error('ABTestManager: Error stopping experiment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete an experiment and the comments recorded for it
+   * @param {string} experimentId - Experiment ID
+   * @returns {Promise<Object>} Result with success status
+   */
+  async deleteExperiment(experimentId) {
+    try {
+      await this.loadExperiments();
+
+      this.experiments = this.experiments.filter(e => e.id !== experimentId);
+      this.exposures = this.exposures.filter(exposure => exposure.experimentId !== experimentId);
+      await this.saveExperiments();
+      await this.saveExposures();
+
+      return { success: true };
+    } catch (error) {
+      console.error('ABTestManager: Error deleting experiment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate an experiment
+   * @param {Object} experiment - Experiment to validate
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateExperiment(experiment) {
+    const errors = [];
+
+    if (!experiment.templateId) {
+      errors.push('Choose a template to test');
+    }
+
+    if (!Array.isArray(experiment.arms) || experiment.arms.length < 2) {
+      errors.push('The template needs at least two variants to A/B test - add alternative wordings in the template editor');
+    }
+
+    if (!experiment.name || experiment.name.length > this.limits.maxNameLength) {
+      errors.push(`Experiment name must be 1-${this.limits.maxNameLength} characters`);
+    }
+
+    if (!this.goals[experiment.goal]) {
+      errors.push(`Goal must be one of: ${Object.keys(this.goals).join(', ')}`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Running experiment for a template (loadExperiments must have been called)
+   * @param {string} templateId - Template ID
+   * @returns {Object|null}
+   */
+  getRunningExperiment(templateId) {
+    return (this.experiments || []).find(e => e.templateId === templateId && e.status === 'running') || null;
+  }
+
+  /**
+   * Variant to serve next: the arm with the fewest comments so far, so arms alternate A, B, A, B...
+   * @param {Object} experiment - Running experiment
+   * @returns {number} Variant index
+   */
+  assignVariant(experiment) {
+    const counts = this.countByArm(experiment.id);
+    return experiment.arms.reduce((next, arm) => (counts[arm] || 0) < (counts[next] || 0) ? arm : next, experiment.arms[0]);
+  }
+
+  /**
+   * Letter shown for an arm: A for the first, B for the second...
+   * @param {Object} experiment - Experiment
+   * @param {number} variantIndex - Variant index
+   * @returns {string}
+   */
+  getArmLabel(experiment, variantIndex) {
+    const position = experiment.arms.indexOf(variantIndex);
+    return position === -1 ? '?' : String.fromCharCode(65 + position);
+  }
+
+  /**
+   * Record a comment posted as part of an experiment
+   * @param {string} experimentId - Experiment ID
+   * @param {Object} comment - { usageId, templateId, variantIndex, groupId, text }
+   * @returns {Promise<Object|null>} Exposure record
+   */
+  async recordExposure(experimentId, comment) {
+    try {
+      await this.loadExperiments();
+
+      const experiment = this.experiments.find(e => e.id === experimentId);
+      if (!experiment || !experiment.arms.includes(comment.variantIndex)) {
+        return null;
+      }
+
+      const exposure = {
+        id: comment.usageId || `exposure_${Date.now()}`,
+        experimentId,
+        templateId: comment.templateId,
+        variantIndex: comment.variantIndex,
+        groupId: comment.groupId || '',
+        text: (comment.text || '').substring(0, 100),
+        createdAt: new Date().toISOString(),
+        outcomes: {}  // type -> ISO time it was recorded
+      };
+
+      this.exposures.push(exposure);
+      if (this.exposures.length > this.limits.maxExposures) {
+        this.exposures = this.exposures.slice(-this.limits.maxExposures);
+      }
+      await this.saveExposures();
+
+      return exposure;
+    } catch (error) {
+      console.error('ABTestManager: Error recording exposure:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record (or clear) what happened after a comment
+   * @param {string} usageId - Usage record ID of the comment
+   * @param {string} type - 'reply', 'reaction' or 'lead'
+   * @param {boolean} value - false clears a mistaken outcome
+   * @returns {Promise<boolean>} Whether the comment belongs to an experiment
+   */
+  async recordOutcome(usageId, type, value = true) {
+    try {
+      if (!this.outcomeTypes.includes(type)) {
+        throw new Error(`Unknown outcome: ${type}`);
+      }
+
+      await this.loadExperiments();
+
+      const exposure = this.exposures.find(e => e.id === usageId);
+      if (!exposure) {
+        return false;
+      }
+
+      if (value) {
+        exposure.outcomes[type] = exposure.outcomes[type] || new Date().toISOString();
+      } else {
+        delete exposure.outcomes[type];
+      }
+      await this.saveExposures();
+
+      return true;
+    } catch (error) {
+      console.error('ABTestManager: Error recording outcome:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Did a comment convert for the experiment's goal
+   * @param {Object} exposure - Exposure record
+   * @param {string} goal - 'any', 'reply', 'reaction' or 'lead'
+   * @returns {boolean}
+   */
+  isConversion(exposure, goal) {
+    const outcomes = exposure.outcomes || {};
+    return goal === 'any' ? this.outcomeTypes.some(type => outcomes[type]) : !!outcomes[goal];
+  }
+
+  /**
+   * Per-arm conversion for an experiment, each challenger tested against arm A
+   * @param {Object} experiment - Experiment
+   * @returns {Object} { experiment, arms, leader, verdict, recent }
+   */
+  getResults(experiment) {
+    const exposures = (this.exposures || []).filter(e => e.experimentId === experiment.id);
+
+    const arms = experiment.arms.map(variantIndex => {
+      const armExposures = exposures.filter(e => e.variantIndex === variantIndex);
+      const conversions = armExposures.filter(e => this.isConversion(e, experiment.goal)).length;
+      const counts = {};
+      this.outcomeTypes.forEach(type => {
+        counts[type] = armExposures.filter(e => (e.outcomes || {})[type]).length;
+      });
+
+      return {
+        variantIndex,
+        label: this.getArmLabel(experiment, variantIndex),
+        comments: armExposures.length,
+        conversions,
+        rate: armExposures.length > 0 ? conversions / armExposures.length : 0,
+        ...counts
+      };
+    });
+
+    const control = arms[0];
+    arms.slice(1).forEach(arm => {
+      arm.pValue = this.twoProportionPValue(control.conversions, control.comments, arm.conversions, arm.comments);
+      arm.lift = control.rate > 0 ? (arm.rate - control.rate) / control.rate : null;
+    });
+
+    const leader = arms.reduce((best, arm) => arm.rate > best.rate ? arm : best, arms[0]);
+
+    return {
+      experiment,
+      arms,
+      leader,
+      verdict: this.getVerdict(arms),
+      recent: exposures.slice(-5).reverse()
+    };
+  }
+
+  /**
+   * Significance indicator for a set of arms
+   * @param {Array} arms - Arms from getResults (arm A first)
+   * @returns {Object} { level: 'insufficient'|'none'|'trending'|'significant', message }
+   */
+  getVerdict(arms) {
+    const minSample = this.limits.minSamplePerArm;
+    if (arms.some(arm => arm.comments < minSample)) {
+      return { level: 'insufficient', message: `Needs at least ${minSample} comments per variant` };
+    }
+
+    const challengers = arms.slice(1).filter(arm => arm.pValue !== null);
+    if (challengers.length === 0) {
+      return { level: 'none', message: 'No conversions yet' };
+    }
+
+    // Bonferroni correction: each comparison against A uses a stricter threshold when there are several
+    const best = challengers.reduce((lowest, arm) => arm.pValue < lowest.pValue ? arm : lowest, challengers[0]);
+    const pValue = Math.min(1, best.pValue * challengers.length);
+    const winner = best.rate > arms[0].rate ? best : arms[0];
+    const loser = winner === best ? arms[0] : best;
+
+    if (pValue < 0.05) {
+      return { level: 'significant', message: `${winner.label} beats ${loser.label} (95% confidence)`, pValue };
+    }
+    if (pValue < 0.1) {
+      return { level: 'trending', message: `${winner.label} is ahead of ${loser.label} (90% confidence)`, pValue };
+    }
+    return { level: 'none', message: 'No significant difference yet', pValue };
+  }
+
+  /**
+   * Two-sided p-value of a two-proportion z-test
+   * @returns {number|null} p-value, or null when there is nothing to compare
+   */
+  twoProportionPValue(conversionsA, totalA, conversionsB, totalB) {
+    if (totalA === 0 || totalB === 0) {
+      return null;
+    }
+
+    const pooled = (conversionsA + conversionsB) / (totalA + totalB);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+    if (standardError === 0) {
+      return null;
+    }
+
+    const z = Math.abs(conversionsA / totalA - conversionsB / totalB) / standardError;
+    return 2 * (1 - this.normalCdf(z));
+  }
+
+  /**
+   * Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation, error < 1.5e-7)
+   */
+  normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  countByArm(experimentId) {
+    const counts = {};
+    (this.exposures || [])
+      .filter(e => e.experimentId === experimentId)
+      .forEach(e => { counts[e.variantIndex] = (counts[e.variantIndex] || 0) + 1; });
+    return counts;
+  }
+
+  getVariantCount(template) {
+    if (!template) return 0;
+    return [template.template, ...(Array.isArray(template.variants) ? template.variants : [])]
+      .filter(body => typeof body === 'string' && body.trim().length > 0).length;
+  }
+
+  async saveExperiments() {
+    await chrome.storage.local.set({ [this.experimentsKey]: this.experiments });
+  }
+
+  async saveExposures() {
+    await chrome.storage.local.set({ [this.exposuresKey]: this.exposures });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ABTestManager;
+} else {
+  window.ABTestManager = ABTestManager;
+}
@@ -1,43 +1,66 @@
 /**
  * AI Client Module for AdReply v2.0
- * Provides unified interface for multiple AI providers (Gemini and OpenAI)
+ * Generates the onboarding setup through the shared AI provider registry (scripts/ai-providers.js),
+ * so the wizard supports the same providers, models and temperatures as AIService
  */
 
-/**
- * Base error class for AI-related errors
- */
-class AIError extends Error {
-  constructor(message, code, originalError = null) {
-    super(message);
-    this.name = 'AIError';
-    this.code = code;
-    this.originalError = originalError;
-  }
-}
+// Classic script: registers the registry, AIError and provider classes on window
+import './ai-providers.js';
+
+const { AIProviderRegistry, AIError, GeminiProvider, OpenAIProvider, OpenAICompatibleProvider } = window;
 
 /**
- * Base class for AI providers
+ * Onboarding AI client - builds the setup prompt and validates the generated categories
  * 
  * SECURITY NOTE: API keys are never logged or sent to non-AI-provider servers.
  * Keys are stored encrypted and cleared from memory after use.
  */
-class AIProvider {
-  constructor(apiKey) {
-    if (!apiKey) {
-      throw new AIError('API key is required', 'MISSING_API_KEY');
+class AIClient {
+  /**
+   * @param {string} providerId - Registry provider id
+   * @param {AIProvider} provider - Provider instance
+   * @param {AIProviderRegistry} registry - Registry holding the model settings
+   * @param {string} model - Model to use instead of the saved one (optional)
+   */
+  constructor(providerId, provider, registry, model = '') {
+    this.providerId = providerId;
+    this.provider = provider;
+    this.registry = registry;
+    this.model = model;
+  }
+
+  /**
+   * Create an AI client with the specified provider
+   * @param {string} provider - Registry provider id ('gemini', 'openai', 'openai-compatible')
+   * @param {string} apiKey - API key for the provider (optional for self-hosted servers)
+   * @param {Object} options - { baseUrl, model } for OpenAI-compatible servers
+   * @returns {AIClient}
+   */
+  static create(provider, apiKey, options = {}) {
+    if (!provider) {
+      throw new AIError('Provider is required', 'MISSING_PROVIDER');
     }
-    // SECURITY: Never log the API key
-    this.apiKey = apiKey;
+
+    const registry = new AIProviderRegistry();
+    const providerId = provider.toLowerCase();
+    const instance = registry.create(providerId, { apiKey, baseUrl: options.baseUrl });
+    return new AIClient(providerId, instance, registry, options.model);
+  }
+
+  /**
+   * Get list of supported providers
+   * @returns {Array<Object>} - List of provider info
+   */
+  static getSupportedProviders() {
+    return new AIProviderRegistry().getSupportedProviders();
   }
 
   /**
    * Clear API key from memory
    */
   clearAPIKey() {
-    if (this.apiKey) {
-      // Overwrite the API key in memory
-      this.apiKey = '\0'.repeat(this.apiKey.length);
-      this.apiKey = null;
+    if (this.provider) {
+      this.provider.clearAPIKey();
     }
   }
 
@@ -190,34 +213,7 @@ Each template MUST be at least 400 characters and contain 4+ sentences.`;
   }
 
   /**
-   * Generate setup data - must be implemented by subclasses
-   * @param {string} businessDescription - User's business description
-   * @returns {Promise<Object>} - Generated data
-   */
-  async generateSetup(businessDescription) {
-    throw new Error('generateSetup must be implemented by subclass');
-  }
-
-  /**
-   * Test connection to AI provider
-   * @returns {Promise<boolean>} - True if connection successful
-   */
-  async testConnection() {
-    throw new Error('testConnection must be implemented by subclass');
-  }
-}
-
-/**
- * Gemini AI Provider implementation
- */
-class GeminiProvider extends AIProvider {
-  constructor(apiKey) {
-    super(apiKey);
-    this.endpoint = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent';
-  }
-
-  /**
-   * Generate setup data using Gemini API
+   * Generate setup data with the model and temperature chosen for the setup wizard
    * @param {string} businessDescription - User's business description
    * @returns {Promise<Object>} - Generated data
    */
@@ -226,57 +222,18 @@ class GeminiProvider extends AIProvider {
       throw new AIError('Business description must be at least 10 characters', 'INVALID_INPUT');
     }
 
-    const prompt = this._buildPrompt(businessDescription);
-
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8192,
-      }
-    };
+    await this.registry.loadSettings();
+    const options = this.registry.getOperationOptions('onboarding', this.providerId);
 
     try {
-      const response = await fetch(`${this.endpoint}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody)
+      const generatedText = await this.provider.generateText(this._buildPrompt(businessDescription), {
+        ...options,
+        model: this.model || options.model,
+        system: 'You are an expert advertising copywriter who creates engaging, conversion-focused templates for Facebook marketing. You must respond with valid JSON only.',
+        json: true,
+        timeout: Math.max(this.provider.timeout, 90000) // Full setups take a while to generate
       });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        
-        if (response.status === 401 || response.status === 403) {
-          throw new AIError('Invalid API key. Please check your Gemini API credentials.', 'AUTH_FAILED');
-        } else if (response.status === 429) {
-          throw new AIError('Rate limit reached. Please wait and try again.', 'RATE_LIMIT');
-        } else if (response.status === 400) {
-          throw new AIError('Invalid request. Please try again.', 'INVALID_REQUEST');
-        } else {
-          throw new AIError(
-            `API request failed: ${errorData.error?.message || response.statusText}`,
-            'API_ERROR'
-          );
-        }
-      }
-
-      const data = await response.json();
-
-      // Extract text from Gemini response structure
-      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-        throw new AIError('Unexpected response structure from Gemini', 'INVALID_RESPONSE');
-      }
-
-      const generatedText = data.candidates[0].content.parts[0].text;
-
       // Extract JSON from response (may be wrapped in markdown code blocks)
       let jsonText = generatedText.trim();
       if (jsonText.startsWith('```json')) {
@@ -292,219 +249,19 @@ class GeminiProvider extends AIProvider {
         throw error;
       }
 
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new AIError('Network error. Please check your connection.', 'NETWORK_ERROR', error);
-      }
-
       throw new AIError('Generation failed. Please try again.', 'UNKNOWN_ERROR', error);
     }
   }
 
   /**
-   * Test connection to Gemini API
+   * Test connection to the AI provider
    * @returns {Promise<boolean>} - True if connection successful
    */
   async testConnection() {
-    try {
-      const response = await fetch(`${this.endpoint}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: 'Test connection'
-            }]
-          }]
-        })
-      });
-
-      return response.ok || response.status === 400; // 400 is ok for test (means auth worked)
-    } catch (error) {
-      return false;
-    }
-  }
-}
-
-/**
- * OpenAI Provider implementation
- */
-class OpenAIProvider extends AIProvider {
-  constructor(apiKey) {
-    super(apiKey);
-    this.endpoint = 'https://api.openai.com/v1/chat/completions';
-  }
-
-  /**
-   * Generate setup data using OpenAI API
-   * @param {string} businessDescription - User's business description
-   * @returns {Promise<Object>} - Generated data
-   */
-  async generateSetup(businessDescription) {
-    if (!businessDescription || businessDescription.trim().length < 10) {
-      throw new AIError('Business description must be at least 10 characters', 'INVALID_INPUT');
-    }
-
-    const prompt = this._buildPrompt(businessDescription);
-
-    const requestBody = {
-      model: 'gpt-3.5-turbo-1106',  // Using newer model that supports JSON mode
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert advertising copywriter who creates engaging, conversion-focused templates for Facebook marketing. You must respond with valid JSON only.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 3000,  // Reduced from 8000 to fit within model limits
-      response_format: { type: "json_object" }  // Request JSON response format
-    };
-
-    try {
-      const response = await fetch(this.endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const errorMessage = errorData.error?.message || response.statusText;
-        
-        if (response.status === 401) {
-          throw new AIError('Invalid API key. Please check your OpenAI API credentials.', 'AUTH_FAILED');
-        } else if (response.status === 429) {
-          throw new AIError('Rate limit reached. Please wait and try again.', 'RATE_LIMIT');
-        } else if (response.status === 400) {
-          // Show the actual error message from OpenAI for 400 errors
-          throw new AIError(`Invalid request: ${errorMessage}`, 'INVALID_REQUEST');
-        } else if (response.status === 402) {
-          throw new AIError('Quota exceeded. Please check your OpenAI billing.', 'QUOTA_EXCEEDED');
-        } else {
-          throw new AIError(
-            `API request failed: ${errorMessage}`,
-            'API_ERROR'
-          );
-        }
-      }
-
-      const data = await response.json();
-
-      // Extract text from OpenAI response structure
-      if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-        throw new AIError('Unexpected response structure from OpenAI', 'INVALID_RESPONSE');
-      }
-
-      const generatedText = data.choices[0].message.content;
-
-      // Extract JSON from response (may be wrapped in markdown code blocks)
-      let jsonText = generatedText.trim();
-      if (jsonText.startsWith('```json')) {
-        jsonText = jsonText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (jsonText.startsWith('```')) {
-        jsonText = jsonText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-
-      return this._parseResponse(jsonText);
-
-    } catch (error) {
-      if (error instanceof AIError) {
-        throw error;
-      }
-
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new AIError('Network error. Please check your connection.', 'NETWORK_ERROR', error);
-      }
-
-      throw new AIError('Generation failed. Please try again.', 'UNKNOWN_ERROR', error);
-    }
-  }
-
-  /**
-   * Test connection to OpenAI API
-   * @returns {Promise<boolean>} - True if connection successful
-   */
-  async testConnection() {
-    try {
-      const response = await fetch(this.endpoint, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: 'gpt-3.5-turbo',
-          messages: [{ role: 'user', content: 'Test' }],
-          max_tokens: 5
-        })
-      });
-
-      return response.ok;
-    } catch (error) {
-      return false;
-    }
-  }
-}
-
-/**
- * Main AI Client class - factory for creating provider instances
- */
-class AIClient {
-  /**
-   * Create an AI client with the specified provider
-   * @param {string} provider - 'gemini' or 'openai'
-   * @param {string} apiKey - API key for the provider
-   * @returns {AIProvider} - Provider instance
-   */
-  static create(provider, apiKey) {
-    if (!provider) {
-      throw new AIError('Provider is required', 'MISSING_PROVIDER');
-    }
-
-    if (!apiKey) {
-      throw new AIError('API key is required', 'MISSING_API_KEY');
-    }
-
-    switch (provider.toLowerCase()) {
-      case 'gemini':
-        return new GeminiProvider(apiKey);
-      case 'openai':
-        return new OpenAIProvider(apiKey);
-      default:
-        throw new AIError(`Unknown provider: ${provider}. Supported providers: gemini, openai`, 'UNKNOWN_PROVIDER');
-    }
-  }
-
-  /**
-   * Get list of supported providers
-   * @returns {Array<Object>} - List of provider info
-   */
-  static getSupportedProviders() {
-    return [
-      {
-        id: 'gemini',
-        name: 'Google Gemini',
-        description: 'Google\'s Gemini AI model',
-        apiKeyUrl: 'https://makersuite.google.com/app/apikey'
-      },
-      {
-        id: 'openai',
-        name: 'OpenAI',
-        description: 'OpenAI\'s GPT models',
-        apiKeyUrl: 'https://platform.openai.com/api-keys'
-      }
-    ];
+    return this.provider.testConnection();
   }
 }
 
 // Export for use in extension (ES6 module syntax)
-export { AIClient, AIError, GeminiProvider, OpenAIProvider };
+export { AIClient, AIError, GeminiProvider, OpenAIProvider, OpenAICompatibleProvider };
 export default AIClient;
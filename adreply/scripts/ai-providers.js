@@ -0,0 +1,512 @@
+/**
+ * AI Provider Registry for AdReply Extension
+ * One place for every AI backend (Gemini, OpenAI and any OpenAI-compatible server such as a local
+ * Ollama or llama.cpp instance), shared by AIService and the onboarding AI client, plus the
+ * per-operation model and temperature settings both of them use
+ */
+
+/**
+ * Error raised by AI providers
+ */
+class AIError extends Error {
+  constructor(message, code, originalError = null) {
+    super(message);
+    this.name = 'AIError';
+    this.code = code;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Base class for AI providers
+ *
+ * SECURITY NOTE: API keys are never logged or sent anywhere but the provider's own endpoint.
+ */
+class AIProvider {
+  /**
+   * @param {Object} config - { apiKey, baseUrl }
+   * @param {Object} definition - Registry entry for this provider
+   */
+  constructor(config = {}, definition = {}) {
+    if (definition.requiresApiKey && !config.apiKey) {
+      throw new AIError('API key is required', 'MISSING_API_KEY');
+    }
+
+    // SECURITY: Never log the API key
+    this.apiKey = config.apiKey || '';
+    this.baseUrl = (config.baseUrl || definition.baseUrl || '').replace(/\/+$/, '');
+    this.name = definition.name || 'AI provider';
+    this.defaultModel = definition.defaultModel || '';
+    this.maxOutputTokens = definition.maxOutputTokens || 1024;
+    this.timeout = 30000; // 30 seconds
+  }
+
+  /**
+   * Generate text from a prompt
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - { model, temperature, maxTokens, system, json, timeout }
+   * @returns {Promise<string>} Generated text
+   */
+  async generateText(prompt, options = {}) {
+    throw new Error('generateText must be implemented by subclass');
+  }
+
+  /**
+   * Test connection to the provider
+   * @returns {Promise<boolean>} True if connection successful
+   */
+  async testConnection() {
+    try {
+      await this.generateText('Test connection. Respond with "OK".', { maxTokens: 5 });
+      return true;
+    } catch (error) {
+      console.error(`${this.name} connection test failed:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Clear API key from memory
+   */
+  clearAPIKey() {
+    if (this.apiKey) {
+      // Overwrite the API key in memory
+      this.apiKey = '\0'.repeat(this.apiKey.length);
+      this.apiKey = null;
+    }
+  }
+
+  /**
+   * Destructor to ensure API key is cleared
+   */
+  destroy() {
+    this.clearAPIKey();
+  }
+
+  /**
+   * POST JSON with a timeout, turning network failures into AIErrors
+   * @returns {Promise<Response>}
+   */
+  async postJson(url, body, headers = {}, timeout = this.timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      return await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...headers
+        },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new AIError('Request timeout', 'TIMEOUT', error);
+      }
+      throw new AIError(`Network error. Could not reach ${this.name}.`, 'NETWORK_ERROR', error);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Map an unsuccessful response to an AIError
+   * @param {Response} response
+   * @returns {Promise<AIError>}
+   */
+  async responseError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    // OpenAI and Gemini nest the message in an error object; Ollama and llama.cpp may send a plain string
+    const errorMessage = errorData.error?.message || (typeof errorData.error === 'string' ? errorData.error : '') ||
+      response.statusText || 'Unknown error';
+
+    if (response.status === 401 || response.status === 403) {
+      return new AIError(`Invalid API key. Please check your ${this.name} credentials.`, 'AUTH_FAILED');
+    } else if (response.status === 429) {
+      return new AIError('Rate limit reached. Please wait and try again.', 'RATE_LIMIT');
+    } else if (response.status === 402) {
+      return new AIError(`Quota exceeded. Please check your ${this.name} billing.`, 'QUOTA_EXCEEDED');
+    } else if (response.status === 400 || response.status === 404) {
+      return new AIError(`Invalid request: ${errorMessage}`, 'INVALID_REQUEST');
+    }
+
+    return new AIError(`${this.name} API error: ${response.status} - ${errorMessage}`, 'API_ERROR');
+  }
+}
+
+/**
+ * Google Gemini API Provider
+ */
+class GeminiProvider extends AIProvider {
+  async generateText(prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+    const requestBody = {
+      contents: [{
+        parts: [{
+          text: options.system ? `${options.system}\n\n${prompt}` : prompt
+        }]
+      }],
+      generationConfig: {
+        temperature: options.temperature ?? 0.7,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: Math.min(options.maxTokens || this.maxOutputTokens, this.maxOutputTokens)
+      },
+      safetySettings: [
+        'HARM_CATEGORY_HARASSMENT',
+        'HARM_CATEGORY_HATE_SPEECH',
+        'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+        'HARM_CATEGORY_DANGEROUS_CONTENT'
+      ].map(category => ({ category, threshold: 'BLOCK_MEDIUM_AND_ABOVE' }))
+    };
+
+    const url = `${this.baseUrl}/models/${encodeURIComponent(model)}:generateContent?key=${this.apiKey}`;
+    const response = await this.postJson(url, requestBody, {}, options.timeout);
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    const data = await response.json();
+
+    if (!data.candidates || data.candidates.length === 0) {
+      throw new AIError('No response generated by Gemini', 'INVALID_RESPONSE');
+    }
+
+    const candidate = data.candidates[0];
+
+    if (candidate.finishReason === 'SAFETY') {
+      throw new AIError('Response blocked by safety filters', 'CONTENT_FILTERED');
+    }
+
+    if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
+      throw new AIError('Unexpected response structure from Gemini', 'INVALID_RESPONSE');
+    }
+
+    return candidate.content.parts[0].text;
+  }
+}
+
+/**
+ * OpenAI Chat Completions Provider
+ */
+class OpenAIProvider extends AIProvider {
+  async generateText(prompt, options = {}) {
+    const messages = [];
+    if (options.system) {
+      messages.push({ role: 'system', content: options.system });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    const requestBody = {
+      model: options.model || this.defaultModel,
+      messages,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: Math.min(options.maxTokens || this.maxOutputTokens, this.maxOutputTokens)
+    };
+
+    if (options.json) {
+      requestBody.response_format = { type: 'json_object' };
+    }
+
+    // Local servers usually run without a key, so only send one when set
+    const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    const response = await this.postJson(`${this.baseUrl}/chat/completions`, requestBody, headers, options.timeout);
+
+    if (!response.ok) {
+      throw await this.responseError(response);
+    }
+
+    const data = await response.json();
+
+    if (!data.choices || data.choices.length === 0) {
+      throw new AIError(`No response generated by ${this.name}`, 'INVALID_RESPONSE');
+    }
+
+    const choice = data.choices[0];
+
+    if (choice.finish_reason === 'content_filter') {
+      throw new AIError('Response blocked by content filter', 'CONTENT_FILTERED');
+    }
+
+    if (!choice.message || !choice.message.content) {
+      throw new AIError(`Unexpected response structure from ${this.name}`, 'INVALID_RESPONSE');
+    }
+
+    return choice.message.content.trim();
+  }
+}
+
+/**
+ * Any server speaking the OpenAI chat completions API (Ollama, llama.cpp, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config = {}, definition = {}) {
+    super(config, definition);
+
+    if (!AIProviderRegistry.isValidBaseUrl(this.baseUrl)) {
+      throw new AIError('A valid server URL is required for the OpenAI-compatible provider', 'MISSING_BASE_URL');
+    }
+
+    // Local models on modest hardware can take a while to answer
+    this.timeout = 120000;
+  }
+}
+
+/**
+ * Registry of AI providers and the per-operation model settings
+ */
+class AIProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+
+    // Operations that call a model, with their default temperature and output budget
+    this.operations = {
+      rephrase: { label: 'Rephrase comment', temperature: 0.7, maxTokens: 500 },
+      generate: { label: 'Generate templates', temperature: 0.7, maxTokens: 1024 },
+      analyze: { label: 'Rank templates', temperature: 0.7, maxTokens: 1024 },
+      classify: { label: 'Classify post intent', temperature: 0.7, maxTokens: 500 },
+      onboarding: { label: 'Setup wizard', temperature: 0.7, maxTokens: 8192 }
+    };
+
+    this.defaultSettings = {
+      baseUrl: 'http://localhost:11434/v1', // OpenAI-compatible server (Ollama's default)
+      localModel: '',                       // Model the server runs when an operation names none
+      operations: {}                        // operation -> { model, temperature }
+    };
+
+    this.settings = null;
+
+    this.register('gemini', {
+      name: 'Google Gemini',
+      description: 'Google\'s Gemini AI model',
+      ProviderClass: GeminiProvider,
+      baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+      defaultModel: 'gemini-pro',
+      maxOutputTokens: 8192,
+      requiresApiKey: true,
+      apiKeySetting: 'geminiApiKey',
+      apiKeyUrl: 'https://makersuite.google.com/app/apikey'
+    });
+
+    this.register('openai', {
+      name: 'OpenAI',
+      description: 'OpenAI\'s GPT models',
+      ProviderClass: OpenAIProvider,
+      baseUrl: 'https://api.openai.com/v1',
+      defaultModel: 'gpt-3.5-turbo-1106', // Supports JSON mode
+      maxOutputTokens: 3000,
+      requiresApiKey: true,
+      apiKeySetting: 'openaiApiKey',
+      apiKeyUrl: 'https://platform.openai.com/api-keys'
+    });
+
+    this.register('openai-compatible', {
+      name: 'OpenAI-compatible server',
+      description: 'Self-hosted model (Ollama, llama.cpp, ...) - data stays on your network',
+      ProviderClass: OpenAICompatibleProvider,
+      defaultModel: 'llama3.1',
+      maxOutputTokens: 8192,
+      requiresApiKey: false,
+      apiKeySetting: 'compatibleApiKey',
+      local: true
+    });
+  }
+
+  /**
+   * Register a provider
+   * @param {string} id - Provider id stored in settings
+   * @param {Object} definition - { name, description, ProviderClass, baseUrl, defaultModel, maxOutputTokens,
+   *                                requiresApiKey, apiKeySetting, apiKeyUrl, local }
+   */
+  register(id, definition) {
+    if (!definition || typeof definition.ProviderClass !== 'function') {
+      throw new Error(`Provider "${id}" needs a ProviderClass`);
+    }
+    this.providers.set(id, { id, ...definition });
+  }
+
+  /**
+   * @param {string} id - Provider id
+   * @returns {Object|null} Registry entry
+   */
+  getDefinition(id) {
+    return this.providers.get(id) || null;
+  }
+
+  /**
+   * List providers for selection UIs
+   * @returns {Array<Object>} { id, name, description, requiresApiKey, apiKeyUrl, local, defaultModel }
+   */
+  getSupportedProviders() {
+    return Array.from(this.providers.values()).map(({ ProviderClass, ...info }) => info);
+  }
+
+  /**
+   * Create a provider instance
+   * @param {string} id - Provider id
+   * @param {Object} config - { apiKey, baseUrl }
+   * @returns {AIProvider}
+   */
+  create(id, config = {}) {
+    const definition = this.getDefinition(id);
+    if (!definition) {
+      const supported = Array.from(this.providers.keys()).join(', ');
+      throw new AIError(`Unknown provider: ${id}. Supported providers: ${supported}`, 'UNKNOWN_PROVIDER');
+    }
+
+    return new definition.ProviderClass(config, definition);
+  }
+
+  /**
+   * Create a provider using the saved server URL
+   * @param {string} id - Provider id
+   * @param {string} apiKey - API key (optional for local servers)
+   * @returns {Promise<AIProvider>}
+   */
+  async createProvider(id, apiKey) {
+    const settings = await this.loadSettings();
+    const definition = this.getDefinition(id);
+    const baseUrl = definition?.local ? settings.baseUrl : undefined;
+    return this.create(id, { apiKey, baseUrl });
+  }
+
+  /**
+   * Resolve generateText options for an operation
+   * @param {string} operation - Key of this.operations
+   * @param {string} providerId - Provider the call goes to
+   * @returns {Object} { model, temperature, maxTokens }
+   */
+  getOperationOptions(operation, providerId) {
+    const settings = this.settings || this.defaultSettings;
+    const defaults = this.operations[operation] || { temperature: 0.7, maxTokens: 1024 };
+    const chosen = settings.operations?.[operation] || {};
+    const definition = this.getDefinition(providerId);
+
+    // An operation's own model wins, then the local server's model, then the provider default
+    const localModel = definition?.local ? settings.localModel : '';
+
+    return {
+      model: chosen.model || localModel || definition?.defaultModel || '',
+      temperature: typeof chosen.temperature === 'number' ? chosen.temperature : defaults.temperature,
+      maxTokens: defaults.maxTokens
+    };
+  }
+
+  /**
+   * Load model settings
+   * @returns {Promise<Object>} { baseUrl, localModel, operations }
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      this.settings = { ...this.defaultSettings, ...(result.settings?.aiModels || {}) };
+    } catch (error) {
+      console.error('AIProviderRegistry: Error loading settings:', error);
+      this.settings = { ...this.defaultSettings };
+    }
+
+    return this.settings;
+  }
+
+  /**
+   * Save model settings
+   * @param {Object} aiModels - { baseUrl, localModel, operations }
+   * @returns {Promise<Object>} Result with success status
+   */
+  async saveSettings(aiModels) {
+    try {
+      const validation = this.validateSettings(aiModels);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors[0] };
+      }
+
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+
+      settings.aiModels = {
+        ...this.defaultSettings,
+        ...(settings.aiModels || {}),
+        ...aiModels
+      };
+      settings.aiModels.baseUrl = (settings.aiModels.baseUrl || this.defaultSettings.baseUrl).trim().replace(/\/+$/, '');
+      await chrome.storage.local.set({ settings: settings });
+      this.settings = settings.aiModels;
+
+      return { success: true, settings: this.settings };
+    } catch (error) {
+      console.error('AIProviderRegistry: Error saving settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate model settings
+   * @param {Object} aiModels - Settings to validate
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateSettings(aiModels) {
+    const errors = [];
+
+    if (aiModels.baseUrl !== undefined && aiModels.baseUrl !== '' && !AIProviderRegistry.isValidBaseUrl(aiModels.baseUrl)) {
+      errors.push('Server URL must start with http:// or https://');
+    }
+
+    if (aiModels.localModel !== undefined && typeof aiModels.localModel !== 'string') {
+      errors.push('Model must be text');
+    }
+
+    Object.entries(aiModels.operations || {}).forEach(([operation, options]) => {
+      const label = this.operations[operation]?.label;
+      if (!label) {
+        errors.push(`Unknown AI operation: ${operation}`);
+        return;
+      }
+
+      if (options.model !== undefined && typeof options.model !== 'string') {
+        errors.push(`${label}: model must be text`);
+      }
+
+      const temperature = options.temperature;
+      if (temperature !== undefined && (typeof temperature !== 'number' || !Number.isFinite(temperature) || temperature < 0 || temperature > 2)) {
+        errors.push(`${label}: temperature must be between 0 and 2`);
+      }
+    });
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * @param {string} baseUrl
+   * @returns {boolean} True for an http(s) URL
+   */
+  static isValidBaseUrl(baseUrl) {
+    try {
+      const url = new URL(baseUrl);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    AIProviderRegistry,
+    AIProvider,
+    AIError,
+    GeminiProvider,
+    OpenAIProvider,
+    OpenAICompatibleProvider
+  };
+} else {
+  window.AIProviderRegistry = AIProviderRegistry;
+  window.AIProvider = AIProvider;
+  window.AIError = AIError;
+  window.GeminiProvider = GeminiProvider;
+  window.OpenAIProvider = OpenAIProvider;
+  window.OpenAICompatibleProvider = OpenAICompatibleProvider;
+}
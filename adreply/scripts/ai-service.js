@@ -4,14 +4,15 @@
  */
 
 class AIService {
-  constructor(storageManager) {
+  constructor(storageManager, providerRegistry = null) {
     this.storageManager = storageManager;
-    this.providers = {
-      gemini: null,
-      openai: null
-    };
+    const RegistryClass = typeof AIProviderRegistry !== 'undefined' ? AIProviderRegistry : require('./ai-providers').AIProviderRegistry;
+    this.providerRegistry = providerRegistry || new RegistryClass();
+    this.provider = null;
+    this.currentProvider = 'off';
     this.rateLimiter = new AIRateLimiter();
     this.initialized = false;
+    this.systemPrompt = 'You are a helpful assistant that creates natural, engaging advertisement comments for Facebook groups. Keep responses concise and professional.';
   }
 
   /**
@@ -27,11 +28,11 @@ class AIService {
         return;
       }
 
-      // Initialize the selected provider
-      if (aiSettings.provider === 'gemini' && aiSettings.geminiApiKey) {
-        this.providers.gemini = new GeminiProvider(aiSettings.geminiApiKey);
-      } else if (aiSettings.provider === 'openai' && aiSettings.openaiApiKey) {
-        this.providers.openai = new OpenAIProvider(aiSettings.openaiApiKey);
+      // Initialize the selected provider from the shared registry
+      const definition = this.providerRegistry.getDefinition(aiSettings.provider);
+      const apiKey = definition ? aiSettings[definition.apiKeySetting] : '';
+      if (definition && (apiKey || !definition.requiresApiKey)) {
+        this.provider = await this.providerRegistry.createProvider(aiSettings.provider, apiKey);
       }
 
       this.currentProvider = aiSettings.provider;
@@ -51,7 +52,7 @@ class AIService {
   isReady() {
     return this.initialized && 
            this.currentProvider !== 'off' && 
-           this.providers[this.currentProvider] !== null;
+           this.provider !== null;
   }
 
   /**
@@ -60,9 +61,22 @@ class AIService {
    */
   getCurrentProvider() {
     if (!this.isReady()) return null;
-    return this.providers[this.currentProvider];
-  } 
- /**
+    return this.provider;
+  }
+
+  /**
+   * Model, temperature and output budget chosen for an operation
+   * @param {string} operation - 'rephrase', 'generate', 'analyze' or 'classify'
+   * @returns {Object} generateText options
+   */
+  getOperationOptions(operation) {
+    return {
+      ...this.providerRegistry.getOperationOptions(operation, this.currentProvider),
+      system: this.systemPrompt
+    };
+  }
+
+  /**
    * Rephrase a comment template with context awareness
    * @param {string} originalText - Original template text
    * @param {string} context - Context for rephrasing (post content, niche, etc.)
@@ -80,7 +94,7 @@ class AIService {
       const provider = this.getCurrentProvider();
       const prompt = this.buildRephrasePrompt(originalText, context);
       
-      const response = await provider.generateText(prompt);
+      const response = await provider.generateText(prompt, this.getOperationOptions('rephrase'));
       
       // Record successful API call
       this.rateLimiter.recordSuccess('rephrase');
@@ -110,7 +124,7 @@ class AIService {
       const provider = this.getCurrentProvider();
       const prompt = this.buildGenerationPrompt(nicheDescription, count);
       
-      const response = await provider.generateText(prompt);
+      const response = await provider.generateText(prompt, this.getOperationOptions('generate'));
       
       // Record successful API call
       this.rateLimiter.recordSuccess('generate');
@@ -140,7 +154,7 @@ class AIService {
       const provider = this.getCurrentProvider();
       const prompt = this.buildAnalysisPrompt(postContent, templates);
       
-      const response = await provider.generateText(prompt);
+      const response = await provider.generateText(prompt, this.getOperationOptions('analyze'));
       
       // Record successful API call
       this.rateLimiter.recordSuccess('analyze');
@@ -150,8 +164,39 @@ class AIService {
       this.rateLimiter.recordError('analyze');
       throw new Error(`AI analysis failed: ${error.message}`);
     }
-  } 
- /**
+  }
+
+  /**
+   * Classify what a post is about (seeking a service, selling, complaint, ...)
+   * @param {string} postContent - Facebook post content
+   * @param {Array} intents - Allowed intents as { id, description }
+   * @returns {Promise<Object>} { intent, confidence }
+   */
+  async classifyPostIntent(postContent, intents) {
+    if (!this.isReady()) {
+      throw new Error('AI service not initialized or configured');
+    }
+
+    // Check rate limits
+    await this.rateLimiter.checkLimit('classify');
+
+    try {
+      const provider = this.getCurrentProvider();
+      const prompt = this.buildIntentPrompt(postContent, intents);
+      
+      const response = await provider.generateText(prompt, this.getOperationOptions('classify'));
+      
+      // Record successful API call
+      this.rateLimiter.recordSuccess('classify');
+      
+      return this.parseIntentResponse(response, intents);
+    } catch (error) {
+      this.rateLimiter.recordError('classify');
+      throw new Error(`AI intent classification failed: ${error.message}`);
+    }
+  }
+
+  /**
    * Build prompt for template rephrasing
    * @param {string} originalText - Original template text
    * @param {string} context - Context information
@@ -235,8 +280,33 @@ Format as JSON array:
 ]
 
 Analysis:`;
-  }  /**
+  }
+
+  /**
+   * Build prompt for post intent classification
+   * @param {string} postContent - Post content to classify
+   * @param {Array} intents - Allowed intents as { id, description }
+   * @returns {string} Formatted prompt
+   */
+  buildIntentPrompt(postContent, intents) {
+    const intentList = intents.map(intent => `- ${intent.id}: ${intent.description}`).join('\n');
+
+    return `Classify the intent of this Facebook group post.
+
+Post content: "${postContent}"
+
+Possible intents:
+${intentList}
+
+Pick exactly one intent and rate your confidence from 0.0 to 1.0.
+
+Format as JSON:
+{"intent": "intent_id", "confidence": 0.8}
 
+Classification:`;
+  }
+
+  /**
    * Clean and validate rephrased response
    * @param {string} response - Raw AI response
    * @returns {string} Cleaned rephrased text
@@ -356,8 +426,33 @@ Analysis:`;
       }));
     }
   }
-}/**
 
+  /**
+   * Parse AI response for post intent
+   * @param {string} response - Raw AI response
+   * @param {Array} intents - Allowed intents as { id, description }
+   * @returns {Object} { intent, confidence }
+   */
+  parseIntentResponse(response, intents) {
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('No JSON object found in response');
+    }
+
+    const result = JSON.parse(jsonMatch[0]);
+    if (!intents.some(intent => intent.id === result.intent)) {
+      throw new Error(`Unknown intent: ${result.intent}`);
+    }
+
+    const confidence = Number(result.confidence);
+    return {
+      intent: result.intent,
+      confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : 0.5
+    };
+  }
+}
+
+/**
  * Rate Limiter for AI API calls
  * Prevents excessive API usage and handles rate limiting
  */
@@ -366,19 +461,22 @@ class AIRateLimiter {
     this.limits = {
       rephrase: { maxPerHour: 50, maxPerDay: 200 },
       generate: { maxPerHour: 20, maxPerDay: 100 },
-      analyze: { maxPerHour: 100, maxPerDay: 500 }
+      analyze: { maxPerHour: 100, maxPerDay: 500 },
+      classify: { maxPerHour: 100, maxPerDay: 500 }
     };
     
     this.usage = {
       rephrase: { hourly: [], daily: [] },
       generate: { hourly: [], daily: [] },
-      analyze: { hourly: [], daily: [] }
+      analyze: { hourly: [], daily: [] },
+      classify: { hourly: [], daily: [] }
     };
     
     this.errors = {
       rephrase: [],
       generate: [],
-      analyze: []
+      analyze: [],
+      classify: []
     };
   }
 
@@ -485,243 +583,15 @@ class AIRateLimiter {
       recentErrors: this.errors[operation].filter(time => now - time < oneHour).length
     };
   }
-}/
-**
- * Google Gemini API Provider
- * Handles communication with Google's Gemini AI API
- */
-class GeminiProvider {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent';
-    this.timeout = 30000; // 30 seconds
-  }
-
-  /**
-   * Generate text using Gemini API
-   * @param {string} prompt - Text prompt
-   * @returns {Promise<string>} Generated text
-   */
-  async generateText(prompt) {
-    if (!this.apiKey) {
-      throw new Error('Gemini API key not configured');
-    }
-
-    const requestBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 1024,
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        }
-      ]
-    };
-
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(`${this.baseUrl}?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-      }
-
-      const data = await response.json();
-      
-      if (!data.candidates || data.candidates.length === 0) {
-        throw new Error('No response generated by Gemini');
-      }
-
-      const candidate = data.candidates[0];
-      
-      if (candidate.finishReason === 'SAFETY') {
-        throw new Error('Response blocked by safety filters');
-      }
-
-      if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-        throw new Error('Invalid response format from Gemini');
-      }
-
-      return candidate.content.parts[0].text;
-
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error('Request timeout');
-      }
-      throw error;
-    }
-  }
-
-  /**
-   * Test API connection
-   * @returns {Promise<boolean>} True if connection successful
-   */
-  async testConnection() {
-    try {
-      await this.generateText('Test connection. Respond with "OK".');
-      return true;
-    } catch (error) {
-      console.error('Gemini connection test failed:', error);
-      return false;
-    }
-  }
-}/*
-*
- * OpenAI API Provider
- * Handles communication with OpenAI's GPT API
- */
-class OpenAIProvider {
-  constructor(apiKey) {
-    this.apiKey = apiKey;
-    this.baseUrl = 'https://api.openai.com/v1/chat/completions';
-    this.model = 'gpt-3.5-turbo';
-    this.timeout = 30000; // 30 seconds
-  }
-
-  /**
-   * Generate text using OpenAI API
-   * @param {string} prompt - Text prompt
-   * @returns {Promise<string>} Generated text
-   */
-  async generateText(prompt) {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    const requestBody = {
-      model: this.model,
-      messages: [
-        {
-          role: "system",
-          content: "You are a helpful assistant that creates natural, engaging advertisement comments for Facebook groups. Keep responses concise and professional."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.7,
-      top_p: 0.9,
-      frequency_penalty: 0.5,
-      presence_penalty: 0.3
-    };
-
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        
-        if (response.status === 401) {
-          throw new Error('Invalid OpenAI API key');
-        } else if (response.status === 429) {
-          throw new Error('OpenAI rate limit exceeded');
-        } else if (response.status === 402) {
-          throw new Error('OpenAI quota exceeded');
-        }
-        
-        throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
-      }
-
-      const data = await response.json();
-      
-      if (!data.choices || data.choices.length === 0) {
-        throw new Error('No response generated by OpenAI');
-      }
-
-      const choice = data.choices[0];
-      
-      if (choice.finish_reason === 'content_filter') {
-        throw new Error('Response blocked by content filter');
-      }
-
-      if (!choice.message || !choice.message.content) {
-        throw new Error('Invalid response format from OpenAI');
-      }
-
-      return choice.message.content.trim();
-
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        throw new Error('Request timeout');
-      }
-      throw error;
-    }
-  }
-
-  /**
-   * Test API connection
-   * @returns {Promise<boolean>} True if connection successful
-   */
-  async testConnection() {
-    try {
-      await this.generateText('Test connection. Respond with "OK".');
-      return true;
-    } catch (error) {
-      console.error('OpenAI connection test failed:', error);
-      return false;
-    }
-  }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     AIService,
-    AIRateLimiter,
-    GeminiProvider,
-    OpenAIProvider
+    AIRateLimiter
   };
 } else {
   window.AIService = AIService;
   window.AIRateLimiter = AIRateLimiter;
-  window.GeminiProvider = GeminiProvider;
-  window.OpenAIProvider = OpenAIProvider;
 }
\ No newline at end of file
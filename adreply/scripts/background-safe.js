@@ -5,10 +5,13 @@ console.log('AdReply: Background script loaded');
 importScripts(
   '../storage/indexeddb-manager.js',
   '../storage/chrome-storage-manager.js',
+  'template-variants.js',
+  'rotation-policy.js',
   '../storage/data-models.js',
   '../storage/storage-manager.js',
   '../storage/storage-migration-v2.js',
-  'license-manager.js'
+  'license-manager.js',
+  'reply-watcher.js'
 );
 
 // Store recent posts for side panel access
@@ -20,6 +23,9 @@ let storageManager = null;
 let licenseManager = null;
 let storageMigration = null;
 
+// Posts we commented on, watched for replies when they are revisited
+const replyWatcher = new ReplyWatcher();
+
 // Set side panel to open on left-click (runs immediately)
 chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true })
   .then(() => {
@@ -258,6 +264,200 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true, post: latestPost });
         break;
 
+      // Group promotion rules (stored with the group in IndexedDB)
+      case 'GET_GROUP_RULES':
+        (async () => {
+          try {
+            const rules = await storageManager.getGroupRules(message.groupId);
+            sendResponse({ success: true, rules });
+          } catch (error) {
+            sendResponse({ success: false, rules: null, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'GET_ALL_GROUP_RULES':
+        (async () => {
+          try {
+            const groups = await storageManager.getAllGroupHistories();
+            const groupRules = groups
+              .filter(group => group.rules)
+              .map(group => ({ groupId: group.groupId, name: group.name, rules: group.rules }));
+            sendResponse({ success: true, groupRules });
+          } catch (error) {
+            sendResponse({ success: false, groupRules: [], error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'SAVE_GROUP_RULES':
+        (async () => {
+          try {
+            await storageManager.saveGroupRules(message.groupId, message.rules, message.name || null);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'REMOVE_GROUP_RULES':
+        (async () => {
+          try {
+            await storageManager.removeGroupRules(message.groupId);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      // Template revision history (stored in IndexedDB)
+      case 'SAVE_TEMPLATE_REVISION':
+        (async () => {
+          try {
+            const revisionId = await storageManager.saveTemplateRevision(message.revision);
+            sendResponse({ success: true, revisionId });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'GET_TEMPLATE_REVISIONS':
+        (async () => {
+          try {
+            const revisions = await storageManager.getTemplateRevisions(message.templateId);
+            sendResponse({ success: true, revisions });
+          } catch (error) {
+            sendResponse({ success: false, revisions: [], error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'DELETE_TEMPLATE_REVISIONS':
+        (async () => {
+          try {
+            await storageManager.deleteTemplateRevisions(message.templateId);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      // Leads captured from posted comments (stored in IndexedDB)
+      case 'CAPTURE_LEAD':
+        (async () => {
+          try {
+            const lead = await storageManager.captureLead(message.lead);
+            sendResponse({ success: true, lead });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'GET_LEADS':
+        (async () => {
+          try {
+            const leads = await storageManager.getLeads(message.filters || {});
+            sendResponse({ success: true, leads });
+          } catch (error) {
+            sendResponse({ success: false, leads: [], error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'UPDATE_LEAD':
+        (async () => {
+          try {
+            const lead = await storageManager.updateLead(message.leadId, message.updates || {});
+            sendResponse({ success: true, lead });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'DELETE_LEAD':
+        (async () => {
+          try {
+            await storageManager.deleteLead(message.leadId);
+            sendResponse({ success: true });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'WATCH_POST':
+        // Content script found our comment on a post
+        (async () => {
+          try {
+            const result = await replyWatcher.watchPost(message.data);
+            sendResponse(result);
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'FIND_WATCHED_POSTS':
+        // Content script asking which posts on the page to scan for replies
+        (async () => {
+          try {
+            const urls = await replyWatcher.findWatchedUrls(message.urls);
+            sendResponse({ success: true, urls });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'REPLIES_DETECTED':
+        // Content script found replies or mentions on watched posts: { posts: [{ postUrl, replies }] }
+        (async () => {
+          try {
+            const notifications = [];
+            for (const post of message.data?.posts || []) {
+              notifications.push(...await replyWatcher.recordReplies(post.postUrl, post.replies));
+            }
+            if (notifications.length > 0) {
+              console.log('AdReply: New replies on watched post:', notifications.length);
+              notifySidePanel('NEW_REPLIES', notifications);
+            }
+            sendResponse({ success: true, count: notifications.length });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'UPDATE_REPLY_NOTIFICATIONS':
+        // Side panel marking notifications read or their outcomes recorded
+        (async () => {
+          try {
+            const result = await replyWatcher.updateNotifications(message.ids || null, message.updates || {});
+            sendResponse(result);
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
+      case 'DISMISS_REPLY_NOTIFICATION':
+        // Side panel removing a notification
+        (async () => {
+          try {
+            const result = await replyWatcher.dismissNotification(message.id);
+            sendResponse(result);
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        })();
+        return true; // Async response
+
       case 'GET_MIGRATION_STATUS':
         // Get storage migration status
         (async () => {
@@ -0,0 +1,242 @@
+/**
+ * Business Profile Manager for AdReply Extension
+ * Stores the user's real business details and fills the {phone}, {email}, {location}, {contact},
+ * {hours} and {business} template placeholders with them
+ */
+
+class BusinessProfileManager {
+  constructor() {
+    this.defaultProfile = {
+      businessName: '',
+      phone: '',
+      email: '',
+      serviceArea: '',
+      hours: ''
+    };
+
+    this.limits = {
+      maxBusinessNameLength: 100,
+      maxPhoneLength: 30,
+      maxEmailLength: 254,
+      maxServiceAreaLength: 150,
+      maxHoursLength: 150
+    };
+
+    // Placeholder -> profile fields it needs (any one of them is enough)
+    this.placeholderFields = {
+      '{phone}': ['phone'],
+      '{email}': ['email'],
+      '{location}': ['serviceArea'],
+      '{contact}': ['phone', 'email'],
+      '{hours}': ['hours'],
+      '{business}': ['businessName']
+    };
+
+    // Text used when the profile has no value, so old templates still read naturally
+    this.fallbackText = {
+      '{phone}': 'call us',
+      '{email}': 'email us',
+      '{location}': 'our location',
+      '{contact}': 'DM us',
+      '{hours}': 'our opening hours',
+      '{business}': 'our business'
+    };
+
+    this.profile = null;
+  }
+
+  /**
+   * Load the business profile from settings
+   * @returns {Promise<Object>} Profile with businessName, phone, email, serviceArea and hours
+   */
+  async loadProfile() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      this.profile = { ...this.defaultProfile, ...(result.settings?.businessProfile || {}) };
+    } catch (error) {
+      console.error('BusinessProfileManager: Error loading profile:', error);
+      this.profile = { ...this.defaultProfile };
+    }
+
+    return this.profile;
+  }
+
+  /**
+   * Save the business profile
+   * @param {Object} profile - { businessName, phone, email, serviceArea, hours }
+   * @returns {Promise<Object>} Result with success status
+   */
+  async saveProfile(profile) {
+    try {
+      const normalized = this.normalizeProfile(profile);
+
+      const validation = this.validateProfile(normalized);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors[0] };
+      }
+
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+
+      settings.businessProfile = normalized;
+      await chrome.storage.local.set({ settings: settings });
+      this.profile = normalized;
+
+      return { success: true, profile: this.profile };
+    } catch (error) {
+      console.error('BusinessProfileManager: Error saving profile:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Trim every field and drop unknown ones
+   * @param {Object} profile - Raw profile (e.g. form values)
+   * @returns {Object} Normalized profile
+   */
+  normalizeProfile(profile = {}) {
+    const normalized = {};
+    Object.keys(this.defaultProfile).forEach(field => {
+      normalized[field] = typeof profile[field] === 'string' ? profile[field].trim() : '';
+    });
+    return normalized;
+  }
+
+  /**
+   * Validate a business profile
+   * @param {Object} profile - Profile to validate
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateProfile(profile) {
+    const errors = [];
+
+    if (!profile || typeof profile !== 'object') {
+      return { isValid: false, errors: ['Business profile must be an object'] };
+    }
+
+    const lengthChecks = [
+      ['businessName', 'Business name', this.limits.maxBusinessNameLength],
+      ['phone', 'Phone number', this.limits.maxPhoneLength],
+      ['email', 'Email', this.limits.maxEmailLength],
+      ['serviceArea', 'Service area', this.limits.maxServiceAreaLength],
+      ['hours', 'Hours', this.limits.maxHoursLength]
+    ];
+
+    lengthChecks.forEach(([field, label, maxLength]) => {
+      if (typeof profile[field] !== 'string') {
+        errors.push(`${label} must be text`);
+      } else if (profile[field].length > maxLength) {
+        errors.push(`${label} must be ${maxLength} characters or less`);
+      }
+    });
+
+    if (profile.phone && !this.isValidPhone(profile.phone)) {
+      errors.push('Phone number may only contain digits, spaces and + ( ) - . characters');
+    }
+
+    if (profile.email && !this.isValidEmail(profile.email)) {
+      errors.push('Email must be a valid email address');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  isValidPhone(phone) {
+    return /^\+?[\d\s().-]+$/.test(phone) && phone.replace(/\D/g, '').length >= 6;
+  }
+
+  isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+  }
+
+  /**
+   * Get the raw profile value behind each business placeholder ('' when not set)
+   * @param {Object} profile - Business profile (defaults to the loaded one)
+   * @returns {Object} Map of placeholder name (without braces) -> value
+   */
+  getPlaceholderVariables(profile = this.profile) {
+    const resolved = { ...this.defaultProfile, ...(profile || {}) };
+
+    let contact = '';
+    if (resolved.phone && resolved.email) {
+      contact = `call ${resolved.phone} or email ${resolved.email}`;
+    } else if (resolved.phone) {
+      contact = `call ${resolved.phone}`;
+    } else if (resolved.email) {
+      contact = `email ${resolved.email}`;
+    }
+
+    return {
+      phone: resolved.phone,
+      email: resolved.email,
+      location: resolved.serviceArea,
+      contact,
+      hours: resolved.hours,
+      business: resolved.businessName
+    };
+  }
+
+  /**
+   * Get the generic text used for each business placeholder with no profile value
+   * @returns {Object} Map of placeholder name (without braces) -> fallback text
+   */
+  getPlaceholderFallbacks() {
+    const fallbacks = {};
+    Object.entries(this.fallbackText).forEach(([placeholder, text]) => {
+      fallbacks[placeholder.slice(1, -1)] = text;
+    });
+    return fallbacks;
+  }
+
+  /**
+   * Get the replacement text for each business placeholder
+   * @param {Object} profile - Business profile (defaults to the loaded one)
+   * @returns {Object} Map of placeholder -> replacement text
+   */
+  getPlaceholderValues(profile = this.profile) {
+    const variables = this.getPlaceholderVariables(profile);
+    const values = {};
+
+    Object.entries(variables).forEach(([name, value]) => {
+      values[`{${name}}`] = value || this.fallbackText[`{${name}}`];
+    });
+
+    return values;
+  }
+
+  /**
+   * Find business placeholders in text that the profile has no value for
+   * @param {string} text - Template text (before placeholders are replaced)
+   * @param {Object} profile - Business profile (defaults to the loaded one)
+   * @returns {string[]} Placeholders that will fall back to generic text
+   */
+  findMissingPlaceholders(text, profile = this.profile) {
+    if (!text) return [];
+
+    const resolved = { ...this.defaultProfile, ...(profile || {}) };
+
+    return Object.entries(this.placeholderFields)
+      .filter(([placeholder, fields]) => this.usesPlaceholder(text, placeholder) && !fields.some(field => resolved[field]))
+      .map(([placeholder]) => placeholder);
+  }
+
+  /**
+   * Check whether text prints a placeholder, either bare ({phone}) or with filters ({phone|upper})
+   * @param {string} text - Template text
+   * @param {string} placeholder - Placeholder such as '{phone}'
+   * @returns {boolean}
+   */
+  usesPlaceholder(text, placeholder) {
+    return text.includes(placeholder) || text.includes(`${placeholder.slice(0, -1)}|`);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BusinessProfileManager;
+} else {
+  window.BusinessProfileManager = BusinessProfileManager;
+}
@@ -26,12 +26,19 @@ class FacebookSafeIntegration {
             posts: '[role="article"], [data-testid="post"], .userContentWrapper',
             postContent: '[data-ad-preview="message"], .userContent, [data-testid="post_message"], [data-testid="message_text"], .text_exposed_root, ._5pbx',
             groupIndicator: '[href*="/groups/"]',
+            postAuthor: 'h2 a[role="link"], h3 a[role="link"], h4 a[role="link"], strong a[role="link"], [data-testid="story-subtitle"] a, .fwb a, h2 strong, h3 strong, h4 strong',
+            groupName: 'h1 a[href*="/groups/"], [role="main"] h1, h1',
+            postPermalink: 'a[href*="/posts/"], a[href*="/permalink/"], a[href*="story_fbid="], a[href*="multi_permalinks="]',
             messageOverlay: '[role="dialog"] [role="article"], [data-testid="message_overlay"] [role="article"]',
             postOverlay: '[role="dialog"] [role="article"], [data-testid="post_overlay"] [role="article"]'
         };
 
         this.throttleDelay = 3000; // Longer delay to avoid detection
         this.lastOperation = 0;
+
+        // Watched posts are scanned for replies less often than new posts are checked
+        this.replyScanInterval = 30000;
+        this.lastReplyScan = 0;
     }
 
     async initialize() {
@@ -63,6 +70,9 @@ class FacebookSafeIntegration {
         // Set up message handling
         this.setupMessageHandler();
 
+        // Revisiting a post we commented on: look for replies right away
+        this.checkWatchedPosts();
+
         console.log('AdReply: Facebook-safe mode initialized for group:', this.currentGroupId);
     }
 
@@ -92,6 +102,75 @@ class FacebookSafeIntegration {
         return match ? match[1] : null;
     }
 
+    // Post author's display name from the post header (null when it can't be found)
+    extractPostAuthor(postElement) {
+        if (!postElement || postElement === document.body) return null;
+
+        try {
+            const candidates = postElement.querySelectorAll(this.selectors.postAuthor);
+            const ownName = this.currentUser?.name || null;
+
+            for (const element of candidates) {
+                // Skip links into comments and the logged-in user's own name
+                if (element.closest('[data-testid="comment"], [aria-label*="Comment"], .UFIComment')) continue;
+
+                const name = (element.textContent || '').replace(/\s+/g, ' ').trim();
+                if (name.length >= 2 && name.length <= 80 && !/\d{2,}|https?:|·/.test(name) && name !== ownName) {
+                    return name;
+                }
+            }
+        } catch (error) {
+            console.warn('AdReply: Could not read post author:', error);
+        }
+        return null;
+    }
+
+    // Permalink of a post from its timestamp link (null when the post has none, e.g. on overlays)
+    extractPostUrl(postElement) {
+        if (!postElement || postElement === document.body) return null;
+
+        try {
+            const link = postElement.querySelector(this.selectors.postPermalink);
+            if (!link || !link.href) return null;
+
+            return this.normalizePostUrl(link.href);
+        } catch (error) {
+            console.warn('AdReply: Could not read post link:', error);
+            return null;
+        }
+    }
+
+    // Keep only the parameters that identify the post; drop Facebook's tracking ones
+    normalizePostUrl(href) {
+        const url = new URL(href, window.location.origin);
+        const kept = new URLSearchParams();
+        ['story_fbid', 'id', 'multi_permalinks'].forEach(param => {
+            if (url.searchParams.has(param)) kept.set(param, url.searchParams.get(param));
+        });
+        const query = kept.toString();
+        return `${url.origin}${url.pathname}${query ? `?${query}` : ''}`;
+    }
+
+    // Group name from the group page header or page title (null when not on a group page)
+    extractGroupName() {
+        if (!window.location.pathname.includes('/groups/')) return null;
+
+        try {
+            const header = document.querySelector(this.selectors.groupName);
+            const headerText = (header?.textContent || '').replace(/\s+/g, ' ').trim();
+            if (headerText.length >= 2 && headerText.length <= 120) {
+                return headerText;
+            }
+
+            // Page titles look like "(3) Leeds Homeowners | Facebook"
+            const title = document.title.replace(/^\(\d+\+?\)\s*/, '').replace(/\s*[|\-]\s*Facebook\s*$/i, '').trim();
+            return title && title.toLowerCase() !== 'facebook' ? title : null;
+        } catch (error) {
+            console.warn('AdReply: Could not read group name:', error);
+            return null;
+        }
+    }
+
     async waitForPageStability() {
         // Use requestIdleCallback if available, otherwise setTimeout
         return new Promise(resolve => {
@@ -205,6 +284,9 @@ class FacebookSafeIntegration {
             
             // Check overlays
             this.checkForOverlays();
+            
+            // Check posts we commented on for replies
+            this.checkWatchedPosts();
         } catch (error) {
             // Silently handle errors to avoid detection
             console.debug('AdReply: Content check error:', error.message);
@@ -232,6 +314,9 @@ class FacebookSafeIntegration {
                         this.notifyExtension('NEW_POST', { 
                             content, 
                             groupId: this.currentGroupId || 'facebook',
+                            authorName: this.extractPostAuthor(post),
+                            groupName: this.extractGroupName(),
+                            postUrl: this.extractPostUrl(post),
                             timestamp: Date.now(),
                             source: 'post'
                         });
@@ -283,6 +368,9 @@ class FacebookSafeIntegration {
                                 this.notifyExtension('NEW_POST', { 
                                     content, 
                                     groupId: this.currentGroupId || 'overlay',
+                                    authorName: this.extractPostAuthor(post),
+                                    groupName: this.extractGroupName(),
+                                    postUrl: this.extractPostUrl(post),
                                     timestamp: Date.now(),
                                     source: 'overlay'
                                 });
@@ -808,43 +896,7 @@ class FacebookSafeIntegration {
                 };
             }
 
-            // Facebook comment selectors for different contexts
-            const commentSelectors = [
-                // Regular post comments
-                '[role="article"] [data-testid="comment"]',
-                '[role="article"] .UFIComment',
-                '[role="article"] [aria-label*="Comment"]',
-                
-                // Overlay/modal comments  
-                '[role="dialog"] [data-testid="comment"]',
-                '[role="dialog"] .UFIComment',
-                '[role="dialog"] [aria-label*="Comment"]',
-                
-                // Alternative comment structures
-                '[data-testid="UFI2Comment/root"]',
-                '.UFIComment',
-                '[role="article"] div[dir="auto"]'
-            ];
-
-            let allComments = [];
-            
-            // Find the post container (could be the element itself or a parent)
-            let searchContainer = postElement;
-            
-            // If we're in an overlay, search within the overlay
-            const overlay = document.querySelector('[role="dialog"], .uiLayer');
-            if (overlay && overlay.contains(postElement)) {
-                searchContainer = overlay;
-            }
-
-            // Collect all comments from different selectors
-            for (const selector of commentSelectors) {
-                const comments = searchContainer.querySelectorAll(selector);
-                allComments.push(...Array.from(comments));
-            }
-
-            // Remove duplicates
-            allComments = [...new Set(allComments)];
+            const allComments = this.findComments(postElement);
             
             console.log(`AdReply: Found ${allComments.length} total comments to check`);
 
@@ -853,53 +905,7 @@ class FacebookSafeIntegration {
 
             for (const comment of allComments) {
                 try {
-                    // Look for comment author information
-                    const authorSelectors = [
-                        'a[role="link"][href*="/profile/"]',
-                        'a[role="link"][href*="/user/"]',
-                        'a[href*="facebook.com/profile"]',
-                        'a[href*="facebook.com/"]',
-                        'strong a',
-                        'h3 a',
-                        '[data-testid="comment_author_name"]'
-                    ];
-
-                    let isUserComment = false;
-                    let commentAuthor = null;
-
-                    for (const authorSelector of authorSelectors) {
-                        const authorElements = comment.querySelectorAll(authorSelector);
-                        
-                        for (const authorElement of authorElements) {
-                            const authorName = authorElement.textContent?.trim();
-                            const authorHref = authorElement.href;
-
-                            // Check if this matches the current user
-                            if (authorName && currentUser.name) {
-                                // Normalize names for comparison
-                                const normalizedAuthor = authorName.toLowerCase().trim();
-                                const normalizedUser = currentUser.name.toLowerCase().trim();
-                                
-                                if (normalizedAuthor === normalizedUser) {
-                                    isUserComment = true;
-                                    commentAuthor = authorName;
-                                    break;
-                                }
-                            }
-
-                            // Check profile URL/ID match
-                            if (authorHref && currentUser.profileId) {
-                                if (authorHref.includes(currentUser.profileId) ||
-                                    (currentUser.profileUrl && authorHref === currentUser.profileUrl)) {
-                                    isUserComment = true;
-                                    commentAuthor = authorName || 'You';
-                                    break;
-                                }
-                            }
-                        }
-
-                        if (isUserComment) break;
-                    }
+                    const { isUserComment, authorName: commentAuthor } = this.matchCommentAuthor(comment, currentUser);
 
                     if (isUserComment) {
                         userComments.push(comment);
@@ -947,6 +953,203 @@ class FacebookSafeIntegration {
         }
     }
 
+    // All comment elements under a post (or the overlay it is shown in), without duplicates
+    findComments(postElement) {
+        // Facebook comment selectors for different contexts
+        const commentSelectors = [
+            // Regular post comments
+            '[role="article"] [data-testid="comment"]',
+            '[role="article"] .UFIComment',
+            '[role="article"] [aria-label*="Comment"]',
+
+            // Overlay/modal comments
+            '[role="dialog"] [data-testid="comment"]',
+            '[role="dialog"] .UFIComment',
+            '[role="dialog"] [aria-label*="Comment"]',
+
+            // Alternative comment structures
+            '[data-testid="UFI2Comment/root"]',
+            '.UFIComment',
+            '[role="article"] div[dir="auto"]'
+        ];
+
+        let allComments = [];
+
+        // Find the post container (could be the element itself or a parent)
+        let searchContainer = postElement;
+
+        // If we're in an overlay, search within the overlay
+        const overlay = document.querySelector('[role="dialog"], .uiLayer');
+        if (overlay && overlay.contains(postElement)) {
+            searchContainer = overlay;
+        }
+
+        // Collect all comments from different selectors
+        for (const selector of commentSelectors) {
+            const comments = searchContainer.querySelectorAll(selector);
+            allComments.push(...Array.from(comments));
+        }
+
+        // Remove duplicates
+        return [...new Set(allComments)];
+    }
+
+    // Author of a comment and whether it is the logged-in user
+    matchCommentAuthor(comment, currentUser) {
+        // Look for comment author information
+        const authorSelectors = [
+            'a[role="link"][href*="/profile/"]',
+            'a[role="link"][href*="/user/"]',
+            'a[href*="facebook.com/profile"]',
+            'a[href*="facebook.com/"]',
+            'strong a',
+            'h3 a',
+            '[data-testid="comment_author_name"]'
+        ];
+
+        let firstAuthor = null;
+
+        for (const authorSelector of authorSelectors) {
+            const authorElements = comment.querySelectorAll(authorSelector);
+
+            for (const authorElement of authorElements) {
+                const authorName = authorElement.textContent?.trim();
+                const authorHref = authorElement.href;
+
+                if (!firstAuthor && authorName) {
+                    firstAuthor = authorName;
+                }
+
+                // Check if this matches the current user
+                if (authorName && currentUser.name) {
+                    // Normalize names for comparison
+                    const normalizedAuthor = authorName.toLowerCase().trim();
+                    const normalizedUser = currentUser.name.toLowerCase().trim();
+
+                    if (normalizedAuthor === normalizedUser) {
+                        return { isUserComment: true, authorName };
+                    }
+                }
+
+                // Check profile URL/ID match
+                if (authorHref && currentUser.profileId) {
+                    if (authorHref.includes(currentUser.profileId) ||
+                        (currentUser.profileUrl && authorHref === currentUser.profileUrl)) {
+                        return { isUserComment: true, authorName: authorName || 'You' };
+                    }
+                }
+            }
+        }
+
+        return { isUserComment: false, authorName: firstAuthor };
+    }
+
+    // Post URL to remember when we find our own comment, so replies to it are watched
+    watchPostWithUserComment(postElement) {
+        const postUrl = this.extractPostUrl(postElement) || this.getPermalinkPageUrl();
+        if (!postUrl) return;
+
+        this.notifyExtension('WATCH_POST', {
+            postUrl,
+            groupId: this.currentGroupId || '',
+            groupName: this.extractGroupName(),
+            authorName: this.extractPostAuthor(postElement)
+        });
+    }
+
+    // The page URL when the page itself is a single post
+    getPermalinkPageUrl() {
+        const url = new URL(window.location.href);
+        if (/\/(posts|permalink)\/\d+/.test(url.pathname) || url.searchParams.has('story_fbid') || url.searchParams.has('multi_permalinks')) {
+            return this.normalizePostUrl(url.href);
+        }
+        return null;
+    }
+
+    // Scan posts we commented on for new replies and mentions (at most every replyScanInterval)
+    async checkWatchedPosts() {
+        if (Date.now() - this.lastReplyScan < this.replyScanInterval) return;
+        this.lastReplyScan = Date.now();
+
+        try {
+            // Top-level posts only; comments are articles too
+            const posts = Array.from(document.querySelectorAll('[role="article"]'))
+                .filter(post => !post.parentElement?.closest('[role="article"]'));
+            const pageUrl = this.getPermalinkPageUrl();
+
+            const candidates = new Map();
+            posts.forEach((post, index) => {
+                const postUrl = this.extractPostUrl(post) || (index === 0 ? pageUrl : null);
+                if (postUrl && !candidates.has(postUrl)) {
+                    candidates.set(postUrl, post);
+                }
+            });
+            if (candidates.size === 0) return;
+
+            const response = await chrome.runtime.sendMessage({ type: 'FIND_WATCHED_POSTS', urls: [...candidates.keys()] });
+            if (!response?.success) return;
+
+            // One message for the whole scan, so the service worker records the posts in turn
+            const found = [];
+            for (const postUrl of response.urls) {
+                const replies = await this.findRepliesToUser(candidates.get(postUrl));
+                if (replies.length > 0) {
+                    found.push({ postUrl, replies });
+                }
+            }
+            if (found.length > 0) {
+                this.notifyExtension('REPLIES_DETECTED', { posts: found });
+            }
+        } catch (error) {
+            console.debug('AdReply: Reply scan error:', error.message);
+        }
+    }
+
+    // Comments replying to ours, and comments mentioning our name, on one post
+    async findRepliesToUser(postElement) {
+        const currentUser = await this.getCurrentUser();
+        if (!currentUser.name && !currentUser.profileId) return [];
+
+        const comments = this.findComments(postElement);
+        const userThreads = [];
+        const others = [];
+
+        for (const comment of comments) {
+            const { isUserComment, authorName } = this.matchCommentAuthor(comment, currentUser);
+            if (isUserComment) {
+                // Replies sit in the list item that holds our comment
+                userThreads.push(comment.closest('li') || comment);
+            } else if (authorName) {
+                others.push({ comment, authorName });
+            }
+        }
+
+        const ownName = (currentUser.name || '').toLowerCase();
+        const found = new Map();
+
+        for (const { comment, authorName } of others) {
+            // Skip containers that hold our own comment
+            if (userThreads.some(thread => comment.contains(thread))) continue;
+
+            const text = this.cleanExtractedText(comment.textContent || '').replace(authorName, '').trim();
+            if (!text) continue;
+
+            const label = (comment.getAttribute('aria-label') || '').toLowerCase();
+            const isReply = userThreads.some(thread => thread !== comment && thread.contains(comment)) ||
+                (ownName && label.includes('reply') && label.includes(ownName));
+            const isMention = ownName.length >= 3 && text.toLowerCase().includes(ownName);
+
+            if (isReply || isMention) {
+                const key = `${authorName}|${text}`;
+                if (!found.has(key)) {
+                    found.set(key, { type: isReply ? 'reply' : 'mention', authorName, text: text.substring(0, 300) });
+                }
+            }
+        }
+
+        return [...found.values()];
+    }
+
     simulateRealisticTyping(commentBox, text) {
         return new Promise((resolve) => {
             let currentIndex = 0;
@@ -1184,6 +1387,7 @@ class FacebookSafeIntegration {
                 
                 if (commentCheck.hasUserComments) {
                     console.log('AdReply: Skipping analysis - user has already commented');
+                    this.watchPostWithUserComment(postElement);
                     return {
                         success: true,
                         skipped: true,
@@ -1201,6 +1405,9 @@ class FacebookSafeIntegration {
                     success: true,
                     content: content,
                     groupId: groupId || 'manual',
+                    authorName: this.extractPostAuthor(postElement),
+                    groupName: this.extractGroupName(),
+                    postUrl: this.extractPostUrl(postElement),
                     method: 'manual_analysis'
                 };
             } else {
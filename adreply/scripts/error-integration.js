@@ -157,7 +157,7 @@ class EnhancedTemplateEngine extends TemplateEngine {
       
       // Step 3: Generate suggestions
       this.performance.startTimer('generate_suggestions');
-      const suggestions = await this.generateSuggestions(rotatedTemplates, groupId, options.maxSuggestions);
+      const suggestions = await this.generateSuggestions(rotatedTemplates, groupId, options.maxSuggestions, { content: postContent, ...(options.postContext || {}) });
       this.performance.endTimer('generate_suggestions');
       
       this.logger.info('Suggestions generated', { 
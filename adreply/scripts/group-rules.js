@@ -0,0 +1,188 @@
+/**
+ * Group Rules Checker for AdReply Extension
+ * Checks suggestions against each Facebook group's promotion rules (promo days, links, weekly cap)
+ */
+
+class GroupRulesChecker {
+  constructor() {
+    // Used when a group has no rules recorded: everything allowed, nothing enforced
+    this.defaultRules = {
+      promoAllowed: true,
+      linksAllowed: true,
+      allowedDays: [0, 1, 2, 3, 4, 5, 6], // Weekdays promotion is allowed on (0 = Sunday)
+      maxPromosPerWeek: 0,                // Our comments per group in a rolling 7 days (0 = unlimited)
+      enforcement: 'warn'                 // 'warn' shows the problem, 'block' refuses to copy
+    };
+
+    this.limits = {
+      maxPromosPerWeek: 100
+    };
+
+    this.dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    this.linkPattern = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|co|io|biz|info|shop|store|uk|us|ca|au)\b/i;
+  }
+
+  /**
+   * Validate rules entered by the user
+   * @param {Object} rules - Raw rules (numbers may be strings from form fields)
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateRules(rules) {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object') {
+      return { isValid: false, errors: ['Group rules must be an object'] };
+    }
+
+    if (!Array.isArray(rules.allowedDays) || rules.allowedDays.length === 0) {
+      errors.push('Pick at least one day promotion is allowed on');
+    } else if (rules.allowedDays.some(day => !Number.isInteger(Number(day)) || Number(day) < 0 || Number(day) > 6)) {
+      errors.push('Allowed days must be weekday numbers (0 = Sunday)');
+    }
+
+    const maxPromos = rules.maxPromosPerWeek === '' || rules.maxPromosPerWeek === undefined ? 0 : Number(rules.maxPromosPerWeek);
+    if (!Number.isInteger(maxPromos) || maxPromos < 0 || maxPromos > this.limits.maxPromosPerWeek) {
+      errors.push(`Max promos per week must be a whole number between 0 and ${this.limits.maxPromosPerWeek}`);
+    }
+
+    if (!['warn', 'block'].includes(rules.enforcement)) {
+      errors.push('Enforcement must be "warn" or "block"');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Convert validated rules to the stored shape
+   * @param {Object} rules - Validated rules
+   * @returns {Object} Normalized rules
+   */
+  normalizeRules(rules) {
+    const allowedDays = [...new Set(rules.allowedDays.map(Number))].sort((a, b) => a - b);
+
+    return {
+      promoAllowed: rules.promoAllowed !== false,
+      linksAllowed: rules.linksAllowed !== false,
+      allowedDays,
+      maxPromosPerWeek: rules.maxPromosPerWeek === '' || rules.maxPromosPerWeek === undefined ? 0 : Number(rules.maxPromosPerWeek),
+      enforcement: rules.enforcement
+    };
+  }
+
+  /**
+   * Merge stored rules over the defaults
+   * @param {Object|null} rules - Rules stored for the group
+   * @returns {Object} Complete rules
+   */
+  resolveRules(rules) {
+    return { ...this.defaultRules, ...(rules || {}) };
+  }
+
+  /**
+   * Check whether promoting in a group right now (optionally with a given text) breaks its rules
+   * @param {Object|null} rules - Rules stored for the group (null = no rules)
+   * @param {Object} context - { text, recentUsage, now }
+   * @returns {Object} { allowed, blocked, enforcement, violations: [{ rule, message }] }
+   */
+  evaluate(rules, context = {}) {
+    const { text = '', recentUsage = [], now = new Date() } = context;
+
+    if (!rules) {
+      return { allowed: true, blocked: false, enforcement: null, violations: [] };
+    }
+
+    const resolved = this.resolveRules(rules);
+    const violations = [];
+
+    if (!resolved.promoAllowed) {
+      violations.push({ rule: 'promoAllowed', message: 'This group does not allow promotion' });
+    } else {
+      const today = now.getDay();
+      if (resolved.allowedDays.length > 0 && !resolved.allowedDays.includes(today)) {
+        violations.push({
+          rule: 'allowedDays',
+          message: `Promotion is only allowed on ${this.formatDays(resolved.allowedDays)}`
+        });
+      }
+
+      if (resolved.maxPromosPerWeek > 0) {
+        const weekAgo = now.getTime() - 7 * 24 * 60 * 60 * 1000;
+        const promosThisWeek = recentUsage.filter(usage => new Date(usage.timestamp).getTime() > weekAgo).length;
+        if (promosThisWeek >= resolved.maxPromosPerWeek) {
+          violations.push({
+            rule: 'maxPromosPerWeek',
+            message: `Weekly limit reached (${promosThisWeek}/${resolved.maxPromosPerWeek} promos in the last 7 days)`
+          });
+        }
+      }
+    }
+
+    if (!resolved.linksAllowed && text && this.containsLink(text)) {
+      violations.push({ rule: 'linksAllowed', message: 'This group does not allow links' });
+    }
+
+    const blocked = violations.length > 0 && resolved.enforcement === 'block';
+
+    return {
+      allowed: violations.length === 0,
+      blocked,
+      enforcement: resolved.enforcement,
+      violations
+    };
+  }
+
+  /**
+   * Check whether text contains a link
+   * @param {string} text - Comment text
+   * @returns {boolean}
+   */
+  containsLink(text) {
+    return this.linkPattern.test(text || '');
+  }
+
+  /**
+   * Describe a list of weekdays, e.g. "Saturday" or "Saturday and Sunday"
+   * @param {number[]} days - Weekday numbers (0 = Sunday)
+   * @returns {string}
+   */
+  formatDays(days) {
+    if (days.length === 7) return 'every day';
+
+    const names = days.map(day => this.dayNames[day]);
+    if (names.length <= 1) return names.join('');
+
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  }
+
+  /**
+   * Short summary of a group's rules for the settings list
+   * @param {Object} rules - Stored rules
+   * @returns {string}
+   */
+  describeRules(rules) {
+    const resolved = this.resolveRules(rules);
+
+    if (!resolved.promoAllowed) {
+      return `no promotion (${resolved.enforcement})`;
+    }
+
+    const parts = [
+      resolved.allowedDays.length === 7 ? 'any day' : this.formatDays(resolved.allowedDays),
+      resolved.linksAllowed ? 'links ok' : 'no links',
+      resolved.maxPromosPerWeek > 0 ? `${resolved.maxPromosPerWeek}/week` : 'no weekly cap'
+    ];
+
+    return `${parts.join(', ')} (${resolved.enforcement})`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GroupRulesChecker;
+} else {
+  window.GroupRulesChecker = GroupRulesChecker;
+}
@@ -0,0 +1,257 @@
+/**
+ * Intent Classifier for AdReply Extension
+ * Labels what a post is about (asking for a service, recommendations, selling, complaining, ...) using
+ * local rules or, when configured, AIService - and decides whether suggestions should be suppressed
+ */
+
+class IntentClassifier {
+  constructor(aiService = null) {
+    this.aiService = aiService;
+
+    this.intents = {
+      service_request: { label: 'Seeking a service', description: 'The author needs someone to do a job for them or asks for a quote' },
+      recommendation_request: { label: 'Asking for recommendations', description: 'The author asks the group who or what they would recommend' },
+      selling: { label: 'Selling', description: 'The author is advertising or selling something themselves' },
+      complaint: { label: 'Complaint', description: 'The author is complaining about a business, product or bad experience' },
+      grief: { label: 'Grief / loss', description: 'The post is about a death, funeral or loss' },
+      irrelevant: { label: 'Not relevant', description: 'General chat, photos, news or anything else' }
+    };
+
+    // Weighted signals per intent; posts are lowercased before testing
+    this.rules = {
+      service_request: [
+        { pattern: /\b(looking for|need|needs|needed|hire|hiring|want)\b.{0,40}\b(someone|somebody|company|service|pro|professional|contractor|quote|help)\b/, weight: 2 },
+        { pattern: /\b(can anyone|anyone able to|who can|does anyone do|is there anyone who)\b/, weight: 2 },
+        { pattern: /\b(quotes?|estimates?|availability|available this week)\b/, weight: 1 },
+        { pattern: /\b(asap|urgent|urgently|emergency)\b/, weight: 1 },
+        { pattern: /\b(busco|necesito|je cherche|besoin d)/, weight: 2 }
+      ],
+      recommendation_request: [
+        { pattern: /\b(recommend|recommendation|recommendations|suggestions?|referrals?)\b/, weight: 2 },
+        { pattern: /\b(anyone know|does anyone know|who do you use|who would you use|best (place|person|company|shop) (for|to))\b/, weight: 2 },
+        { pattern: /\?/, weight: 0.5 },
+        { pattern: /\b(recomiendan|recomendaci[oó]n|recommandez|conseillez)\b/, weight: 2 }
+      ],
+      selling: [
+        { pattern: /\b(for sale|selling|now open|book now|order now|shop now|limited offer)\b/, weight: 2 },
+        { pattern: /\b(pm me|dm me|inbox me|message me for)\b/, weight: 1.5 },
+        { pattern: /(\$\s?\d+|\d+\s?(€|£|usd|eur)|\b(discount|promo code|% off)\b)/, weight: 1 },
+        { pattern: /\b(se vende|vendo|à vendre|je vends)\b/, weight: 2 }
+      ],
+      complaint: [
+        { pattern: /\b(terrible|awful|worst|horrible|disgusting|unprofessional|rude)\b/, weight: 1.5 },
+        { pattern: /\b(scam|scammed|rip(ped)? off|never again|stay away|avoid them|beware)\b/, weight: 2 },
+        { pattern: /\b(disappointed|complain|complaint|refund|no show|didn't show up|never showed)\b/, weight: 1.5 },
+        { pattern: /\b(estafa|pésimo|nunca más|arnaque|déçu)\b/, weight: 2 }
+      ],
+      grief: [
+        { pattern: /\b(passed away|rest in peace|rip(?! ?off)|r\.i\.p|funeral|condolences|memorial service|in loving memory|grieving)\b/, weight: 2 },
+        { pattern: /\blost (my|our) (mom|dad|mother|father|son|daughter|wife|husband|brother|sister|friend|baby|grandma|grandpa)\b/, weight: 2 },
+        { pattern: /\b(sad news|heartbroken|devastated)\b/, weight: 1 },
+        { pattern: /\b(falleci[oó]|descanse en paz|q\.?e\.?p\.?d|décédé|décès|repose en paix)\b/, weight: 2 }
+      ]
+    };
+
+    this.defaultSettings = {
+      mode: 'rules',                // 'rules' (on-device) or 'ai' (AIService, falls back to rules)
+      suppressedIntents: ['grief'], // Intents that never get suggestions
+      minConfidence: 0.5            // Classifications below this never suppress anything
+    };
+
+    this.settings = null;
+  }
+
+  /**
+   * Get intent IDs and labels for settings screens
+   * @returns {Array} [{ id, label }]
+   */
+  getIntentOptions() {
+    return Object.entries(this.intents).map(([id, intent]) => ({ id, label: intent.label }));
+  }
+
+  /**
+   * Get the display label for an intent
+   * @param {string} intent - Intent ID
+   * @returns {string}
+   */
+  getIntentLabel(intent) {
+    return this.intents[intent] ? this.intents[intent].label : intent;
+  }
+
+  /**
+   * Load intent filter settings
+   * @returns {Promise<Object>} Settings with mode, suppressedIntents and minConfidence
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      this.settings = { ...this.defaultSettings, ...(result.settings?.intentFilter || {}) };
+    } catch (error) {
+      console.error('IntentClassifier: Error loading settings:', error);
+      this.settings = { ...this.defaultSettings };
+    }
+
+    return this.settings;
+  }
+
+  /**
+   * Save intent filter settings
+   * @param {Object} intentFilter - { mode, suppressedIntents, minConfidence }
+   * @returns {Promise<Object>} Result with success status
+   */
+  async saveSettings(intentFilter) {
+    try {
+      const validation = this.validateSettings(intentFilter);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors[0] };
+      }
+
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+
+      settings.intentFilter = {
+        ...this.defaultSettings,
+        ...(settings.intentFilter || {}),
+        ...intentFilter
+      };
+      await chrome.storage.local.set({ settings: settings });
+      this.settings = settings.intentFilter;
+
+      return { success: true, settings: this.settings };
+    } catch (error) {
+      console.error('IntentClassifier: Error saving settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate intent filter settings
+   * @param {Object} intentFilter - Settings to validate
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateSettings(intentFilter) {
+    const errors = [];
+
+    if (!intentFilter || typeof intentFilter !== 'object') {
+      return { isValid: false, errors: ['Intent filter settings must be an object'] };
+    }
+
+    if (intentFilter.mode !== undefined && !['rules', 'ai'].includes(intentFilter.mode)) {
+      errors.push('Intent detection mode must be "rules" or "ai"');
+    }
+
+    if (intentFilter.suppressedIntents !== undefined) {
+      if (!Array.isArray(intentFilter.suppressedIntents)) {
+        errors.push('Suppressed intents must be an array');
+      } else {
+        const unknown = intentFilter.suppressedIntents.find(intent => !this.intents[intent]);
+        if (unknown) {
+          errors.push(`Unknown intent: ${unknown}`);
+        }
+      }
+    }
+
+    if (intentFilter.minConfidence !== undefined) {
+      const confidence = Number(intentFilter.minConfidence);
+      if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) {
+        errors.push('Minimum confidence must be between 0 and 1');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Classify a post with local rules
+   * @param {string} postContent - Post text
+   * @returns {Object} { intent, confidence, source, signals }
+   */
+  classifyLocal(postContent) {
+    const text = typeof postContent === 'string' ? postContent.toLowerCase() : '';
+    const scores = {};
+    const signals = [];
+
+    for (const [intent, rules] of Object.entries(this.rules)) {
+      scores[intent] = 0;
+      for (const { pattern, weight } of rules) {
+        const match = text.match(pattern);
+        if (match) {
+          scores[intent] += weight;
+          signals.push({ intent, text: match[0].trim() });
+        }
+      }
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [topIntent, topScore] = ranked[0];
+    const totalScore = ranked.reduce((sum, [, score]) => sum + score, 0);
+
+    if (topScore === 0) {
+      // No signals at all: chit-chat is more likely irrelevant when nobody is asking anything
+      return {
+        intent: 'irrelevant',
+        confidence: text.includes('?') ? 0.4 : 0.6,
+        source: 'rules',
+        signals
+      };
+    }
+
+    // Competing signals (e.g. a complaint that also asks for a recommendation) lower the confidence
+    return {
+      intent: topIntent,
+      confidence: Math.round((topScore / (totalScore + 1)) * 100) / 100,
+      source: 'rules',
+      signals
+    };
+  }
+
+  /**
+   * Classify a post using the configured mode
+   * AI mode falls back to local rules when AIService is unavailable or fails
+   * @param {string} postContent - Post text
+   * @returns {Promise<Object>} { intent, confidence, source, signals }
+   */
+  async classify(postContent) {
+    if (!this.settings) {
+      await this.loadSettings();
+    }
+
+    if (this.settings.mode === 'ai' && this.aiService && this.aiService.isReady()) {
+      try {
+        const result = await this.aiService.classifyPostIntent(postContent, Object.entries(this.intents)
+          .map(([id, intent]) => ({ id, description: intent.description })));
+
+        if (result && this.intents[result.intent]) {
+          return { ...result, source: 'ai', signals: [] };
+        }
+      } catch (error) {
+        console.warn('IntentClassifier: AI classification failed, using local rules:', error.message);
+      }
+    }
+
+    return this.classifyLocal(postContent);
+  }
+
+  /**
+   * Check whether suggestions should be hidden for a classification
+   * @param {Object} classification - Result of classify
+   * @returns {boolean}
+   */
+  shouldSuppress(classification) {
+    const settings = this.settings || this.defaultSettings;
+
+    return !!classification &&
+      settings.suppressedIntents.includes(classification.intent) &&
+      classification.confidence >= settings.minConfidence;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IntentClassifier;
+} else {
+  window.IntentClassifier = IntentClassifier;
+}
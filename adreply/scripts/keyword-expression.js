@@ -0,0 +1,587 @@
+/**
+ * Keyword Expressions for AdReply Extension
+ * Parses and evaluates template keyword syntax:
+ *   plumber                 whole word (variations and typos count as partial hits when enabled)
+ *   plumb*                  word prefix
+ *   weight loss / "leaky tap"  phrase (consecutive words)
+ *   boiler AND (repair OR service)
+ *   "need" NEAR/3 "plumber" both terms within 3 words of each other
+ *   /leak(s|ing)?/i         regular expression (opt-in, tested against the raw post)
+ */
+
+class KeywordExpression {
+  constructor() {
+    this.maxNearDistance = 20;
+    this.maxRegexLength = 200;
+    this.cache = new Map();
+  }
+
+  /**
+   * Split a comma-separated keyword list, ignoring commas inside quotes, parentheses or regexes
+   * @param {string} text - Raw keyword list from the template form
+   * @returns {string[]} Trimmed, non-empty keyword expressions
+   */
+  splitKeywordList(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const keywords = [];
+    let current = '';
+    let depth = 0;
+    let quote = false;
+    let regex = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (char === '\\' && regex && i + 1 < text.length) {
+        current += char + text[++i];
+        continue;
+      }
+
+      if (char === '"' && !regex) quote = !quote;
+      else if (char === '/' && !quote && (regex || current.trim() === '' || /[\s(]$/.test(current))) regex = !regex;
+      else if (char === '(' && !quote && !regex) depth++;
+      else if (char === ')' && !quote && !regex) depth--;
+
+      if (char === ',' && !quote && !regex && depth <= 0) {
+        keywords.push(current);
+        current = '';
+        depth = 0;
+        continue;
+      }
+
+      current += char;
+    }
+    keywords.push(current);
+
+    return keywords.map(keyword => keyword.trim()).filter(keyword => keyword.length > 0);
+  }
+
+  /**
+   * Parse an expression into a syntax tree (cached)
+   * @param {string} expression - Keyword expression (without a leading '-')
+   * @returns {Object} { ast, error } - ast is null when error is set
+   */
+  parse(expression) {
+    if (this.cache.has(expression)) {
+      return this.cache.get(expression);
+    }
+
+    let result;
+    try {
+      const tokens = this.tokenize(expression);
+      if (tokens.length === 0) {
+        throw new Error('Keyword is empty');
+      }
+
+      const parser = { tokens, position: 0 };
+      const ast = this.parseOr(parser);
+      if (parser.position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[parser.position].value}"`);
+      }
+
+      result = { ast, error: null };
+    } catch (error) {
+      result = { ast: null, error: error.message };
+    }
+
+    this.cache.set(expression, result);
+    return result;
+  }
+
+  /**
+   * Validate one keyword entry (a leading '-' marks an exclusion)
+   * @param {string} keyword - Keyword entry
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(keyword) {
+    if (typeof keyword !== 'string' || keyword.trim().length === 0) {
+      return 'Keyword is empty';
+    }
+
+    const expression = keyword.trim().startsWith('-') ? keyword.trim().substring(1) : keyword.trim();
+    return this.parse(expression).error;
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} expression - Keyword expression
+   * @returns {Array} Tokens of type word, phrase, regex, and, or, near, lparen, rparen
+   */
+  tokenize(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+      const char = expression[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (char === '(' || char === ')') {
+        tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char });
+        i++;
+        continue;
+      }
+
+      if (char === '"') {
+        const end = expression.indexOf('"', i + 1);
+        if (end === -1) {
+          throw new Error('Missing closing quote');
+        }
+        const phrase = this.normalizeTerm(expression.substring(i + 1, end));
+        if (!phrase) {
+          throw new Error('Quoted phrase is empty');
+        }
+        tokens.push({ type: 'phrase', value: phrase });
+        i = end + 1;
+        continue;
+      }
+
+      if (char === '/') {
+        tokens.push(this.readRegex(expression, i));
+        i = tokens[tokens.length - 1].end;
+        continue;
+      }
+
+      // Bare word (operators are uppercase so lowercase "and"/"or" stay searchable words)
+      let end = i;
+      while (end < expression.length && !/[\s()"]/.test(expression[end])) end++;
+      const word = expression.substring(i, end);
+      i = end;
+
+      const nearMatch = word.match(/^NEAR\/(\d+)$/);
+      if (word === 'AND' || word === 'OR') {
+        tokens.push({ type: word.toLowerCase(), value: word });
+      } else if (nearMatch) {
+        const distance = parseInt(nearMatch[1], 10);
+        if (distance < 1 || distance > this.maxNearDistance) {
+          throw new Error(`NEAR distance must be between 1 and ${this.maxNearDistance}`);
+        }
+        tokens.push({ type: 'near', value: word, distance });
+      } else if (word.startsWith('NEAR')) {
+        throw new Error('Use NEAR/<number>, e.g. "need" NEAR/3 "plumber"');
+      } else {
+        const prefix = word.endsWith('*');
+        const term = this.normalizeTerm(prefix ? word.slice(0, -1) : word);
+        if (!term) {
+          throw new Error(`"${word}" has no letters or numbers`);
+        }
+        tokens.push({ type: 'word', value: term, prefix });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Read a /pattern/flags regex token
+   * @param {string} expression - Keyword expression
+   * @param {number} start - Index of the opening slash
+   * @returns {Object} Regex token with end index
+   */
+  readRegex(expression, start) {
+    let i = start + 1;
+    while (i < expression.length && expression[i] !== '/') {
+      if (expression[i] === '\\') i++;
+      i++;
+    }
+
+    if (i >= expression.length) {
+      throw new Error('Regex is missing its closing "/"');
+    }
+
+    const pattern = expression.substring(start + 1, i);
+    let end = i + 1;
+    while (end < expression.length && /[a-z]/.test(expression[end])) end++;
+    const flags = expression.substring(i + 1, end);
+
+    if (!pattern) {
+      throw new Error('Regex is empty');
+    }
+    if (pattern.length > this.maxRegexLength) {
+      throw new Error(`Regex cannot be longer than ${this.maxRegexLength} characters`);
+    }
+    if (/[^imsu]/.test(flags)) {
+      throw new Error('Regex flags can only be i, m, s or u');
+    }
+
+    let regex;
+    try {
+      // Always case-insensitive; global/sticky flags would make test() stateful
+      regex = new RegExp(pattern, flags.includes('i') ? flags : flags + 'i');
+    } catch (error) {
+      throw new Error(`Invalid regex: ${error.message}`);
+    }
+
+    return { type: 'regex', value: `/${pattern}/${flags}`, regex, end };
+  }
+
+  parseOr(parser) {
+    const children = [this.parseAnd(parser)];
+    while (this.peek(parser, 'or')) {
+      parser.position++;
+      children.push(this.parseAnd(parser));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd(parser) {
+    const children = [this.parseNear(parser)];
+    while (this.peek(parser, 'and')) {
+      parser.position++;
+      children.push(this.parseNear(parser));
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseNear(parser) {
+    const left = this.parseAtom(parser);
+    if (!this.peek(parser, 'near')) {
+      return left;
+    }
+
+    const operator = parser.tokens[parser.position++];
+    const right = this.parseAtom(parser);
+    if (left.type !== 'term' || right.type !== 'term' || left.prefix || right.prefix) {
+      throw new Error('NEAR only works between plain words or quoted phrases');
+    }
+
+    return { type: 'near', distance: operator.distance, children: [left, right] };
+  }
+
+  parseAtom(parser) {
+    const token = parser.tokens[parser.position];
+    if (!token) {
+      throw new Error('Expression ends with an operator');
+    }
+
+    if (token.type === 'lparen') {
+      parser.position++;
+      const node = this.parseOr(parser);
+      if (!this.peek(parser, 'rparen')) {
+        throw new Error('Missing closing ")"');
+      }
+      parser.position++;
+      return node;
+    }
+
+    if (token.type === 'regex') {
+      parser.position++;
+      return { type: 'regex', regex: token.regex };
+    }
+
+    if (token.type === 'phrase') {
+      parser.position++;
+      return { type: 'term', value: token.value, quoted: true, prefix: false };
+    }
+
+    if (token.type === 'word') {
+      // Consecutive bare words form a phrase: weight loss
+      const words = [];
+      let prefix = false;
+      while (this.peek(parser, 'word') && !prefix) {
+        const wordToken = parser.tokens[parser.position++];
+        words.push(wordToken.value);
+        prefix = wordToken.prefix;
+      }
+      return { type: 'term', value: words.join(' '), quoted: false, prefix };
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  peek(parser, type) {
+    const token = parser.tokens[parser.position];
+    return !!token && token.type === type;
+  }
+
+  /**
+   * Normalize a term the same way post text is normalized
+   * Hyphens and punctuation become spaces, so "all-season" matches "all season"
+   * Accents are folded so "cafe" matches "café" and "nino" matches "niño"
+   * @param {string} term - Raw term
+   * @returns {string} Normalized term
+   */
+  normalizeTerm(term) {
+    return term
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Evaluate a keyword expression against a prepared post
+   * @param {string} expression - Keyword expression (without a leading '-')
+   * @param {Object} post - { original, text, words, stems } as produced by TemplateMatcher.preparePost
+   * @param {Object} options - { stemming, typoTolerance } for unquoted words
+   * @returns {string|null} 'exact', 'partial' or null (also null for invalid expressions)
+   */
+  evaluate(expression, post, options = {}) {
+    const { ast } = this.parse(expression);
+    if (!ast || !post || post.words.length === 0) {
+      return null;
+    }
+    return this.evaluateNode(ast, post, options);
+  }
+
+  evaluateNode(node, post, options) {
+    switch (node.type) {
+      case 'term':
+        return this.matchTerm(node, post, options);
+
+      case 'regex':
+        return node.regex.test(post.original || post.text) ? 'exact' : null;
+
+      case 'and': {
+        const results = node.children.map(child => this.evaluateNode(child, post, options));
+        if (results.some(result => !result)) return null;
+        return results.every(result => result === 'exact') ? 'exact' : 'partial';
+      }
+
+      case 'or': {
+        const results = node.children.map(child => this.evaluateNode(child, post, options));
+        return this.bestResult(results);
+      }
+
+      case 'near':
+        return this.matchNear(node, post, options);
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Match a word or phrase term on word boundaries
+   * Word variations and typos count as partial hits; quoted phrases only match exactly
+   * @param {Object} node - Term node
+   * @param {Object} post - Prepared post
+   * @param {Object} options - { stemming, typoTolerance }
+   * @returns {string|null} 'exact', 'partial' or null
+   */
+  matchTerm(node, post, options) {
+    const result = this.bestResult(this.findTermMatches(node, post, options).map(match => match.quality));
+    if (result) {
+      return result;
+    }
+
+    // Unquoted multi-word keywords still count when every word appears somewhere
+    const termWords = node.value.split(' ');
+    if (termWords.length > 1 && !node.quoted && !node.prefix) {
+      const allPresent = termWords.every(termWord =>
+        post.words.some((word, index) => this.compareWord(termWord, index, post, options))
+      );
+      return allPresent ? 'partial' : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find every word index where a term starts
+   * @param {Object} node - Term node
+   * @param {Object} post - Prepared post
+   * @param {Object} options - { stemming, typoTolerance }
+   * @returns {Array} Matches { position, quality }
+   */
+  findTermMatches(node, post, options) {
+    const termWords = node.value.split(' ');
+    const wordOptions = node.quoted ? {} : options;
+    const matches = [];
+
+    for (let i = 0; i + termWords.length <= post.words.length; i++) {
+      const qualities = [];
+
+      for (let offset = 0; offset < termWords.length; offset++) {
+        const isLast = offset === termWords.length - 1;
+        const quality = node.prefix && isLast
+          ? (post.words[i + offset].startsWith(termWords[offset]) ? 'exact' : null)
+          : this.compareWord(termWords[offset], i + offset, post, wordOptions);
+
+        if (!quality) break;
+        qualities.push(quality);
+      }
+
+      if (qualities.length === termWords.length) {
+        matches.push({ position: i, quality: qualities.every(q => q === 'exact') ? 'exact' : 'partial' });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Compare one keyword word with one post word
+   * @param {string} termWord - Normalized keyword word
+   * @param {number} index - Post word index
+   * @param {Object} post - Prepared post
+   * @param {Object} options - { stemming, typoTolerance }
+   * @returns {string|null} 'exact', 'partial' (same stem or within typo tolerance) or null
+   */
+  compareWord(termWord, index, post, options = {}) {
+    const word = post.words[index];
+    if (word === termWord) {
+      return 'exact';
+    }
+
+    if (options.stemming) {
+      const wordStem = post.stems ? post.stems[index] : this.stem(word);
+      if (wordStem === this.stem(termWord)) {
+        return 'partial';
+      }
+    }
+
+    const maxTypos = this.getTypoAllowance(termWord, options.typoTolerance || 0);
+    if (maxTypos > 0 && Math.abs(word.length - termWord.length) <= maxTypos &&
+        this.editDistance(word, termWord, maxTypos) <= maxTypos) {
+      return 'partial';
+    }
+
+    return null;
+  }
+
+  /**
+   * Typos allowed for a keyword word: none for short words, where one edit changes the meaning
+   * @param {string} termWord - Keyword word
+   * @param {number} typoTolerance - Template setting (0-2)
+   * @returns {number} Maximum edit distance
+   */
+  getTypoAllowance(termWord, typoTolerance) {
+    if (typoTolerance <= 0 || termWord.length < 5 || /\d/.test(termWord)) {
+      return 0;
+    }
+    return termWord.length < 8 ? Math.min(1, typoTolerance) : typoTolerance;
+  }
+
+  /**
+   * Damerau-Levenshtein distance (adjacent transpositions count as one edit)
+   * Stops early once every path exceeds maxDistance
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} maxDistance - Distance above which the exact value does not matter
+   * @returns {number} Edit distance (maxDistance + 1 when exceeded)
+   */
+  editDistance(a, b, maxDistance) {
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+        if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > maxDistance) {
+        return maxDistance + 1;
+      }
+      previousPrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Light English stemmer: plumbing / plumber / plumbers -> plumb
+   * @param {string} word - Lowercase word
+   * @returns {string} Stem
+   */
+  stem(word) {
+    if (!word || word.length <= 3 || /\d/.test(word)) {
+      return word;
+    }
+
+    let stem = word;
+    const strip = (suffix, replacement = '') => {
+      if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+        stem = stem.slice(0, -suffix.length) + replacement;
+        return true;
+      }
+      return false;
+    };
+
+    // Plurals
+    if (!strip('ies', 'y') && !strip('sses', 'ss') && !(/(x|z|ch|sh)es$/.test(stem) && strip('es'))) {
+      if (!stem.endsWith('ss')) strip('s');
+    }
+
+    // Verb and agent endings
+    if (strip('ing') || strip('ed') || strip('er')) {
+      // running -> runn -> run
+      if (/([^aeiouslz])\1$/.test(stem)) {
+        stem = stem.slice(0, -1);
+      }
+    }
+
+    // service / servicing -> servic
+    if (stem.endsWith('e') && stem.length > 3) {
+      stem = stem.slice(0, -1);
+    }
+
+    return stem;
+  }
+
+  /**
+   * Check whether two terms appear within node.distance words of each other
+   * @param {Object} node - Near node
+   * @param {Object} post - Prepared post
+   * @param {Object} options - { stemming, typoTolerance }
+   * @returns {string|null} 'exact', 'partial' or null
+   */
+  matchNear(node, post, options) {
+    const [left, right] = node.children;
+    const leftLength = left.value.split(' ').length;
+    const rightLength = right.value.split(' ').length;
+    const leftMatches = this.findTermMatches(left, post, options);
+    const rightMatches = this.findTermMatches(right, post, options);
+    const results = [];
+
+    for (const leftMatch of leftMatches) {
+      for (const rightMatch of rightMatches) {
+        // Words strictly between the two terms, in either order
+        const gap = rightMatch.position >= leftMatch.position
+          ? rightMatch.position - (leftMatch.position + leftLength)
+          : leftMatch.position - (rightMatch.position + rightLength);
+
+        if (gap >= 0 && gap < node.distance) {
+          results.push(leftMatch.quality === 'exact' && rightMatch.quality === 'exact' ? 'exact' : 'partial');
+        }
+      }
+    }
+
+    return this.bestResult(results);
+  }
+
+  /**
+   * Pick the strongest of several match results
+   * @param {Array} results - 'exact', 'partial' or null values
+   * @returns {string|null}
+   */
+  bestResult(results) {
+    if (results.includes('exact')) return 'exact';
+    return results.includes('partial') ? 'partial' : null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeywordExpression;
+} else {
+  window.KeywordExpression = KeywordExpression;
+}
@@ -3,10 +3,37 @@
  * Tracks user behavior and optimizes keyword relevance through machine learning
  */
 
+// Common words that say nothing about what a post is about
+const KEYWORD_STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'your', 'all', 'any', 'can', 'had', 'has', 'have',
+  'her', 'his', 'him', 'was', 'were', 'one', 'our', 'out', 'get', 'got', 'who', 'why', 'how', 'what',
+  'when', 'where', 'which', 'this', 'that', 'these', 'those', 'with', 'from', 'they', 'them', 'their',
+  'there', 'then', 'than', 'been', 'being', 'will', 'would', 'could', 'should', 'just', 'also', 'into',
+  'about', 'some', 'more', 'most', 'very', 'much', 'many', 'does', 'did', 'doing', 'done', 'its', "it's",
+  "i'm", "i've", "don't", "can't", 'anyone', 'someone', 'please', 'thanks', 'thank', 'know', 'need',
+  'want', 'like', 'looking', 'here', 'only', 'other', 'over', 'such', 'still', 'really', 'well', 'let',
+  'may', 'might', 'must', 'shall', 'now', 'new', 'too', 'yes', 'off', 'own', 'same', 'she', 'each',
+  'few', 'both', 'again', 'once', 'because', 'while', 'after', 'before', 'above', 'below', 'under',
+  'between', 'through', 'during', 'without', 'within', 'ever', 'every', 'even', 'make', 'made', 'going'
+]);
+
 class KeywordLearningEngine {
   constructor(storageManager = null) {
     this.storageManager = storageManager;
     this.STORAGE_KEY = 'keywordStats';
+    this.CANDIDATES_KEY = 'keywordCandidates'; // Terms mined from post text, per template
+    this.maxCandidateTerms = 300;              // Per template; the rarest terms are dropped first
+    this.maxContextEntries = 50;               // Groups / templates kept per keyword; the least recently active are dropped
+
+    // How learned scores weight keywords when ranking templates (settings.keywordLearning)
+    this.defaultWeighting = {
+      enabled: true,
+      halfLifeDays: 30,   // A match, selection or ignore counts half as much toward a keyword's weight after this long
+      minMatches: 5,      // Matches needed before a keyword's score counts
+      priorStrength: 5,   // Pseudo-matches at the average selection rate, so few matches can't swing a weight
+      minWeight: 0.5,
+      maxWeight: 1.5
+    };
     this.pendingUpdates = new Map(); // Batch updates for performance
     this.updateTimer = null;
   }
@@ -16,9 +43,10 @@ class KeywordLearningEngine {
    * @param {string} postContent - The post content that triggered the match
    * @param {Array} matchedTemplates - Array of matched template objects with scores
    * @param {Array} keywords - Keywords that contributed to the matches
+   * @param {Object} context - { groupId, groupName } of the post, for per-group stats
    * @returns {Promise<void>}
    */
-  async recordMatch(postContent, matchedTemplates, keywords) {
+  async recordMatch(postContent, matchedTemplates, keywords, context = {}) {
     try {
       if (!matchedTemplates || matchedTemplates.length === 0) {
         return;
@@ -28,12 +56,14 @@ class KeywordLearningEngine {
 
       // Get current stats
       const stats = await this.getKeywordStats();
+      const { halfLifeDays } = await this.loadWeightingSettings();
 
       // Process each matched template
       for (const match of matchedTemplates) {
         const template = match.template || match;
         const categoryId = template.category || 'custom';
         const templateKeywords = template.keywords || [];
+        const revisionKey = this.getRevisionKey(template.id, this.getTemplateRevision(template));
 
         // Initialize category if needed
         if (!stats[categoryId]) {
@@ -63,8 +93,11 @@ class KeywordLearningEngine {
           }
 
           // Increment match count
+          this.recordDecayedEvent(stats[categoryId][keywordLower], 'matches', halfLifeDays);
           stats[categoryId][keywordLower].matches++;
           stats[categoryId][keywordLower].lastUpdated = new Date().toISOString();
+          this.recordRevisionEvent(stats[categoryId][keywordLower], revisionKey, 'matches');
+          this.recordContextEvents(stats[categoryId][keywordLower], template.id, context, 'matches');
         }
       }
 
@@ -83,9 +116,12 @@ class KeywordLearningEngine {
    * @param {string} templateId - ID of the selected template
    * @param {Array} keywords - Keywords from the selected template
    * @param {string} categoryId - Category ID of the template
+   * @param {number|null} revision - Template revision that was live when it was selected
+   * @param {string} postContent - Text of the post the template was picked for, mined for new keywords
+   * @param {Object} context - { groupId, groupName } of the post, for per-group stats
    * @returns {Promise<void>}
    */
-  async recordSelection(templateId, keywords, categoryId) {
+  async recordSelection(templateId, keywords, categoryId, revision = null, postContent = '', context = {}) {
     try {
       if (!keywords || keywords.length === 0) {
         console.warn('KeywordLearning: No keywords provided for selection');
@@ -96,12 +132,15 @@ class KeywordLearningEngine {
 
       // Get current stats
       const stats = await this.getKeywordStats();
+      const { halfLifeDays } = await this.loadWeightingSettings();
 
       // Initialize category if needed
       if (!stats[categoryId]) {
         stats[categoryId] = {};
       }
 
+      const revisionKey = this.getRevisionKey(templateId, revision);
+
       // Record selection for each keyword
       for (const keyword of keywords) {
         const keywordLower = keyword.toLowerCase().trim();
@@ -125,8 +164,11 @@ class KeywordLearningEngine {
         }
 
         // Increment chosen count
+        this.recordDecayedEvent(stats[categoryId][keywordLower], 'chosen', halfLifeDays);
         stats[categoryId][keywordLower].chosen++;
         stats[categoryId][keywordLower].lastUpdated = new Date().toISOString();
+        this.recordRevisionEvent(stats[categoryId][keywordLower], revisionKey, 'chosen');
+        this.recordContextEvents(stats[categoryId][keywordLower], templateId, context, 'chosen');
 
         // Recalculate score
         this.updateScore(stats[categoryId][keywordLower]);
@@ -134,6 +176,7 @@ class KeywordLearningEngine {
 
       // Save updated stats
       await this.saveKeywordStats(stats);
+      await this.recordPostTerms(templateId, categoryId, postContent, 'chosen');
 
       console.log('KeywordLearning: Selection recording complete');
 
@@ -147,9 +190,12 @@ class KeywordLearningEngine {
    * @param {string} templateId - ID of the ignored template
    * @param {Array} keywords - Keywords from the ignored template
    * @param {string} categoryId - Category ID of the template
+   * @param {number|null} revision - Template revision that was live when it was ignored
+   * @param {string} postContent - Text of the post the template was shown for
+   * @param {Object} context - { groupId, groupName } of the post, for per-group stats
    * @returns {Promise<void>}
    */
-  async recordIgnore(templateId, keywords, categoryId) {
+  async recordIgnore(templateId, keywords, categoryId, revision = null, postContent = '', context = {}) {
     try {
       if (!keywords || keywords.length === 0) {
         console.warn('KeywordLearning: No keywords provided for ignore');
@@ -160,12 +206,15 @@ class KeywordLearningEngine {
 
       // Get current stats
       const stats = await this.getKeywordStats();
+      const { halfLifeDays } = await this.loadWeightingSettings();
 
       // Initialize category if needed
       if (!stats[categoryId]) {
         stats[categoryId] = {};
       }
 
+      const revisionKey = this.getRevisionKey(templateId, revision);
+
       // Record ignore for each keyword
       for (const keyword of keywords) {
         const keywordLower = keyword.toLowerCase().trim();
@@ -189,8 +238,11 @@ class KeywordLearningEngine {
         }
 
         // Increment ignored count
+        this.recordDecayedEvent(stats[categoryId][keywordLower], 'ignored', halfLifeDays);
         stats[categoryId][keywordLower].ignored++;
         stats[categoryId][keywordLower].lastUpdated = new Date().toISOString();
+        this.recordRevisionEvent(stats[categoryId][keywordLower], revisionKey, 'ignored');
+        this.recordContextEvents(stats[categoryId][keywordLower], templateId, context, 'ignored');
 
         // Recalculate score
         this.updateScore(stats[categoryId][keywordLower]);
@@ -198,6 +250,7 @@ class KeywordLearningEngine {
 
       // Save updated stats
       await this.saveKeywordStats(stats);
+      await this.recordPostTerms(templateId, categoryId, postContent, 'ignored');
 
       console.log('KeywordLearning: Ignore recording complete');
 
@@ -248,30 +301,66 @@ class KeywordLearningEngine {
 
   /**
    * Get keywords that should be suggested for removal
+   * A keyword is judged in each template and group it ran in: one that fails in a single group or template
+   * is flagged there only, and a keyword is only flagged for its whole category when it works nowhere
    * @param {number} threshold - Score threshold below which keywords are suggested for removal (default 0.1)
    * @param {number} minMatches - Minimum number of matches required before suggesting removal (default 20)
-   * @returns {Promise<Array>} Array of keywords suggested for removal
+   * @returns {Promise<Array>} Array of suggestions with scope 'category', 'template' or 'group'
    */
   async getSuggestedRemovals(threshold = 0.1, minMatches = 20) {
     try {
       const stats = await this.getKeywordStats();
       const suggestions = [];
+      const percent = score => `${(score * 100).toFixed(1)}%`;
 
-      // Find underperforming keywords
       for (const categoryId in stats) {
         for (const keyword in stats[categoryId]) {
           const keywordStat = stats[categoryId][keyword];
+          const contexts = this.getKeywordContexts(keywordStat)
+            .filter(context => context.matches >= minMatches);
+          const working = contexts.filter(context => context.score >= this.getPerformingScore(threshold));
+          const failing = contexts.filter(context => context.score < threshold);
 
-          // Check if keyword meets removal criteria
-          if (keywordStat.matches >= minMatches && keywordStat.score < threshold) {
+          // Works nowhere: remove it from the category altogether
+          if (keywordStat.matches >= minMatches && keywordStat.score < threshold && working.length === 0) {
             suggestions.push({
               keyword: keywordStat.keyword,
               categoryId: keywordStat.categoryId,
+              scope: 'category',
+              contextId: categoryId,
+              contextName: null,
               matches: keywordStat.matches,
               chosen: keywordStat.chosen,
               ignored: keywordStat.ignored,
               score: keywordStat.score,
-              reason: `Low performance: ${(keywordStat.score * 100).toFixed(1)}% selection rate after ${keywordStat.matches} matches`
+              reason: `Low performance: ${percent(keywordStat.score)} selection rate after ${keywordStat.matches} matches`
+            });
+            continue;
+          }
+
+          // Otherwise flag only the templates and groups where it fails
+          for (const context of failing) {
+            const isTemplate = context.dimension === 'templates';
+            const workingHere = working.filter(item => item.dimension === context.dimension);
+            let elsewhere = '';
+            if (workingHere.length > 0) {
+              elsewhere = isTemplate
+                ? ` (works in ${workingHere.length} other template${workingHere.length === 1 ? '' : 's'})`
+                : ` (works in ${workingHere.map(item => item.name || item.id).slice(0, 2).join(', ')})`;
+            }
+            const place = isTemplate ? 'this template' : 'this group';
+
+            suggestions.push({
+              keyword: keywordStat.keyword,
+              categoryId: keywordStat.categoryId,
+              scope: context.dimension === 'templates' ? 'template' : 'group',
+              contextId: context.id,
+              contextName: context.name || null,
+              matches: context.matches,
+              chosen: context.chosen,
+              ignored: context.ignored,
+              score: context.score,
+              reason: `Low performance in ${place}: ${percent(context.score)} selection rate after ${context.matches} matches${elsewhere}`
             });
           }
         }
@@ -290,6 +379,45 @@ class KeywordLearningEngine {
     }
   }
 
+  /**
+   * Keyword performance broken down by group or by template
+   * @param {string} dimension - 'groups' or 'templates'
+   * @returns {Promise<Array>} Rows of { keyword, categoryId, contextId, contextName, matches, chosen, ignored, score, lastUpdated, status }
+   */
+  async getContextReport(dimension) {
+    try {
+      const stats = await this.getKeywordStats();
+      const rows = [];
+
+      for (const categoryId in stats) {
+        for (const keyword in stats[categoryId]) {
+          const keywordStat = stats[categoryId][keyword];
+
+          this.getKeywordContexts(keywordStat)
+            .filter(context => context.dimension === dimension)
+            .forEach(context => rows.push({
+              keyword: keywordStat.keyword,
+              categoryId,
+              contextId: context.id,
+              contextName: context.name || null,
+              matches: context.matches,
+              chosen: context.chosen,
+              ignored: context.ignored,
+              score: context.score,
+              lastUpdated: context.lastUpdated,
+              status: this.getKeywordStatus(context)
+            }));
+        }
+      }
+
+      return rows;
+
+    } catch (error) {
+      console.error('KeywordLearning: Error generating context report:', error);
+      return [];
+    }
+  }
+
   /**
    * Get performance report for dashboard display
    * @returns {Promise<Object>} Performance report with keyword statistics
@@ -412,6 +540,182 @@ class KeywordLearningEngine {
     }
   }
 
+  /**
+   * Load keyword weighting settings
+   * @returns {Promise<Object>} { enabled, halfLifeDays, minMatches, priorStrength, minWeight, maxWeight }
+   */
+  async loadWeightingSettings() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      return { ...this.defaultWeighting, ...(result.settings?.keywordLearning || {}) };
+    } catch (error) {
+      console.error('KeywordLearning: Error loading weighting settings:', error);
+      return { ...this.defaultWeighting };
+    }
+  }
+
+  /**
+   * Save keyword weighting settings
+   * @param {Object} keywordLearning - { enabled, halfLifeDays }
+   * @returns {Promise<Object>} Result with success status
+   */
+  async saveWeightingSettings(keywordLearning) {
+    try {
+      const halfLifeDays = Number(keywordLearning.halfLifeDays ?? this.defaultWeighting.halfLifeDays);
+      if (!Number.isFinite(halfLifeDays) || halfLifeDays < 1 || halfLifeDays > 365) {
+        return { success: false, error: 'Half-life must be between 1 and 365 days' };
+      }
+
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+
+      settings.keywordLearning = {
+        ...this.defaultWeighting,
+        ...(settings.keywordLearning || {}),
+        ...keywordLearning,
+        halfLifeDays
+      };
+      await chrome.storage.local.set({ settings: settings });
+
+      return { success: true, settings: settings.keywordLearning };
+    } catch (error) {
+      console.error('KeywordLearning: Error saving weighting settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Learned ranking weights for every keyword with enough history
+   * Neutral keywords (weight 1) are left out, so lookups default to 1
+   * @param {Object|null} settings - Weighting settings (loaded when omitted)
+   * @returns {Promise<Object|null>} Map of categoryId -> keyword -> weight, or null when weighting is off
+   */
+  async getKeywordWeights(settings = null) {
+    try {
+      const weighting = settings || await this.loadWeightingSettings();
+      if (!weighting.enabled) {
+        return null;
+      }
+
+      const stats = await this.getKeywordStats();
+      const now = Date.now();
+
+      // Weights come from the decayed counts, so behaviour from months ago barely counts
+      const decayedStats = {};
+      for (const categoryId in stats) {
+        decayedStats[categoryId] = {};
+        for (const keyword in stats[categoryId]) {
+          decayedStats[categoryId][keyword] = this.getDecayedCounts(stats[categoryId][keyword], weighting.halfLifeDays, now);
+        }
+      }
+
+      const prior = this.getAverageSelectionRate(decayedStats);
+      const weights = {};
+
+      for (const categoryId in decayedStats) {
+        for (const keyword in decayedStats[categoryId]) {
+          const weight = this.calculateKeywordWeight(decayedStats[categoryId][keyword], prior, weighting);
+          if (weight !== 1) {
+            if (!weights[categoryId]) {
+              weights[categoryId] = {};
+            }
+            weights[categoryId][keyword] = weight;
+          }
+        }
+      }
+
+      return weights;
+
+    } catch (error) {
+      console.error('KeywordLearning: Error getting keyword weights:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Weight for one keyword: its selection rate relative to the average, shrunk toward
+   * the average while evidence is thin (including evidence that has decayed away)
+   * @param {Object} counts - Decayed { matches, chosen } from getDecayedCounts
+   * @param {number} prior - Average selection rate across all keywords
+   * @param {Object} weighting - Weighting settings
+   * @returns {number} Weight (1 = neutral)
+   */
+  calculateKeywordWeight(counts, prior, weighting) {
+    if (!counts || counts.matches < weighting.minMatches || prior <= 0) {
+      return 1;
+    }
+
+    const smoothedRate = (counts.chosen + prior * weighting.priorStrength) / (counts.matches + weighting.priorStrength);
+    const learned = Math.min(weighting.maxWeight, Math.max(weighting.minWeight, smoothedRate / prior));
+
+    return Math.round(learned * 1000) / 1000;
+  }
+
+  /**
+   * A keyword's matches, selections and ignores with each event's weight halved every halfLifeDays
+   * Stats recorded before decayed counts were kept start from their lifetime totals as of lastUpdated
+   * @param {Object} keywordStat - Keyword statistics object
+   * @param {number} halfLifeDays - Days for an event to lose half its weight
+   * @param {number} now - Current time in ms
+   * @returns {Object} { matches, chosen, ignored, decayedAt }
+   */
+  getDecayedCounts(keywordStat, halfLifeDays, now = Date.now()) {
+    const decayed = keywordStat.decayed || {
+      matches: keywordStat.matches || 0,
+      chosen: keywordStat.chosen || 0,
+      ignored: keywordStat.ignored || 0,
+      decayedAt: keywordStat.lastUpdated
+    };
+
+    const decayedAt = new Date(decayed.decayedAt).getTime();
+    const ageDays = Number.isFinite(decayedAt) ? Math.max(0, now - decayedAt) / (24 * 60 * 60 * 1000) : 0;
+    const factor = Math.pow(0.5, ageDays / halfLifeDays);
+
+    return {
+      matches: decayed.matches * factor,
+      chosen: decayed.chosen * factor,
+      ignored: decayed.ignored * factor,
+      decayedAt: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Decay a keyword's counts to now and add one event (call before bumping the lifetime count)
+   * @param {Object} keywordStat - Keyword statistics object
+   * @param {string} field - 'matches', 'chosen' or 'ignored'
+   * @param {number} halfLifeDays - Days for an event to lose half its weight
+   */
+  recordDecayedEvent(keywordStat, field, halfLifeDays) {
+    const decayed = this.getDecayedCounts(keywordStat, halfLifeDays);
+    decayed[field] += 1;
+
+    // Four decimals are plenty and keep the stored stats small
+    ['matches', 'chosen', 'ignored'].forEach(name => {
+      decayed[name] = Math.round(decayed[name] * 10000) / 10000;
+    });
+
+    keywordStat.decayed = decayed;
+  }
+
+  /**
+   * Share of matches that ended in a selection, across all keywords
+   * @param {Object} stats - Keyword statistics organized by category
+   * @returns {number}
+   */
+  getAverageSelectionRate(stats) {
+    let matches = 0;
+    let chosen = 0;
+
+    for (const categoryId in stats) {
+      for (const keyword in stats[categoryId]) {
+        matches += stats[categoryId][keyword].matches || 0;
+        chosen += stats[categoryId][keyword].chosen || 0;
+      }
+    }
+
+    return matches > 0 ? chosen / matches : 0;
+  }
+
   /**
    * Get status label for a keyword based on its statistics
    * @param {Object} keywordStat - Keyword statistics object
@@ -560,6 +864,382 @@ class KeywordLearningEngine {
     }
   }
 
+  /**
+   * Revision a template is on, for attributing stats (prebuilt templates are not versioned)
+   * @param {Object} template - Template object
+   * @returns {number|null}
+   */
+  getTemplateRevision(template) {
+    if (!template || template.isPrebuilt) {
+      return null;
+    }
+    return template.revision || 1;
+  }
+
+  getRevisionKey(templateId, revision) {
+    return templateId && revision ? `${templateId}@${revision}` : null;
+  }
+
+  /**
+   * Count a match / selection / ignore against the template revision that was live
+   * @param {Object} keywordStat - Keyword stats entry
+   * @param {string|null} revisionKey - "<templateId>@<revision>"
+   * @param {string} field - 'matches', 'chosen' or 'ignored'
+   */
+  recordRevisionEvent(keywordStat, revisionKey, field) {
+    if (!revisionKey) {
+      return;
+    }
+
+    if (!keywordStat.revisions) {
+      keywordStat.revisions = {};
+    }
+    if (!keywordStat.revisions[revisionKey]) {
+      keywordStat.revisions[revisionKey] = { matches: 0, chosen: 0, ignored: 0 };
+    }
+
+    keywordStat.revisions[revisionKey][field]++;
+  }
+
+  /**
+   * Performance of each revision of a template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object>} Map of revision number -> { matches, chosen, ignored, keywords: { keyword: counts } }
+   */
+  async getRevisionStats(templateId) {
+    const revisionStats = {};
+
+    try {
+      const outcomes = KeywordLearningEngine.aggregateOutcomes(await this.getKeywordStats(), 'revisions');
+      const prefix = `${templateId}@`;
+
+      for (const revisionKey in outcomes) {
+        if (revisionKey.startsWith(prefix)) {
+          revisionStats[Number(revisionKey.slice(prefix.length))] = outcomes[revisionKey];
+        }
+      }
+    } catch (error) {
+      console.error('KeywordLearning: Error getting revision stats:', error);
+    }
+
+    return revisionStats;
+  }
+
+  /**
+   * Count the words and two-word phrases of a post against a template
+   * Posts where the template was picked are compared with posts where it was ignored
+   * @param {string} templateId - Template ID
+   * @param {string} categoryId - Category ID of the template
+   * @param {string} postContent - Post text
+   * @param {string} outcome - 'chosen' or 'ignored'
+   * @returns {Promise<void>}
+   */
+  async recordPostTerms(templateId, categoryId, postContent, outcome) {
+    const terms = this.extractTerms(postContent);
+    if (!templateId || terms.length === 0) {
+      return;
+    }
+
+    try {
+      const candidates = await this.getKeywordCandidates();
+      const entry = candidates[templateId] || (candidates[templateId] = {
+        templateId,
+        categoryId,
+        chosenPosts: 0,
+        ignoredPosts: 0,
+        terms: {},
+        rejected: []
+      });
+
+      entry.categoryId = categoryId;
+      entry[outcome === 'chosen' ? 'chosenPosts' : 'ignoredPosts']++;
+
+      for (const term of terms) {
+        if (!entry.terms[term]) {
+          entry.terms[term] = { chosen: 0, ignored: 0 };
+        }
+        entry.terms[term][outcome]++;
+      }
+
+      // Keep storage bounded: drop the terms seen least often
+      const termKeys = Object.keys(entry.terms);
+      if (termKeys.length > this.maxCandidateTerms) {
+        termKeys
+          .sort((a, b) => this.getTermCount(entry.terms[a]) - this.getTermCount(entry.terms[b]))
+          .slice(0, termKeys.length - this.maxCandidateTerms)
+          .forEach(term => delete entry.terms[term]);
+      }
+
+      await this.saveKeywordCandidates(candidates);
+    } catch (error) {
+      console.error('KeywordLearning: Error recording post terms:', error);
+    }
+  }
+
+  /**
+   * Propose keywords for templates, ranked by lift: how much more often a term appears
+   * in posts where the template was picked than in posts where it was ignored
+   * @param {Array} templates - Templates that can be edited ({ id, label, category, keywords })
+   * @param {Object} options - { minChosen, minLift, limit }
+   * @returns {Promise<Array>} [{ templateId, templateLabel, categoryId, chosenPosts, ignoredPosts, keywords: [{ term, chosen, ignored, lift }] }]
+   */
+  async getKeywordSuggestions(templates, options = {}) {
+    const minChosen = options.minChosen || 3;  // Posts with the term where the template was picked
+    const minLift = options.minLift || 2;
+    const limit = options.limit || 5;           // Proposals per template
+
+    try {
+      const candidates = await this.getKeywordCandidates();
+      const suggestions = [];
+
+      for (const template of templates || []) {
+        const entry = candidates[template.id];
+        if (!entry || entry.chosenPosts < minChosen) {
+          continue;
+        }
+
+        // Terms the template already covers, as a keyword or inside a phrase keyword
+        const existing = (template.keywords || []).map(keyword => keyword.toLowerCase().replace(/^-/, '').trim());
+        const isCovered = term => existing.some(keyword => keyword === term || term.split(' ').includes(keyword));
+
+        const keywords = Object.entries(entry.terms)
+          .filter(([term, counts]) => counts.chosen >= minChosen && !entry.rejected.includes(term) && !isCovered(term))
+          .map(([term, counts]) => ({
+            term,
+            chosen: counts.chosen,
+            ignored: counts.ignored,
+            lift: this.calculateLift(counts, entry)
+          }))
+          .filter(keyword => keyword.lift >= minLift)
+          .sort((a, b) => b.lift - a.lift || b.chosen - a.chosen)
+          .slice(0, limit);
+
+        if (keywords.length > 0) {
+          suggestions.push({
+            templateId: template.id,
+            templateLabel: template.label || template.id,
+            categoryId: template.category || entry.categoryId,
+            chosenPosts: entry.chosenPosts,
+            ignoredPosts: entry.ignoredPosts,
+            keywords
+          });
+        }
+      }
+
+      return suggestions;
+
+    } catch (error) {
+      console.error('KeywordLearning: Error getting keyword suggestions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Forget a proposed term once it has been added to the template, or never propose it again
+   * @param {string} templateId - Template ID
+   * @param {string} term - Proposed term
+   * @param {boolean} accepted - Added to the template (true) or rejected (false)
+   * @returns {Promise<boolean>} Success status
+   */
+  async resolveKeywordSuggestion(templateId, term, accepted) {
+    try {
+      const candidates = await this.getKeywordCandidates();
+      const entry = candidates[templateId];
+      if (!entry) {
+        return false;
+      }
+
+      delete entry.terms[term];
+      if (!accepted && !entry.rejected.includes(term)) {
+        entry.rejected.push(term);
+      }
+
+      await this.saveKeywordCandidates(candidates);
+      return true;
+
+    } catch (error) {
+      console.error('KeywordLearning: Error resolving keyword suggestion:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Words and two-word phrases worth proposing as keywords, each once per post
+   * @param {string} postContent - Post text
+   * @returns {Array<string>}
+   */
+  extractTerms(postContent) {
+    if (!postContent || typeof postContent !== 'string') {
+      return [];
+    }
+
+    const words = (postContent.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+      .map(word => word.replace(/['-]+$/, ''));
+    const isUseful = word => word.length >= 3 && !/^\d+$/.test(word) && !KEYWORD_STOPWORDS.has(word);
+    const terms = new Set();
+
+    words.forEach((word, index) => {
+      if (!isUseful(word)) {
+        return;
+      }
+      terms.add(word);
+
+      const next = words[index + 1];
+      if (next && isUseful(next)) {
+        terms.add(`${word} ${next}`);
+      }
+    });
+
+    return [...terms];
+  }
+
+  /**
+   * Smoothed ratio of a term's rate in picked posts to its rate in ignored posts
+   */
+  calculateLift(counts, entry) {
+    const chosenRate = (counts.chosen + 1) / (entry.chosenPosts + 2);
+    const ignoredRate = (counts.ignored + 1) / (entry.ignoredPosts + 2);
+    return chosenRate / ignoredRate;
+  }
+
+  getTermCount(counts) {
+    return counts.chosen + counts.ignored;
+  }
+
+  async getKeywordCandidates() {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        const result = await chrome.storage.local.get([this.CANDIDATES_KEY]);
+        return result[this.CANDIDATES_KEY] || {};
+      }
+      return {};
+    } catch (error) {
+      console.error('KeywordLearning: Error getting keyword candidates:', error);
+      return {};
+    }
+  }
+
+  async saveKeywordCandidates(candidates) {
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      await chrome.storage.local.set({ [this.CANDIDATES_KEY]: candidates });
+    }
+  }
+
+  /**
+   * Count a match / selection / ignore against the template and the group it happened in
+   * @param {Object} keywordStat - Keyword stats entry
+   * @param {string} templateId - Template ID
+   * @param {Object} context - { groupId, groupName }
+   * @param {string} field - 'matches', 'chosen' or 'ignored'
+   */
+  recordContextEvents(keywordStat, templateId, context, field) {
+    this.recordContextEvent(keywordStat, 'templates', templateId, field);
+    this.recordContextEvent(keywordStat, 'groups', context?.groupId, field, context?.groupName);
+  }
+
+  recordContextEvent(keywordStat, dimension, id, field, name = null) {
+    if (!id) {
+      return;
+    }
+
+    if (!keywordStat[dimension]) {
+      keywordStat[dimension] = {};
+    }
+    const breakdown = keywordStat[dimension];
+    if (!breakdown[id]) {
+      breakdown[id] = { matches: 0, chosen: 0, ignored: 0 };
+    }
+
+    breakdown[id][field]++;
+    breakdown[id].lastUpdated = new Date().toISOString();
+    if (name) {
+      breakdown[id].name = name;
+    }
+
+    // Keep storage bounded: drop the least recently active entries
+    const ids = Object.keys(breakdown);
+    if (ids.length > this.maxContextEntries) {
+      ids
+        .sort((a, b) => String(breakdown[a].lastUpdated).localeCompare(String(breakdown[b].lastUpdated)))
+        .slice(0, ids.length - this.maxContextEntries)
+        .forEach(staleId => delete breakdown[staleId]);
+    }
+  }
+
+  /**
+   * Per-template and per-group counts of a keyword, with their scores
+   * @param {Object} keywordStat - Keyword stats entry
+   * @returns {Array} [{ dimension: 'templates'|'groups', id, name, matches, chosen, ignored, score, lastUpdated }]
+   */
+  getKeywordContexts(keywordStat) {
+    const contexts = [];
+
+    ['templates', 'groups'].forEach(dimension => {
+      Object.entries(keywordStat[dimension] || {}).forEach(([id, counts]) => {
+        contexts.push({
+          dimension,
+          id,
+          name: counts.name || null,
+          matches: counts.matches || 0,
+          chosen: counts.chosen || 0,
+          ignored: counts.ignored || 0,
+          score: counts.matches > 0 ? (counts.chosen || 0) / counts.matches : 0,
+          lastUpdated: counts.lastUpdated || keywordStat.lastUpdated
+        });
+      });
+    });
+
+    return contexts;
+  }
+
+  /**
+   * How often each template was chosen or ignored
+   * @returns {Promise<Object>} Map of templateId -> { matches, chosen, ignored, keywords }
+   */
+  async getTemplateOutcomes() {
+    try {
+      return KeywordLearningEngine.aggregateOutcomes(await this.getKeywordStats(), 'templates');
+    } catch (error) {
+      console.error('KeywordLearning: Error getting template outcomes:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Total matches, selections and ignores per template or template revision
+   * Every keyword of a template is counted on each event, so the busiest keyword gives the totals.
+   * Static so reports built from exported stats (UsageAnalytics) total them the same way
+   * @param {Object} stats - Keyword statistics organized by category
+   * @param {string} breakdown - Per-keyword counters to total: 'templates' (by template ID) or 'revisions' ("<templateId>@<revision>")
+   * @returns {Object} Map of key -> { matches, chosen, ignored, keywords: { keyword: counts } }
+   */
+  static aggregateOutcomes(stats, breakdown) {
+    const outcomes = {};
+
+    for (const categoryId in stats || {}) {
+      for (const keyword in stats[categoryId]) {
+        const counters = stats[categoryId][keyword][breakdown] || {};
+
+        for (const key in counters) {
+          const counts = counters[key];
+          const entry = outcomes[key] || (outcomes[key] = { matches: 0, chosen: 0, ignored: 0, keywords: {} });
+
+          entry.matches = Math.max(entry.matches, counts.matches || 0);
+          entry.chosen = Math.max(entry.chosen, counts.chosen || 0);
+          entry.ignored = Math.max(entry.ignored, counts.ignored || 0);
+          entry.keywords[keyword] = { ...counts };
+        }
+      }
+    }
+
+    return outcomes;
+  }
+
+  // Score at which a keyword counts as working in a group or template
+  getPerformingScore(threshold) {
+    return Math.max(threshold * 3, 0.3);
+  }
+
   /**
    * Export keyword statistics for backup
    * @returns {Promise<Object>} Exported keyword statistics
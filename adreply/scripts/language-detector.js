@@ -0,0 +1,194 @@
+/**
+ * Language Detector for AdReply Extension
+ * Lightweight stop-word based language detection and per-language stop-word lists
+ */
+
+class LanguageDetector {
+  constructor() {
+    // Stop words are stored accent-folded ("tambien", "deja") to match normalized post words
+    this.stopWords = {
+      en: [
+        'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with',
+        'by', 'from', 'up', 'about', 'into', 'through', 'during', 'before', 'after',
+        'above', 'below', 'between', 'among', 'is', 'are', 'was', 'were', 'be', 'been',
+        'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+        'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those',
+        'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
+        'my', 'your', 'his', 'its', 'our', 'their', 'what', 'which', 'who',
+        'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more',
+        'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same',
+        'so', 'than', 'too', 'very', 'just', 'now'
+      ],
+      es: [
+        'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'pero', 'en', 'de',
+        'del', 'al', 'a', 'con', 'por', 'para', 'sin', 'sobre', 'es', 'son', 'fue', 'ser',
+        'esta', 'estan', 'estoy', 'hay', 'tiene', 'tengo', 'que', 'como', 'cuando', 'donde',
+        'quien', 'alguien', 'yo', 'tu', 'usted', 'nosotros', 'ellos', 'mi', 'mis', 'su', 'sus',
+        'nuestro', 'este', 'ese', 'eso', 'esto', 'muy', 'mas', 'tambien', 'ya', 'no', 'si',
+        'me', 'te', 'se', 'lo', 'le', 'les', 'nos', 'porque', 'gracias', 'hola', 'busco', 'necesito'
+      ],
+      fr: [
+        'le', 'la', 'les', 'un', 'une', 'des', 'et', 'ou', 'mais', 'dans', 'en', 'de', 'du',
+        'au', 'aux', 'avec', 'pour', 'par', 'sans', 'sur', 'est', 'sont', 'etait', 'etre',
+        'ai', 'as', 'avons', 'avez', 'ont', 'que', 'qui', 'quoi', 'comme', 'quand',
+        'je', 'tu', 'il', 'elle', 'nous', 'vous', 'ils', 'elles', 'mon', 'ma', 'mes', 'ton',
+        'ta', 'tes', 'son', 'sa', 'ses', 'notre', 'votre', 'leur', 'ce', 'cette', 'ces',
+        'tres', 'plus', 'aussi', 'deja', 'ne', 'pas', 'oui', 'non', 'merci', 'bonjour',
+        'quelqu', 'cherche', 'besoin'
+      ],
+      de: [
+        'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'und', 'oder',
+        'aber', 'in', 'im', 'auf', 'an', 'zu', 'zum', 'zur', 'mit', 'fur', 'von', 'vom',
+        'bei', 'nach', 'ist', 'sind', 'war', 'sein', 'hat', 'haben', 'habe', 'ich', 'du',
+        'er', 'sie', 'es', 'wir', 'ihr', 'mein', 'dein', 'unser', 'was', 'wer', 'wie', 'wo',
+        'wann', 'warum', 'nicht', 'kein', 'auch', 'noch', 'schon', 'sehr', 'danke', 'hallo',
+        'suche', 'jemand'
+      ],
+      pt: [
+        'o', 'a', 'os', 'as', 'um', 'uma', 'e', 'ou', 'mas', 'em', 'no', 'na', 'nos', 'nas',
+        'de', 'do', 'da', 'dos', 'das', 'com', 'por', 'para', 'sem', 'sobre', 'sao',
+        'foi', 'ser', 'esta', 'estou', 'tem', 'tenho', 'que', 'como', 'quando', 'onde',
+        'quem', 'alguem', 'eu', 'voce', 'ele', 'ela', 'eles', 'meu', 'minha', 'seu',
+        'sua', 'este', 'esse', 'isso', 'isto', 'muito', 'mais', 'tambem', 'ja', 'nao', 'sim',
+        'obrigado', 'obrigada', 'ola', 'procuro', 'preciso'
+      ],
+      it: [
+        'il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', 'e', 'o', 'ma', 'in', 'di',
+        'del', 'della', 'dei', 'delle', 'al', 'alla', 'con', 'per', 'senza', 'su', 'sono',
+        'era', 'essere', 'ho', 'hai', 'ha', 'abbiamo', 'che', 'come', 'quando', 'dove', 'chi',
+        'qualcuno', 'io', 'tu', 'lui', 'lei', 'noi', 'voi', 'loro', 'mio', 'mia', 'tuo',
+        'suo', 'questo', 'questa', 'quello', 'molto', 'piu', 'anche', 'gia', 'non', 'si',
+        'grazie', 'ciao', 'cerco', 'bisogno'
+      ]
+    };
+
+    this.stopWordSets = {};
+    Object.entries(this.stopWords).forEach(([language, words]) => {
+      this.stopWordSets[language] = new Set(words);
+    });
+
+    // Letters that only (or mostly) appear in one supported language
+    this.distinctiveCharacters = {
+      es: /[ñ¿¡]/,
+      fr: /[çœàèùâêîôû]/,
+      de: /[ßäöü]/,
+      pt: /[ãõ]/
+    };
+
+    this.languageNames = {
+      en: 'English',
+      es: 'Español',
+      fr: 'Français',
+      de: 'Deutsch',
+      pt: 'Português',
+      it: 'Italiano'
+    };
+
+    // Minimum stop-word hits before a detection is trusted
+    this.minHits = 2;
+  }
+
+  /**
+   * Get supported language codes
+   * @returns {string[]}
+   */
+  getSupportedLanguages() {
+    return Object.keys(this.stopWords);
+  }
+
+  /**
+   * Fold text for comparison: lowercase, strip accents (café -> cafe)
+   * @param {string} text - Text to fold
+   * @returns {string}
+   */
+  foldText(text) {
+    return text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '');
+  }
+
+  /**
+   * Detect the language of a post
+   * @param {string} text - Raw post text
+   * @param {string[]} words - Optional pre-split, accent-folded words
+   * @returns {Object} { language, confidence } - language is null when unsure
+   */
+  detect(text, words = null) {
+    if (!text || typeof text !== 'string') {
+      return { language: null, confidence: 0 };
+    }
+
+    const postWords = words || this.foldText(text)
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(word => word.length > 0);
+
+    if (postWords.length === 0) {
+      return { language: null, confidence: 0 };
+    }
+
+    const lowerText = text.toLowerCase();
+    const scores = {};
+
+    for (const language of this.getSupportedLanguages()) {
+      const stopWordSet = this.stopWordSets[language];
+      let hits = postWords.filter(word => stopWordSet.has(word)).length;
+
+      if (this.distinctiveCharacters[language] && this.distinctiveCharacters[language].test(lowerText)) {
+        hits += 2;
+      }
+
+      scores[language] = hits;
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [bestLanguage, bestHits] = ranked[0];
+    const secondHits = ranked[1] ? ranked[1][1] : 0;
+
+    // Require a clear winner so bilingual or very short posts stay undetected
+    if (bestHits < this.minHits || bestHits <= secondHits * 1.2) {
+      return { language: null, confidence: 0 };
+    }
+
+    return {
+      language: bestLanguage,
+      confidence: Math.min(1, (bestHits - secondHits) / Math.max(bestHits, 1))
+    };
+  }
+
+  /**
+   * Check if a word is a stop word
+   * @param {string} word - Word to check
+   * @param {string|null} language - Language code (null checks every supported language)
+   * @returns {boolean}
+   */
+  isStopWord(word, language = null) {
+    const folded = this.foldText(word);
+
+    if (language && this.stopWordSets[language]) {
+      return this.stopWordSets[language].has(folded);
+    }
+
+    return Object.values(this.stopWordSets).some(stopWordSet => stopWordSet.has(folded));
+  }
+
+  /**
+   * Get the primary language code of a locale ("es-MX" -> "es")
+   * @param {string} locale - Locale string
+   * @returns {string|null}
+   */
+  getLanguageFromLocale(locale) {
+    if (!locale || typeof locale !== 'string') {
+      return null;
+    }
+    return locale.split('-')[0].toLowerCase();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LanguageDetector;
+} else {
+  window.LanguageDetector = LanguageDetector;
+}
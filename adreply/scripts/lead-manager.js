@@ -0,0 +1,122 @@
+/**
+ * Lead Manager for AdReply Extension
+ * Turns posted comments into leads (post, group, author, template) and exports them to CSV,
+ * so follow-ups can be tracked without a separate spreadsheet
+ */
+
+class LeadManager {
+  constructor() {
+    this.statuses = {
+      new: 'New',
+      contacted: 'Contacted',
+      won: 'Won',
+      lost: 'Lost'
+    };
+
+    // CSV column -> lead field, in export order
+    this.csvColumns = [
+      ['Status', 'status'],
+      ['Author', 'authorName'],
+      ['Group', 'groupName'],
+      ['Group ID', 'groupId'],
+      ['Post URL', 'postUrl'],
+      ['Template', 'templateLabel'],
+      ['Comment', 'commentText'],
+      ['Post excerpt', 'postExcerpt'],
+      ['Comments posted', 'commentCount'],
+      ['First comment', 'createdAt'],
+      ['Last comment', 'lastCommentAt'],
+      ['Notes', 'notes']
+    ];
+  }
+
+  /**
+   * Build the lead recorded when a suggestion is copied
+   * @param {Object} suggestion - Suggestion that was used (templateId, templateLabel, variantIndex)
+   * @param {Object|null} post - Post it was used on (content, postUrl, authorName, groupName, groupId)
+   * @param {Object} usage - Usage result (usageId, groupId) and the comment text
+   * @returns {Object} Lead data for ConnectionManager.captureLead
+   */
+  buildLead(suggestion, post, usage = {}) {
+    return {
+      postUrl: post?.postUrl || null,
+      groupId: usage.groupId || post?.groupId || '',
+      groupName: post?.groupName || '',
+      authorName: post?.authorName || '',
+      postExcerpt: (post?.content || '').substring(0, 200),
+      templateId: suggestion.templateId || '',
+      templateLabel: suggestion.templateLabel || '',
+      variantIndex: suggestion.variantIndex || 0,
+      usageId: usage.usageId || null,
+      commentText: (usage.text || '').substring(0, 500)
+    };
+  }
+
+  /**
+   * Filter leads by free text (author, group, template, notes, comment)
+   * @param {Array} leads - Leads
+   * @param {string} query - Search text
+   * @returns {Array}
+   */
+  searchLeads(leads, query) {
+    const needle = (query || '').trim().toLowerCase();
+    if (!needle) {
+      return leads;
+    }
+
+    return leads.filter(lead => ['authorName', 'groupName', 'groupId', 'templateLabel', 'notes', 'commentText', 'postExcerpt']
+      .some(field => (lead[field] || '').toLowerCase().includes(needle)));
+  }
+
+  /**
+   * Count leads per status
+   * @param {Array} leads - Leads
+   * @returns {Object} Map of status -> count
+   */
+  countByStatus(leads) {
+    const counts = {};
+    Object.keys(this.statuses).forEach(status => { counts[status] = 0; });
+    leads.forEach(lead => { counts[lead.status] = (counts[lead.status] || 0) + 1; });
+    return counts;
+  }
+
+  /**
+   * Convert leads to CSV (RFC 4180, with a header row)
+   * @param {Array} leads - Leads to export
+   * @returns {string}
+   */
+  toCSV(leads) {
+    const rows = [this.csvColumns.map(([header]) => header)];
+
+    leads.forEach(lead => {
+      rows.push(this.csvColumns.map(([, field]) => field === 'status' ? this.statuses[lead.status] || lead.status : lead[field]));
+    });
+
+    return rows.map(row => row.map(value => LeadManager.escapeCSV(value)).join(',')).join('\r\n');
+  }
+
+  /**
+   * Quote a CSV cell; cells starting with = + - @ are prefixed so spreadsheets don't run them as formulas
+   * Static so every CSV export in the extension escapes cells the same way
+   * @param {*} value - Cell value
+   * @returns {string}
+   */
+  static escapeCSV(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) || text !== text.trim()
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LeadManager;
+} else {
+  window.LeadManager = LeadManager;
+}
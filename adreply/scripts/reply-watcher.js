@@ -0,0 +1,312 @@
+/**
+ * Reply Watcher for AdReply Extension
+ * Remembers the posts we commented on and turns replies to our comments, or mentions
+ * of our name, found when those posts are revisited into side panel notifications
+ */
+
+class ReplyWatcher {
+  constructor() {
+    this.storageKeys = {
+      watched: 'watchedPosts',
+      notifications: 'replyNotifications'
+    };
+
+    this.watchDays = 30;           // Stop watching a post this long after our last comment
+    this.maxWatchedPosts = 200;
+    this.maxNotifications = 100;
+    this.maxSeenReplies = 200;     // Replies remembered per post so they are only reported once
+
+    // Changes rewrite whole lists, so they run one at a time; only the service worker makes them
+    this.pendingChange = Promise.resolve();
+  }
+
+  /**
+   * Run a read-modify-write of the stored lists after any change already in progress
+   * @param {Function} change - Async function making the change
+   * @returns {Promise<*>} What the change returns
+   */
+  serialize(change) {
+    const run = this.pendingChange.then(change, change);
+    this.pendingChange = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Identify a post by its ID so /posts/, /permalink/ and ?story_fbid= links match
+   * @param {string} url - Post or page URL
+   * @returns {string|null} Post key, or null when the URL can't be read
+   */
+  getPostKey(url) {
+    if (!url || typeof url !== 'string') {
+      return null;
+    }
+
+    try {
+      const parsed = new URL(url, 'https://www.facebook.com');
+      const pathId = parsed.pathname.match(/\/(?:posts|permalink)\/(\d+)/);
+      const postId = pathId?.[1] || parsed.searchParams.get('story_fbid') || parsed.searchParams.get('multi_permalinks');
+
+      return postId
+        ? `post:${postId}`
+        : `${parsed.hostname}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load watched posts, dropping those past the watch window
+   * @returns {Promise<Array>}
+   */
+  async loadWatchedPosts() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKeys.watched]);
+      const cutoff = Date.now() - this.watchDays * 24 * 60 * 60 * 1000;
+      return (result[this.storageKeys.watched] || []).filter(post => new Date(post.lastCommentAt).getTime() >= cutoff);
+    } catch (error) {
+      console.error('ReplyWatcher: Error loading watched posts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Start (or keep) watching a post we commented on
+   * @param {Object} post - { postUrl, groupId, groupName, authorName, usageId, commentText }
+   * @returns {Promise<Object>} Result with success status
+   */
+  watchPost(post) {
+    return this.serialize(async () => {
+      try {
+        const key = this.getPostKey(post?.postUrl);
+        if (!key) {
+          return { success: false, error: 'Post URL is required' };
+        }
+
+        const watched = await this.loadWatchedPosts();
+        const now = new Date().toISOString();
+        const existing = watched.find(item => item.key === key);
+
+        if (existing && post.usageId) {
+          // Another comment copied for the same post
+          existing.lastCommentAt = now;
+          existing.usageId = post.usageId;
+          existing.commentText = post.commentText || existing.commentText;
+        } else if (!existing) {
+          watched.push({
+            key,
+            postUrl: post.postUrl,
+            groupId: post.groupId || '',
+            groupName: post.groupName || '',
+            authorName: post.authorName || '',
+            usageId: post.usageId || null,
+            commentText: post.commentText || '',
+            watchedAt: now,
+            lastCommentAt: now,
+            lastCheckedAt: null,
+            seenReplyKeys: []
+          });
+        }
+
+        await this.saveWatchedPosts(watched);
+        return { success: true };
+      } catch (error) {
+        console.error('ReplyWatcher: Error watching post:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Stop watching a post
+   * @param {string} key - Post key
+   * @returns {Promise<Object>} Result with success status
+   */
+  unwatchPost(key) {
+    return this.serialize(async () => {
+      try {
+        const watched = await this.loadWatchedPosts();
+        await this.saveWatchedPosts(watched.filter(post => post.key !== key));
+        return { success: true };
+      } catch (error) {
+        console.error('ReplyWatcher: Error unwatching post:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Which of the given URLs point at watched posts
+   * @param {Array<string>} urls - Post URLs found on the page
+   * @returns {Promise<Array<string>>} The watched ones
+   */
+  async findWatchedUrls(urls) {
+    const watched = await this.loadWatchedPosts();
+    const keys = new Set(watched.map(post => post.key));
+    return (urls || []).filter(url => keys.has(this.getPostKey(url)));
+  }
+
+  /**
+   * Record replies and mentions found on a watched post
+   * @param {string} postUrl - Post URL
+   * @param {Array} replies - Found items: { type: 'reply'|'mention', authorName, text }
+   * @returns {Promise<Array>} Notifications for the ones not seen before
+   */
+  recordReplies(postUrl, replies) {
+    return this.serialize(async () => {
+      const key = this.getPostKey(postUrl);
+      const watched = await this.loadWatchedPosts();
+      const post = watched.find(item => item.key === key);
+      if (!post) {
+        return [];
+      }
+
+      const seen = new Set(post.seenReplyKeys || []);
+      const detectedAt = new Date().toISOString();
+      const created = [];
+
+      (replies || []).forEach(reply => {
+        const text = (reply?.text || '').trim();
+        if (!text || !['reply', 'mention'].includes(reply.type)) {
+          return;
+        }
+
+        const replyKey = this.getReplyKey(reply);
+        if (seen.has(replyKey)) {
+          return;
+        }
+        seen.add(replyKey);
+
+        created.push({
+          id: `reply_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          postKey: post.key,
+          postUrl: post.postUrl,
+          groupId: post.groupId,
+          groupName: post.groupName,
+          type: reply.type,
+          authorName: (reply.authorName || '').substring(0, 80),
+          text: text.substring(0, 300),
+          usageId: post.usageId,
+          detectedAt,
+          read: false,
+          outcomeRecorded: false
+        });
+      });
+
+      post.seenReplyKeys = [...seen].slice(-this.maxSeenReplies);
+      post.lastCheckedAt = detectedAt;
+      await this.saveWatchedPosts(watched);
+
+      if (created.length > 0) {
+        const notifications = await this.loadNotifications();
+        await this.saveNotifications([...created, ...notifications]);
+      }
+
+      return created;
+    });
+  }
+
+  /**
+   * Load notifications, newest first
+   * @returns {Promise<Array>}
+   */
+  async loadNotifications() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKeys.notifications]);
+      return result[this.storageKeys.notifications] || [];
+    } catch (error) {
+      console.error('ReplyWatcher: Error loading notifications:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update notifications in place
+   * @param {Array<string>|null} ids - Notification IDs, or null for all
+   * @param {Object} updates - Fields to set, e.g. { read: true }
+   * @returns {Promise<Object>} Result with success status
+   */
+  updateNotifications(ids, updates) {
+    return this.serialize(async () => {
+      try {
+        const notifications = await this.loadNotifications();
+        notifications.forEach(notification => {
+          if (!ids || ids.includes(notification.id)) {
+            Object.assign(notification, updates);
+          }
+        });
+        await this.saveNotifications(notifications);
+        return { success: true };
+      } catch (error) {
+        console.error('ReplyWatcher: Error updating notifications:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Remove a notification
+   * @param {string} id - Notification ID
+   * @returns {Promise<Object>} Result with success status
+   */
+  dismissNotification(id) {
+    return this.serialize(async () => {
+      try {
+        const notifications = await this.loadNotifications();
+        await this.saveNotifications(notifications.filter(notification => notification.id !== id));
+        return { success: true };
+      } catch (error) {
+        console.error('ReplyWatcher: Error dismissing notification:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Show the unread count on the toolbar icon
+   * @param {number} unreadCount - Unread notifications
+   */
+  async updateBadge(unreadCount) {
+    try {
+      if (chrome.action?.setBadgeText) {
+        await chrome.action.setBadgeText({ text: unreadCount > 0 ? String(unreadCount) : '' });
+      }
+    } catch (error) {
+      console.debug('ReplyWatcher: Could not update badge:', error.message);
+    }
+  }
+
+  /**
+   * Stable key for a reply, so the same comment is reported once
+   * @param {Object} reply - { type, authorName, text }
+   * @returns {string}
+   */
+  getReplyKey(reply) {
+    const source = `${(reply.authorName || '').toLowerCase()}|${(reply.text || '').replace(/\s+/g, ' ').trim().toLowerCase()}`;
+    let hash = 0;
+    for (let i = 0; i < source.length; i++) {
+      hash = ((hash << 5) - hash + source.charCodeAt(i)) | 0;
+    }
+    return `${reply.type}:${(hash >>> 0).toString(36)}`;
+  }
+
+  async saveWatchedPosts(watched) {
+    const kept = [...watched]
+      .sort((a, b) => new Date(b.lastCommentAt) - new Date(a.lastCommentAt))
+      .slice(0, this.maxWatchedPosts);
+    await chrome.storage.local.set({ [this.storageKeys.watched]: kept });
+  }
+
+  async saveNotifications(notifications) {
+    const kept = notifications.slice(0, this.maxNotifications);
+    await chrome.storage.local.set({ [this.storageKeys.notifications]: kept });
+    await this.updateBadge(kept.filter(notification => !notification.read).length);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReplyWatcher;
+} else if (typeof window !== 'undefined') {
+  window.ReplyWatcher = ReplyWatcher;
+}
+// In service workers, the class is available globally without window
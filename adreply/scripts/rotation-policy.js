@@ -0,0 +1,342 @@
+/**
+ * Rotation Policy Manager for AdReply Extension
+ * Resolves cooldown / frequency rules globally, per category and per Facebook group
+ */
+
+class RotationPolicyManager {
+  constructor(usageTracker = null) {
+    this.usageTracker = usageTracker;
+
+    // Built-in policy used when nothing is configured (matches the old 24-hour cooldown)
+    this.defaultPolicy = {
+      cooldownHours: 24,    // Hours before the same template can be used again in a group
+      maxUsesPerWeek: 0,    // Max uses of one template per group in a rolling 7 days (0 = unlimited)
+      minGapMinutes: 0      // Minimum gap between any two of our comments in a group (0 = none)
+    };
+
+    // Usage records are only kept for 30 days (see UsageTracker.performMaintenanceCleanup)
+    this.limits = {
+      maxCooldownHours: 720,
+      maxUsesPerWeek: 100,
+      maxGapMinutes: 43200
+    };
+
+    this.policies = null;
+  }
+
+  /**
+   * Load rotation policies from settings
+   * @returns {Promise<Object>} Policies with global, categoryOverrides and groupOverrides
+   */
+  async loadPolicies() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      const stored = result.settings?.rotationPolicies || {};
+
+      this.policies = {
+        global: { ...this.defaultPolicy, ...(stored.global || {}) },
+        categoryOverrides: { ...(stored.categoryOverrides || {}) },
+        groupOverrides: { ...(stored.groupOverrides || {}) }
+      };
+    } catch (error) {
+      console.error('RotationPolicyManager: Error loading policies:', error);
+      this.policies = {
+        global: { ...this.defaultPolicy },
+        categoryOverrides: {},
+        groupOverrides: {}
+      };
+    }
+
+    return this.policies;
+  }
+
+  /**
+   * Save a policy for a scope
+   * @param {string} scope - 'global', 'category' or 'group'
+   * @param {string|null} targetId - Category ID or group ID (ignored for global)
+   * @param {Object} policy - Policy values
+   * @returns {Promise<Object>} Result with success status
+   */
+  async savePolicy(scope, targetId, policy) {
+    try {
+      const validation = this.validatePolicy(policy);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors[0] };
+      }
+
+      if (scope !== 'global' && !targetId) {
+        return { success: false, error: scope === 'group' ? 'Group ID is required' : 'Category is required' };
+      }
+
+      const normalized = this.normalizePolicy(policy);
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+      const policies = this.getStoredPolicies(settings);
+
+      if (scope === 'global') {
+        policies.global = normalized;
+      } else if (scope === 'category') {
+        policies.categoryOverrides[targetId] = normalized;
+      } else if (scope === 'group') {
+        policies.groupOverrides[targetId] = normalized;
+      } else {
+        return { success: false, error: `Unknown policy scope: ${scope}` };
+      }
+
+      settings.rotationPolicies = policies;
+      await chrome.storage.local.set({ settings: settings });
+      await this.loadPolicies();
+
+      return { success: true, policy: normalized };
+    } catch (error) {
+      console.error('RotationPolicyManager: Error saving policy:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove a category or group override (global policy resets to defaults)
+   * @param {string} scope - 'global', 'category' or 'group'
+   * @param {string|null} targetId - Category ID or group ID
+   * @returns {Promise<Object>} Result with success status
+   */
+  async removePolicy(scope, targetId) {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+      const policies = this.getStoredPolicies(settings);
+
+      if (scope === 'global') {
+        policies.global = { ...this.defaultPolicy };
+      } else if (scope === 'category') {
+        delete policies.categoryOverrides[targetId];
+      } else if (scope === 'group') {
+        delete policies.groupOverrides[targetId];
+      } else {
+        return { success: false, error: `Unknown policy scope: ${scope}` };
+      }
+
+      settings.rotationPolicies = policies;
+      await chrome.storage.local.set({ settings: settings });
+      await this.loadPolicies();
+
+      return { success: true };
+    } catch (error) {
+      console.error('RotationPolicyManager: Error removing policy:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate policy values
+   * @param {Object} policy - Policy values
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validatePolicy(policy) {
+    const errors = [];
+
+    if (!policy || typeof policy !== 'object') {
+      return { isValid: false, errors: ['Policy must be an object'] };
+    }
+
+    const checks = [
+      ['cooldownHours', 'Cooldown', this.limits.maxCooldownHours, 'hours'],
+      ['maxUsesPerWeek', 'Max uses per week', this.limits.maxUsesPerWeek, ''],
+      ['minGapMinutes', 'Minimum gap', this.limits.maxGapMinutes, 'minutes']
+    ];
+
+    for (const [field, label, max, unit] of checks) {
+      const value = policy[field];
+      if (value === undefined || value === null || value === '') continue;
+
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        errors.push(`${label} must be a number of 0 or more`);
+      } else if (number > max) {
+        errors.push(`${label} cannot exceed ${max}${unit ? ' ' + unit : ''}`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Resolve the effective policy for a group and category
+   * Most specific wins: group override > category override > global > defaults
+   * @param {string} groupId - Facebook group ID
+   * @param {string} categoryId - Template category ID
+   * @returns {Object} Effective policy
+   */
+  resolvePolicy(groupId, categoryId) {
+    const policies = this.policies || { global: this.defaultPolicy, categoryOverrides: {}, groupOverrides: {} };
+
+    return {
+      ...this.defaultPolicy,
+      ...policies.global,
+      ...(categoryId ? policies.categoryOverrides[categoryId] : null),
+      ...(groupId ? policies.groupOverrides[groupId] : null)
+    };
+  }
+
+  /**
+   * How far back usage must be loaded to evaluate every configured policy
+   * @returns {number} Hours of usage history needed
+   */
+  getUsageWindowHours() {
+    const policies = this.policies || { global: this.defaultPolicy, categoryOverrides: {}, groupOverrides: {} };
+    const allPolicies = [
+      policies.global,
+      ...Object.values(policies.categoryOverrides),
+      ...Object.values(policies.groupOverrides)
+    ];
+
+    // Weekly caps always need a 7-day window
+    let hours = 7 * 24;
+    for (const policy of allPolicies) {
+      hours = Math.max(hours, policy.cooldownHours || 0, (policy.minGapMinutes || 0) / 60);
+    }
+
+    return Math.ceil(hours);
+  }
+
+  /**
+   * Check whether a template may be used in a group right now
+   * @param {Object} template - Template object
+   * @param {string} groupId - Facebook group ID
+   * @param {Array} groupUsage - Usage records for the group (covering getUsageWindowHours)
+   * @param {Date} now - Current time (default new Date())
+   * @returns {Object} { allowed, reason, nextAllowedAt, lastUsed, policy }
+   */
+  evaluateTemplate(template, groupId, groupUsage = [], now = new Date()) {
+    const policy = this.resolvePolicy(groupId, template.category);
+    const nowMs = now.getTime();
+    const blocks = [];
+
+    const templateUsage = groupUsage
+      .filter(record => record.templateId === template.id)
+      .map(record => new Date(record.timestamp).getTime())
+      .sort((a, b) => b - a);
+    const lastUsed = templateUsage.length > 0 ? new Date(templateUsage[0]).toISOString() : null;
+
+    // Cooldown for this template
+    if (policy.cooldownHours > 0 && templateUsage.length > 0) {
+      const readyAt = templateUsage[0] + policy.cooldownHours * 60 * 60 * 1000;
+      if (readyAt > nowMs) {
+        blocks.push({ readyAt, reason: `Cooldown (${this.formatDuration(readyAt - nowMs)} left)` });
+      }
+    }
+
+    // Weekly cap for this template
+    if (policy.maxUsesPerWeek > 0) {
+      const weekAgo = nowMs - 7 * 24 * 60 * 60 * 1000;
+      const usesThisWeek = templateUsage.filter(time => time > weekAgo);
+      if (usesThisWeek.length >= policy.maxUsesPerWeek) {
+        // Oldest use that still counts towards the cap drops out of the window first
+        const readyAt = usesThisWeek[policy.maxUsesPerWeek - 1] + 7 * 24 * 60 * 60 * 1000;
+        blocks.push({ readyAt, reason: `Weekly limit reached (${usesThisWeek.length}/${policy.maxUsesPerWeek})` });
+      }
+    }
+
+    // Minimum gap between any of our comments in this group
+    if (policy.minGapMinutes > 0 && groupUsage.length > 0) {
+      const lastComment = Math.max(...groupUsage.map(record => new Date(record.timestamp).getTime()));
+      const readyAt = lastComment + policy.minGapMinutes * 60 * 1000;
+      if (readyAt > nowMs) {
+        blocks.push({ readyAt, reason: `Group gap (${this.formatDuration(readyAt - nowMs)} left)` });
+      }
+    }
+
+    if (blocks.length === 0) {
+      return { allowed: true, reason: null, nextAllowedAt: null, lastUsed, policy };
+    }
+
+    // Report the rule that keeps the template blocked the longest
+    const longest = blocks.reduce((max, block) => block.readyAt > max.readyAt ? block : max);
+    return {
+      allowed: false,
+      reason: longest.reason,
+      nextAllowedAt: new Date(longest.readyAt).toISOString(),
+      lastUsed,
+      policy
+    };
+  }
+
+  /**
+   * Load usage and evaluate many templates for a group
+   * @param {Array} templates - Template objects
+   * @param {string} groupId - Facebook group ID
+   * @returns {Promise<Map>} Map of template ID to evaluation result
+   */
+  async evaluateTemplates(templates, groupId) {
+    if (!this.policies) {
+      await this.loadPolicies();
+    }
+
+    const groupUsage = this.usageTracker
+      ? await this.usageTracker.getGroupUsage(groupId, this.getUsageWindowHours())
+      : [];
+
+    const now = new Date();
+    const evaluations = new Map();
+    for (const template of templates) {
+      evaluations.set(template.id, this.evaluateTemplate(template, groupId, groupUsage, now));
+    }
+
+    return evaluations;
+  }
+
+  /**
+   * Read stored policies from a settings object, filling in missing sections
+   * @param {Object} settings - Settings object from storage
+   * @returns {Object} Policies
+   */
+  getStoredPolicies(settings) {
+    const stored = settings.rotationPolicies || {};
+    return {
+      global: { ...this.defaultPolicy, ...(stored.global || {}) },
+      categoryOverrides: { ...(stored.categoryOverrides || {}) },
+      groupOverrides: { ...(stored.groupOverrides || {}) }
+    };
+  }
+
+  /**
+   * Convert policy form values to numbers, dropping blank fields
+   * @param {Object} policy - Raw policy values
+   * @returns {Object} Normalized policy
+   */
+  normalizePolicy(policy) {
+    const normalized = {};
+    ['cooldownHours', 'maxUsesPerWeek', 'minGapMinutes'].forEach(field => {
+      if (policy[field] !== undefined && policy[field] !== null && policy[field] !== '') {
+        normalized[field] = Number(policy[field]);
+      }
+    });
+    return normalized;
+  }
+
+  /**
+   * Format a duration for display
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Human-readable duration
+   */
+  formatDuration(ms) {
+    const minutes = Math.ceil(ms / (60 * 1000));
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.ceil(minutes / 60);
+    if (hours < 48) return `${hours}h`;
+
+    return `${Math.ceil(hours / 24)}d`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RotationPolicyManager;
+} else if (typeof window !== 'undefined') {
+  window.RotationPolicyManager = RotationPolicyManager;
+}
+// In service workers, the class is available globally without window
@@ -0,0 +1,287 @@
+/**
+ * Safety Filter for AdReply Extension
+ * Guardrail that keeps promotions off posts about tragedy, medical issues or politics
+ */
+
+class SafetyFilter {
+  constructor() {
+    // Strong terms block on their own; weak terms (common in harmless posts too) need two hits in a category.
+    // Words with everyday meanings ("engine diagnosis", "Terminal 5", "photo shooting", "the band killed it")
+    // are weak, and only their unambiguous phrases are strong. "Accident" and "crash" are everyday words for
+    // the car repair audience, so only phrases such as "fatal crash" count.
+    this.builtInTerms = {
+      tragedy: {
+        label: 'Tragedy or loss',
+        strong: [
+          'passed away', 'rest in peace', 'funeral', 'condolences', 'obituary', 'memorial service',
+          'was killed', 'were killed', 'shot and killed', 'fatal accident', 'fatal crash', 'fatally',
+          'died', 'tragedy', 'tragic', 'mass shooting', 'school shooting', 'stabbing',
+          'missing person', 'gofundme', 'in loving memory', 'lost his life', 'lost her life', 'lost their lives'
+        ],
+        weak: [
+          'hospital', 'injured', 'victim', 'victims', 'fire', 'flooded',
+          'house fire', 'evacuated', 'devastated', 'heartbroken', 'prayers', 'praying',
+          'killed', 'fatal', 'shooting'
+        ]
+      },
+      medical: {
+        label: 'Medical or health crisis',
+        strong: [
+          'cancer', 'chemo', 'chemotherapy', 'diagnosed with', 'terminal cancer', 'terminally ill',
+          'terminal illness', 'hospice', 'intensive care', 'icu', 'miscarriage', 'stillborn', 'overdose',
+          'suicide', 'suicidal', 'self harm', 'had a stroke', 'suffered a stroke', 'heart attack', 'life support'
+        ],
+        weak: [
+          'surgery', 'hospital', 'doctor', 'ambulance', 'emergency room', 'illness', 'sick',
+          'recovery', 'treatment', 'depression', 'anxiety', 'mental health', 'prayers',
+          'diagnosis', 'diagnosed', 'terminal', 'stroke'
+        ]
+      },
+      political: {
+        label: 'Politics',
+        strong: [
+          'democrat', 'democrats', 'republican', 'republicans', 'gop', 'maga', 'liberals',
+          'conservatives', 'abortion', 'gun control', 'immigration', 'impeachment', 'white house',
+          'congress', 'senate', 'parliament'
+        ],
+        weak: [
+          'election', 'vote', 'voting', 'ballot', 'candidate', 'campaign', 'protest', 'president',
+          'government', 'politics', 'political', 'mayor', 'council', 'tax increase'
+        ]
+      }
+    };
+
+    this.defaultSettings = {
+      enabled: true,
+      categories: { tragedy: true, medical: true, political: true },
+      customTerms: []   // User terms that always block (any category)
+    };
+
+    this.limits = {
+      maxCustomTerms: 200,
+      maxTermLength: 60
+    };
+
+    this.settings = null;
+  }
+
+  /**
+   * Get category IDs and labels for settings screens
+   * @returns {Array} [{ id, label }]
+   */
+  getCategoryOptions() {
+    return Object.entries(this.builtInTerms).map(([id, category]) => ({ id, label: category.label }));
+  }
+
+  /**
+   * Load guardrail settings
+   * @returns {Promise<Object>} Settings with enabled, categories and customTerms
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      const stored = result.settings?.safetyFilter || {};
+
+      this.settings = {
+        ...this.defaultSettings,
+        ...stored,
+        categories: { ...this.defaultSettings.categories, ...(stored.categories || {}) },
+        customTerms: Array.isArray(stored.customTerms) ? stored.customTerms : []
+      };
+    } catch (error) {
+      console.error('SafetyFilter: Error loading settings:', error);
+      this.settings = { ...this.defaultSettings, categories: { ...this.defaultSettings.categories } };
+    }
+
+    return this.settings;
+  }
+
+  /**
+   * Save guardrail settings
+   * @param {Object} safetyFilter - { enabled, categories, customTerms }
+   * @returns {Promise<Object>} Result with success status
+   */
+  async saveSettings(safetyFilter) {
+    try {
+      const normalized = {
+        ...safetyFilter,
+        customTerms: this.parseTerms(safetyFilter.customTerms)
+      };
+
+      const validation = this.validateSettings(normalized);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors[0] };
+      }
+
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+
+      settings.safetyFilter = {
+        ...this.defaultSettings,
+        ...(settings.safetyFilter || {}),
+        ...normalized,
+        categories: {
+          ...this.defaultSettings.categories,
+          ...(settings.safetyFilter?.categories || {}),
+          ...(normalized.categories || {})
+        }
+      };
+      await chrome.storage.local.set({ settings: settings });
+      this.settings = settings.safetyFilter;
+
+      return { success: true, settings: this.settings };
+    } catch (error) {
+      console.error('SafetyFilter: Error saving settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate guardrail settings
+   * @param {Object} safetyFilter - Settings to validate
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateSettings(safetyFilter) {
+    const errors = [];
+
+    if (!safetyFilter || typeof safetyFilter !== 'object') {
+      return { isValid: false, errors: ['Safety filter settings must be an object'] };
+    }
+
+    if (safetyFilter.enabled !== undefined && typeof safetyFilter.enabled !== 'boolean') {
+      errors.push('Safety filter enabled must be a boolean');
+    }
+
+    if (safetyFilter.categories !== undefined) {
+      Object.entries(safetyFilter.categories).forEach(([categoryId, enabled]) => {
+        if (!this.builtInTerms[categoryId]) {
+          errors.push(`Unknown sensitive category: ${categoryId}`);
+        } else if (typeof enabled !== 'boolean') {
+          errors.push(`Sensitive category ${categoryId} must be on or off`);
+        }
+      });
+    }
+
+    if (safetyFilter.customTerms !== undefined) {
+      if (!Array.isArray(safetyFilter.customTerms)) {
+        errors.push('Custom sensitive terms must be a list');
+      } else if (safetyFilter.customTerms.length > this.limits.maxCustomTerms) {
+        errors.push(`You can add at most ${this.limits.maxCustomTerms} custom sensitive terms`);
+      } else {
+        const tooLong = safetyFilter.customTerms.find(term => term.length > this.limits.maxTermLength);
+        if (tooLong) {
+          errors.push(`Sensitive term "${tooLong.substring(0, 20)}..." is longer than ${this.limits.maxTermLength} characters`);
+        }
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Split a comma / newline separated term list, dropping blanks and duplicates
+   * @param {string|Array} input - Raw textarea value or an existing array
+   * @returns {string[]} Terms
+   */
+  parseTerms(input) {
+    if (!input) {
+      return [];
+    }
+
+    const terms = Array.isArray(input) ? input : String(input).split(/[,\n]/);
+    return [...new Set(terms
+      .map(term => typeof term === 'string' ? term.trim().toLowerCase() : '')
+      .filter(term => term.length > 0))];
+  }
+
+  /**
+   * Normalize text for term matching: lowercase, accents folded, punctuation removed, padded with spaces
+   * @param {string} text - Raw text
+   * @returns {string}
+   */
+  normalize(text) {
+    const normalized = String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return ` ${normalized} `;
+  }
+
+  /**
+   * Find which of the terms appear in normalized text as whole words / phrases
+   * Longest terms are matched first and use up their words, so "house fire" doesn't also count as "fire"
+   * @param {string} normalizedText - Result of normalize
+   * @param {string[]} terms - Terms to look for
+   * @returns {string[]} Terms found
+   */
+  findTerms(normalizedText, terms) {
+    let remaining = normalizedText;
+
+    return [...terms]
+      .sort((a, b) => this.normalize(b).length - this.normalize(a).length)
+      .filter(term => {
+        const normalizedTerm = this.normalize(term);
+        if (normalizedTerm.trim().length === 0 || !remaining.includes(normalizedTerm)) {
+          return false;
+        }
+        remaining = remaining.split(normalizedTerm).join(' ');
+        return true;
+      });
+  }
+
+  /**
+   * Check a post against the guardrail
+   * @param {string} postContent - Post text
+   * @returns {Object} { blocked, category, categoryLabel, matchedTerms }
+   */
+  check(postContent) {
+    const settings = this.settings || this.defaultSettings;
+    const allowed = { blocked: false, category: null, categoryLabel: null, matchedTerms: [] };
+
+    if (!settings.enabled || !postContent) {
+      return allowed;
+    }
+
+    const text = this.normalize(postContent);
+
+    const customMatches = this.findTerms(text, settings.customTerms || []);
+    if (customMatches.length > 0) {
+      return { blocked: true, category: 'custom', categoryLabel: 'Your sensitive terms', matchedTerms: customMatches };
+    }
+
+    for (const [categoryId, category] of Object.entries(this.builtInTerms)) {
+      if (settings.categories[categoryId] === false) continue;
+
+      // Strong and weak terms share one pass, so "fatal accident" isn't counted again as "fatal"
+      const matches = this.findTerms(text, [...category.strong, ...category.weak]);
+      const strongMatches = matches.filter(term => category.strong.includes(term));
+      const weakMatches = matches.filter(term => !category.strong.includes(term));
+
+      // Report only the terms that triggered the block
+      if (strongMatches.length > 0 || weakMatches.length >= 2) {
+        return {
+          blocked: true,
+          category: categoryId,
+          categoryLabel: category.label,
+          matchedTerms: strongMatches.length > 0 ? strongMatches : weakMatches
+        };
+      }
+    }
+
+    return allowed;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SafetyFilter;
+} else {
+  window.SafetyFilter = SafetyFilter;
+}
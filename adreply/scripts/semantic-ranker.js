@@ -0,0 +1,233 @@
+/**
+ * Semantic Ranker for AdReply Extension
+ * On-device TF-IDF relevance model: templates and posts become term vectors compared by cosine similarity
+ */
+
+class SemanticRanker {
+  constructor() {
+    const ExpressionClass = typeof KeywordExpression !== 'undefined' ? KeywordExpression : require('./keyword-expression');
+    const DetectorClass = typeof LanguageDetector !== 'undefined' ? LanguageDetector : require('./language-detector');
+    this.keywordExpression = new ExpressionClass();
+    this.languageDetector = new DetectorClass();
+
+    // How much each template field counts towards its term frequencies
+    this.fieldWeights = {
+      keywords: 3,
+      label: 2,
+      body: 1
+    };
+
+    this.minTokenLength = 3;
+
+    // Index over the last template set, rebuilt when templates change
+    this.index = null;
+    this.indexSignature = null;
+  }
+
+  /**
+   * Turn text into normalized, stemmed terms (stop words and very short words dropped)
+   * @param {string} text - Raw text
+   * @returns {string[]} Terms
+   */
+  tokenize(text) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const normalized = this.keywordExpression.normalizeTerm(text.replace(/https?:\/\/[^\s]+/g, ' '));
+    if (!normalized) {
+      return [];
+    }
+
+    return normalized
+      .split(' ')
+      .filter(word => word.length >= this.minTokenLength && !/^\d+$/.test(word))
+      .filter(word => !this.languageDetector.isStopWord(word))
+      .map(word => this.keywordExpression.stem(word));
+  }
+
+  /**
+   * Strip placeholders ({url}) and spintax syntax ({a|b}) from a template body, keeping the option words
+   * @param {string} body - Template body
+   * @returns {string} Plain text
+   */
+  cleanTemplateBody(body) {
+    if (!body || typeof body !== 'string') {
+      return '';
+    }
+
+    return body
+      .replace(/\{[a-zA-Z_]+\}/g, ' ')
+      .replace(/[{}|]/g, ' ');
+  }
+
+  /**
+   * Words and phrases of a keyword expression, without operators (AND, OR, NEAR/3), parentheses or regexes
+   * @param {string} keyword - Keyword expression
+   * @returns {string} Space-separated words
+   */
+  getKeywordText(keyword) {
+    try {
+      return this.keywordExpression.tokenize(keyword.trim())
+        .filter(token => token.type === 'word' || token.type === 'phrase')
+        .map(token => token.value)
+        .join(' ');
+    } catch (error) {
+      // Invalid expressions never match, so they shouldn't shape the vector either
+      return '';
+    }
+  }
+
+  /**
+   * Weighted term frequencies for a template
+   * @param {Object} template - Template object
+   * @returns {Map} Term -> weighted count
+   */
+  getTemplateTerms(template) {
+    const counts = new Map();
+    const add = (terms, weight) => {
+      terms.forEach(term => counts.set(term, (counts.get(term) || 0) + weight));
+    };
+
+    // Negative keywords describe posts to avoid, so they never add relevance
+    const keywords = (template.keywords || [])
+      .filter(keyword => typeof keyword === 'string' && !keyword.trim().startsWith('-'))
+      .map(keyword => this.getKeywordText(keyword));
+    add(this.tokenize(keywords.join(' ')), this.fieldWeights.keywords);
+    add(this.tokenize(template.label), this.fieldWeights.label);
+
+    const bodies = [template.template, ...(Array.isArray(template.variants) ? template.variants : [])];
+    bodies.forEach(body => add(this.tokenize(this.cleanTemplateBody(body)), this.fieldWeights.body));
+
+    return counts;
+  }
+
+  /**
+   * Build (or reuse) the TF-IDF index for a template set
+   * @param {Array} templates - Template objects
+   * @returns {Object} { idf, vectors } where vectors maps template ID to a unit-length Map
+   */
+  buildIndex(templates = []) {
+    const signature = templates
+      .map(template => `${template.id}:${template.updatedAt || ''}`)
+      .join('|');
+
+    if (this.index && this.indexSignature === signature) {
+      return this.index;
+    }
+
+    const termCounts = new Map();
+    const documentFrequency = new Map();
+
+    for (const template of templates) {
+      const terms = this.getTemplateTerms(template);
+      termCounts.set(template.id, terms);
+      terms.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    }
+
+    // Smoothed IDF so terms found in every template still count a little
+    const total = templates.length;
+    const idf = new Map();
+    documentFrequency.forEach((df, term) => {
+      idf.set(term, Math.log((total + 1) / (df + 1)) + 1);
+    });
+
+    const vectors = new Map();
+    termCounts.forEach((terms, templateId) => {
+      vectors.set(templateId, this.toUnitVector(terms, idf));
+    });
+
+    this.index = { idf, vectors };
+    this.indexSignature = signature;
+
+    return this.index;
+  }
+
+  /**
+   * Weight term counts by TF-IDF and scale to unit length
+   * @param {Map} counts - Term -> count
+   * @param {Map} idf - Term -> inverse document frequency
+   * @returns {Map} Term -> weight (terms unknown to the index are dropped)
+   */
+  toUnitVector(counts, idf) {
+    const vector = new Map();
+    let norm = 0;
+
+    counts.forEach((count, term) => {
+      if (!idf.has(term)) return;
+
+      const weight = (1 + Math.log(count)) * idf.get(term);
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+
+    if (norm === 0) {
+      return vector;
+    }
+
+    norm = Math.sqrt(norm);
+    vector.forEach((weight, term) => vector.set(term, weight / norm));
+
+    return vector;
+  }
+
+  /**
+   * Cosine similarity of two unit vectors
+   * @param {Map} a - Unit vector
+   * @param {Map} b - Unit vector
+   * @returns {Object} { similarity, sharedTerms } with similarity 0-1
+   */
+  cosineSimilarity(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    const sharedTerms = [];
+    let dot = 0;
+
+    small.forEach((weight, term) => {
+      if (large.has(term)) {
+        dot += weight * large.get(term);
+        sharedTerms.push(term);
+      }
+    });
+
+    return { similarity: dot, sharedTerms };
+  }
+
+  /**
+   * Similarity of a post to every template
+   * @param {string} postContent - Raw post text
+   * @param {Array} templates - Template objects
+   * @returns {Map} Template ID -> { similarity, sharedTerms } with similarity (0-1) rounded to 4 decimals
+   */
+  scoreTemplates(postContent, templates = []) {
+    const similarities = new Map();
+    if (templates.length === 0) {
+      return similarities;
+    }
+
+    const { idf, vectors } = this.buildIndex(templates);
+
+    const counts = new Map();
+    this.tokenize(postContent).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    const postVector = this.toUnitVector(counts, idf);
+
+    for (const template of templates) {
+      const templateVector = vectors.get(template.id);
+      const { similarity, sharedTerms } = postVector.size > 0 && templateVector
+        ? this.cosineSimilarity(postVector, templateVector)
+        : { similarity: 0, sharedTerms: [] };
+      similarities.set(template.id, {
+        similarity: Math.round(similarity * 10000) / 10000,
+        sharedTerms
+      });
+    }
+
+    return similarities;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SemanticRanker;
+} else {
+  window.SemanticRanker = SemanticRanker;
+}
@@ -0,0 +1,156 @@
+/**
+ * Suggestion Bandit for AdReply Extension
+ * Orders matched templates by Thompson sampling: each template's pick rate is a Beta posterior over the
+ * times it was chosen or ignored, and a random draw from it is blended into the match score, so templates
+ * with few impressions still reach the top now and then
+ */
+
+class SuggestionBandit {
+  constructor() {
+    this.defaultSettings = {
+      mode: 'score',     // 'score' (best match first) or 'explore' (Thompson sampling)
+      exploreRate: 0.2   // Share of the ordering decided by the sampled pick rate (0-1)
+    };
+
+    this.settings = null;
+  }
+
+  /**
+   * Load suggestion ordering settings
+   * @returns {Promise<Object>} { mode, exploreRate }
+   */
+  async loadSettings() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      this.settings = { ...this.defaultSettings, ...(result.settings?.suggestionOrdering || {}) };
+    } catch (error) {
+      console.error('SuggestionBandit: Error loading settings:', error);
+      this.settings = { ...this.defaultSettings };
+    }
+
+    return this.settings;
+  }
+
+  /**
+   * Save suggestion ordering settings
+   * @param {Object} suggestionOrdering - { mode, exploreRate }
+   * @returns {Promise<Object>} Result with success status
+   */
+  async saveSettings(suggestionOrdering) {
+    try {
+      const validation = this.validateSettings(suggestionOrdering);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors[0] };
+      }
+
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+
+      settings.suggestionOrdering = {
+        ...this.defaultSettings,
+        ...(settings.suggestionOrdering || {}),
+        ...suggestionOrdering
+      };
+      await chrome.storage.local.set({ settings: settings });
+      this.settings = settings.suggestionOrdering;
+
+      return { success: true, settings: this.settings };
+    } catch (error) {
+      console.error('SuggestionBandit: Error saving settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate suggestion ordering settings
+   * @param {Object} suggestionOrdering - Settings to validate
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateSettings(suggestionOrdering) {
+    const errors = [];
+
+    if (!['score', 'explore'].includes(suggestionOrdering.mode)) {
+      errors.push('Unknown ordering mode');
+    }
+
+    const rate = suggestionOrdering.exploreRate;
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate > 1) {
+      errors.push('Explore rate must be between 0% and 100%');
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Score each match for ordering: the match score blended with a draw from its template's posterior
+   * @param {Array} matches - Matches with { template, score }
+   * @param {Object} templateOutcomes - Map of templateId -> { chosen, ignored }
+   * @param {number} exploreRate - Weight of the sampled pick rate (0-1)
+   * @param {Function} random - Uniform random source (injectable for tests)
+   * @returns {Array} The same matches with banditScore and sampledRate set
+   */
+  scoreMatches(matches, templateOutcomes, exploreRate, random = Math.random) {
+    // One draw per template, so every variant of a template moves together
+    const draws = new Map();
+
+    matches.forEach(match => {
+      const templateId = match.template.id;
+      if (!draws.has(templateId)) {
+        const outcome = templateOutcomes[templateId] || { chosen: 0, ignored: 0 };
+        draws.set(templateId, this.sampleBeta(outcome.chosen + 1, outcome.ignored + 1, random));
+      }
+
+      match.sampledRate = draws.get(templateId);
+      match.banditScore = match.score * (1 - exploreRate) + match.sampledRate * exploreRate;
+    });
+
+    return matches;
+  }
+
+  /**
+   * Draw from Beta(alpha, beta) as the ratio of two Gamma draws
+   * @returns {number} Value in [0, 1]
+   */
+  sampleBeta(alpha, beta, random = Math.random) {
+    const x = this.sampleGamma(alpha, random);
+    const y = this.sampleGamma(beta, random);
+    return x + y > 0 ? x / (x + y) : 0.5;
+  }
+
+  /**
+   * Marsaglia-Tsang Gamma sampler (shape >= 1, which Beta(chosen + 1, ignored + 1) always needs)
+   */
+  sampleGamma(shape, random = Math.random) {
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+
+    while (true) {
+      let x;
+      let v;
+      do {
+        x = this.sampleNormal(random);
+        v = 1 + c * x;
+      } while (v <= 0);
+
+      v = v * v * v;
+      const u = random();
+      if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+        return d * v;
+      }
+    }
+  }
+
+  // Standard normal draw (Box-Muller)
+  sampleNormal(random = Math.random) {
+    const u = 1 - random(); // (0, 1], so the log is finite
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SuggestionBandit;
+} else {
+  window.SuggestionBandit = SuggestionBandit;
+}
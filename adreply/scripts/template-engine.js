@@ -9,6 +9,16 @@ class TemplateEngine {
     this.aiService = aiService;
     this.licenseManager = licenseManager;
     this.usageTracker = usageTracker;
+    this.templateVariants = typeof TemplateVariants !== 'undefined' ? new TemplateVariants() : null;
+    this.rotationPolicy = typeof RotationPolicyManager !== 'undefined' ? new RotationPolicyManager(usageTracker) : null;
+    this.intentClassifier = typeof IntentClassifier !== 'undefined' ? new IntentClassifier(aiService) : null;
+    this.safetyFilter = typeof SafetyFilter !== 'undefined' ? new SafetyFilter() : null;
+    this.businessProfileManager = typeof BusinessProfileManager !== 'undefined' ? new BusinessProfileManager() : null;
+    this.businessProfile = null;
+    this.templateExpressions = typeof TemplateExpressions !== 'undefined' ? new TemplateExpressions() : null;
+    this.customPlaceholders = {};
+    this.templateSchedule = typeof TemplateSchedule !== 'undefined' ? new TemplateSchedule() : null;
+    this.keywordLearningEngine = typeof KeywordLearningEngine !== 'undefined' ? new KeywordLearningEngine(storageManager) : null;
     
     // Configuration for scoring algorithm
     this.config = {
@@ -19,7 +29,13 @@ class TemplateEngine {
         partialMatchWeight: 0.3,
         lengthPenaltyThreshold: 50, // Words
         lengthPenaltyFactor: 0.1,
-        minScore: 0.1
+        minScore: 0.1,
+        categoryWeight: 0.4,
+        expectedMatches: 3,
+        semanticWeight: 0.35,
+        semanticFullSimilarity: 0.5,
+        semanticMinSimilarity: 0.15,
+        semanticMinSharedTerms: 2
       },
       suggestions: {
         maxSuggestions: 3,
@@ -27,6 +43,13 @@ class TemplateEngine {
         minRelevanceScore: 0.2
       }
     };
+
+    // Shared with the side panel so both paths score posts identically
+    this.templateMatcher = typeof TemplateMatcher !== 'undefined' ? new TemplateMatcher(this.config.scoring) : null;
+
+    // Per-language stop words for keyword extraction
+    const DetectorClass = typeof LanguageDetector !== 'undefined' ? LanguageDetector : require('./language-detector');
+    this.languageDetector = new DetectorClass();
   }
 
   /**
@@ -36,30 +59,32 @@ class TemplateEngine {
    */
   extractKeywords(postContent) {
     if (!postContent || typeof postContent !== 'string') {
-      return { keywords: [], cleanText: '', wordCount: 0 };
+      return { keywords: [], cleanText: '', wordCount: 0, language: null };
     }
 
     // Clean and normalize the text
     const cleanText = this.cleanText(postContent);
+    const { language } = this.languageDetector.detect(cleanText);
     
     // Split into words and filter
     const words = cleanText.toLowerCase()
       .split(/\s+/)
       .filter(word => word.length > 2) // Remove very short words
-      .filter(word => !this.isStopWord(word)) // Remove common stop words
-      .filter(word => /^[a-zA-Z0-9]+$/.test(word)); // Only alphanumeric
+      .filter(word => !this.isStopWord(word, language)) // Remove common stop words
+      .filter(word => /^[\p{L}\p{N}]+$/u.test(word)); // Only letters and numbers (any script)
 
     // Extract meaningful keywords (nouns, adjectives, technical terms)
     const keywords = this.extractMeaningfulKeywords(words);
     
     // Extract phrases (2-3 word combinations)
-    const phrases = this.extractPhrases(cleanText);
+    const phrases = this.extractPhrases(cleanText, language);
     
     return {
       keywords: [...new Set([...keywords, ...phrases])], // Remove duplicates
       cleanText,
       wordCount: words.length,
-      originalLength: postContent.length
+      originalLength: postContent.length,
+      language
     };
   }
 
@@ -73,36 +98,24 @@ class TemplateEngine {
       // Remove URLs
       .replace(/https?:\/\/[^\s]+/g, '')
       // Remove Facebook mentions (@username)
-      .replace(/@\w+/g, '')
+      .replace(/@[\p{L}\p{N}_]+/gu, '')
       // Remove hashtags but keep the word
-      .replace(/#(\w+)/g, '$1')
+      .replace(/#([\p{L}\p{N}_]+)/gu, '$1')
       // Remove extra whitespace and newlines
       .replace(/\s+/g, ' ')
       // Remove special characters but keep basic punctuation
-      .replace(/[^\w\s.,!?-]/g, ' ')
+      .replace(/[^\p{L}\p{N}\s.,!?-]/gu, ' ')
       .trim();
   }
 
   /**
    * Check if a word is a common stop word
    * @param {string} word - Word to check
+   * @param {string|null} language - Post language code (null checks every supported language)
    * @returns {boolean} True if it's a stop word
    */
-  isStopWord(word) {
-    const stopWords = new Set([
-      'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with',
-      'by', 'from', 'up', 'about', 'into', 'through', 'during', 'before', 'after',
-      'above', 'below', 'between', 'among', 'is', 'are', 'was', 'were', 'be', 'been',
-      'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-      'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those',
-      'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them',
-      'my', 'your', 'his', 'her', 'its', 'our', 'their', 'what', 'which', 'who',
-      'when', 'where', 'why', 'how', 'all', 'any', 'both', 'each', 'few', 'more',
-      'most', 'other', 'some', 'such', 'no', 'nor', 'not', 'only', 'own', 'same',
-      'so', 'than', 'too', 'very', 'just', 'now'
-    ]);
-    
-    return stopWords.has(word.toLowerCase());
+  isStopWord(word, language = null) {
+    return this.languageDetector.isStopWord(word, language);
   }
 
   /**
@@ -139,16 +152,17 @@ class TemplateEngine {
   /**
    * Extract meaningful phrases from text
    * @param {string} text - Clean text
+   * @param {string|null} language - Post language code
    * @returns {string[]} Array of phrases
    */
-  extractPhrases(text) {
+  extractPhrases(text, language = null) {
     const phrases = [];
     const words = text.toLowerCase().split(/\s+/);
     
     // Extract 2-word phrases
     for (let i = 0; i < words.length - 1; i++) {
       const phrase = `${words[i]} ${words[i + 1]}`;
-      if (this.isMeaningfulPhrase(phrase)) {
+      if (this.isMeaningfulPhrase(phrase, 2, language)) {
         phrases.push(phrase);
       }
     }
@@ -156,7 +170,7 @@ class TemplateEngine {
     // Extract 3-word phrases (more selective)
     for (let i = 0; i < words.length - 2; i++) {
       const phrase = `${words[i]} ${words[i + 1]} ${words[i + 2]}`;
-      if (this.isMeaningfulPhrase(phrase, 3)) {
+      if (this.isMeaningfulPhrase(phrase, 3, language)) {
         phrases.push(phrase);
       }
     }
@@ -168,13 +182,14 @@ class TemplateEngine {
    * Check if a phrase is meaningful
    * @param {string} phrase - Phrase to check
    * @param {number} wordCount - Number of words in phrase
+   * @param {string|null} language - Post language code
    * @returns {boolean} True if meaningful
    */
-  isMeaningfulPhrase(phrase, wordCount = 2) {
+  isMeaningfulPhrase(phrase, wordCount = 2, language = null) {
     const words = phrase.split(' ');
     
     // Skip if contains stop words
-    if (words.some(word => this.isStopWord(word))) {
+    if (words.some(word => this.isStopWord(word, language))) {
       return false;
     }
     
@@ -191,162 +206,6 @@ class TemplateEngine {
     return true;
   }
 
-  /**
-   * Calculate template score based on keyword overlap with post content
-   * Supports negative keywords (prefixed with '-') that exclude templates when matched
-   * 
-   * @param {Object} template - Template object with keywords array
-   * @param {Object} extractedData - Extracted keywords and metadata from post
-   * @returns {number} Relevance score (0-1), or 0 if negative keywords match
-   * 
-   * @example
-   * // Template with negative keywords
-   * template.keywords = ['car', 'service', '-cheap', '-diy']
-   * // This template will be excluded if post contains 'cheap' or 'diy'
-   * 
-   * // Positive keywords increase score, negative keywords exclude completely
-   */
-  calculateTemplateScore(template, extractedData) {
-    if (!template || !extractedData || !extractedData.keywords) {
-      return 0;
-    }
-
-    const { keywords: postKeywords, wordCount } = extractedData;
-    const templateKeywords = template.keywords || [];
-    const templateVerticals = template.verticals || [];
-    
-    if (templateKeywords.length === 0) {
-      return this.config.scoring.minScore;
-    }
-
-    let score = 0;
-    let matchCount = 0;
-    
-    // Check for negative keywords first - if any match, exclude template completely
-    for (const templateKeyword of templateKeywords) {
-      const keywordLower = templateKeyword.toLowerCase().trim();
-      
-      if (keywordLower.startsWith('-')) {
-        const negativeKeyword = keywordLower.substring(1);
-        if (!negativeKeyword) continue;
-        
-        // Check if negative keyword is present in post
-        const hasNegativeMatch = postKeywords.some(postKeyword => {
-          const postKeywordLower = postKeyword.toLowerCase();
-          return postKeywordLower === negativeKeyword || 
-                 postKeywordLower.includes(negativeKeyword) || 
-                 negativeKeyword.includes(postKeywordLower);
-        });
-        
-        if (hasNegativeMatch) {
-          // Negative keyword found - exclude this template completely
-          return 0;
-        }
-      }
-    }
-    
-    // Calculate positive keyword matches
-    for (const templateKeyword of templateKeywords) {
-      const keywordLower = templateKeyword.toLowerCase().trim();
-      
-      // Skip negative keywords (already processed above)
-      if (keywordLower.startsWith('-')) {
-        continue;
-      }
-      
-      // Check for exact matches
-      const exactMatch = postKeywords.some(postKeyword => 
-        postKeyword.toLowerCase() === keywordLower
-      );
-      
-      if (exactMatch) {
-        score += this.config.scoring.keywordMatchWeight + this.config.scoring.exactMatchBonus;
-        matchCount++;
-        continue;
-      }
-      
-      // Check for partial matches
-      const partialMatch = postKeywords.some(postKeyword => 
-        postKeyword.toLowerCase().includes(keywordLower) || 
-        keywordLower.includes(postKeyword.toLowerCase())
-      );
-      
-      if (partialMatch) {
-        score += this.config.scoring.keywordMatchWeight * this.config.scoring.partialMatchWeight;
-        matchCount++;
-      }
-    }
-    
-    // Check vertical matches (if post content suggests a vertical)
-    const verticalScore = this.calculateVerticalScore(templateVerticals, extractedData);
-    score += verticalScore;
-    
-    // Normalize score by template keyword count
-    if (templateKeywords.length > 0) {
-      score = score / templateKeywords.length;
-    }
-    
-    // Apply length penalty for very long posts (less focused)
-    if (wordCount > this.config.scoring.lengthPenaltyThreshold) {
-      const penalty = (wordCount - this.config.scoring.lengthPenaltyThreshold) * 
-                     this.config.scoring.lengthPenaltyFactor;
-      score = Math.max(score - penalty, 0);
-    }
-    
-    // Boost score if high match ratio
-    const matchRatio = matchCount / templateKeywords.length;
-    if (matchRatio > 0.5) {
-      score *= (1 + matchRatio * 0.5);
-    }
-    
-    // Ensure score is within bounds
-    return Math.max(Math.min(score, 1), 0);
-  }
-
-  /**
-   * Calculate vertical/category relevance score
-   * @param {string[]} templateVerticals - Template verticals
-   * @param {Object} extractedData - Extracted data from post
-   * @returns {number} Vertical relevance score
-   */
-  calculateVerticalScore(templateVerticals, extractedData) {
-    if (!templateVerticals || templateVerticals.length === 0) {
-      return 0;
-    }
-
-    const { keywords, cleanText } = extractedData;
-    let verticalScore = 0;
-    
-    // Define vertical indicators (keywords that suggest specific verticals)
-    const verticalIndicators = {
-      'automotive': ['car', 'auto', 'vehicle', 'engine', 'repair', 'garage', 'mechanic', 'driving'],
-      'motorcycles': ['bike', 'motorcycle', 'motorbike', 'rider', 'helmet', 'exhaust'],
-      'fitness': ['gym', 'workout', 'exercise', 'training', 'fitness', 'muscle', 'weight'],
-      'food': ['food', 'restaurant', 'cooking', 'recipe', 'meal', 'kitchen', 'chef'],
-      'technology': ['tech', 'software', 'computer', 'app', 'digital', 'online', 'website'],
-      'fashion': ['fashion', 'style', 'clothing', 'outfit', 'brand', 'designer'],
-      'home': ['home', 'house', 'interior', 'furniture', 'decoration', 'garden'],
-      'business': ['business', 'entrepreneur', 'startup', 'marketing', 'sales', 'company']
-    };
-    
-    for (const vertical of templateVerticals) {
-      const verticalLower = vertical.toLowerCase();
-      const indicators = verticalIndicators[verticalLower] || [verticalLower];
-      
-      // Check if post content contains vertical indicators
-      const hasVerticalKeywords = indicators.some(indicator => 
-        keywords.some(keyword => keyword.includes(indicator)) ||
-        cleanText.toLowerCase().includes(indicator)
-      );
-      
-      if (hasVerticalKeywords) {
-        verticalScore += this.config.scoring.verticalMatchWeight;
-      }
-    }
-    
-    return Math.min(verticalScore, this.config.scoring.verticalMatchWeight);
-  }
-
   /**
    * Match templates against post content and return scored results
    * @param {string} postContent - Facebook post content
@@ -356,11 +215,8 @@ class TemplateEngine {
    */
   async matchTemplates(postContent, groupId, userCategory = null) {
     try {
-      // Extract keywords from post content
-      const extractedData = this.extractKeywords(postContent);
-      
-      if (extractedData.keywords.length === 0) {
-        console.log('TemplateEngine: No keywords extracted from post content');
+      if (!this.templateMatcher) {
+        console.error('TemplateEngine: TemplateMatcher not available');
         return [];
       }
       
@@ -370,46 +226,34 @@ class TemplateEngine {
       }
       
       // Get all templates from storage
-      const templates = await this.storageManager.getTemplates();
+      let templates = await this.storageManager.getTemplates();
       
       if (templates.length === 0) {
         console.log('TemplateEngine: No templates found in storage');
         return [];
       }
       
-      // Score each template with category prioritization
-      const scoredTemplates = templates.map(template => {
-        const baseScore = this.calculateTemplateScore(template, extractedData);
-        const categoryScore = this.calculateCategoryPriorityScore(template, userCategory);
-        const finalScore = this.combineScores(baseScore, categoryScore);
-        
-        return {
-          template,
-          score: finalScore,
-          baseScore,
-          categoryScore,
-          matchedKeywords: this.getMatchedKeywords(template, extractedData),
-          extractedData: extractedData,
-          isPreferredCategory: template.category === userCategory
-        };
-      });
+      // Skip templates outside their own or their category's schedule (seasonal offers, weekday/hour windows)
+      if (this.templateSchedule) {
+        await this.templateSchedule.loadCategorySchedules();
+        const scheduled = this.templateSchedule.filterActiveTemplates(templates);
+        if (scheduled.length < templates.length) {
+          console.log(`TemplateEngine: ${templates.length - scheduled.length} templates outside their schedule`);
+        }
+        templates = scheduled;
+      }
       
-      // Filter out low-scoring templates
-      const filteredTemplates = scoredTemplates.filter(item => 
-        item.score >= this.config.scoring.minScore
-      );
+      // Keywords that usually lead to a pick count for more (null when learned weighting is off)
+      const keywordWeights = this.keywordLearningEngine ? await this.keywordLearningEngine.getKeywordWeights() : null;
       
-      // Sort by score (highest first), with preferred category templates prioritized
-      filteredTemplates.sort((a, b) => {
-        // First prioritize by preferred category
-        if (a.isPreferredCategory && !b.isPreferredCategory) return -1;
-        if (!a.isPreferredCategory && b.isPreferredCategory) return 1;
-        
-        // Then by score
-        return b.score - a.score;
+      // Keyword scores blended with local TF-IDF similarity, filtered (minScore) and sorted by the shared matcher
+      const filteredTemplates = this.templateMatcher.matchTemplates(postContent, templates, {
+        preferredCategory: userCategory,
+        keywordWeights
       });
       
-      console.log(`TemplateEngine: Matched ${filteredTemplates.length} templates for post with ${extractedData.keywords.length} keywords (preferred category: ${userCategory || 'none'})`);
+      const semanticOnly = filteredTemplates.filter(match => match.semanticOnly).length;
+      console.log(`TemplateEngine: Matched ${filteredTemplates.length} templates (${semanticOnly} by similarity only, preferred category: ${userCategory || 'none'})`);
       
       return filteredTemplates;
       
@@ -419,36 +263,6 @@ class TemplateEngine {
     }
   }
 
-  /**
-   * Get keywords that matched between template and post
-   * @param {Object} template - Template object
-   * @param {Object} extractedData - Extracted data from post
-   * @returns {string[]} Array of matched keywords
-   */
-  getMatchedKeywords(template, extractedData) {
-    const matched = [];
-    const templateKeywords = template.keywords || [];
-    const postKeywords = extractedData.keywords || [];
-    
-    for (const templateKeyword of templateKeywords) {
-      const keywordLower = templateKeyword.toLowerCase();
-      
-      // Check for exact or partial matches
-      const matchingPostKeyword = postKeywords.find(postKeyword => {
-        const postKeywordLower = postKeyword.toLowerCase();
-        return postKeywordLower === keywordLower || 
-               postKeywordLower.includes(keywordLower) || 
-               keywordLower.includes(postKeywordLower);
-      });
-      
-      if (matchingPostKeyword) {
-        matched.push(templateKeyword);
-      }
-    }
-    
-    return matched;
-  }
-
   /**
    * Apply enhanced anti-spam rotation logic to template matches
    * @param {Array} scoredTemplates - Array of scored template matches
@@ -469,8 +283,20 @@ class TemplateEngine {
 
       let filteredTemplates = scoredTemplates;
 
-      if (this.usageTracker) {
-        // Get recently used templates for this group (24-hour cooldown)
+      if (this.usageTracker && this.rotationPolicy) {
+        // Apply configured cooldown, weekly cap and group gap policies
+        this.rotationPolicy.usageTracker = this.usageTracker;
+        await this.rotationPolicy.loadPolicies();
+        const evaluations = await this.rotationPolicy.evaluateTemplates(
+          scoredTemplates.map(item => item.template),
+          groupId
+        );
+
+        filteredTemplates = scoredTemplates.filter(item => evaluations.get(item.template.id).allowed);
+
+        console.log(`TemplateEngine: Filtered out ${scoredTemplates.length - filteredTemplates.length} templates by rotation policy`);
+      } else if (this.usageTracker) {
+        // Get recently used templates for this group (default 24-hour cooldown)
         const recentlyUsedTemplateIds = await this.usageTracker.getRecentlyUsedTemplates(groupId, 24);
         
         // Filter out recently used templates
@@ -482,7 +308,10 @@ class TemplateEngine {
       } else {
         // Fallback to old rotation system if usage tracker not available
         const groupHistory = await this.storageManager.getGroupHistory(groupId);
-        filteredTemplates = this.applyRotationFilter(scoredTemplates, groupHistory);
+        if (this.rotationPolicy) {
+          await this.rotationPolicy.loadPolicies();
+        }
+        filteredTemplates = this.applyRotationFilter(scoredTemplates, groupHistory, groupId);
       }
       
       console.log(`TemplateEngine: Applied enhanced rotation filter, ${filteredTemplates.length} templates remain`);
@@ -499,9 +328,10 @@ class TemplateEngine {
    * Filter templates based on rotation rules
    * @param {Array} scoredTemplates - Scored template matches
    * @param {Object|null} groupHistory - Group usage history
+   * @param {string} groupId - Facebook group ID (used to resolve the rotation policy)
    * @returns {Array} Filtered templates
    */
-  applyRotationFilter(scoredTemplates, groupHistory) {
+  applyRotationFilter(scoredTemplates, groupHistory, groupId = null) {
     if (!groupHistory || !groupHistory.lastTemplateId) {
       // No history, return all templates
       return scoredTemplates;
@@ -515,14 +345,6 @@ class TemplateEngine {
     const timeSinceLastUse = now - lastUsedAt;
     const hoursSinceLastUse = timeSinceLastUse / (1000 * 60 * 60);
     
-    // Rotation rules based on time elapsed
-    const rotationRules = {
-      immediate: 0,      // 0 hours - exclude last used template
-      short: 2,          // 2 hours - allow if different vertical
-      medium: 6,         // 6 hours - allow if score significantly higher
-      long: 24           // 24 hours - allow all templates
-    };
-    
     return scoredTemplates.filter(item => {
       const template = item.template;
       
@@ -531,6 +353,17 @@ class TemplateEngine {
         return true;
       }
       
+      // Rotation tiers scale with the configured cooldown (24h cooldown gives 2h / 6h / 24h)
+      const cooldownHours = this.rotationPolicy
+        ? this.rotationPolicy.resolvePolicy(groupId, template.category).cooldownHours
+        : 24;
+      const rotationRules = {
+        immediate: 0,                   // exclude last used template
+        short: cooldownHours / 12,      // allow if different vertical
+        medium: cooldownHours / 4,      // allow if score significantly higher
+        long: cooldownHours             // allow all templates
+      };
+      
       // Same template - apply time-based rules
       if (hoursSinceLastUse >= rotationRules.long) {
         // Long time passed, allow reuse
@@ -563,9 +396,10 @@ class TemplateEngine {
    * @param {Array} rotatedTemplates - Templates after rotation filtering
    * @param {string} groupId - Facebook group ID
    * @param {number} maxSuggestions - Maximum number of suggestions
+   * @param {Object} postContext - { authorName, groupName, content } read from the post
    * @returns {Promise<Array>} Array of suggestion objects
    */
-  async generateSuggestions(rotatedTemplates, groupId, maxSuggestions = null) {
+  async generateSuggestions(rotatedTemplates, groupId, maxSuggestions = null, postContext = null) {
     try {
       const maxCount = maxSuggestions || this.config.suggestions.maxSuggestions;
       
@@ -587,19 +421,34 @@ class TemplateEngine {
       // Select top suggestions
       const topTemplates = diverseTemplates.slice(0, maxCount);
       
-      // Generate suggestion objects with individual templates (no variants)
+      // Recent group usage drives which variant of each template is served
+      const recentUsage = this.usageTracker ? await this.usageTracker.getGroupUsage(groupId, 24) : [];
+      
+      // Expressions are rendered before spinning so {author_first_name|there} isn't mistaken for spintax
+      const { variables, fallbacks } = await this.getPlaceholderVariables(groupId, postContext);
+      const render = this.templateExpressions
+        ? (body) => this.templateExpressions.render(body, variables, { fallbacks })
+        : null;
+      
+      // Generate suggestion objects, rotating variants and resolving spintax per group
       const suggestions = await Promise.all(
         topTemplates.map(async (item, index) => {
+          const { variantIndex, text } = this.templateVariants
+            ? this.templateVariants.pickVariant(item.template, recentUsage, Math.random, render)
+            : { variantIndex: 0, text: item.template.template };
+          
           const processedText = await this.replacePlaceholders(
-            item.template.template, 
+            text, 
             groupId, 
-            item.template.category
+            item.template.category,
+            postContext
           );
           
           return {
             id: `suggestion_${item.template.id}_${Date.now()}_${index}`,
             templateId: item.template.id,
             template: item.template,
+            variantIndex,
             text: processedText,
             originalText: item.template.template,
             score: item.score,
@@ -607,10 +456,12 @@ class TemplateEngine {
             categoryScore: item.categoryScore,
             matchedKeywords: item.matchedKeywords,
             isPreferredCategory: item.isPreferredCategory,
+            missingPlaceholders: this.businessProfileManager
+              ? this.businessProfileManager.findMissingPlaceholders(text, this.businessProfile)
+              : [],
             rank: index + 1,
             confidence: this.calculateConfidence(item.score, index, topTemplates.length),
             metadata: {
-              extractedData: item.extractedData,
               processingTime: Date.now(),
               fallbackUsed: item.fallbackUsed || false
             }
@@ -674,15 +525,8 @@ class TemplateEngine {
         console.log(`TemplateEngine: Using ${preferredCategoryTemplates.length} preferred + ${fallbackTemplates.length} fallback templates`);
       }
 
-      // Step 4: Sort by combined score (category + relevance)
-      finalTemplates.sort((a, b) => {
-        // Preferred category templates first
-        if (a.isPreferredCategory && !b.isPreferredCategory) return -1;
-        if (!a.isPreferredCategory && b.isPreferredCategory) return 1;
-        
-        // Then by score
-        return b.score - a.score;
-      });
+      // Step 4: Sort by combined score (preferred category first, deterministic ties)
+      finalTemplates.sort((a, b) => this.templateMatcher.compareMatches(a, b));
 
       return finalTemplates;
 
@@ -801,120 +645,28 @@ class TemplateEngine {
     }
   }
 
-  /**
-   * Calculate category priority score for a template
-   * @param {Object} template - Template object
-   * @param {string|null} userCategory - User's preferred category
-   * @returns {number} Category priority score (0-1)
-   */
-  calculateCategoryPriorityScore(template, userCategory) {
-    if (!userCategory || !template.category) {
-      return 0; // No category preference or template has no category
-    }
-    
-    // Exact category match gets full priority
-    if (template.category === userCategory) {
-      return 1.0;
-    }
-    
-    // Related categories get partial priority
-    const relatedScore = this.calculateCategoryRelationScore(template.category, userCategory);
-    return relatedScore * 0.3; // 30% of full priority for related categories
-  }
-
-  /**
-   * Calculate relationship score between two categories
-   * @param {string} templateCategory - Template's category
-   * @param {string} userCategory - User's preferred category
-   * @returns {number} Relationship score (0-1)
-   */
-  calculateCategoryRelationScore(templateCategory, userCategory) {
-    // Define category relationships (categories that are somewhat related)
-    const categoryRelations = {
-      'automotive': ['transportation', 'construction'],
-      'fitness': ['healthcare', 'beauty'],
-      'food': ['retail', 'events'],
-      'home-services': ['construction', 'real-estate'],
-      'beauty': ['fitness', 'healthcare'],
-      'real-estate': ['home-services', 'construction', 'financial'],
-      'technology': ['professional', 'education'],
-      'education': ['technology', 'professional'],
-      'financial': ['real-estate', 'professional', 'legal'],
-      'legal': ['financial', 'professional'],
-      'pet-services': ['healthcare', 'home-services'],
-      'events': ['food', 'entertainment', 'photography'],
-      'photography': ['events', 'entertainment'],
-      'crafts': ['retail', 'events'],
-      'construction': ['home-services', 'real-estate', 'automotive'],
-      'transportation': ['automotive', 'construction'],
-      'entertainment': ['events', 'photography'],
-      'retail': ['crafts', 'food'],
-      'professional': ['technology', 'education', 'financial', 'legal'],
-      'healthcare': ['fitness', 'beauty', 'pet-services']
-    };
-    
-    const relations = categoryRelations[userCategory] || [];
-    return relations.includes(templateCategory) ? 1.0 : 0.0;
-  }
-
-  /**
-   * Combine base score with category priority score
-   * @param {number} baseScore - Base template relevance score
-   * @param {number} categoryScore - Category priority score
-   * @returns {number} Combined final score
-   */
-  combineScores(baseScore, categoryScore) {
-    // If no category preference, return base score
-    if (categoryScore === 0) {
-      return baseScore;
-    }
-    
-    // Combine scores with weighted approach
-    // Category preference adds a significant boost but doesn't override relevance completely
-    const categoryWeight = 0.4; // 40% weight for category preference
-    const baseWeight = 0.6; // 60% weight for keyword relevance
-    
-    return (baseScore * baseWeight) + (categoryScore * categoryWeight);
-  }
-
   /**
    * Replace placeholders in template text with dynamic content
    * @param {string} templateText - Template text with placeholders
    * @param {string} groupId - Facebook group ID
    * @param {string} categoryId - Category ID for affiliate link lookup
+   * @param {Object} postContext - { authorName, groupName, content } read from the post
    * @returns {Promise<string>} Text with placeholders replaced
    */
-  async replacePlaceholders(templateText, groupId, categoryId = null) {
+  async replacePlaceholders(templateText, groupId, categoryId = null, postContext = null) {
     if (!templateText) return '';
     
     let processedText = templateText;
     
-    // Define placeholder replacements (async ones need to be awaited)
-    const asyncPlaceholders = {
-      '{url}': await this.getUrlPlaceholder()
-    };
-    
-    const syncPlaceholders = {
-      '{site}': this.getSitePlaceholder(),
-      '{website}': this.getWebsitePlaceholder(),
-      '{link}': this.getLinkPlaceholder(),
-      '{contact}': this.getContactPlaceholder(),
-      '{phone}': this.getPhonePlaceholder(),
-      '{email}': this.getEmailPlaceholder(),
-      '{location}': this.getLocationPlaceholder(),
-      '{group}': this.getGroupPlaceholder(groupId),
-      '{time}': this.getTimePlaceholder(),
-      '{date}': this.getDatePlaceholder()
-    };
-    
-    // Combine all placeholders
-    const allPlaceholders = { ...asyncPlaceholders, ...syncPlaceholders };
+    // Built-in, business and custom placeholders with filters and conditionals
+    const { variables, fallbacks } = await this.getPlaceholderVariables(groupId, postContext);
     
-    // Replace each placeholder
-    for (const [placeholder, replacement] of Object.entries(allPlaceholders)) {
-      if (processedText.includes(placeholder)) {
-        const regex = new RegExp(placeholder.replace(/[{}]/g, '\\$&'), 'g');
-        processedText = processedText.replace(regex, replacement);
+    if (this.templateExpressions) {
+      processedText = this.templateExpressions.render(processedText, variables, { fallbacks });
+    } else {
+      for (const [name, value] of Object.entries(variables)) {
+        const replacement = value instanceof Date ? this.getDatePlaceholder() : (value || fallbacks[name] || '');
+        processedText = processedText.split(`{${name}}`).join(replacement);
       }
     }
     
@@ -968,6 +720,55 @@ class TemplateEngine {
     return processedText;
   }
 
+  /**
+   * Collect placeholder values for TemplateExpressions.render
+   * @param {string} groupId - Facebook group ID
+   * @param {Object} postContext - { authorName, groupName, content } read from the post
+   * @returns {Promise<Object>} { variables, fallbacks } keyed by placeholder name without braces
+   */
+  async getPlaceholderVariables(groupId, postContext = null) {
+    // Business details for {phone}, {email}, {location}, {contact}, {hours} and {business}, plus custom placeholders
+    try {
+      const settings = await this.storageManager.getSettings();
+      this.businessProfile = settings.businessProfile || null;
+      this.customPlaceholders = settings.customPlaceholders || {};
+    } catch (error) {
+      console.error('TemplateEngine: Error loading business profile:', error);
+      this.businessProfile = null;
+      this.customPlaceholders = {};
+    }
+    
+    const variables = {
+      url: await this.getUrlPlaceholder(),
+      site: this.getSitePlaceholder(),
+      website: this.getWebsitePlaceholder(),
+      link: this.getLinkPlaceholder(),
+      contact: this.getContactPlaceholder(),
+      phone: this.getPhonePlaceholder(),
+      email: this.getEmailPlaceholder(),
+      location: this.getLocationPlaceholder(),
+      hours: this.getHoursPlaceholder(),
+      business: this.getBusinessPlaceholder(),
+      group: this.getGroupPlaceholder(groupId),
+      time: this.getTimePlaceholder(),
+      date: new Date(), // Renders as the weekday name unless formatted, e.g. {date|format:"MMM d"}
+      ...this.customPlaceholders
+    };
+    
+    // Conditionals see business and post placeholders as empty when there is no real value
+    let fallbacks = {};
+    if (this.templateExpressions) {
+      Object.assign(fallbacks, this.templateExpressions.getPostFallbacks());
+      Object.assign(variables, this.templateExpressions.getPostVariables(postContext));
+    }
+    if (this.businessProfileManager) {
+      Object.assign(fallbacks, this.businessProfileManager.getPlaceholderFallbacks());
+      Object.assign(variables, this.businessProfileManager.getPlaceholderVariables(this.businessProfile));
+    }
+    
+    return { variables, fallbacks };
+  }
+
   /**
    * Get site placeholder replacement
    * @returns {string} Site replacement text
@@ -1016,10 +817,10 @@ class TemplateEngine {
 
   /**
    * Get contact placeholder replacement
-   * @returns {string} Contact replacement text
+   * @returns {string} Contact replacement text (phone and/or email from the business profile)
    */
   getContactPlaceholder() {
-    return 'DM us';
+    return this.getBusinessPlaceholderValue('{contact}', 'DM us');
   }
 
   /**
@@ -1027,7 +828,7 @@ class TemplateEngine {
    * @returns {string} Phone replacement text
    */
   getPhonePlaceholder() {
-    return 'call us';
+    return this.getBusinessPlaceholderValue('{phone}', 'call us');
   }
 
   /**
@@ -1035,15 +836,44 @@ class TemplateEngine {
    * @returns {string} Email replacement text
    */
   getEmailPlaceholder() {
-    return 'email us';
+    return this.getBusinessPlaceholderValue('{email}', 'email us');
   }
 
   /**
    * Get location placeholder replacement
-   * @returns {string} Location replacement text
+   * @returns {string} Location replacement text (service area from the business profile)
    */
   getLocationPlaceholder() {
-    return 'our location';
+    return this.getBusinessPlaceholderValue('{location}', 'our location');
+  }
+
+  /**
+   * Get opening hours placeholder replacement
+   * @returns {string} Hours replacement text
+   */
+  getHoursPlaceholder() {
+    return this.getBusinessPlaceholderValue('{hours}', 'our opening hours');
+  }
+
+  /**
+   * Get business name placeholder replacement
+   * @returns {string} Business name replacement text
+   */
+  getBusinessPlaceholder() {
+    return this.getBusinessPlaceholderValue('{business}', 'our business');
+  }
+
+  /**
+   * Look up a business placeholder in the loaded business profile
+   * @param {string} placeholder - Placeholder such as '{phone}'
+   * @param {string} fallback - Text used when no profile manager is available
+   * @returns {string} Replacement text
+   */
+  getBusinessPlaceholderValue(placeholder, fallback) {
+    if (!this.businessProfileManager) {
+      return fallback;
+    }
+    return this.businessProfileManager.getPlaceholderValues(this.businessProfile)[placeholder] || fallback;
   }
 
   /**
@@ -1110,6 +940,26 @@ class TemplateEngine {
     try {
       console.log('TemplateEngine: Getting suggestions for post content');
       
+      // Step 0: Never promote on tragedy, medical or political posts
+      if (this.safetyFilter) {
+        await this.safetyFilter.loadSettings();
+        const safety = this.safetyFilter.check(postContent);
+        if (safety.blocked) {
+          console.log(`TemplateEngine: Suggestions blocked by safety filter (${safety.category}: ${safety.matchedTerms.join(', ')})`);
+          return [];
+        }
+      }
+      
+      // Skip posts whose intent the user opted out of (grief, complaints, ...)
+      if (this.intentClassifier) {
+        await this.intentClassifier.loadSettings();
+        const classification = await this.intentClassifier.classify(postContent);
+        if (this.intentClassifier.shouldSuppress(classification)) {
+          console.log(`TemplateEngine: Suggestions suppressed for ${classification.intent} post (confidence ${classification.confidence})`);
+          return [];
+        }
+      }
+      
       // Step 1: Match templates based on keywords with category prioritization
       const matchedTemplates = await this.matchTemplates(postContent, groupId, options.userCategory);
       
@@ -1130,7 +980,8 @@ class TemplateEngine {
       const suggestions = await this.generateSuggestions(
         rotatedTemplates, 
         groupId, 
-        options.maxSuggestions
+        options.maxSuggestions,
+        { content: postContent, ...(options.postContext || {}) }
       );
       
       console.log(`TemplateEngine: Generated ${suggestions.length} final suggestions`);
@@ -1182,6 +1033,8 @@ class TemplateEngine {
           postContent,
           {
             suggestionId: suggestion.id,
+            variantIndex: suggestion.variantIndex || 0,
+            commentText: (suggestion.text || '').substring(0, 1000),
             score: suggestion.score,
             rank: suggestion.rank,
             confidence: suggestion.confidence,
@@ -1195,7 +1048,7 @@ class TemplateEngine {
       await this.updateGroupHistory(
         groupId, 
         suggestion.templateId, 
-        0 // No variant index for individual templates
+        suggestion.variantIndex || 0
       );
       
       console.log(`TemplateEngine: Recorded usage of template ${suggestion.templateId} in group ${groupId}`);
@@ -1222,6 +1075,10 @@ class TemplateEngine {
         ...(newConfig.suggestions || {})
       }
     };
+    
+    if (this.templateMatcher) {
+      this.templateMatcher.updateConfig(this.config.scoring);
+    }
   }
 
   /**
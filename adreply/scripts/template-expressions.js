@@ -0,0 +1,404 @@
+/**
+ * Template Expressions for AdReply Extension
+ * Renders variables with filters ({date|format:"MMM d"}, {author_first_name|there}), conditionals
+ * ({#if group}...{else}...{/if}) and the user's own custom placeholders ({promo_code})
+ */
+
+class TemplateExpressions {
+  constructor() {
+    // Placeholders AdReply fills itself - custom placeholders may not reuse these names
+    this.builtInNames = [
+      'url', 'site', 'website', 'link', 'contact', 'phone', 'email', 'location',
+      'hours', 'business', 'group', 'time', 'date', 'author_first_name', 'first_name', 'group_name', 'post_topic'
+    ];
+
+    // Shorter names for built-in placeholders
+    this.aliases = {
+      first_name: 'author_first_name'
+    };
+
+    // Text used when the author, group name or post text couldn't be read from the page
+    this.postFallbacks = {
+      author_first_name: 'there',
+      group_name: 'this group',
+      post_topic: 'your post'
+    };
+
+    // Names Facebook shows in place of a real author
+    this.genericAuthorNames = ['anonymous', 'anonymous member', 'group member', 'facebook', 'admin', 'moderator', 'participant'];
+
+    this.maxTopicWords = 8;
+
+    this.limits = {
+      maxCustomPlaceholders: 50,
+      maxNameLength: 30,
+      maxValueLength: 300
+    };
+
+    this.namePattern = /^[a-z][a-z0-9_]*$/;
+
+    // {name} or {name|filter|filter}; never part of {{link}}-style double braces.
+    // Only placeholder names are rendered, so lowercase spintax such as {hi|hello} is left for TemplateVariants.spin
+    this.variablePattern = /(?<!\{)\{([a-z][a-z0-9_]*)((?:\|[^{}|]*)*)\}(?!\})/g;
+
+    // Innermost conditional: {#if name}...{/if} or {#if !name}...{/if} with no {#if inside
+    this.conditionalPattern = /\{#if\s+(!?)([a-z][a-z0-9_]*)\s*\}((?:(?!\{#if[\s}])[\s\S])*?)\{\/if\}/;
+
+    this.transformFilters = {
+      upper: value => value.toUpperCase(),
+      lower: value => value.toLowerCase(),
+      capitalize: value => value.charAt(0).toUpperCase() + value.slice(1),
+      trim: value => value.trim()
+    };
+
+    // Date objects render as the weekday name unless a format filter is given (the old {date} output)
+    this.defaultDateFormat = 'dddd';
+
+    this.monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+    this.dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    this.customPlaceholders = null;
+  }
+
+  /**
+   * Load the user's custom placeholders from settings
+   * @returns {Promise<Object>} Map of placeholder name -> value
+   */
+  async loadCustomPlaceholders() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      this.customPlaceholders = { ...(result.settings?.customPlaceholders || {}) };
+    } catch (error) {
+      console.error('TemplateExpressions: Error loading custom placeholders:', error);
+      this.customPlaceholders = {};
+    }
+
+    return this.customPlaceholders;
+  }
+
+  /**
+   * Save the user's custom placeholders
+   * @param {string|Object} input - "name = value" lines from the settings textarea, or a name -> value map
+   * @returns {Promise<Object>} Result with success status
+   */
+  async saveCustomPlaceholders(input) {
+    try {
+      const placeholders = typeof input === 'string' ? this.parseCustomPlaceholders(input) : { ...(input || {}) };
+
+      const validation = this.validateCustomPlaceholders(placeholders);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors[0] };
+      }
+
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+
+      settings.customPlaceholders = placeholders;
+      await chrome.storage.local.set({ settings: settings });
+      this.customPlaceholders = placeholders;
+
+      return { success: true, placeholders };
+    } catch (error) {
+      console.error('TemplateExpressions: Error saving custom placeholders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Parse "name = value" lines (a leading { and trailing } around the name are allowed)
+   * @param {string} text - Textarea value
+   * @returns {Object} Map of placeholder name -> value
+   */
+  parseCustomPlaceholders(text) {
+    const placeholders = {};
+
+    String(text || '').split('\n').forEach(line => {
+      const separator = line.indexOf('=');
+      if (separator === -1) {
+        if (line.trim()) {
+          placeholders[line.trim().replace(/^\{|\}$/g, '').toLowerCase()] = '';
+        }
+        return;
+      }
+
+      const name = line.slice(0, separator).trim().replace(/^\{|\}$/g, '').toLowerCase();
+      if (name) {
+        placeholders[name] = line.slice(separator + 1).trim();
+      }
+    });
+
+    return placeholders;
+  }
+
+  /**
+   * Format custom placeholders for the settings textarea
+   * @param {Object} placeholders - Map of placeholder name -> value
+   * @returns {string}
+   */
+  formatCustomPlaceholders(placeholders) {
+    return Object.entries(placeholders || {}).map(([name, value]) => `${name} = ${value}`).join('\n');
+  }
+
+  /**
+   * Validate custom placeholders
+   * @param {Object} placeholders - Map of placeholder name -> value
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateCustomPlaceholders(placeholders) {
+    const errors = [];
+
+    if (!placeholders || typeof placeholders !== 'object' || Array.isArray(placeholders)) {
+      return { isValid: false, errors: ['Custom placeholders must be an object'] };
+    }
+
+    const entries = Object.entries(placeholders);
+    if (entries.length > this.limits.maxCustomPlaceholders) {
+      errors.push(`You can define at most ${this.limits.maxCustomPlaceholders} custom placeholders`);
+    }
+
+    entries.forEach(([name, value]) => {
+      if (!this.namePattern.test(name) || name.length > this.limits.maxNameLength) {
+        errors.push(`"${name}" is not a valid placeholder name (lowercase letters, digits and _, starting with a letter, up to ${this.limits.maxNameLength} characters)`);
+      } else if (this.builtInNames.includes(name)) {
+        errors.push(`{${name}} is a built-in placeholder and cannot be redefined`);
+      } else if (typeof value !== 'string') {
+        errors.push(`Value for {${name}} must be text`);
+      } else if (!value) {
+        errors.push(`{${name}} needs a value`);
+      } else if (value.length > this.limits.maxValueLength) {
+        errors.push(`Value for {${name}} must be ${this.limits.maxValueLength} characters or less`);
+      } else if (/[{}]/.test(value)) {
+        errors.push(`Value for {${name}} cannot contain { or }`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Get the post placeholders from what the content script read off the page
+   * @param {Object} post - { authorName, groupName, content } (any of them may be missing)
+   * @returns {Object} { author_first_name, group_name, post_topic } ('' when extraction failed)
+   */
+  getPostVariables(post) {
+    return {
+      author_first_name: this.getFirstName(post?.authorName),
+      group_name: typeof post?.groupName === 'string' ? post.groupName.replace(/\s+/g, ' ').trim() : '',
+      post_topic: this.getPostTopic(post?.content)
+    };
+  }
+
+  /**
+   * Get the fallback text for each post placeholder
+   * @returns {Object} Map of placeholder name -> fallback text
+   */
+  getPostFallbacks() {
+    return { ...this.postFallbacks };
+  }
+
+  /**
+   * First name from a display name ("Sarah Jane Smith" -> "Sarah"); '' for generic or unusable names
+   * @param {string} name - Author display name
+   * @returns {string}
+   */
+  getFirstName(name) {
+    if (typeof name !== 'string') return '';
+
+    const cleaned = name.replace(/\s+/g, ' ').trim();
+    if (!cleaned || cleaned.length > 80 || this.genericAuthorNames.includes(cleaned.toLowerCase())) {
+      return '';
+    }
+
+    const firstName = cleaned.split(' ')[0].replace(/^[^\p{L}]+|[^\p{L}'-]+$/gu, '');
+    return firstName.length >= 2 && /^\p{L}/u.test(firstName) ? firstName : '';
+  }
+
+  /**
+   * Short quoted snippet from the start of the post, e.g. "looking for a plumber in Leeds…"
+   * @param {string} content - Post text
+   * @returns {string}
+   */
+  getPostTopic(content) {
+    if (typeof content !== 'string') return '';
+
+    const text = content
+      .replace(/https?:\/\/\S+/g, '')
+      .replace(/[{}"“”]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!text) return '';
+
+    const sentence = text.split(/(?<=[.!?])\s/)[0].replace(/[.!?,;:]+$/, '');
+    const words = sentence.split(' ');
+    const snippet = words.slice(0, this.maxTopicWords).join(' ');
+
+    return snippet ? `"${snippet}${words.length > this.maxTopicWords ? '…' : ''}"` : '';
+  }
+
+  /**
+   * Render variables, filters and conditionals in template text
+   * {name|...} is resolved whenever name is a built-in or custom placeholder, even with no value, so {first_name|there}
+   * never reaches TemplateVariants.spin; anything else, such as {hi|hello}, and a bare {name} with no value are left untouched
+   * @param {string} text - Template text
+   * @param {Object} variables - Map of variable name -> value (string, number or Date)
+   * @param {Object} options - { fallbacks } text used when a variable is empty and has no default filter
+   * @returns {string} Rendered text
+   */
+  render(text, variables = {}, options = {}) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    const fallbacks = options.fallbacks || {};
+    let result = text;
+
+    // Conditionals first, innermost outwards
+    let match = result.match(this.conditionalPattern);
+    while (match) {
+      const [whole, negate, name, body] = match;
+      const elseIndex = body.indexOf('{else}');
+      const thenPart = elseIndex === -1 ? body : body.slice(0, elseIndex);
+      const elsePart = elseIndex === -1 ? '' : body.slice(elseIndex + '{else}'.length);
+      const condition = this.isTruthy(variables[this.aliases[name] || name]) !== (negate === '!');
+
+      result = result.slice(0, match.index) + (condition ? thenPart : elsePart) + result.slice(match.index + whole.length);
+      match = result.match(this.conditionalPattern);
+    }
+
+    return result.replace(this.variablePattern, (whole, name, filterChain) => {
+      const key = this.aliases[name] || name;
+      const hasValue = Object.prototype.hasOwnProperty.call(variables, key);
+      if (!hasValue && (!filterChain || !this.builtInNames.includes(name))) {
+        return whole;
+      }
+      return this.applyFilters(hasValue ? variables[key] : '', filterChain, fallbacks[key]);
+    });
+  }
+
+  /**
+   * Apply a "|filter|filter" chain to a value
+   * @param {*} value - Variable value
+   * @param {string} filterChain - Raw chain starting with "|" (or empty)
+   * @param {string} fallback - Text used when the value is empty and there is no default filter
+   * @returns {string}
+   */
+  applyFilters(value, filterChain, fallback) {
+    const filters = filterChain ? filterChain.slice(1).split('|').map(filter => filter.trim()) : [];
+    let format = null;
+    let defaultValue = null;
+    const transforms = [];
+
+    filters.forEach(filter => {
+      const formatMatch = filter.match(/^format\s*:\s*(.+)$/);
+      if (formatMatch) {
+        format = this.unquote(formatMatch[1].trim());
+      } else if (this.transformFilters[filter]) {
+        transforms.push(this.transformFilters[filter]);
+      } else {
+        defaultValue = this.unquote(filter);
+      }
+    });
+
+    let output;
+    if (value instanceof Date) {
+      output = this.formatDate(value, format || this.defaultDateFormat);
+    } else {
+      output = value === null || value === undefined ? '' : String(value);
+      if (format && output) {
+        const parsed = new Date(output);
+        if (!isNaN(parsed)) {
+          output = this.formatDate(parsed, format);
+        }
+      }
+    }
+
+    if (!output.trim()) {
+      output = defaultValue !== null ? defaultValue : (fallback || '');
+    }
+
+    return transforms.reduce((current, transform) => transform(current), output);
+  }
+
+  /**
+   * Format a date with tokens: yyyy yy MMMM MMM MM M dddd ddd dd d HH H hh h mm a
+   * @param {Date} date - Date to format
+   * @param {string} pattern - Format pattern, e.g. "MMM d"
+   * @returns {string}
+   */
+  formatDate(date, pattern) {
+    const pad = number => String(number).padStart(2, '0');
+    const hours12 = date.getHours() % 12 || 12;
+
+    const tokens = {
+      yyyy: () => String(date.getFullYear()),
+      yy: () => String(date.getFullYear()).slice(-2),
+      MMMM: () => this.monthNames[date.getMonth()],
+      MMM: () => this.monthNames[date.getMonth()].slice(0, 3),
+      MM: () => pad(date.getMonth() + 1),
+      M: () => String(date.getMonth() + 1),
+      dddd: () => this.dayNames[date.getDay()],
+      ddd: () => this.dayNames[date.getDay()].slice(0, 3),
+      dd: () => pad(date.getDate()),
+      d: () => String(date.getDate()),
+      HH: () => pad(date.getHours()),
+      H: () => String(date.getHours()),
+      hh: () => pad(hours12),
+      h: () => String(hours12),
+      mm: () => pad(date.getMinutes()),
+      a: () => (date.getHours() < 12 ? 'am' : 'pm')
+    };
+
+    return pattern.replace(/yyyy|yy|MMMM|MMM|MM|M|dddd|ddd|dd|d|HH|H|hh|h|mm|a/g, token => tokens[token]());
+  }
+
+  /**
+   * Check template text for expression syntax errors
+   * @param {string} text - Template text
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validate(text) {
+    const errors = [];
+
+    if (typeof text !== 'string') {
+      return { isValid: false, errors: ['Template text must be a string'] };
+    }
+
+    const opens = (text.match(/\{#if\s+!?[a-z][a-z0-9_]*\s*\}/g) || []).length;
+    const closes = (text.match(/\{\/if\}/g) || []).length;
+
+    if (/\{#if(?!\s+!?[a-z][a-z0-9_]*\s*\})[^}]*\}/.test(text)) {
+      errors.push('{#if} needs a placeholder name, e.g. {#if group}');
+    } else if (opens > closes) {
+      errors.push('{#if ...} is missing its closing {/if}');
+    } else if (closes > opens) {
+      errors.push('{/if} has no matching {#if ...}');
+    } else if (opens === 0 && text.includes('{else}')) {
+      errors.push('{else} can only be used inside {#if ...}');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  isTruthy(value) {
+    if (value instanceof Date) return true;
+    return value !== null && value !== undefined && String(value).trim() !== '';
+  }
+
+  unquote(value) {
+    const quoted = value.match(/^"(.*)"$/) || value.match(/^'(.*)'$/);
+    return quoted ? quoted[1] : value;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TemplateExpressions;
+} else {
+  window.TemplateExpressions = TemplateExpressions;
+}
@@ -0,0 +1,389 @@
+/**
+ * Template Matcher for AdReply Extension
+ * Single scoring implementation (keywords blended with local TF-IDF similarity) shared by the side panel
+ * (PostAnalyzer) and TemplateEngine
+ */
+
+class TemplateMatcher {
+  constructor(scoringConfig = {}) {
+    // Defaults mirror TemplateEngine.config.scoring
+    this.defaultConfig = {
+      keywordMatchWeight: 1.0,
+      verticalMatchWeight: 0.8,
+      exactMatchBonus: 0.5,
+      partialMatchWeight: 0.3,
+      lengthPenaltyThreshold: 50, // Words
+      lengthPenaltyFactor: 0.1,   // Score lost per extra threshold-length of words (max 50%)
+      minScore: 0.1,
+      categoryWeight: 0.4,        // Share of the final score given to category preference
+      expectedMatches: 3,         // Keyword hits needed for a full relevance score
+      semanticWeight: 0.35,       // Share of the relevance score given to TF-IDF similarity (0 = keywords only)
+      semanticFullSimilarity: 0.5, // Cosine similarity treated as fully relevant
+      semanticMinSimilarity: 0.15, // Similarity needed to suggest a template without keyword hits
+      semanticMinSharedTerms: 2   // Distinct shared terms needed to suggest a template without keyword hits
+    };
+
+    this.config = { ...this.defaultConfig, ...scoringConfig };
+
+    // Keyword syntax (phrases, AND/OR, NEAR/n, regex) is parsed and evaluated here
+    const ExpressionClass = typeof KeywordExpression !== 'undefined' ? KeywordExpression : require('./keyword-expression');
+    this.keywordExpression = new ExpressionClass();
+
+    // Post language decides stemming and which templates fit the conversation
+    const DetectorClass = typeof LanguageDetector !== 'undefined' ? LanguageDetector : require('./language-detector');
+    this.languageDetector = new DetectorClass();
+
+    // Local TF-IDF model that finds related templates when no keyword is shared exactly
+    const RankerClass = typeof SemanticRanker !== 'undefined' ? SemanticRanker : require('./semantic-ranker');
+    this.semanticRanker = new RankerClass();
+
+    // Per-template defaults for template.matching
+    this.defaultMatching = {
+      stemming: true,     // plumbing / plumber / plumbers count as partial hits (English and undetected posts only)
+      typoTolerance: 1    // Max typos per word (0-2); words under 5 letters always need exact spelling
+    };
+
+    this.verticalIndicators = {
+      'automotive': ['car', 'auto', 'vehicle', 'engine', 'repair', 'garage', 'mechanic', 'driving'],
+      'motorcycles': ['bike', 'motorcycle', 'motorbike', 'rider', 'helmet', 'exhaust'],
+      'fitness': ['gym', 'workout', 'exercise', 'training', 'fitness', 'muscle', 'weight'],
+      'food': ['food', 'restaurant', 'cooking', 'recipe', 'meal', 'kitchen', 'chef'],
+      'technology': ['tech', 'software', 'computer', 'app', 'digital', 'online', 'website'],
+      'fashion': ['fashion', 'style', 'clothing', 'outfit', 'brand', 'designer'],
+      'home': ['home', 'house', 'interior', 'furniture', 'decoration', 'garden'],
+      'business': ['business', 'entrepreneur', 'startup', 'marketing', 'sales', 'company']
+    };
+
+    this.categoryRelations = {
+      'automotive': ['transportation', 'construction'],
+      'fitness': ['healthcare', 'beauty'],
+      'food': ['retail', 'events'],
+      'home-services': ['construction', 'real-estate'],
+      'beauty': ['fitness', 'healthcare'],
+      'real-estate': ['home-services', 'construction', 'financial'],
+      'technology': ['professional', 'education'],
+      'education': ['technology', 'professional'],
+      'financial': ['real-estate', 'professional', 'legal'],
+      'legal': ['financial', 'professional'],
+      'pet-services': ['healthcare', 'home-services'],
+      'events': ['food', 'entertainment', 'photography'],
+      'photography': ['events', 'entertainment'],
+      'crafts': ['retail', 'events'],
+      'construction': ['home-services', 'real-estate', 'automotive'],
+      'transportation': ['automotive', 'construction'],
+      'entertainment': ['events', 'photography'],
+      'retail': ['crafts', 'food'],
+      'professional': ['technology', 'education', 'financial', 'legal'],
+      'healthcare': ['fitness', 'beauty', 'pet-services']
+    };
+  }
+
+  /**
+   * Update scoring weights
+   * @param {Object} scoringConfig - Partial scoring configuration
+   */
+  updateConfig(scoringConfig = {}) {
+    this.config = { ...this.config, ...scoringConfig };
+  }
+
+  /**
+   * Normalize post content for matching
+   * @param {string} postContent - Raw post text
+   * @returns {Object} { original, text, words, stems, wordCount, language } with lowercased, accent-folded,
+   *   punctuation-free words and the detected language code (null when unsure)
+   */
+  preparePost(postContent) {
+    if (!postContent || typeof postContent !== 'string') {
+      return { original: '', text: '', words: [], stems: [], wordCount: 0, language: null };
+    }
+
+    // Same normalization as keyword terms, after removing URLs
+    const text = this.keywordExpression.normalizeTerm(postContent.replace(/https?:\/\/[^\s]+/g, ' '));
+    const words = text.length > 0 ? text.split(' ') : [];
+
+    return {
+      original: postContent,
+      text,
+      words,
+      stems: words.map(word => this.keywordExpression.stem(word)),
+      wordCount: words.length,
+      language: this.languageDetector.detect(postContent, words).language
+    };
+  }
+
+  /**
+   * Split template keywords into positive and negative (prefixed with '-') lists
+   * @param {string[]} keywords - Template keywords
+   * @returns {Object} { positive, negative } with { keyword, term } where term is the expression to evaluate
+   */
+  parseKeywords(keywords = []) {
+    const positive = [];
+    const negative = [];
+
+    for (const keyword of keywords) {
+      if (typeof keyword !== 'string') continue;
+
+      const trimmed = keyword.trim();
+      if (!trimmed) continue;
+
+      if (trimmed.startsWith('-')) {
+        const term = trimmed.substring(1).trim();
+        if (term) negative.push({ keyword: trimmed, term });
+      } else {
+        positive.push({ keyword: trimmed, term: trimmed });
+      }
+    }
+
+    return { positive, negative };
+  }
+
+  /**
+   * Resolve a template's stemming / typo settings
+   * @param {Object} template - Template object
+   * @param {Object} post - Result of preparePost (optional)
+   * @returns {Object} { stemming, typoTolerance }
+   */
+  getMatchingOptions(template, post = null) {
+    const options = { ...this.defaultMatching, ...(template.matching || {}) };
+
+    // The stemmer only knows English suffixes
+    if (post && post.language && post.language !== 'en') {
+      options.stemming = false;
+    }
+
+    return options;
+  }
+
+  /**
+   * Check whether a template is written for a different language than the post
+   * Templates without a locale, and posts whose language is unknown, always fit
+   * @param {Object} template - Template object
+   * @param {Object} post - Result of preparePost
+   * @returns {boolean}
+   */
+  isLanguageMismatch(template, post) {
+    const templateLanguage = this.languageDetector.getLanguageFromLocale(template.locale);
+    return !!templateLanguage && !!post.language && templateLanguage !== post.language;
+  }
+
+  /**
+   * Match a keyword expression against a prepared post
+   * Invalid expressions never match (they are reported in the template form instead)
+   * @param {string} term - Keyword expression ("tyre", "weight loss", "need" NEAR/3 "plumber", ...)
+   * @param {Object} post - Result of preparePost
+   * @param {Object} matchingOptions - { stemming, typoTolerance }
+   * @returns {string|null} 'exact', 'partial' or null
+   */
+  matchTerm(term, post, matchingOptions = this.defaultMatching) {
+    return this.keywordExpression.evaluate(term, post, matchingOptions);
+  }
+
+  /**
+   * Calculate vertical relevance score
+   * @param {string[]} templateVerticals - Template verticals
+   * @param {Object} post - Result of preparePost
+   * @returns {number} Vertical relevance score
+   */
+  calculateVerticalScore(templateVerticals, post) {
+    if (!templateVerticals || templateVerticals.length === 0) {
+      return 0;
+    }
+
+    for (const vertical of templateVerticals) {
+      const verticalLower = vertical.toLowerCase();
+      const indicators = this.verticalIndicators[verticalLower] || [verticalLower];
+
+      if (indicators.some(indicator => post.words.includes(indicator))) {
+        return this.config.verticalMatchWeight;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Calculate category priority score for a template
+   * @param {Object} template - Template object
+   * @param {string|null} preferredCategory - User's preferred category
+   * @returns {number} Category priority score (0-1)
+   */
+  calculateCategoryScore(template, preferredCategory) {
+    if (!preferredCategory || !template.category) {
+      return 0;
+    }
+
+    if (template.category === preferredCategory) {
+      return 1.0;
+    }
+
+    // Related categories get 30% of full priority
+    const relations = this.categoryRelations[preferredCategory] || [];
+    return relations.includes(template.category) ? 0.3 : 0;
+  }
+
+  /**
+   * Score one template against a prepared post
+   * @param {Object} template - Template object with keywords array
+   * @param {Object} post - Result of preparePost
+   * @param {Object} options - { preferredCategory, semantic, keywordWeights } where semantic is { similarity, sharedTerms }
+   *   from SemanticRanker and keywordWeights is categoryId -> keyword -> learned weight from KeywordLearningEngine
+   * @returns {Object} { score, baseScore, categoryScore, matchedKeywords, excludedBy, isPreferredCategory, languageMismatch,
+   *   similarity, sharedTerms, semanticOnly }
+   */
+  scoreTemplate(template, post, options = {}) {
+    const { positive, negative } = this.parseKeywords(template.keywords || []);
+    const matchingOptions = this.getMatchingOptions(template, post);
+    const categoryScore = this.calculateCategoryScore(template, options.preferredCategory);
+    const result = {
+      score: 0,
+      baseScore: 0,
+      categoryScore,
+      matchedKeywords: [],
+      excludedBy: null,
+      isPreferredCategory: !!options.preferredCategory && template.category === options.preferredCategory,
+      languageMismatch: this.isLanguageMismatch(template, post),
+      similarity: options.semantic ? options.semantic.similarity : 0,
+      sharedTerms: options.semantic ? options.semantic.sharedTerms : [],
+      semanticOnly: false
+    };
+
+    // Any negative keyword excludes the template completely (no typo tolerance, so "-cheap" never hits "cheat")
+    const negativeOptions = { ...matchingOptions, typoTolerance: 0 };
+    for (const { keyword, term } of negative) {
+      if (this.matchTerm(term, post, negativeOptions)) {
+        result.excludedBy = keyword;
+        return result;
+      }
+    }
+
+    // Learned weights are kept per category, like the stats they come from
+    const learnedWeights = options.keywordWeights ? options.keywordWeights[template.category || 'custom'] || {} : {};
+
+    let rawScore = 0;
+    for (const { keyword, term } of positive) {
+      const matchType = this.matchTerm(term, post, matchingOptions);
+
+      if (matchType === 'exact') {
+        rawScore += this.config.keywordMatchWeight + this.config.exactMatchBonus;
+        result.matchedKeywords.push(keyword);
+      } else if (matchType === 'partial') {
+        rawScore += this.config.keywordMatchWeight * this.config.partialMatchWeight;
+        result.matchedKeywords.push(keyword);
+      }
+    }
+
+    if (result.matchedKeywords.length > 0) {
+      rawScore += this.calculateVerticalScore(template.verticals, post);
+
+      // Normalize against the number of hits a well-matched post usually has
+      let baseScore = rawScore / Math.max(1, Math.min(positive.length, this.config.expectedMatches));
+
+      // Long posts are less focused
+      if (post.wordCount > this.config.lengthPenaltyThreshold) {
+        const overflow = (post.wordCount - this.config.lengthPenaltyThreshold) / this.config.lengthPenaltyThreshold;
+        baseScore *= Math.max(0.5, 1 - overflow * this.config.lengthPenaltyFactor);
+      }
+
+      // Boost templates where most keywords hit
+      const matchRatio = result.matchedKeywords.length / positive.length;
+      if (matchRatio > 0.5) {
+        baseScore *= (1 + matchRatio * 0.5);
+      }
+
+      // Scale by how the matched keywords have performed before capping, so well-performing keywords can lift a score too
+      const matchedWeights = result.matchedKeywords.map(keyword => learnedWeights[keyword.toLowerCase()] || 1);
+      const learnedWeight = matchedWeights.reduce((sum, weight) => sum + weight, 0) / matchedWeights.length;
+
+      result.baseScore = Math.max(Math.min(baseScore * learnedWeight, 1), 0);
+    }
+
+    // Blend in TF-IDF similarity; related templates qualify without keyword hits when enough terms overlap
+    if (options.semantic && this.config.semanticWeight > 0) {
+      const semanticScore = Math.min(1, result.similarity / this.config.semanticFullSimilarity);
+
+      if (result.matchedKeywords.length > 0) {
+        result.baseScore = result.baseScore * (1 - this.config.semanticWeight) + semanticScore * this.config.semanticWeight;
+      } else if (result.similarity >= this.config.semanticMinSimilarity &&
+                 result.sharedTerms.length >= this.config.semanticMinSharedTerms) {
+        result.baseScore = semanticScore * this.config.semanticWeight;
+        result.semanticOnly = true;
+      }
+    }
+
+    // Preferred category templates qualify even without keyword hits
+    if (result.matchedKeywords.length === 0 && !result.semanticOnly && !result.isPreferredCategory) {
+      return result;
+    }
+
+    const score = categoryScore > 0
+      ? (result.baseScore * (1 - this.config.categoryWeight)) + (categoryScore * this.config.categoryWeight)
+      : result.baseScore;
+
+    // Round so floating point noise never decides a threshold or tie
+    result.score = Math.round(score * 10000) / 10000;
+
+    return result;
+  }
+
+  /**
+   * Score and rank templates against a post
+   * @param {string} postContent - Raw post text
+   * @param {Array} templates - Template objects
+   * @param {Object} options - { preferredCategory, semantic, keywordWeights } (semantic: false skips TF-IDF similarity)
+   * @returns {Array} Matches sorted with compareMatches, each { template, score, ... }
+   */
+  matchTemplates(postContent, templates = [], options = {}) {
+    const post = this.preparePost(postContent);
+    if (post.wordCount === 0) {
+      return [];
+    }
+
+    const validTemplates = templates.filter(template => template && Array.isArray(template.keywords));
+    const similarities = options.semantic !== false && this.config.semanticWeight > 0
+      ? this.semanticRanker.scoreTemplates(postContent, validTemplates)
+      : null;
+
+    const matches = [];
+    for (const template of validTemplates) {
+      const result = this.scoreTemplate(template, post, {
+        preferredCategory: options.preferredCategory,
+        semantic: similarities ? similarities.get(template.id) : null,
+        keywordWeights: options.keywordWeights || null
+      });
+      if (result.score >= this.config.minScore) {
+        matches.push({ template, ...result });
+      }
+    }
+
+    return matches.sort((a, b) => this.compareMatches(a, b));
+  }
+
+  /**
+   * Deterministic ordering: post language, preferred category, then score, then template ID
+   * Templates in another language stay available but always rank below matching-language ones
+   * @param {Object} a - Match
+   * @param {Object} b - Match
+   * @param {string} scoreField - Score to rank by ('banditScore' when suggestions explore)
+   * @returns {number} Sort order
+   */
+  compareMatches(a, b, scoreField = 'score') {
+    if (!a.languageMismatch && b.languageMismatch) return -1;
+    if (a.languageMismatch && !b.languageMismatch) return 1;
+
+    if (a.isPreferredCategory && !b.isPreferredCategory) return -1;
+    if (!a.isPreferredCategory && b.isPreferredCategory) return 1;
+
+    if (b[scoreField] !== a[scoreField]) {
+      return b[scoreField] - a[scoreField];
+    }
+
+    return String(a.template.id).localeCompare(String(b.template.id));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TemplateMatcher;
+} else {
+  window.TemplateMatcher = TemplateMatcher;
+}
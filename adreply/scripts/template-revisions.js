@@ -0,0 +1,275 @@
+/**
+ * Template Revisions for AdReply Extension
+ * Builds the snapshots stored for every template edit and diffs two of them,
+ * so overwritten wording can be compared and rolled back
+ */
+
+class TemplateRevisions {
+  constructor() {
+    // Template fields captured in each revision, in display order
+    this.trackedFields = ['label', 'category', 'keywords', 'template', 'variants', 'url', 'locale', 'matching', 'schedule'];
+
+    this.fieldLabels = {
+      label: 'Label',
+      category: 'Category',
+      keywords: 'Keywords',
+      template: 'Content',
+      variants: 'Variants',
+      url: 'URL',
+      locale: 'Language',
+      matching: 'Matching',
+      schedule: 'Schedule'
+    };
+
+    this.sourceLabels = {
+      created: 'Created',
+      original: 'Before history',
+      edited: 'Edited',
+      rollback: 'Restored',
+      suggested: 'Suggested keyword added'
+    };
+
+    // Word diffs are quadratic; longer texts fall back to a whole-value replacement
+    this.maxDiffWords = 2000;
+  }
+
+  /**
+   * Build the revision record stored for a template
+   * @param {Object} template - Template as saved
+   * @param {number} revision - Revision number (1 = first)
+   * @param {string} source - 'created', 'original', 'edited', 'rollback' or 'suggested'
+   * @param {Object} extra - Extra fields, e.g. { restoredFrom }
+   * @returns {Object} Revision record
+   */
+  createSnapshot(template, revision, source = 'edited', extra = {}) {
+    const snapshot = {
+      templateId: template.id,
+      revision,
+      source,
+      createdAt: new Date().toISOString(),
+      ...extra
+    };
+
+    this.trackedFields.forEach(field => {
+      if (template[field] !== undefined) {
+        snapshot[field] = this.clone(template[field]);
+      }
+    });
+
+    if (typeof snapshot.template !== 'string') {
+      snapshot.template = '';
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Copy the tracked fields of a revision back onto a template
+   * @param {Object} template - Current template
+   * @param {Object} revision - Revision to restore
+   * @returns {Object} Template with the revision's wording and settings
+   */
+  applySnapshot(template, revision) {
+    const restored = { ...template };
+
+    this.trackedFields.forEach(field => {
+      if (revision[field] !== undefined) {
+        restored[field] = this.clone(revision[field]);
+      } else {
+        delete restored[field];
+      }
+    });
+
+    return restored;
+  }
+
+  /**
+   * Check whether an edit changes any tracked field
+   * @param {Object} before - Template before the edit
+   * @param {Object} after - Template after the edit
+   * @returns {boolean}
+   */
+  hasChanges(before, after) {
+    return this.trackedFields.some(field => this.formatFieldValue(field, before[field]) !== this.formatFieldValue(field, after[field]));
+  }
+
+  /**
+   * Number an edit: the revision goes up by one when the edit changes a tracked field
+   * @param {Object} previousTemplate - Template before the edit
+   * @param {Object} updatedTemplate - Template after the edit; its revision is set here
+   * @returns {boolean} Whether the edit changed anything
+   */
+  numberRevision(previousTemplate, updatedTemplate) {
+    const changed = this.hasChanges(previousTemplate, updatedTemplate);
+    updatedTemplate.revision = (previousTemplate.revision || 1) + (changed ? 1 : 0);
+    return changed;
+  }
+
+  /**
+   * Record a saved edit in the template's history; best-effort, so it never fails the edit itself
+   * Templates saved before history existed get their pre-edit state recorded first
+   * @param {Object} store - Has getTemplateRevisions(templateId) and saveTemplateRevision(revision),
+   *   e.g. the side panel's ConnectionManager or a StorageManager
+   * @param {Object} previousTemplate - Template before the edit
+   * @param {Object} updatedTemplate - Template as saved, numbered by numberRevision
+   * @param {string} source - 'edited', 'rollback' or 'suggested'
+   * @param {Object} extra - Extra fields, e.g. { restoredFrom }
+   * @returns {Promise<void>}
+   */
+  async recordEdit(store, previousTemplate, updatedTemplate, source, extra = {}) {
+    const currentRevision = previousTemplate.revision || 1;
+
+    try {
+      const history = await store.getTemplateRevisions(updatedTemplate.id) || [];
+      const snapshots = [];
+
+      if (!history.some(revision => revision.revision === currentRevision)) {
+        snapshots.push(this.createSnapshot(previousTemplate, currentRevision, 'original'));
+      }
+      snapshots.push(this.createSnapshot(updatedTemplate, updatedTemplate.revision, source, extra));
+
+      for (const snapshot of snapshots) {
+        const result = await store.saveTemplateRevision(snapshot);
+        if (result && result.success === false) {
+          throw new Error(result.error);
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not record template revision:', error.message);
+    }
+  }
+
+  /**
+   * Diff two revisions field by field
+   * @param {Object} older - Older revision
+   * @param {Object} newer - Newer revision
+   * @returns {Array} Changed fields: { field, label, parts: [{ type: 'same'|'added'|'removed', text }] }
+   */
+  diffRevisions(older, newer) {
+    return this.trackedFields
+      .map(field => {
+        const before = this.formatFieldValue(field, older?.[field]);
+        const after = this.formatFieldValue(field, newer?.[field]);
+
+        return before === after
+          ? null
+          : { field, label: this.fieldLabels[field], parts: this.diffWords(before, after) };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Word-level diff (longest common subsequence), keeping whitespace with the words
+   * @param {string} before - Old text
+   * @param {string} after - New text
+   * @returns {Array} Parts: { type: 'same'|'added'|'removed', text }
+   */
+  diffWords(before, after) {
+    const oldWords = this.tokenize(before);
+    const newWords = this.tokenize(after);
+
+    if (oldWords.length * newWords.length > this.maxDiffWords * this.maxDiffWords) {
+      return this.mergeParts([
+        { type: 'removed', text: before },
+        { type: 'added', text: after }
+      ]);
+    }
+
+    // lengths[i][j] = LCS length of oldWords[i..] and newWords[j..]
+    const lengths = Array.from({ length: oldWords.length + 1 }, () => new Array(newWords.length + 1).fill(0));
+    for (let i = oldWords.length - 1; i >= 0; i--) {
+      for (let j = newWords.length - 1; j >= 0; j--) {
+        lengths[i][j] = oldWords[i] === newWords[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const parts = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldWords.length && j < newWords.length) {
+      if (oldWords[i] === newWords[j]) {
+        parts.push({ type: 'same', text: oldWords[i] });
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        parts.push({ type: 'removed', text: oldWords[i++] });
+      } else {
+        parts.push({ type: 'added', text: newWords[j++] });
+      }
+    }
+    oldWords.slice(i).forEach(word => parts.push({ type: 'removed', text: word }));
+    newWords.slice(j).forEach(word => parts.push({ type: 'added', text: word }));
+
+    return this.mergeParts(parts);
+  }
+
+  /**
+   * Turn a field value into comparable, readable text
+   * @param {string} field - Tracked field name
+   * @param {*} value - Field value
+   * @returns {string}
+   */
+  formatFieldValue(field, value) {
+    if (value === undefined || value === null || value === '') {
+      return '';
+    }
+
+    if (field === 'keywords' && Array.isArray(value)) {
+      return value.join(', ');
+    }
+
+    if (field === 'variants' && Array.isArray(value)) {
+      return value.join('\n');
+    }
+
+    if (field === 'schedule' && typeof TemplateSchedule !== 'undefined') {
+      return new TemplateSchedule().describeSchedule(value);
+    }
+
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Human-readable description of where a revision came from
+   * @param {Object} revision - Revision record
+   * @returns {string}
+   */
+  describeSource(revision) {
+    const label = this.sourceLabels[revision.source] || this.sourceLabels.edited;
+    return revision.source === 'rollback' && revision.restoredFrom
+      ? `${label} from v${revision.restoredFrom}`
+      : label;
+  }
+
+  tokenize(text) {
+    return (text || '').match(/\s+|[^\s]+/g) || [];
+  }
+
+  mergeParts(parts) {
+    return parts.reduce((merged, part) => {
+      const last = merged[merged.length - 1];
+      if (!part.text) {
+        return merged;
+      }
+      if (last && last.type === part.type) {
+        last.text += part.text;
+      } else {
+        merged.push({ ...part });
+      }
+      return merged;
+    }, []);
+  }
+
+  clone(value) {
+    return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TemplateRevisions;
+} else {
+  window.TemplateRevisions = TemplateRevisions;
+}
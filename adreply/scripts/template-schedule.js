@@ -0,0 +1,331 @@
+/**
+ * Template Schedule for AdReply Extension
+ * Switches templates and categories on and off by date range, weekday and hour of day,
+ * so seasonal offers (Black Friday, summer specials) start and stop by themselves
+ */
+
+class TemplateSchedule {
+  constructor() {
+    // No schedule = always active
+    this.defaultSchedule = {
+      activeFrom: '',     // First active day, 'YYYY-MM-DD' (local time, inclusive); '' = no start date
+      activeUntil: '',    // Last active day, 'YYYY-MM-DD' (local time, inclusive); '' = no end date
+      days: [],           // Active weekdays, 0 = Sunday ... 6 = Saturday; empty = every day
+      startHour: null,    // Active from this hour (0-23); null = all day
+      endHour: null       // Active until this hour (1-24, exclusive); windows may wrap past midnight
+    };
+
+    this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    this.monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    this.categorySchedules = null;
+  }
+
+  /**
+   * Load category schedules from settings
+   * @returns {Promise<Object>} Map of category ID -> schedule
+   */
+  async loadCategorySchedules() {
+    try {
+      const result = await chrome.storage.local.get(['settings']);
+      this.categorySchedules = { ...(result.settings?.categorySchedules || {}) };
+    } catch (error) {
+      console.error('TemplateSchedule: Error loading category schedules:', error);
+      this.categorySchedules = {};
+    }
+
+    return this.categorySchedules;
+  }
+
+  /**
+   * Save the schedule for a category (an empty schedule removes it)
+   * @param {string} categoryId - Category ID
+   * @param {Object} schedule - Schedule values (form strings are accepted)
+   * @param {Object} options - Validation options (see validateSchedule)
+   * @returns {Promise<Object>} Result with success status
+   */
+  async saveCategorySchedule(categoryId, schedule, options = {}) {
+    try {
+      if (!categoryId) {
+        return { success: false, error: 'Category is required' };
+      }
+
+      const validation = this.validateSchedule(schedule, options);
+      if (!validation.isValid) {
+        return { success: false, error: validation.errors[0] };
+      }
+
+      const normalized = this.normalizeSchedule(schedule);
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+      const categorySchedules = { ...(settings.categorySchedules || {}) };
+
+      if (normalized) {
+        categorySchedules[categoryId] = normalized;
+      } else {
+        delete categorySchedules[categoryId];
+      }
+
+      settings.categorySchedules = categorySchedules;
+      await chrome.storage.local.set({ settings: settings });
+      this.categorySchedules = categorySchedules;
+
+      return { success: true, schedule: normalized };
+    } catch (error) {
+      console.error('TemplateSchedule: Error saving category schedule:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Remove the schedule for a category
+   * @param {string} categoryId - Category ID
+   * @returns {Promise<Object>} Result with success status
+   */
+  async removeCategorySchedule(categoryId) {
+    return this.saveCategorySchedule(categoryId, null);
+  }
+
+  /**
+   * Validate a schedule (form strings are accepted)
+   * @param {Object|null} schedule - Schedule to validate
+   * @param {Object} options - { requireDays } when days come from checkboxes, where none ticked is a mistake
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateSchedule(schedule, options = {}) {
+    const errors = [];
+
+    if (schedule === null || schedule === undefined) {
+      return { isValid: true, errors };
+    }
+
+    if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+      return { isValid: false, errors: ['Schedule must be an object'] };
+    }
+
+    ['activeFrom', 'activeUntil'].forEach(field => {
+      const value = schedule[field];
+      if (value && !this.parseDay(value)) {
+        errors.push(`${field === 'activeFrom' ? 'Start' : 'End'} date must be a valid date (YYYY-MM-DD)`);
+      }
+    });
+
+    const from = this.parseDay(schedule.activeFrom);
+    const until = this.parseDay(schedule.activeUntil);
+    if (from && until && until < from) {
+      errors.push('End date must be on or after the start date');
+    }
+
+    if (schedule.days !== undefined && schedule.days !== null) {
+      if (!Array.isArray(schedule.days) || schedule.days.some(day => !Number.isInteger(Number(day)) || Number(day) < 0 || Number(day) > 6)) {
+        errors.push('Active days must be weekday numbers from 0 (Sunday) to 6 (Saturday)');
+      } else if (options.requireDays && schedule.days.length === 0) {
+        errors.push('Select at least one active day');
+      }
+    }
+
+    const startHour = this.parseHour(schedule.startHour);
+    const endHour = this.parseHour(schedule.endHour);
+
+    if (Number.isNaN(startHour) || (startHour !== null && (startHour < 0 || startHour > 23))) {
+      errors.push('Start hour must be a whole number from 0 to 23');
+    }
+
+    if (Number.isNaN(endHour) || (endHour !== null && (endHour < 1 || endHour > 24))) {
+      errors.push('End hour must be a whole number from 1 to 24');
+    }
+
+    if ((startHour === null) !== (endHour === null)) {
+      errors.push('Set both a start and an end hour, or neither');
+    } else if (startHour !== null && startHour === endHour % 24) {
+      errors.push('Start and end hour cannot be the same');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Normalize a schedule from the form or an import
+   * @param {Object|null} schedule - Raw schedule
+   * @returns {Object|null} Normalized schedule, or null when it never restricts anything
+   */
+  normalizeSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') {
+      return null;
+    }
+
+    const days = Array.isArray(schedule.days)
+      ? [...new Set(schedule.days.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort((a, b) => a - b)
+      : [];
+    const startHour = this.parseHour(schedule.startHour);
+    const endHour = this.parseHour(schedule.endHour);
+
+    const normalized = {
+      activeFrom: this.parseDay(schedule.activeFrom) ? schedule.activeFrom.trim() : '',
+      activeUntil: this.parseDay(schedule.activeUntil) ? schedule.activeUntil.trim() : '',
+      days: days.length === 7 ? [] : days,
+      startHour: Number.isInteger(startHour) && Number.isInteger(endHour) ? startHour : null,
+      endHour: Number.isInteger(startHour) && Number.isInteger(endHour) ? endHour : null
+    };
+
+    return this.isEmpty(normalized) ? null : normalized;
+  }
+
+  /**
+   * Check whether a schedule never restricts anything
+   * @param {Object|null} schedule - Normalized schedule
+   * @returns {boolean}
+   */
+  isEmpty(schedule) {
+    return !schedule || (!schedule.activeFrom && !schedule.activeUntil &&
+      (!schedule.days || schedule.days.length === 0) && !this.hasHourWindow(schedule));
+  }
+
+  /**
+   * Status of one schedule at a moment in time
+   * @param {Object|null} schedule - Normalized schedule
+   * @param {Date} now - Moment to check (defaults to now)
+   * @returns {string} 'active', 'scheduled' (starts later or outside its days/hours) or 'expired'
+   */
+  getStatus(schedule, now = new Date()) {
+    if (this.isEmpty(schedule)) {
+      return 'active';
+    }
+
+    const hasWindow = this.hasHourWindow(schedule);
+    const wraps = hasWindow && schedule.startHour > schedule.endHour; // e.g. 22 -> 2 wraps past midnight
+    const hour = now.getHours();
+
+    // Past midnight in a wrapping window, the hours belong to the day the window opened (Fri 22 -> 2 runs until Sat 2:00)
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (wraps && hour < schedule.endHour ? 1 : 0));
+
+    const until = this.parseDay(schedule.activeUntil);
+    if (until && day > until) {
+      return 'expired';
+    }
+
+    const from = this.parseDay(schedule.activeFrom);
+    if (from && day < from) {
+      return 'scheduled';
+    }
+
+    if (schedule.days && schedule.days.length > 0 && !schedule.days.includes(day.getDay())) {
+      return 'scheduled';
+    }
+
+    if (hasWindow) {
+      const inWindow = wraps
+        ? hour >= schedule.startHour || hour < schedule.endHour
+        : hour >= schedule.startHour && hour < schedule.endHour;
+      if (!inWindow) {
+        return 'scheduled';
+      }
+    }
+
+    return 'active';
+  }
+
+  /**
+   * Status of a template, combining its own schedule with its category's
+   * @param {Object} template - Template (schedule, category)
+   * @param {Date} now - Moment to check (defaults to now)
+   * @returns {string} 'active', 'scheduled' or 'expired'
+   */
+  getTemplateStatus(template, now = new Date()) {
+    const categorySchedule = (this.categorySchedules || {})[template?.category] || null;
+    const statuses = [this.getStatus(template?.schedule, now), this.getStatus(categorySchedule, now)];
+
+    if (statuses.includes('expired')) return 'expired';
+    if (statuses.includes('scheduled')) return 'scheduled';
+    return 'active';
+  }
+
+  /**
+   * Keep only templates whose own and category schedules are active right now
+   * @param {Array} templates - Templates to filter
+   * @param {Date} now - Moment to check (defaults to now)
+   * @returns {Array} Active templates
+   */
+  filterActiveTemplates(templates, now = new Date()) {
+    return (templates || []).filter(template => this.getTemplateStatus(template, now) === 'active');
+  }
+
+  /**
+   * Human-readable summary, e.g. "Nov 24, 2026 - Nov 30, 2026, Fri, Sat, 9:00-17:00"
+   * @param {Object|null} schedule - Normalized schedule
+   * @returns {string}
+   */
+  describeSchedule(schedule) {
+    if (this.isEmpty(schedule)) {
+      return 'Always active';
+    }
+
+    const parts = [];
+    const from = this.parseDay(schedule.activeFrom);
+    const until = this.parseDay(schedule.activeUntil);
+
+    if (from && until) {
+      parts.push(`${this.formatDay(from)} - ${this.formatDay(until)}`);
+    } else if (from) {
+      parts.push(`from ${this.formatDay(from)}`);
+    } else if (until) {
+      parts.push(`until ${this.formatDay(until)}`);
+    }
+
+    if (schedule.days && schedule.days.length > 0) {
+      parts.push(schedule.days.map(day => this.dayNames[day]).join(', '));
+    }
+
+    if (this.hasHourWindow(schedule)) {
+      parts.push(`${schedule.startHour}:00-${schedule.endHour}:00`);
+    }
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Parse a 'YYYY-MM-DD' day as local midnight
+   * @param {string} value - Day string
+   * @returns {Date|null} Local midnight, or null when missing or not a real date
+   */
+  parseDay(value) {
+    if (typeof value !== 'string') return null;
+
+    const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+
+    const [year, month, day] = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+    const date = new Date(year, month, day);
+    return date.getFullYear() === year && date.getMonth() === month && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * Parse an hour field ('' / null = not set)
+   * @param {*} value - Hour from the form or storage
+   * @returns {number|null} Whole hour, null when not set, NaN when malformed
+   */
+  parseHour(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const hour = Number(value);
+    return Number.isInteger(hour) ? hour : NaN;
+  }
+
+  hasHourWindow(schedule) {
+    return Number.isInteger(schedule.startHour) && Number.isInteger(schedule.endHour);
+  }
+
+  formatDay(date) {
+    return `${this.monthNames[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TemplateSchedule;
+} else {
+  window.TemplateSchedule = TemplateSchedule;
+}
@@ -0,0 +1,204 @@
+/**
+ * Template Variants for AdReply Extension
+ * Expands spintax ({Hi|Hello|Hey there}) and rotates between a template's alternative wordings
+ */
+
+class TemplateVariants {
+  constructor() {
+    // Maximum number of alternative bodies a template may carry (in addition to the main body)
+    this.maxVariants = 10;
+
+    // Innermost spintax group: braces containing at least one pipe and no nested braces
+    this.spintaxPattern = /\{([^{}]*\|[^{}]*)\}/;
+
+    // How many spins to try when looking for wording not recently posted in a group
+    this.maxSpinAttempts = 5;
+  }
+
+  /**
+   * Get all bodies for a template, main body first
+   * @param {Object} template - Template object
+   * @returns {string[]} Array of non-empty bodies (index 0 is template.template)
+   */
+  getVariants(template) {
+    if (!template) {
+      return [];
+    }
+
+    const bodies = [template.template, ...(Array.isArray(template.variants) ? template.variants : [])];
+    return bodies.filter(body => typeof body === 'string' && body.trim().length > 0);
+  }
+
+  /**
+   * Check whether text contains spintax groups
+   * @param {string} text - Template text
+   * @returns {boolean}
+   */
+  hasSpintax(text) {
+    return typeof text === 'string' && this.spintaxPattern.test(text);
+  }
+
+  /**
+   * Resolve every spintax group in text, innermost groups first
+   * @param {string} text - Template text with spintax
+   * @param {Function} random - Random number source returning [0, 1) (default Math.random)
+   * @returns {string} Text with one option chosen per group
+   */
+  spin(text, random = Math.random) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    let result = text;
+    let match = result.match(this.spintaxPattern);
+
+    while (match) {
+      const options = match[1].split('|');
+      const choice = options[Math.floor(random() * options.length)] || '';
+      result = result.slice(0, match.index) + choice + result.slice(match.index + match[0].length);
+      match = result.match(this.spintaxPattern);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate spintax syntax in a piece of template text
+   * @param {string} text - Template text
+   * @returns {Object} Validation result with isValid and errors
+   */
+  validateSpintax(text) {
+    const errors = [];
+
+    if (typeof text !== 'string') {
+      return { isValid: false, errors: ['Template text must be a string'] };
+    }
+
+    let depth = 0;
+    for (const char of text) {
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+      if (depth < 0) {
+        errors.push('Spintax has a closing "}" without a matching "{"');
+        break;
+      }
+    }
+
+    if (depth > 0) {
+      errors.push('Spintax has an opening "{" without a matching "}"');
+    }
+
+    if (/\{[^{}]*\|\s*\}|\{\s*\|[^{}]*\}/.test(text)) {
+      errors.push('Spintax options cannot be empty (e.g. "{Hi|}")');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Pick the variant index to serve in a group, preferring bodies not used recently
+   * @param {Object} template - Template object
+   * @param {Array} recentUsage - Usage records for the group (from UsageTracker.getGroupUsage)
+   * @returns {number} Variant index (0 = main body)
+   */
+  selectVariantIndex(template, recentUsage = []) {
+    const variants = this.getVariants(template);
+    if (variants.length <= 1) {
+      return 0;
+    }
+
+    // Most recent use of each variant of this template in the group
+    const lastUsedByIndex = new Map();
+    for (const record of recentUsage) {
+      if (record.templateId !== template.id) continue;
+
+      const index = typeof record.variantIndex === 'number' ? record.variantIndex : 0;
+      const timestamp = new Date(record.timestamp).getTime();
+      if (!lastUsedByIndex.has(index) || lastUsedByIndex.get(index) < timestamp) {
+        lastUsedByIndex.set(index, timestamp);
+      }
+    }
+
+    // First unused variant wins
+    for (let index = 0; index < variants.length; index++) {
+      if (!lastUsedByIndex.has(index)) {
+        return index;
+      }
+    }
+
+    // All used - fall back to the least recently used one
+    let oldestIndex = 0;
+    for (let index = 1; index < variants.length; index++) {
+      if (lastUsedByIndex.get(index) < lastUsedByIndex.get(oldestIndex)) {
+        oldestIndex = index;
+      }
+    }
+
+    return oldestIndex;
+  }
+
+  /**
+   * Choose and spin a variant for a group
+   * @param {Object} template - Template object
+   * @param {Array} recentUsage - Usage records for the group
+   * @param {Function} random - Random number source (default Math.random)
+   * @param {Function} render - Optional renderer for placeholders/conditionals, applied before spinning
+   * @param {number|null} forcedIndex - Serve this variant instead of rotating (A/B experiments)
+   * @returns {Object} { variantIndex, text } where text has spintax resolved
+   */
+  pickVariant(template, recentUsage = [], random = Math.random, render = null, forcedIndex = null) {
+    const variants = this.getVariants(template);
+    if (variants.length === 0) {
+      return { variantIndex: 0, text: '' };
+    }
+
+    const variantIndex = Number.isInteger(forcedIndex) && variants[forcedIndex]
+      ? forcedIndex
+      : this.selectVariantIndex(template, recentUsage);
+    const rawBody = variants[variantIndex] || variants[0];
+    const body = render ? render(rawBody) : rawBody;
+
+    // Avoid repeating a sentence that was already posted in this group
+    const recentTexts = new Set(
+      recentUsage
+        .map(record => record.metadata?.commentText)
+        .filter(text => typeof text === 'string' && text.length > 0)
+        .map(text => this.normalizeForComparison(text))
+    );
+
+    let text = this.spin(body, random);
+    for (let attempt = 1; attempt < this.maxSpinAttempts && this.hasSpintax(body); attempt++) {
+      if (!recentTexts.has(this.normalizeForComparison(text))) {
+        break;
+      }
+      text = this.spin(body, random);
+    }
+
+    return { variantIndex, text };
+  }
+
+  /**
+   * Reduce comment text to the form used for repeat checks. Posted comments are stored after the promo
+   * URL is appended, spun bodies are compared before, so links are dropped on both sides.
+   * @param {string} text - Spun body or posted comment
+   * @returns {string} Lowercased text without URLs, whitespace collapsed
+   */
+  normalizeForComparison(text) {
+    return text
+      .replace(/https?:\/\/\S+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TemplateVariants;
+} else if (typeof window !== 'undefined') {
+  window.TemplateVariants = TemplateVariants;
+}
+// In service workers, the class is available globally without window
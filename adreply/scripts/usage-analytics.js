@@ -0,0 +1,322 @@
+/**
+ * Usage Analytics for AdReply Extension
+ * Builds the analytics dashboard report: comment volume over time, top templates and groups,
+ * category mix, suggestion coverage of analysed posts and template fatigue
+ */
+
+class UsageAnalytics {
+  constructor() {
+    // CSV cells are escaped exactly like the leads export
+    this.LeadManagerClass = typeof LeadManager !== 'undefined' ? LeadManager : require('./lead-manager');
+    this.KeywordLearningClass = typeof KeywordLearningEngine !== 'undefined' ? KeywordLearningEngine : require('./keyword-learning');
+
+    this.storageKey = 'analysisStats'; // 'YYYY-MM-DD' -> { analysed, covered }
+    this.retentionDays = 365;
+
+    this.topCount = 8;
+    this.weekCount = 12;
+
+    // Template fatigue thresholds
+    this.fatigue = {
+      minComments: 6,          // Comments in the period before response trends are judged
+      settleDays: 2,           // Newer comments haven't had time to get responses, so trends skip them
+      responseDrop: 0.5,       // Recent response rate at or below half the earlier rate
+      minShown: 20,            // Times suggested before the selection rate is judged
+      lowSelectionRate: 0.2,   // Picked in fewer than 1 in 5 suggestions
+      overuseShare: 0.4        // More than 40% of last week's comments
+    };
+  }
+
+  /**
+   * Count an analysed post and whether it got at least one template suggestion
+   * @param {boolean} covered - A template matched the post
+   */
+  async recordAnalysis(covered) {
+    try {
+      const stats = await this.loadAnalysisStats();
+      const day = this.formatDay(new Date());
+      const entry = stats[day] || { analysed: 0, covered: 0 };
+
+      entry.analysed++;
+      if (covered) {
+        entry.covered++;
+      }
+      stats[day] = entry;
+
+      // Drop days past the retention period
+      const cutoff = this.formatDay(this.addDays(new Date(), -this.retentionDays));
+      Object.keys(stats).forEach(key => {
+        if (key < cutoff) delete stats[key];
+      });
+
+      await chrome.storage.local.set({ [this.storageKey]: stats });
+    } catch (error) {
+      console.error('UsageAnalytics: Error recording analysis:', error);
+    }
+  }
+
+  /**
+   * Load daily analysis counters
+   * @returns {Promise<Object>} Map of day -> { analysed, covered }
+   */
+  async loadAnalysisStats() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      return result[this.storageKey] || {};
+    } catch (error) {
+      console.error('UsageAnalytics: Error loading analysis stats:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Build the dashboard report
+   * @param {Object} data - { history (UsageTracker.getCommentHistory entries), analysisStats, keywordStats }
+   * @param {Object} options - { days, templateLabels, categoryNames, now }
+   * @returns {Object} Report
+   */
+  buildReport(data, options = {}) {
+    const days = options.days || 30;
+    const now = options.now || new Date();
+    const templateLabels = options.templateLabels || {};
+    const categoryNames = options.categoryNames || {};
+
+    const today = this.startOfDay(now);
+    const periodStart = this.addDays(today, -(days - 1));
+    const history = data.history || [];
+    const inPeriod = history.filter(entry => new Date(entry.timestamp) >= periodStart);
+
+    const labelFor = (templateId, entry) => templateLabels[templateId] || entry?.templateLabel || templateId;
+
+    // Daily counts for the period
+    const daily = [];
+    for (let i = 0; i < days; i++) {
+      const day = this.addDays(periodStart, i);
+      daily.push({ date: this.formatDay(day), label: `${day.getMonth() + 1}/${day.getDate()}`, value: 0 });
+    }
+    const dailyIndex = new Map(daily.map((point, index) => [point.date, index]));
+    inPeriod.forEach(entry => {
+      const index = dailyIndex.get(this.formatDay(new Date(entry.timestamp)));
+      if (index !== undefined) daily[index].value++;
+    });
+
+    // Weekly counts (weeks start on Monday), independent of the selected period
+    const thisWeek = this.startOfWeek(today);
+    const weekly = [];
+    for (let i = this.weekCount - 1; i >= 0; i--) {
+      const week = this.addDays(thisWeek, -7 * i);
+      weekly.push({ date: this.formatDay(week), label: `${week.getMonth() + 1}/${week.getDate()}`, value: 0 });
+    }
+    const weeklyIndex = new Map(weekly.map((point, index) => [point.date, index]));
+    history.forEach(entry => {
+      const index = weeklyIndex.get(this.formatDay(this.startOfWeek(new Date(entry.timestamp))));
+      if (index !== undefined) weekly[index].value++;
+    });
+
+    const topTemplates = this.rank(inPeriod, entry => entry.templateId)
+      .map(({ key, count }) => ({ key, label: labelFor(key, inPeriod.find(entry => entry.templateId === key)), value: count }));
+    const topGroups = this.rank(inPeriod, entry => entry.groupId)
+      .map(({ key, count }) => ({ key, label: inPeriod.find(entry => entry.groupId === key)?.groupName || key, value: count }));
+    const categoryMix = this.rank(inPeriod, entry => entry.category || 'uncategorized', Infinity)
+      .map(({ key, count }) => ({
+        key,
+        label: categoryNames[key] || (key === 'uncategorized' ? 'Uncategorized' : key),
+        value: count,
+        share: count / inPeriod.length
+      }));
+
+    // Coverage: analysed posts in the period that got a template suggestion
+    let analysed = 0;
+    let covered = 0;
+    const coverageDaily = daily.map(point => {
+      const stats = (data.analysisStats || {})[point.date] || { analysed: 0, covered: 0 };
+      analysed += stats.analysed;
+      covered += stats.covered;
+      return { date: point.date, label: point.label, value: stats.analysed > 0 ? Math.round(stats.covered / stats.analysed * 100) : 0 };
+    });
+
+    const responded = inPeriod.filter(entry => this.hasResponse(entry)).length;
+
+    return {
+      days,
+      generatedAt: now.toISOString(),
+      totals: {
+        comments: inPeriod.length,
+        groups: new Set(inPeriod.map(entry => entry.groupId)).size,
+        templates: new Set(inPeriod.map(entry => entry.templateId)).size,
+        responseRate: inPeriod.length > 0 ? responded / inPeriod.length : 0
+      },
+      daily,
+      weekly,
+      topTemplates,
+      topGroups,
+      categoryMix,
+      coverage: {
+        analysed,
+        covered,
+        rate: analysed > 0 ? covered / analysed : null,
+        daily: coverageDaily
+      },
+      fatigue: this.getTemplateFatigue(inPeriod, data.keywordStats || {}, { now, labelFor })
+    };
+  }
+
+  /**
+   * Spot templates wearing out: fewer responses than before, skipped when suggested, or overused
+   * @param {Array} entries - Comment history entries in the period
+   * @param {Object} keywordStats - KeywordStats by category and keyword
+   * @param {Object} options - { now, labelFor }
+   * @returns {Array} Per template: { templateId, label, comments, lastWeek, earlierRate, recentRate, selectionRate, level, reasons }
+   */
+  getTemplateFatigue(entries, keywordStats, options) {
+    const weekAgo = this.addDays(options.now, -7);
+    const settledBefore = this.addDays(options.now, -this.fatigue.settleDays);
+    const selection = this.getTemplateSelectionStats(keywordStats);
+    const lastWeekTotal = entries.filter(entry => new Date(entry.timestamp) >= weekAgo).length;
+
+    const byTemplate = new Map();
+    entries.forEach(entry => {
+      if (!byTemplate.has(entry.templateId)) byTemplate.set(entry.templateId, []);
+      byTemplate.get(entry.templateId).push(entry);
+    });
+
+    const levels = { high: 2, medium: 1, ok: 0 };
+
+    return [...byTemplate.entries()]
+      .map(([templateId, templateEntries]) => {
+        const sorted = [...templateEntries].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const settled = sorted.filter(entry => new Date(entry.timestamp) < settledBefore);
+        const half = Math.floor(settled.length / 2);
+        const earlier = settled.slice(0, half);
+        const recent = settled.slice(half);
+        const earlierRate = earlier.length > 0 ? earlier.filter(entry => this.hasResponse(entry)).length / earlier.length : null;
+        const recentRate = recent.length > 0 ? recent.filter(entry => this.hasResponse(entry)).length / recent.length : null;
+        const lastWeek = sorted.filter(entry => new Date(entry.timestamp) >= weekAgo).length;
+
+        const counts = selection[templateId];
+        const shown = counts ? counts.chosen + counts.ignored : 0;
+        const selectionRate = shown > 0 ? counts.chosen / shown : null;
+
+        const reasons = [];
+        let level = 'ok';
+
+        if (settled.length >= this.fatigue.minComments && earlierRate > 0 && recentRate <= earlierRate * this.fatigue.responseDrop) {
+          reasons.push(`Responses fell from ${Math.round(earlierRate * 100)}% to ${Math.round(recentRate * 100)}%`);
+          level = 'high';
+        }
+        if (shown >= this.fatigue.minShown && selectionRate < this.fatigue.lowSelectionRate) {
+          reasons.push(`Picked in only ${Math.round(selectionRate * 100)}% of suggestions`);
+          level = 'high';
+        }
+        if (lastWeekTotal >= this.fatigue.minComments && lastWeek / lastWeekTotal > this.fatigue.overuseShare) {
+          reasons.push(`${Math.round(lastWeek / lastWeekTotal * 100)}% of last week's comments`);
+          if (level === 'ok') level = 'medium';
+        }
+
+        return {
+          templateId,
+          label: options.labelFor(templateId, sorted[0]),
+          comments: sorted.length,
+          lastWeek,
+          earlierRate,
+          recentRate,
+          selectionRate,
+          level,
+          reasons
+        };
+      })
+      .sort((a, b) => levels[b.level] - levels[a.level] || b.comments - a.comments);
+  }
+
+  /**
+   * Suggested / picked / skipped counts per template, summed over its revisions
+   * @param {Object} keywordStats - KeywordStats by category and keyword
+   * @returns {Object} Map of template ID -> { matches, chosen, ignored }
+   */
+  getTemplateSelectionStats(keywordStats) {
+    const perRevision = this.KeywordLearningClass.aggregateOutcomes(keywordStats, 'revisions');
+
+    const perTemplate = {};
+    Object.entries(perRevision).forEach(([revisionKey, counts]) => {
+      const templateId = revisionKey.slice(0, revisionKey.lastIndexOf('@'));
+      const entry = perTemplate[templateId] || (perTemplate[templateId] = { matches: 0, chosen: 0, ignored: 0 });
+      entry.matches += counts.matches;
+      entry.chosen += counts.chosen;
+      entry.ignored += counts.ignored;
+    });
+
+    return perTemplate;
+  }
+
+  /**
+   * Flatten a report into CSV, one section per chart
+   * @param {Object} report - Report from buildReport
+   * @returns {string}
+   */
+  toCSV(report) {
+    const percent = value => (value === null || value === undefined ? '' : `${Math.round(value * 1000) / 10}%`);
+    const sections = [
+      ['Summary', ['Metric', 'Value'], [
+        ['Period (days)', report.days],
+        ['Comments', report.totals.comments],
+        ['Groups', report.totals.groups],
+        ['Templates', report.totals.templates],
+        ['Response rate', percent(report.totals.responseRate)],
+        ['Posts analysed', report.coverage.analysed],
+        ['Posts with a suggestion', report.coverage.covered],
+        ['Coverage', percent(report.coverage.rate)]
+      ]],
+      ['Comments per day', ['Date', 'Comments', 'Coverage'], report.daily.map((point, index) => [point.date, point.value, `${report.coverage.daily[index].value}%`])],
+      ['Comments per week', ['Week starting', 'Comments'], report.weekly.map(point => [point.date, point.value])],
+      ['Top templates', ['Template', 'Comments'], report.topTemplates.map(item => [item.label, item.value])],
+      ['Top groups', ['Group', 'Comments'], report.topGroups.map(item => [item.label, item.value])],
+      ['Category mix', ['Category', 'Comments', 'Share'], report.categoryMix.map(item => [item.label, item.value, percent(item.share)])],
+      ['Template fatigue', ['Template', 'Comments', 'Last 7 days', 'Earlier response rate', 'Recent response rate', 'Selection rate', 'Fatigue', 'Reasons'],
+        report.fatigue.map(item => [item.label, item.comments, item.lastWeek, percent(item.earlierRate), percent(item.recentRate), percent(item.selectionRate), item.level, item.reasons.join('; ')])]
+    ];
+
+    return sections
+      .map(([title, header, rows]) => [[title], header, ...rows].map(row => row.map(value => this.LeadManagerClass.escapeCSV(value)).join(',')).join('\r\n'))
+      .join('\r\n\r\n');
+  }
+
+  hasResponse(entry) {
+    return Object.keys(entry.outcomes || {}).length > 0;
+  }
+
+  rank(entries, keyOf, limit = this.topCount) {
+    const counts = new Map();
+    entries.forEach(entry => {
+      const key = keyOf(entry);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return [...counts.entries()]
+      .map(([key, count]) => ({ key, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  startOfWeek(date) {
+    const day = this.startOfDay(date);
+    return this.addDays(day, -((day.getDay() + 6) % 7));
+  }
+
+  addDays(date, count) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + count);
+  }
+
+  formatDay(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UsageAnalytics;
+} else {
+  window.UsageAnalytics = UsageAnalytics;
+}
@@ -7,6 +7,8 @@ class UsageTracker {
     constructor() {
         this.storageKey = 'adreply_usage_tracking';
         this.cleanupInterval = null;
+        this.retentionDays = 365; // Records double as the comment history, so keep a year for audits
+        this.maxRecords = 5000;   // ...but never more than this many (about 7 MB with full comment text); oldest go first
         this.init();
     }
 
@@ -28,6 +30,7 @@ class UsageTracker {
             const usageRecord = {
                 templateId: templateId,
                 groupId: groupId,
+                variantIndex: typeof metadata.variantIndex === 'number' ? metadata.variantIndex : 0,
                 timestamp: new Date().toISOString(),
                 postContent: (postContent || '').substring(0, 100),
                 usageId: this.generateUUID(),
@@ -55,6 +58,7 @@ class UsageTracker {
 
             // Add new usage record
             usageData[groupId].push(usageRecord);
+            this.trimToMaxRecords(usageData);
 
             // Save updated data
             await this.saveUsageData(usageData);
@@ -68,6 +72,37 @@ class UsageTracker {
         }
     }
 
+    /**
+     * Record what happened after a comment was posted ('reply', 'reaction' or 'lead')
+     * Outcomes are stored on the usage record as type -> ISO time; value false clears one
+     */
+    async recordOutcome(usageId, type, value = true) {
+        try {
+            const usageData = await this.getUsageData();
+
+            for (const groupId in usageData) {
+                const record = usageData[groupId].find(r => r.usageId === usageId);
+                if (!record) continue;
+
+                record.outcomes = record.outcomes || {};
+                if (value) {
+                    record.outcomes[type] = record.outcomes[type] || new Date().toISOString();
+                } else {
+                    delete record.outcomes[type];
+                }
+
+                await this.saveUsageData(usageData);
+                return record;
+            }
+
+            return null;
+
+        } catch (error) {
+            console.error('AdReply: Error recording usage outcome:', error);
+            return null;
+        }
+    }
+
     /**
      * Get usage history for a specific group within specified hours
      */
@@ -285,6 +320,79 @@ class UsageTracker {
         }
     }
 
+    /**
+     * Get every recorded comment across groups, newest first
+     * Filters: groupId, templateId, category, from/to ('YYYY-MM-DD', local days, inclusive) and query (free text)
+     * templateCategories maps template ID -> category for records made before the category was stored
+     */
+    async getCommentHistory(filters = {}, templateCategories = {}) {
+        try {
+            const usageData = await this.getUsageData();
+
+            const history = [];
+            for (const groupId in usageData) {
+                if (filters.groupId && groupId !== filters.groupId) continue;
+
+                usageData[groupId].forEach(record => {
+                    const metadata = record.metadata || {};
+                    const entry = {
+                        usageId: record.usageId,
+                        groupId,
+                        groupName: metadata.groupName || '',
+                        templateId: record.templateId,
+                        templateLabel: metadata.templateLabel || '',
+                        category: metadata.category || templateCategories[record.templateId] || '',
+                        variantIndex: typeof record.variantIndex === 'number' ? record.variantIndex : 0,
+                        timestamp: record.timestamp,
+                        postContent: record.postContent || '',
+                        commentText: metadata.commentText || '',
+                        postUrl: this.getPostLink(record),
+                        outcomes: record.outcomes || {}
+                    };
+
+                    history.push(entry);
+                });
+            }
+
+            return this.filterCommentHistory(history, filters)
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        } catch (error) {
+            console.error('AdReply: Error getting comment history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Apply getCommentHistory filters to entries already loaded, without reading storage again
+     */
+    filterCommentHistory(entries, filters = {}) {
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+        const to = filters.to ? new Date(`${filters.to}T00:00:00`) : null;
+        if (to) to.setDate(to.getDate() + 1);
+        const query = (filters.query || '').trim().toLowerCase();
+
+        return entries.filter(entry => {
+            const time = new Date(entry.timestamp);
+            if (filters.groupId && entry.groupId !== filters.groupId) return false;
+            if (filters.templateId && entry.templateId !== filters.templateId) return false;
+            if (filters.category && entry.category !== filters.category) return false;
+            if (from && time < from) return false;
+            if (to && time >= to) return false;
+            return !query || [entry.commentText, entry.postContent, entry.groupName, entry.groupId, entry.templateLabel]
+                .some(text => text.toLowerCase().includes(query));
+        });
+    }
+
+    /**
+     * Link back to the post a comment was placed on
+     * Older records only know the Facebook page the tab was on
+     */
+    getPostLink(record) {
+        const metadata = record.metadata || {};
+        return [metadata.postUrl, metadata.tabUrl].find(url => typeof url === 'string' && url.startsWith('https://www.facebook.com/')) || null;
+    }
+
     /**
      * Clean up old usage records
      */
@@ -326,6 +434,33 @@ class UsageTracker {
         }
     }
 
+    /**
+     * Drop the oldest records across all groups once there are more than maxRecords
+     */
+    trimToMaxRecords(usageData) {
+        const records = [];
+        for (const groupId in usageData) {
+            usageData[groupId].forEach(record => records.push({ groupId, record }));
+        }
+
+        if (records.length <= this.maxRecords) {
+            return 0;
+        }
+
+        records.sort((a, b) => new Date(a.record.timestamp) - new Date(b.record.timestamp));
+        const removed = records.slice(0, records.length - this.maxRecords);
+        const removedRecords = new Set(removed.map(entry => entry.record));
+
+        for (const groupId of new Set(removed.map(entry => entry.groupId))) {
+            usageData[groupId] = usageData[groupId].filter(record => !removedRecords.has(record));
+            if (usageData[groupId].length === 0) {
+                delete usageData[groupId];
+            }
+        }
+
+        return removed.length;
+    }
+
     /**
      * Clear all usage data for a specific group
      */
@@ -380,19 +515,20 @@ class UsageTracker {
         try {
             console.log('AdReply: Performing maintenance cleanup...');
             
-            // Clean up records older than 30 days
-            const removedCount = await this.cleanupOldUsage(30);
+            // Clean up records older than the retention period
+            const removedCount = await this.cleanupOldUsage(this.retentionDays);
             
-            // Check storage usage and warn if getting full
+            // Keep within the record cap (history saved before the cap existed may be over it)
             const usageData = await this.getUsageData();
-            const recordCount = Object.values(usageData).reduce((sum, records) => sum + records.length, 0);
-            
-            if (recordCount > 10000) {
-                console.warn(`AdReply: Large usage database detected (${recordCount} records). Consider manual cleanup.`);
+            const trimmedCount = this.trimToMaxRecords(usageData);
+            if (trimmedCount > 0) {
+                await this.saveUsageData(usageData);
+                console.log(`AdReply: Trimmed ${trimmedCount} usage records over the ${this.maxRecords} record cap`);
             }
+            const recordCount = Object.values(usageData).reduce((sum, records) => sum + records.length, 0);
 
             console.log('AdReply: Maintenance cleanup completed');
-            return { removedCount, totalRecords: recordCount };
+            return { removedCount: removedCount + trimmedCount, totalRecords: recordCount };
 
         } catch (error) {
             console.error('AdReply: Error during maintenance cleanup:', error);
@@ -439,21 +575,47 @@ class UsageTracker {
     }
 
     /**
-     * Backward compatibility: Record usage with variant index (deprecated)
-     * @deprecated Use recordUsage(templateId, groupId, postContent, metadata) instead
+     * Record usage of a specific variant (0 = main body) of a template in a group
      */
     async recordVariantUsage(templateId, variantIndex, groupId, postContent = '', metadata = {}) {
-        console.warn('AdReply: recordVariantUsage is deprecated. Use recordUsage instead.');
-        return await this.recordUsage(templateId, groupId, postContent, metadata);
+        return await this.recordUsage(templateId, groupId, postContent, {
+            ...metadata,
+            variantIndex: variantIndex
+        });
     }
 
     /**
-     * Backward compatibility: Check if variation was recently used (deprecated)
-     * @deprecated Use isTemplateRecentlyUsed(templateId, groupId, hoursBack) instead
+     * Check if a specific variant of a template was recently used in a group
      */
     async isVariationRecentlyUsed(templateId, variantIndex, groupId, hoursBack = 24) {
-        console.warn('AdReply: isVariationRecentlyUsed is deprecated. Use isTemplateRecentlyUsed instead.');
-        return await this.isTemplateRecentlyUsed(templateId, groupId, hoursBack);
+        try {
+            const usedIndexes = await this.getUsedVariantIndexes(templateId, groupId, hoursBack);
+            return usedIndexes.includes(variantIndex);
+
+        } catch (error) {
+            console.error('AdReply: Error checking variant usage:', error);
+            return false; // Conservative: assume not used if error
+        }
+    }
+
+    /**
+     * Get the variant indexes of a template used in a group within specified hours
+     * Records created before variants existed count as the main body (index 0)
+     */
+    async getUsedVariantIndexes(templateId, groupId, hoursBack = 24) {
+        try {
+            const recentUsage = await this.getGroupUsage(groupId, hoursBack);
+
+            const usedIndexes = recentUsage
+                .filter(record => record.templateId === templateId)
+                .map(record => typeof record.variantIndex === 'number' ? record.variantIndex : 0);
+
+            return [...new Set(usedIndexes)];
+
+        } catch (error) {
+            console.error('AdReply: Error getting used variant indexes:', error);
+            return [];
+        }
     }
 
     /**
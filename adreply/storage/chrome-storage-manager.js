@@ -26,9 +26,10 @@ class ChromeStorageManager {
     };
     
     this.defaultAISettings = {
-      provider: 'off', // 'off', 'gemini', 'openai'
+      provider: 'off', // 'off', 'gemini', 'openai', 'openai-compatible'
       geminiApiKey: '',
       openaiApiKey: '',
+      compatibleApiKey: '',
       enabled: false
     };
   }
@@ -197,6 +198,9 @@ class ChromeStorageManager {
       if (decryptedSettings.openaiApiKey) {
         decryptedSettings.openaiApiKey = this.decrypt(decryptedSettings.openaiApiKey);
       }
+      if (decryptedSettings.compatibleApiKey) {
+        decryptedSettings.compatibleApiKey = this.decrypt(decryptedSettings.compatibleApiKey);
+      }
       
       return this.mergeWithDefaults(decryptedSettings, this.defaultAISettings);
     } catch (error) {
@@ -222,6 +226,9 @@ class ChromeStorageManager {
     if (encryptedSettings.openaiApiKey) {
       encryptedSettings.openaiApiKey = this.encrypt(encryptedSettings.openaiApiKey);
     }
+    if (encryptedSettings.compatibleApiKey) {
+      encryptedSettings.compatibleApiKey = this.encrypt(encryptedSettings.compatibleApiKey);
+    }
     
     await this.set({
       [this.storageKeys.AI_SETTINGS]: encryptedSettings
@@ -357,8 +364,8 @@ class ChromeStorageManager {
       throw new Error('AI settings must be an object');
     }
     
-    if (aiSettings.provider && !['off', 'gemini', 'openai'].includes(aiSettings.provider)) {
-      throw new Error('AI provider must be "off", "gemini", or "openai"');
+    if (aiSettings.provider && !['off', 'gemini', 'openai', 'openai-compatible'].includes(aiSettings.provider)) {
+      throw new Error('AI provider must be "off", "gemini", "openai", or "openai-compatible"');
     }
     
     if (aiSettings.geminiApiKey && typeof aiSettings.geminiApiKey !== 'string') {
@@ -368,6 +375,10 @@ class ChromeStorageManager {
     if (aiSettings.openaiApiKey && typeof aiSettings.openaiApiKey !== 'string') {
       throw new Error('OpenAI API key must be a string');
     }
+    
+    if (aiSettings.compatibleApiKey && typeof aiSettings.compatibleApiKey !== 'string') {
+      throw new Error('Server API key must be a string');
+    }
   }
 
   /**
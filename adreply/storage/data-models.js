@@ -5,7 +5,8 @@
 
 /**
  * Template Model
- * Represents an individual advertisement comment template without variants
+ * Represents an advertisement comment template with optional alternative wordings.
+ * Any body may contain spintax such as {Hi|Hello|Hey there}.
  */
 class Template {
   constructor(data = {}) {
@@ -14,6 +15,11 @@ class Template {
     this.category = data.category || 'custom';
     this.keywords = data.keywords || [];
     this.template = data.template || '';
+    this.variants = data.variants || [];
+    this.matching = { stemming: true, typoTolerance: 1, ...(data.matching || {}) };
+    this.locale = data.locale || ''; // Language of the template text ('en', 'es', 'fr-CA'); empty = any language
+    this.schedule = data.schedule || null; // { activeFrom, activeUntil, days, startHour, endHour }; null = always active
+    this.revision = data.revision || 1; // Bumped on every edit; earlier wording is kept in the templateRevisions store
     this.isPrebuilt = data.isPrebuilt || false;
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
@@ -56,6 +62,29 @@ class Template {
       });
     }
 
+    if (!Array.isArray(this.variants)) {
+      errors.push('Variants must be an array');
+    } else {
+      this.variants.forEach((variant, index) => {
+        if (typeof variant !== 'string') {
+          errors.push(`Variant at index ${index} must be a string`);
+        } else if (variant.length > 1000) {
+          errors.push(`Variant ${index + 1} must be 1000 characters or less`);
+        }
+      });
+    }
+
+    // Spintax syntax in every body
+    const templateVariants = Template.getTemplateVariants();
+    [this.template, ...(Array.isArray(this.variants) ? this.variants : [])].forEach((body, index) => {
+      if (typeof body === 'string' && body.length > 0) {
+        const spintaxErrors = templateVariants.validateSpintax(body).errors;
+        spintaxErrors.forEach(error => {
+          errors.push(index === 0 ? `Template content: ${error}` : `Variant ${index}: ${error}`);
+        });
+      }
+    });
+
     // Boolean fields
     if (typeof this.isPrebuilt !== 'boolean') {
       errors.push('isPrebuilt must be a boolean');
@@ -88,6 +117,26 @@ class Template {
       errors.push('Template can have at most 20 keywords');
     }
 
+    if (Array.isArray(this.variants) && this.variants.length > templateVariants.maxVariants) {
+      errors.push(`Template can have at most ${templateVariants.maxVariants} variants`);
+    }
+
+    if (typeof this.matching.stemming !== 'boolean') {
+      errors.push('Template matching stemming must be a boolean');
+    }
+
+    if (!Number.isInteger(this.matching.typoTolerance) || this.matching.typoTolerance < 0 || this.matching.typoTolerance > 2) {
+      errors.push('Template matching typo tolerance must be 0, 1 or 2');
+    }
+
+    if (this.locale && (typeof this.locale !== 'string' || !/^[a-z]{2}(-[A-Z]{2})?$/.test(this.locale))) {
+      errors.push('Template locale must be a language code such as "en", "es" or "fr-CA"');
+    }
+
+    if (this.schedule !== null) {
+      errors.push(...Template.validateSchedule(this.schedule, 'Template schedule'));
+    }
+
     if (this.category && this.category.length > 50) {
       errors.push('Template category must be 50 characters or less');
     }
@@ -108,7 +157,13 @@ class Template {
       label: this.sanitizeString(this.label),
       category: this.sanitizeString(this.category),
       template: this.sanitizeString(this.template),
-      keywords: this.keywords.map(k => this.sanitizeString(k)).filter(k => k.length > 0),
+      variants: this.variants.map(v => this.sanitizeString(v)).filter(v => v.length > 0),
+      matching: { ...this.matching },
+      locale: this.sanitizeString(this.locale),
+      schedule: this.schedule ? { ...this.schedule } : null,
+      revision: this.revision,
+      // Keywords are match expressions ("quoted phrases", /regex/), never rendered as HTML - trim only
+      keywords: this.keywords.map(k => typeof k === 'string' ? k.trim() : '').filter(k => k.length > 0),
       isPrebuilt: this.isPrebuilt,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -129,6 +184,11 @@ class Template {
       category: this.category,
       keywords: this.keywords,
       template: this.template,
+      variants: this.variants,
+      matching: { ...this.matching },
+      locale: this.locale,
+      schedule: this.schedule ? { ...this.schedule } : null,
+      revision: this.revision,
       isPrebuilt: this.isPrebuilt,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -145,6 +205,44 @@ class Template {
     return new Template(data);
   }
 
+  /**
+   * Validate a template or category schedule
+   * @param {Object} schedule - { activeFrom, activeUntil, days, startHour, endHour }
+   * @param {string} label - Name used in error messages
+   * @returns {string[]} Validation errors
+   */
+  static validateSchedule(schedule, label) {
+    if (typeof schedule !== 'object' || schedule === null || Array.isArray(schedule)) {
+      return [`${label} must be an object`];
+    }
+
+    const errors = [];
+    const isDay = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value));
+    const isHour = (value, min, max) => value === null || value === undefined || (Number.isInteger(value) && value >= min && value <= max);
+
+    if (schedule.activeFrom && !isDay(schedule.activeFrom)) {
+      errors.push(`${label} start date must be a YYYY-MM-DD date`);
+    }
+
+    if (schedule.activeUntil && !isDay(schedule.activeUntil)) {
+      errors.push(`${label} end date must be a YYYY-MM-DD date`);
+    } else if (schedule.activeFrom && schedule.activeUntil && schedule.activeUntil < schedule.activeFrom) {
+      errors.push(`${label} end date must be on or after the start date`);
+    }
+
+    if (schedule.days !== undefined && (!Array.isArray(schedule.days) || schedule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      errors.push(`${label} days must be weekday numbers from 0 to 6`);
+    }
+
+    if (!isHour(schedule.startHour, 0, 23) || !isHour(schedule.endHour, 1, 24)) {
+      errors.push(`${label} hours must be whole hours (start 0-23, end 1-24)`);
+    } else if ((schedule.startHour === null || schedule.startHour === undefined) !== (schedule.endHour === null || schedule.endHour === undefined)) {
+      errors.push(`${label} needs both a start and an end hour, or neither`);
+    }
+
+    return errors;
+  }
+
   // Utility methods
   sanitizeString(str) {
     if (typeof str !== 'string') return '';
@@ -160,6 +258,15 @@ class Template {
     const date = new Date(dateString);
     return date instanceof Date && !isNaN(date) && date.toISOString() === dateString;
   }
+
+  /**
+   * Variant limits and spintax rules live in TemplateVariants
+   * @returns {TemplateVariants}
+   */
+  static getTemplateVariants() {
+    const VariantsClass = typeof TemplateVariants !== 'undefined' ? TemplateVariants : require('../scripts/template-variants');
+    return new VariantsClass();
+  }
 }
 
 /**
@@ -297,6 +404,7 @@ class GroupHistory {
     this.lastVariantIndex = data.lastVariantIndex || 0;
     this.lastUsedAt = data.lastUsedAt || null;
     this.totalComments = data.totalComments || 0;
+    this.rules = data.rules || null;
   }
 
   /**
@@ -332,6 +440,28 @@ class GroupHistory {
       errors.push('Total comments must be a non-negative number');
     }
 
+    if (this.rules !== null) {
+      if (typeof this.rules !== 'object') {
+        errors.push('Group rules must be null or an object');
+      } else {
+        if (typeof this.rules.promoAllowed !== 'boolean' || typeof this.rules.linksAllowed !== 'boolean') {
+          errors.push('Group rules promoAllowed and linksAllowed must be booleans');
+        }
+
+        if (!Array.isArray(this.rules.allowedDays) || this.rules.allowedDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+          errors.push('Group rules allowed days must be weekday numbers (0 = Sunday)');
+        }
+
+        if (!Number.isInteger(this.rules.maxPromosPerWeek) || this.rules.maxPromosPerWeek < 0) {
+          errors.push('Group rules max promos per week must be a non-negative integer');
+        }
+
+        if (!['warn', 'block'].includes(this.rules.enforcement)) {
+          errors.push('Group rules enforcement must be "warn" or "block"');
+        }
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -349,7 +479,8 @@ class GroupHistory {
       lastTemplateId: this.lastTemplateId ? this.sanitizeString(this.lastTemplateId) : null,
       lastVariantIndex: this.lastVariantIndex,
       lastUsedAt: this.lastUsedAt,
-      totalComments: this.totalComments
+      totalComments: this.totalComments,
+      rules: this.rules ? { ...this.rules, allowedDays: [...(this.rules.allowedDays || [])] } : null
     });
   }
 
@@ -364,7 +495,8 @@ class GroupHistory {
       lastTemplateId: this.lastTemplateId,
       lastVariantIndex: this.lastVariantIndex,
       lastUsedAt: this.lastUsedAt,
-      totalComments: this.totalComments
+      totalComments: this.totalComments,
+      rules: this.rules ? { ...this.rules, allowedDays: [...(this.rules.allowedDays || [])] } : null
     };
   }
 
@@ -573,6 +705,33 @@ class Settings {
       ...(data.affiliateLinks || {})
     };
     this.adPackMetadata = data.adPackMetadata || [];
+    this.rotationPolicies = {
+      global: { cooldownHours: 24, maxUsesPerWeek: 0, minGapMinutes: 0, ...(data.rotationPolicies?.global || {}) },
+      categoryOverrides: { ...(data.rotationPolicies?.categoryOverrides || {}) },
+      groupOverrides: { ...(data.rotationPolicies?.groupOverrides || {}) }
+    };
+    this.intentFilter = {
+      mode: 'rules', // 'rules' | 'ai'
+      suppressedIntents: ['grief'],
+      minConfidence: 0.5,
+      ...(data.intentFilter || {})
+    };
+    this.safetyFilter = {
+      enabled: true,
+      customTerms: [],
+      ...(data.safetyFilter || {}),
+      categories: { tragedy: true, medical: true, political: true, ...(data.safetyFilter?.categories || {}) }
+    };
+    this.businessProfile = {
+      businessName: '',
+      phone: '',
+      email: '',
+      serviceArea: '',
+      hours: '',
+      ...(data.businessProfile || {})
+    };
+    this.customPlaceholders = { ...(data.customPlaceholders || {}) };
+    this.categorySchedules = { ...(data.categorySchedules || {}) };
   }
 
   /**
@@ -674,6 +833,81 @@ class Settings {
       errors.push('Ad Pack metadata must be an array');
     }
 
+    errors.push(...this.validateRotationPolicy(this.rotationPolicies.global, 'Global rotation policy'));
+    Object.entries(this.rotationPolicies.categoryOverrides).forEach(([categoryId, policy]) => {
+      errors.push(...this.validateRotationPolicy(policy, `Rotation policy for category ${categoryId}`));
+    });
+    Object.entries(this.rotationPolicies.groupOverrides).forEach(([groupId, policy]) => {
+      errors.push(...this.validateRotationPolicy(policy, `Rotation policy for group ${groupId}`));
+    });
+
+    if (!['rules', 'ai'].includes(this.intentFilter.mode)) {
+      errors.push('Intent filter mode must be "rules" or "ai"');
+    }
+
+    const validIntents = ['service_request', 'recommendation_request', 'selling', 'complaint', 'grief', 'irrelevant'];
+    if (!Array.isArray(this.intentFilter.suppressedIntents)) {
+      errors.push('Intent filter suppressed intents must be an array');
+    } else if (this.intentFilter.suppressedIntents.some(intent => !validIntents.includes(intent))) {
+      errors.push(`Intent filter suppressed intents must be from: ${validIntents.join(', ')}`);
+    }
+
+    if (typeof this.intentFilter.minConfidence !== 'number' || this.intentFilter.minConfidence < 0 || this.intentFilter.minConfidence > 1) {
+      errors.push('Intent filter minimum confidence must be a number between 0 and 1');
+    }
+
+    if (typeof this.safetyFilter.enabled !== 'boolean') {
+      errors.push('Safety filter enabled must be a boolean');
+    }
+
+    Object.entries(this.safetyFilter.categories).forEach(([categoryId, enabled]) => {
+      if (!['tragedy', 'medical', 'political'].includes(categoryId)) {
+        errors.push(`Unknown safety filter category: ${categoryId}`);
+      } else if (typeof enabled !== 'boolean') {
+        errors.push(`Safety filter category ${categoryId} must be a boolean`);
+      }
+    });
+
+    if (!Array.isArray(this.safetyFilter.customTerms) || this.safetyFilter.customTerms.some(term => typeof term !== 'string')) {
+      errors.push('Safety filter custom terms must be an array of strings');
+    } else if (this.safetyFilter.customTerms.length > 200) {
+      errors.push('Safety filter can have at most 200 custom terms');
+    }
+
+    const profileFields = { businessName: 100, phone: 30, email: 254, serviceArea: 150, hours: 150 };
+    Object.entries(profileFields).forEach(([field, maxLength]) => {
+      const value = this.businessProfile[field];
+      if (typeof value !== 'string') {
+        errors.push(`Business profile ${field} must be a string`);
+      } else if (value.length > maxLength) {
+        errors.push(`Business profile ${field} must be ${maxLength} characters or less`);
+      }
+    });
+
+    if (this.businessProfile.phone && !/^\+?[\d\s().-]+$/.test(this.businessProfile.phone)) {
+      errors.push('Business profile phone must be a valid phone number');
+    }
+
+    if (this.businessProfile.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.businessProfile.email)) {
+      errors.push('Business profile email must be a valid email address');
+    }
+
+    const builtInPlaceholders = ['url', 'site', 'website', 'link', 'contact', 'phone', 'email', 'location', 'hours', 'business', 'group', 'time', 'date', 'author_first_name', 'group_name', 'post_topic'];
+    if (Object.keys(this.customPlaceholders).length > 50) {
+      errors.push('Custom placeholders can have at most 50 entries');
+    }
+    Object.entries(this.customPlaceholders).forEach(([name, value]) => {
+      if (!/^[a-z][a-z0-9_]{0,29}$/.test(name) || builtInPlaceholders.includes(name)) {
+        errors.push(`Custom placeholder name ${name} is invalid or reserved`);
+      } else if (typeof value !== 'string' || value.length > 300) {
+        errors.push(`Custom placeholder ${name} must be a string of at most 300 characters`);
+      }
+    });
+
+    Object.entries(this.categorySchedules).forEach(([categoryId, schedule]) => {
+      errors.push(...Template.validateSchedule(schedule, `Schedule for category ${categoryId}`));
+    });
+
     return {
       isValid: errors.length === 0,
       errors
@@ -697,7 +931,24 @@ class Settings {
         default: this.affiliateLinks.default,
         categoryOverrides: { ...this.affiliateLinks.categoryOverrides }
       },
-      adPackMetadata: this.adPackMetadata || []
+      adPackMetadata: this.adPackMetadata || [],
+      rotationPolicies: {
+        global: { ...this.rotationPolicies.global },
+        categoryOverrides: { ...this.rotationPolicies.categoryOverrides },
+        groupOverrides: { ...this.rotationPolicies.groupOverrides }
+      },
+      intentFilter: {
+        ...this.intentFilter,
+        suppressedIntents: Array.isArray(this.intentFilter.suppressedIntents) ? [...this.intentFilter.suppressedIntents] : []
+      },
+      safetyFilter: {
+        enabled: this.safetyFilter.enabled,
+        categories: { ...this.safetyFilter.categories },
+        customTerms: Array.isArray(this.safetyFilter.customTerms) ? [...this.safetyFilter.customTerms] : []
+      },
+      businessProfile: { ...this.businessProfile },
+      customPlaceholders: { ...this.customPlaceholders },
+      categorySchedules: { ...this.categorySchedules }
     };
   }
 
@@ -710,6 +961,18 @@ class Settings {
     return new Settings(data);
   }
 
+  /**
+   * Validate a rotation policy (fields left out inherit from the wider scope).
+   * The limits are RotationPolicyManager's, so the settings model and the policy editor agree.
+   * @param {Object} policy - Policy with cooldownHours, maxUsesPerWeek, minGapMinutes
+   * @param {string} label - Name used in error messages
+   * @returns {string[]} Validation errors
+   */
+  validateRotationPolicy(policy, label) {
+    const PolicyClass = typeof RotationPolicyManager !== 'undefined' ? RotationPolicyManager : require('../scripts/rotation-policy');
+    return new PolicyClass().validatePolicy(policy).errors.map(error => `${label}: ${error}`);
+  }
+
   /**
    * Validate URL format
    * @param {string} url - URL to validate
@@ -731,9 +994,10 @@ class Settings {
  */
 class AISettings {
   constructor(data = {}) {
-    this.provider = data.provider || 'off'; // 'off', 'gemini', 'openai'
+    this.provider = data.provider || 'off'; // 'off', 'gemini', 'openai', 'openai-compatible'
     this.geminiApiKey = data.geminiApiKey || '';
     this.openaiApiKey = data.openaiApiKey || '';
+    this.compatibleApiKey = data.compatibleApiKey || ''; // Optional key for a self-hosted server
     this.enabled = data.enabled || false;
   }
 
@@ -745,7 +1009,7 @@ class AISettings {
     const errors = [];
 
     // Provider validation
-    const validProviders = ['off', 'gemini', 'openai'];
+    const validProviders = ['off', 'gemini', 'openai', 'openai-compatible'];
     if (!validProviders.includes(this.provider)) {
       errors.push(`AI provider must be one of: ${validProviders.join(', ')}`);
     }
@@ -759,6 +1023,10 @@ class AISettings {
       errors.push('OpenAI API key must be a string');
     }
 
+    if (typeof this.compatibleApiKey !== 'string') {
+      errors.push('Server API key must be a string');
+    }
+
     if (typeof this.enabled !== 'boolean') {
       errors.push('Enabled must be a boolean');
     }
@@ -791,6 +1059,7 @@ class AISettings {
       provider: this.provider,
       geminiApiKey: this.geminiApiKey,
       openaiApiKey: this.openaiApiKey,
+      compatibleApiKey: this.compatibleApiKey,
       enabled: this.enabled
     };
   }
@@ -818,6 +1087,7 @@ class KeywordStats {
     this.ignored = data.ignored || 0;
     this.score = data.score || 0.0;
     this.lastUpdated = data.lastUpdated || new Date().toISOString();
+    this.revisions = data.revisions || {}; // "<templateId>@<revision>" -> { matches, chosen, ignored }
   }
 
   /**
@@ -895,7 +1165,8 @@ class KeywordStats {
       chosen: this.chosen,
       ignored: this.ignored,
       score: this.score,
-      lastUpdated: this.lastUpdated
+      lastUpdated: this.lastUpdated,
+      revisions: this.revisions
     };
   }
 
@@ -1070,6 +1341,14 @@ class BackupDataV2 {
       keywordStats: data.data?.keywordStats || {},
       affiliateLinks: data.data?.affiliateLinks || { default: '', categoryOverrides: {} },
       adPackMetadata: data.data?.adPackMetadata || [],
+      businessProfile: {
+        businessName: '',
+        phone: '',
+        email: '',
+        serviceArea: '',
+        hours: '',
+        ...(data.data?.businessProfile || {})
+      },
       onboardingData: {
         businessDescription: '',
         aiProvider: '',
@@ -1135,6 +1414,16 @@ class BackupDataV2 {
         errors.push('Ad Pack metadata must be an array');
       }
 
+      if (typeof this.data.businessProfile !== 'object' || this.data.businessProfile === null) {
+        errors.push('Business profile must be an object');
+      } else {
+        ['businessName', 'phone', 'email', 'serviceArea', 'hours'].forEach(field => {
+          if (typeof this.data.businessProfile[field] !== 'string') {
+            errors.push(`Business profile ${field} must be a string`);
+          }
+        });
+      }
+
       if (typeof this.data.onboardingData !== 'object' || this.data.onboardingData === null) {
         errors.push('Onboarding data must be an object');
       } else {
@@ -1178,6 +1467,7 @@ class BackupDataV2 {
           categoryOverrides: { ...this.data.affiliateLinks.categoryOverrides }
         },
         adPackMetadata: this.data.adPackMetadata,
+        businessProfile: { ...this.data.businessProfile },
         onboardingData: { ...this.data.onboardingData }
       }
     };
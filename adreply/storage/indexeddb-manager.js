@@ -6,15 +6,19 @@
 class IndexedDBManager {
   constructor() {
     this.dbName = 'AdReplyDB';
-    this.dbVersion = 2; // Updated version for categories support
+    this.dbVersion = 4; // v3 adds template revision history, v4 adds leads
     this.db = null;
     
     // Store names
     this.stores = {
       TEMPLATES: 'templates',
       GROUPS: 'groups',
-      CATEGORIES: 'categories'
+      CATEGORIES: 'categories',
+      TEMPLATE_REVISIONS: 'templateRevisions',
+      LEADS: 'leads'
     };
+    
+    this.leadStatuses = ['new', 'contacted', 'won', 'lost'];
   }
 
   /**
@@ -90,6 +94,30 @@ class IndexedDBManager {
           categoriesStore.createIndex('isPrebuilt', 'isPrebuilt');
           categoriesStore.createIndex('createdAt', 'createdAt');
         }
+
+        // Create template revisions store (v3) - one record per saved edit, keyed "<templateId>@<revision>"
+        if (!db.objectStoreNames.contains(this.stores.TEMPLATE_REVISIONS)) {
+          const revisionsStore = db.createObjectStore(this.stores.TEMPLATE_REVISIONS, { 
+            keyPath: 'id' 
+          });
+          
+          // Create indexes
+          revisionsStore.createIndex('templateId', 'templateId');
+          revisionsStore.createIndex('createdAt', 'createdAt');
+        }
+
+        // Create leads store (v4) - one record per post we commented on
+        if (!db.objectStoreNames.contains(this.stores.LEADS)) {
+          const leadsStore = db.createObjectStore(this.stores.LEADS, { 
+            keyPath: 'id' 
+          });
+          
+          // Create indexes
+          leadsStore.createIndex('status', 'status');
+          leadsStore.createIndex('groupId', 'groupId');
+          leadsStore.createIndex('postUrl', 'postUrl');
+          leadsStore.createIndex('createdAt', 'createdAt');
+        }
       };
     });
   }
@@ -428,6 +456,258 @@ class IndexedDBManager {
     return this.executeOperation(() => store.getAll());
   }
 
+  /**
+   * Get the promotion rules recorded for a group
+   * @param {string} groupId - Facebook group ID
+   * @returns {Promise<Object|null>} Rules object or null if none recorded
+   */
+  async getGroupRules(groupId) {
+    const groupData = await this.getGroupHistory(groupId);
+    return groupData && groupData.rules ? groupData.rules : null;
+  }
+
+  /**
+   * Save promotion rules for a group (keeps its usage history)
+   * @param {string} groupId - Facebook group ID
+   * @param {Object} rules - Group rules
+   * @param {string} name - Optional display name for the group
+   * @returns {Promise<string>} Group ID
+   */
+  async saveGroupRules(groupId, rules, name = null) {
+    await this.initialize();
+    
+    this.validateGroupRules(rules);
+    
+    let groupData = await this.getGroupHistory(groupId);
+    
+    if (!groupData) {
+      groupData = {
+        groupId,
+        name: this.extractGroupName(groupId),
+        totalComments: 0
+      };
+    }
+    
+    if (name) {
+      groupData.name = this.sanitizeString(name);
+    }
+    
+    groupData.rules = {
+      ...rules,
+      allowedDays: [...rules.allowedDays].sort(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    const transaction = this.getTransaction(this.stores.GROUPS, 'readwrite');
+    const store = transaction.objectStore(this.stores.GROUPS);
+    
+    return this.executeOperation(() => store.put(groupData));
+  }
+
+  /**
+   * Remove the promotion rules recorded for a group
+   * @param {string} groupId - Facebook group ID
+   * @returns {Promise<void>}
+   */
+  async removeGroupRules(groupId) {
+    await this.initialize();
+    
+    const groupData = await this.getGroupHistory(groupId);
+    if (!groupData || !groupData.rules) {
+      return;
+    }
+    
+    delete groupData.rules;
+    
+    const transaction = this.getTransaction(this.stores.GROUPS, 'readwrite');
+    const store = transaction.objectStore(this.stores.GROUPS);
+    
+    return this.executeOperation(() => store.put(groupData));
+  }
+
+  // ===== TEMPLATE REVISION OPERATIONS =====
+
+  /**
+   * Save a template revision (a snapshot of the template as it was saved)
+   * @param {Object} revision - Revision with templateId, revision number and the template fields
+   * @returns {Promise<string>} Revision ID ("<templateId>@<revision>")
+   */
+  async saveTemplateRevision(revision) {
+    await this.initialize();
+    
+    this.validateTemplateRevision(revision);
+    
+    const revisionData = {
+      ...revision,
+      id: `${revision.templateId}@${revision.revision}`,
+      createdAt: revision.createdAt || new Date().toISOString()
+    };
+    
+    const transaction = this.getTransaction(this.stores.TEMPLATE_REVISIONS, 'readwrite');
+    const store = transaction.objectStore(this.stores.TEMPLATE_REVISIONS);
+    
+    return this.executeOperation(() => store.put(revisionData));
+  }
+
+  /**
+   * Get every revision of a template, newest first
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Array>}
+   */
+  async getTemplateRevisions(templateId) {
+    await this.initialize();
+    
+    const transaction = this.getTransaction(this.stores.TEMPLATE_REVISIONS);
+    const store = transaction.objectStore(this.stores.TEMPLATE_REVISIONS);
+    const index = store.index('templateId');
+    
+    const revisions = await this.executeOperation(() => index.getAll(templateId));
+    return revisions.sort((a, b) => b.revision - a.revision);
+  }
+
+  /**
+   * Delete the revision history of a template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<void>}
+   */
+  async deleteTemplateRevisions(templateId) {
+    await this.initialize();
+    
+    const transaction = this.getTransaction(this.stores.TEMPLATE_REVISIONS, 'readwrite');
+    const store = transaction.objectStore(this.stores.TEMPLATE_REVISIONS);
+    const keys = await this.executeOperation(() => store.index('templateId').getAllKeys(templateId));
+    
+    await Promise.all(keys.map(key => this.executeOperation(() => store.delete(key))));
+  }
+
+  // ===== LEAD OPERATIONS =====
+
+  /**
+   * Record a comment as a lead
+   * Commenting again on the same post updates its lead instead of adding another one
+   * @param {Object} lead - Lead with postUrl, groupId, authorName, templateId, commentText...
+   * @returns {Promise<Object>} Saved lead
+   */
+  async captureLead(lead) {
+    await this.initialize();
+    
+    this.validateLead(lead);
+    
+    const now = new Date().toISOString();
+    const existing = lead.postUrl ? await this.getLeadByPostUrl(lead.postUrl) : null;
+    
+    const leadData = existing
+      ? {
+          ...existing,
+          ...lead,
+          id: existing.id,
+          authorName: lead.authorName || existing.authorName,
+          status: existing.status,
+          notes: existing.notes,
+          commentCount: (existing.commentCount || 1) + 1,
+          createdAt: existing.createdAt,
+          lastCommentAt: now,
+          updatedAt: now
+        }
+      : {
+          ...lead,
+          id: lead.id || `lead_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+          status: lead.status || 'new',
+          notes: lead.notes || '',
+          commentCount: 1,
+          createdAt: now,
+          lastCommentAt: now,
+          updatedAt: now
+        };
+    
+    const transaction = this.getTransaction(this.stores.LEADS, 'readwrite');
+    const store = transaction.objectStore(this.stores.LEADS);
+    
+    await this.executeOperation(() => store.put(leadData));
+    return leadData;
+  }
+
+  /**
+   * Get the lead recorded for a post
+   * @param {string} postUrl - Post permalink
+   * @returns {Promise<Object|null>}
+   */
+  async getLeadByPostUrl(postUrl) {
+    await this.initialize();
+    
+    const transaction = this.getTransaction(this.stores.LEADS);
+    const index = transaction.objectStore(this.stores.LEADS).index('postUrl');
+    
+    const lead = await this.executeOperation(() => index.get(postUrl));
+    return lead || null;
+  }
+
+  /**
+   * Get leads, most recently commented first
+   * @param {Object} filters - Optional { status, groupId }
+   * @returns {Promise<Array>}
+   */
+  async getLeads(filters = {}) {
+    await this.initialize();
+    
+    const transaction = this.getTransaction(this.stores.LEADS);
+    const store = transaction.objectStore(this.stores.LEADS);
+    
+    const request = filters.status
+      ? store.index('status').getAll(filters.status)
+      : store.getAll();
+    
+    const leads = await this.executeOperation(() => request);
+    
+    return leads
+      .filter(lead => !filters.groupId || lead.groupId === filters.groupId)
+      .sort((a, b) => new Date(b.lastCommentAt || b.createdAt) - new Date(a.lastCommentAt || a.createdAt));
+  }
+
+  /**
+   * Update the status, notes or author of a lead
+   * @param {string} leadId - Lead ID
+   * @param {Object} updates - { status, notes, authorName }
+   * @returns {Promise<Object>} Updated lead
+   */
+  async updateLead(leadId, updates) {
+    await this.initialize();
+    
+    const transaction = this.getTransaction(this.stores.LEADS, 'readwrite');
+    const store = transaction.objectStore(this.stores.LEADS);
+    
+    const lead = await this.executeOperation(() => store.get(leadId));
+    if (!lead) {
+      throw new Error(`Lead not found: ${leadId}`);
+    }
+    
+    const updatedLead = { ...lead, updatedAt: new Date().toISOString() };
+    ['status', 'notes', 'authorName'].forEach(field => {
+      if (updates[field] !== undefined) {
+        updatedLead[field] = updates[field];
+      }
+    });
+    
+    this.validateLead(updatedLead);
+    
+    await this.executeOperation(() => store.put(updatedLead));
+    return updatedLead;
+  }
+
+  /**
+   * Delete a lead
+   * @param {string} leadId - Lead ID
+   * @returns {Promise<void>}
+   */
+  async deleteLead(leadId) {
+    await this.initialize();
+    
+    const transaction = this.getTransaction(this.stores.LEADS, 'readwrite');
+    const store = transaction.objectStore(this.stores.LEADS);
+    
+    return this.executeOperation(() => store.delete(leadId));
+  }
+
   // ===== UTILITY METHODS =====
 
   /**
@@ -460,15 +740,127 @@ class IndexedDBManager {
       throw new Error('Template keywords must be an array');
     }
     
+    if (template.variants !== undefined && !Array.isArray(template.variants)) {
+      throw new Error('Template variants must be an array');
+    }
+    
     if (template.isPrebuilt !== undefined && typeof template.isPrebuilt !== 'boolean') {
       throw new Error('Template isPrebuilt must be a boolean');
     }
     
+    if (template.matching !== undefined && (typeof template.matching !== 'object' || template.matching === null)) {
+      throw new Error('Template matching must be an object');
+    }
+    
+    if (template.locale !== undefined && typeof template.locale !== 'string') {
+      throw new Error('Template locale must be a string');
+    }
+    
     // Sanitize string fields
     template.label = this.sanitizeString(template.label);
     template.template = this.sanitizeString(template.template);
     template.category = this.sanitizeString(template.category);
-    template.keywords = template.keywords.map(k => this.sanitizeString(k));
+    if (template.locale) {
+      template.locale = this.sanitizeString(template.locale);
+    }
+    // Keywords are match expressions ("quoted phrases", /regex/), never rendered as HTML - trim only
+    template.keywords = template.keywords.map(k => typeof k === 'string' ? k.trim() : '').filter(k => k.length > 0);
+    if (template.variants) {
+      template.variants = template.variants.map(v => this.sanitizeString(v)).filter(v => v.length > 0);
+    }
+  }
+
+  /**
+   * Validate template revision data structure
+   * Revisions are stored exactly as the template was saved (only ever rendered as text)
+   * @param {Object} revision - Revision to validate
+   * @throws {Error} If validation fails
+   */
+  validateTemplateRevision(revision) {
+    if (!revision || typeof revision !== 'object') {
+      throw new Error('Template revision must be an object');
+    }
+    
+    if (!revision.templateId || typeof revision.templateId !== 'string') {
+      throw new Error('Template revision must have a valid template ID');
+    }
+    
+    if (!Number.isInteger(revision.revision) || revision.revision < 1) {
+      throw new Error('Template revision number must be a positive integer');
+    }
+    
+    if (typeof revision.template !== 'string') {
+      throw new Error('Template revision must have template content');
+    }
+    
+    if (revision.keywords !== undefined && !Array.isArray(revision.keywords)) {
+      throw new Error('Template revision keywords must be an array');
+    }
+    
+    if (revision.variants !== undefined && !Array.isArray(revision.variants)) {
+      throw new Error('Template revision variants must be an array');
+    }
+  }
+
+  /**
+   * Validate lead data structure
+   * Leads are only ever rendered as text, so strings are stored as written
+   * @param {Object} lead - Lead to validate
+   * @throws {Error} If validation fails
+   */
+  validateLead(lead) {
+    if (!lead || typeof lead !== 'object') {
+      throw new Error('Lead must be an object');
+    }
+    
+    if (lead.status !== undefined && !this.leadStatuses.includes(lead.status)) {
+      throw new Error(`Lead status must be one of: ${this.leadStatuses.join(', ')}`);
+    }
+    
+    ['postUrl', 'groupId', 'groupName', 'authorName', 'templateId', 'templateLabel', 'commentText', 'notes'].forEach(field => {
+      if (lead[field] !== undefined && lead[field] !== null && typeof lead[field] !== 'string') {
+        throw new Error(`Lead ${field} must be a string`);
+      }
+    });
+    
+    if (typeof lead.notes === 'string' && lead.notes.length > 2000) {
+      throw new Error('Lead notes must be 2000 characters or less');
+    }
+    
+    if (!lead.postUrl && !lead.groupId) {
+      throw new Error('Lead must have a post URL or group');
+    }
+  }
+
+  /**
+   * Validate group rules data structure
+   * @param {Object} rules - Group rules to validate
+   * @throws {Error} If validation fails
+   */
+  validateGroupRules(rules) {
+    if (!rules || typeof rules !== 'object') {
+      throw new Error('Group rules must be an object');
+    }
+    
+    if (typeof rules.promoAllowed !== 'boolean') {
+      throw new Error('Group rules promoAllowed must be a boolean');
+    }
+    
+    if (typeof rules.linksAllowed !== 'boolean') {
+      throw new Error('Group rules linksAllowed must be a boolean');
+    }
+    
+    if (!Array.isArray(rules.allowedDays) || rules.allowedDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('Group rules allowedDays must be an array of weekday numbers (0 = Sunday)');
+    }
+    
+    if (!Number.isInteger(rules.maxPromosPerWeek) || rules.maxPromosPerWeek < 0) {
+      throw new Error('Group rules maxPromosPerWeek must be a non-negative integer');
+    }
+    
+    if (!['warn', 'block'].includes(rules.enforcement)) {
+      throw new Error('Group rules enforcement must be "warn" or "block"');
+    }
   }
 
   /**
@@ -544,16 +936,20 @@ class IndexedDBManager {
   async clearAllData() {
     await this.initialize();
     
-    const transaction = this.getTransaction([this.stores.TEMPLATES, this.stores.GROUPS, this.stores.CATEGORIES], 'readwrite');
+    const transaction = this.getTransaction([this.stores.TEMPLATES, this.stores.GROUPS, this.stores.CATEGORIES, this.stores.TEMPLATE_REVISIONS, this.stores.LEADS], 'readwrite');
     
     const templatesStore = transaction.objectStore(this.stores.TEMPLATES);
     const groupsStore = transaction.objectStore(this.stores.GROUPS);
     const categoriesStore = transaction.objectStore(this.stores.CATEGORIES);
+    const revisionsStore = transaction.objectStore(this.stores.TEMPLATE_REVISIONS);
+    const leadsStore = transaction.objectStore(this.stores.LEADS);
     
     await Promise.all([
       this.executeOperation(() => templatesStore.clear()),
       this.executeOperation(() => groupsStore.clear()),
-      this.executeOperation(() => categoriesStore.clear())
+      this.executeOperation(() => categoriesStore.clear()),
+      this.executeOperation(() => revisionsStore.clear()),
+      this.executeOperation(() => leadsStore.clear())
     ]);
   }
 
@@ -190,6 +190,113 @@ class StorageManager {
     return groupsData.map(data => this.models.GroupHistory.fromObject(data).toObject());
   }
 
+  /**
+   * Get the promotion rules recorded for a group
+   * @param {string} groupId - Facebook group ID
+   * @returns {Promise<Object|null>}
+   */
+  async getGroupRules(groupId) {
+    await this.initialize();
+    return await this.indexedDB.getGroupRules(groupId);
+  }
+
+  /**
+   * Save promotion rules for a group
+   * @param {string} groupId - Facebook group ID
+   * @param {Object} rules - Group rules
+   * @param {string} name - Optional display name for the group
+   * @returns {Promise<string>}
+   */
+  async saveGroupRules(groupId, rules, name = null) {
+    await this.initialize();
+    return await this.indexedDB.saveGroupRules(groupId, rules, name);
+  }
+
+  /**
+   * Remove the promotion rules recorded for a group
+   * @param {string} groupId - Facebook group ID
+   * @returns {Promise<void>}
+   */
+  async removeGroupRules(groupId) {
+    await this.initialize();
+    return await this.indexedDB.removeGroupRules(groupId);
+  }
+
+  // ===== TEMPLATE REVISION OPERATIONS =====
+
+  /**
+   * Save a revision (snapshot) of a template
+   * @param {Object} revision - Revision data
+   * @returns {Promise<string>} Revision ID
+   */
+  async saveTemplateRevision(revision) {
+    await this.initialize();
+    return await this.indexedDB.saveTemplateRevision(revision);
+  }
+
+  /**
+   * Get the revision history of a template, newest first
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Array>}
+   */
+  async getTemplateRevisions(templateId) {
+    await this.initialize();
+    return await this.indexedDB.getTemplateRevisions(templateId);
+  }
+
+  /**
+   * Delete the revision history of a template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<void>}
+   */
+  async deleteTemplateRevisions(templateId) {
+    await this.initialize();
+    return await this.indexedDB.deleteTemplateRevisions(templateId);
+  }
+
+  // ===== LEAD OPERATIONS =====
+
+  /**
+   * Record a comment as a lead (merged into the existing lead for the same post)
+   * @param {Object} lead - Lead data
+   * @returns {Promise<Object>} Saved lead
+   */
+  async captureLead(lead) {
+    await this.initialize();
+    return await this.indexedDB.captureLead(lead);
+  }
+
+  /**
+   * Get leads, most recently commented first
+   * @param {Object} filters - Optional { status, groupId }
+   * @returns {Promise<Array>}
+   */
+  async getLeads(filters = {}) {
+    await this.initialize();
+    return await this.indexedDB.getLeads(filters);
+  }
+
+  /**
+   * Update the status, notes or author of a lead
+   * @param {string} leadId - Lead ID
+   * @param {Object} updates - { status, notes, authorName }
+   * @returns {Promise<Object>} Updated lead
+   */
+  async updateLead(leadId, updates) {
+    await this.initialize();
+    return await this.indexedDB.updateLead(leadId, updates);
+  }
+
+  /**
+   * Delete a lead
+   * @param {string} leadId - Lead ID
+   * @returns {Promise<void>}
+   */
+  async deleteLead(leadId) {
+    await this.initialize();
+    return await this.indexedDB.deleteLead(leadId);
+  }
+
   // ===== SETTINGS OPERATIONS =====
 
   /**
@@ -29,6 +29,7 @@ class TemplateLoader {
             // Try to load from user's custom template packs first
             const customPack = await this.loadCustomTemplatePack(categoryId);
             if (customPack) {
+                this.applyPackLocale(customPack);
                 this.templateCache.set(categoryId, customPack);
                 return customPack;
             }
@@ -46,6 +47,7 @@ class TemplateLoader {
             categoryData.templates.forEach(template => {
                 template.category = categoryId;
             });
+            this.applyPackLocale(categoryData);
 
             this.templateCache.set(categoryId, categoryData);
             return categoryData;
@@ -56,6 +58,17 @@ class TemplateLoader {
         }
     }
 
+    /**
+     * Give templates the pack language unless they set their own locale
+     * @param {Object} categoryData - Template pack with category and templates
+     */
+    applyPackLocale(categoryData) {
+        const packLocale = categoryData.category?.locale || '';
+        categoryData.templates.forEach(template => {
+            template.locale = template.locale || packLocale;
+        });
+    }
+
     /**
      * Load all available template categories
      * @returns {Promise<Object>} All categories with their templates
@@ -86,6 +86,7 @@ async function exportData() {
         const settings = data.settings || {};
         const affiliateLinks = settings.affiliateLinks || { default: '', categoryOverrides: {} };
         const adPackMetadata = settings.adPackMetadata || [];
+        const businessProfile = settings.businessProfile || { businessName: '', phone: '', email: '', serviceArea: '', hours: '' };
         
         // Extract onboarding data
         const onboardingData = {
@@ -106,6 +107,7 @@ async function exportData() {
                 keywordStats: keywordStats,
                 affiliateLinks: affiliateLinks,
                 adPackMetadata: adPackMetadata,
+                businessProfile: businessProfile,
                 onboardingData: onboardingData
             }
         };
@@ -293,6 +295,18 @@ function validateV2Structure(data) {
         return { isValid: false, error: 'Invalid v2 backup: adPackMetadata must be an array' };
     }
 
+    // businessProfile should be an object of text fields
+    if (data.businessProfile !== undefined) {
+        if (typeof data.businessProfile !== 'object' || data.businessProfile === null) {
+            return { isValid: false, error: 'Invalid v2 backup: businessProfile must be an object' };
+        }
+        const badField = ['businessName', 'phone', 'email', 'serviceArea', 'hours']
+            .find(field => data.businessProfile[field] !== undefined && typeof data.businessProfile[field] !== 'string');
+        if (badField) {
+            return { isValid: false, error: `Invalid v2 backup: businessProfile.${badField} must be a string` };
+        }
+    }
+
     // onboardingData should be an object
     if (data.onboardingData !== undefined && typeof data.onboardingData !== 'object') {
         return { isValid: false, error: 'Invalid v2 backup: onboardingData must be an object' };
@@ -375,6 +389,13 @@ function migrateBackupData(backup) {
         data.settings.adPackMetadata = backup.data.adPackMetadata;
     }
 
+    if (backup.data.businessProfile) {
+        if (!data.settings) {
+            data.settings = {};
+        }
+        data.settings.businessProfile = backup.data.businessProfile;
+    }
+
     if (backup.data.onboardingData) {
         if (!data.settings) {
             data.settings = {};
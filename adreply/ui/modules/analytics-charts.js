@@ -0,0 +1,205 @@
+// Canvas charts for the analytics tab - drawn locally, no chart library or remote service
+class AnalyticsCharts {
+    constructor() {
+        this.colors = ['#0866FF', '#28a745', '#fd7e14', '#6f42c1', '#20c997', '#dc3545', '#ffc107', '#6c757d'];
+        this.font = '10px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        this.textColor = '#6c757d';
+        this.gridColor = '#e9ecef';
+    }
+
+    /**
+     * Vertical bars over time (e.g. comments per day)
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array} points - [{ label, value }]
+     * @param {Object} options - { color, suffix, maxValue }
+     */
+    drawBarChart(canvas, points, options = {}) {
+        const { ctx, width, height } = this.prepare(canvas);
+        const padding = { top: 10, right: 8, bottom: 18, left: 28 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+        const maxValue = options.maxValue || Math.max(1, ...points.map(point => point.value));
+        const suffix = options.suffix || '';
+
+        // Grid lines with value labels
+        ctx.font = this.font;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        [0, 0.5, 1].forEach(fraction => {
+            const y = padding.top + chartHeight * (1 - fraction);
+            ctx.strokeStyle = this.gridColor;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillStyle = this.textColor;
+            ctx.fillText(`${Math.round(maxValue * fraction)}${suffix}`, padding.left - 4, y);
+        });
+
+        if (points.length === 0) return;
+
+        const slot = chartWidth / points.length;
+        const barWidth = Math.max(1, slot * 0.7);
+        const labelEvery = Math.ceil(points.length / 6);
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        points.forEach((point, index) => {
+            const barHeight = chartHeight * (point.value / maxValue);
+            const x = padding.left + slot * index + (slot - barWidth) / 2;
+            ctx.fillStyle = options.color || this.colors[0];
+            ctx.fillRect(x, padding.top + chartHeight - barHeight, barWidth, barHeight);
+
+            // Label the most recent point and every few before it
+            if ((points.length - 1 - index) % labelEvery === 0) {
+                ctx.fillStyle = this.textColor;
+                ctx.fillText(point.label, x + barWidth / 2, height - padding.bottom + 4);
+            }
+        });
+    }
+
+    /**
+     * Ranked horizontal bars (e.g. top templates)
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array} items - [{ label, value }], largest first
+     */
+    drawHorizontalBars(canvas, items) {
+        const rowHeight = 22;
+        canvas.style.height = `${Math.max(1, items.length) * rowHeight + 4}px`;
+        const { ctx, width } = this.prepare(canvas);
+
+        if (items.length === 0) {
+            this.drawEmpty(ctx, width, rowHeight);
+            return;
+        }
+
+        const maxValue = Math.max(1, ...items.map(item => item.value));
+        const labelWidth = Math.min(140, width * 0.45);
+        const valueWidth = 30;
+        const barSpace = width - labelWidth - valueWidth - 8;
+
+        ctx.font = this.font;
+        ctx.textBaseline = 'middle';
+        items.forEach((item, index) => {
+            const y = 2 + index * rowHeight;
+            ctx.fillStyle = '#495057';
+            ctx.textAlign = 'left';
+            ctx.fillText(this.truncate(ctx, item.label, labelWidth - 6), 0, y + rowHeight / 2);
+
+            ctx.fillStyle = this.colors[index % this.colors.length];
+            ctx.fillRect(labelWidth, y + 4, Math.max(2, barSpace * (item.value / maxValue)), rowHeight - 8);
+
+            ctx.fillStyle = this.textColor;
+            ctx.textAlign = 'right';
+            ctx.fillText(String(item.value), width, y + rowHeight / 2);
+        });
+    }
+
+    /**
+     * Donut with a legend (e.g. category mix)
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array} items - [{ label, value, share }]
+     */
+    drawDonut(canvas, items) {
+        const { ctx, width, height } = this.prepare(canvas);
+
+        if (items.length === 0) {
+            this.drawEmpty(ctx, width, height);
+            return;
+        }
+
+        const radius = Math.min(height / 2 - 4, width / 4);
+        const centerX = radius + 4;
+        const centerY = height / 2;
+        const total = items.reduce((sum, item) => sum + item.value, 0);
+        let angle = -Math.PI / 2;
+
+        items.forEach((item, index) => {
+            const sweep = (item.value / total) * Math.PI * 2;
+            ctx.fillStyle = this.colors[index % this.colors.length];
+            ctx.beginPath();
+            ctx.moveTo(centerX, centerY);
+            ctx.arc(centerX, centerY, radius, angle, angle + sweep);
+            ctx.closePath();
+            ctx.fill();
+            angle += sweep;
+        });
+
+        // Punch out the middle
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius * 0.55, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Legend
+        const legendX = centerX + radius + 12;
+        const rowHeight = 16;
+        const visible = items.slice(0, Math.floor(height / rowHeight));
+        ctx.font = this.font;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        visible.forEach((item, index) => {
+            const y = (height - visible.length * rowHeight) / 2 + index * rowHeight + rowHeight / 2;
+            ctx.fillStyle = this.colors[index % this.colors.length];
+            ctx.fillRect(legendX, y - 4, 8, 8);
+            ctx.fillStyle = '#495057';
+            ctx.fillText(this.truncate(ctx, `${item.label} ${Math.round(item.value / total * 100)}%`, width - legendX - 12), legendX + 12, y);
+        });
+    }
+
+    /**
+     * Download a chart as a PNG on a white background
+     * @param {HTMLCanvasElement} canvas
+     * @param {string} filename
+     */
+    downloadPng(canvas, filename) {
+        const exportCanvas = document.createElement('canvas');
+        exportCanvas.width = canvas.width;
+        exportCanvas.height = canvas.height;
+        const ctx = exportCanvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+        ctx.drawImage(canvas, 0, 0);
+
+        const downloadLink = document.createElement('a');
+        downloadLink.href = exportCanvas.toDataURL('image/png');
+        downloadLink.download = filename;
+        downloadLink.style.display = 'none';
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+    }
+
+    // Size the canvas backing store to its CSS size (sharp on high-DPI screens) and clear it
+    prepare(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 300;
+        const height = canvas.clientHeight || 120;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        return { ctx, width, height };
+    }
+
+    drawEmpty(ctx, width, height) {
+        ctx.font = this.font;
+        ctx.fillStyle = this.textColor;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('No data for this period', width / 2, height / 2);
+    }
+
+    truncate(ctx, text, maxWidth) {
+        if (ctx.measureText(text).width <= maxWidth) return text;
+        let truncated = text;
+        while (truncated.length > 1 && ctx.measureText(`${truncated}…`).width > maxWidth) {
+            truncated = truncated.slice(0, -1);
+        }
+        return `${truncated}…`;
+    }
+}
+
+export default AnalyticsCharts;
@@ -66,6 +66,137 @@ class ConnectionManager {
             return { success: true };
         }
     }
+
+    async getGroupRules(groupId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_GROUP_RULES', groupId });
+            return response && response.success ? response.rules : null;
+        } catch (error) {
+            console.warn('⚠️ Could not load group rules:', error);
+            return null;
+        }
+    }
+
+    async getAllGroupRules() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_GROUP_RULES' });
+            return response && response.success ? response.groupRules : [];
+        } catch (error) {
+            console.warn('⚠️ Could not load group rules:', error);
+            return [];
+        }
+    }
+
+    async saveGroupRules(groupId, rules, name = null) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'SAVE_GROUP_RULES', groupId, rules, name });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async removeGroupRules(groupId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'REMOVE_GROUP_RULES', groupId });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async saveTemplateRevision(revision) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'SAVE_TEMPLATE_REVISION', revision });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getTemplateRevisions(templateId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_TEMPLATE_REVISIONS', templateId });
+            return response && response.success ? response.revisions : [];
+        } catch (error) {
+            console.warn('⚠️ Could not load template revisions:', error);
+            return [];
+        }
+    }
+
+    async deleteTemplateRevisions(templateId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'DELETE_TEMPLATE_REVISIONS', templateId });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Watched posts and reply notifications are only changed by the service worker, so concurrent changes queue there
+    async watchPost(post) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'WATCH_POST', data: post });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async updateReplyNotifications(ids, updates) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'UPDATE_REPLY_NOTIFICATIONS', ids, updates });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async dismissReplyNotification(id) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'DISMISS_REPLY_NOTIFICATION', id });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async captureLead(lead) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'CAPTURE_LEAD', lead });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async getLeads(filters = {}) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_LEADS', filters });
+            return response && response.success ? response.leads : [];
+        } catch (error) {
+            console.warn('⚠️ Could not load leads:', error);
+            return [];
+        }
+    }
+
+    async updateLead(leadId, updates) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'UPDATE_LEAD', leadId, updates });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    async deleteLead(leadId) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'DELETE_LEAD', leadId });
+            return response || { success: false, error: 'Background not responding' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 export default ConnectionManager;
\ No newline at end of file
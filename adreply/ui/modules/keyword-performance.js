@@ -9,6 +9,8 @@ class KeywordPerformanceDashboard {
     this.storageManager = storageManager;
     this.currentSort = { field: 'score', direction: 'desc' };
     this.currentFilter = 'all'; // all, learning, performing, underperforming
+    this.currentPivot = 'category'; // category, groups, templates
+    this.templateRevisions = typeof TemplateRevisions !== 'undefined' ? new TemplateRevisions() : null;
   }
 
   /**
@@ -32,6 +34,14 @@ class KeywordPerformanceDashboard {
             <button class="filter-btn" data-filter="performing">Performing</button>
             <button class="filter-btn" data-filter="underperforming">Underperforming</button>
           </div>
+          <div class="pivot-select">
+            <label for="pivotSelect">View by</label>
+            <select id="pivotSelect">
+              <option value="category">Category</option>
+              <option value="groups">Group</option>
+              <option value="templates">Template</option>
+            </select>
+          </div>
         </div>
 
         <div class="dashboard-summary">
@@ -53,6 +63,26 @@ class KeywordPerformanceDashboard {
           </div>
         </div>
 
+        <div class="keyword-suggestions">
+          <h3>Suggested Keywords</h3>
+          <p class="dashboard-description">
+            Words and phrases that show up far more often in posts where you picked a template than in posts where you ignored it
+          </p>
+          <div id="keywordSuggestionsList">
+            <div class="empty-row">Loading suggestions...</div>
+          </div>
+        </div>
+
+        <div class="keyword-suggestions">
+          <h3>Suggested Removals</h3>
+          <p class="dashboard-description">
+            Keywords that rarely lead to a pick, judged separately in each template and group they run in
+          </p>
+          <div id="keywordRemovalsList">
+            <div class="empty-row">Loading suggestions...</div>
+          </div>
+        </div>
+
         <div class="dashboard-table-container">
           <table class="keyword-table">
             <thead>
@@ -61,7 +91,7 @@ class KeywordPerformanceDashboard {
                   Keyword <span class="sort-icon">↕</span>
                 </th>
                 <th class="sortable" data-field="category">
-                  Category <span class="sort-icon">↕</span>
+                  <span id="contextColumnLabel">Category</span> <span class="sort-icon">↕</span>
                 </th>
                 <th class="sortable" data-field="matches">
                   Matches <span class="sort-icon">↕</span>
@@ -110,6 +140,14 @@ class KeywordPerformanceDashboard {
       });
     });
 
+    // Pivot between category totals and per-group / per-template breakdowns
+    container.querySelector('#pivotSelect').addEventListener('change', (e) => {
+      this.currentPivot = e.target.value;
+      const labels = { category: 'Category', groups: 'Group', templates: 'Template' };
+      container.querySelector('#contextColumnLabel').textContent = labels[this.currentPivot];
+      this.renderTable();
+    });
+
     // Sort headers
     const sortHeaders = container.querySelectorAll('.sortable');
     sortHeaders.forEach(header => {
@@ -142,8 +180,21 @@ class KeywordPerformanceDashboard {
   async loadData() {
     try {
       this.report = await this.learningEngine.getPerformanceReport();
+      this.contextReports = {
+        groups: await this.learningEngine.getContextReport('groups'),
+        templates: await this.learningEngine.getContextReport('templates')
+      };
+      this.removals = await this.learningEngine.getSuggestedRemovals();
       this.categories = await this.loadCategories();
+
+      const templates = await this.loadTemplates();
+      this.templateLabels = Object.fromEntries(templates.map(template => [template.id, template.label]));
+      this.templates = templates.filter(template => !template.isPrebuilt); // Prebuilt templates can't be edited
+      this.keywordSuggestions = await this.learningEngine.getKeywordSuggestions(this.templates);
+
       this.renderSummary();
+      this.renderSuggestions();
+      this.renderRemovals();
       this.renderTable();
     } catch (error) {
       console.error('Error loading keyword data:', error);
@@ -168,6 +219,19 @@ class KeywordPerformanceDashboard {
     }
   }
 
+  /**
+   * Load saved templates, for labels and keyword suggestions
+   */
+  async loadTemplates() {
+    try {
+      const result = await chrome.storage.local.get(['templates']);
+      return result.templates || [];
+    } catch (error) {
+      console.error('Error loading templates:', error);
+      return [];
+    }
+  }
+
   /**
    * Render summary statistics
    */
@@ -188,15 +252,25 @@ class KeywordPerformanceDashboard {
   renderTable() {
     const tbody = document.getElementById('keywordTableBody');
     
-    // Collect all keywords from all categories
+    // Collect all keywords from all categories, or one row per keyword and group / template
     const allKeywords = [];
-    for (const categoryId in this.report.categories) {
-      const categoryData = this.report.categories[categoryId];
-      categoryData.keywords.forEach(kw => {
+    if (this.currentPivot === 'category') {
+      for (const categoryId in this.report.categories) {
+        const categoryData = this.report.categories[categoryId];
+        categoryData.keywords.forEach(kw => {
+          allKeywords.push({
+            ...kw,
+            categoryId: categoryId,
+            categoryName: this.categories[categoryId] || categoryId
+          });
+        });
+      }
+    } else {
+      this.contextReports[this.currentPivot].forEach(row => {
         allKeywords.push({
-          ...kw,
-          categoryId: categoryId,
-          categoryName: this.categories[categoryId] || categoryId
+          ...row,
+          categoryName: this.getContextName(this.currentPivot, row.contextId, row.contextName),
+          isContext: true
         });
       });
     }
@@ -250,6 +324,106 @@ class KeywordPerformanceDashboard {
     this.attachActionListeners();
   }
 
+  /**
+   * Render proposed keywords, grouped by template
+   */
+  renderSuggestions() {
+    const list = document.getElementById('keywordSuggestionsList');
+
+    if (this.keywordSuggestions.length === 0) {
+      list.innerHTML = `
+        <div class="empty-row">
+          No suggestions yet - keep picking and ignoring suggestions and new keywords will appear here
+        </div>
+      `;
+      return;
+    }
+
+    list.innerHTML = this.keywordSuggestions.map(suggestion => `
+      <div class="suggestion-group">
+        <div class="suggestion-header">
+          Add these keywords to <strong>${this.escapeHtml(suggestion.templateLabel)}</strong>
+          <span class="category-badge">${this.escapeHtml(this.categories[suggestion.categoryId] || suggestion.categoryId)}</span>
+          <span class="suggestion-meta">picked for ${suggestion.chosenPosts} posts, ignored for ${suggestion.ignoredPosts}</span>
+        </div>
+        ${suggestion.keywords.map(keyword => `
+          <div class="suggestion-row">
+            <span class="keyword-text">${this.escapeHtml(keyword.term)}</span>
+            <span class="suggestion-meta">
+              in ${keyword.chosen} picked / ${keyword.ignored} ignored posts · ${keyword.lift.toFixed(1)}× lift
+            </span>
+            <span class="suggestion-actions">
+              <button class="action-btn accept-btn"
+                      data-template="${this.escapeHtml(suggestion.templateId)}"
+                      data-keyword="${this.escapeHtml(keyword.term)}"
+                      title="Add keyword to template">
+                ✓ Add
+              </button>
+              <button class="action-btn reject-btn"
+                      data-template="${this.escapeHtml(suggestion.templateId)}"
+                      data-keyword="${this.escapeHtml(keyword.term)}"
+                      title="Don't suggest this keyword again">
+                ✕
+              </button>
+            </span>
+          </div>
+        `).join('')}
+      </div>
+    `).join('');
+
+    list.querySelectorAll('.accept-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const { template, keyword } = e.currentTarget.dataset;
+        await this.handleAcceptSuggestion(template, keyword);
+      });
+    });
+
+    list.querySelectorAll('.reject-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const { template, keyword } = e.currentTarget.dataset;
+        await this.handleRejectSuggestion(template, keyword);
+      });
+    });
+  }
+
+  /**
+   * Render removal suggestions with the template, group or category they apply to
+   */
+  renderRemovals() {
+    const list = document.getElementById('keywordRemovalsList');
+
+    if (this.removals.length === 0) {
+      list.innerHTML = '<div class="empty-row">No keywords are underperforming</div>';
+      return;
+    }
+
+    const scopeLabels = { category: 'Category', template: 'Template', group: 'Group' };
+    list.innerHTML = this.removals.map(removal => {
+      const contextName = removal.scope === 'category'
+        ? this.categories[removal.categoryId] || removal.categoryId
+        : this.getContextName(`${removal.scope}s`, removal.contextId, removal.contextName);
+
+      return `
+        <div class="suggestion-row">
+          <span class="keyword-text">${this.escapeHtml(removal.keyword)}</span>
+          <span class="category-badge">${scopeLabels[removal.scope]}: ${this.escapeHtml(contextName)}</span>
+          <span class="suggestion-meta">${this.escapeHtml(removal.reason)}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Display name for a group or template
+   * @param {string} dimension - 'groups' or 'templates'
+   */
+  getContextName(dimension, id, name = null) {
+    if (dimension === 'templates') {
+      return this.templateLabels[id] || id;
+    }
+    return name || id.replace(/^(https?:\/\/)?(www\.)?facebook\.com\/(groups\/)?/, '') || id;
+  }
+
   /**
    * Render a single keyword row
    */
@@ -276,7 +450,7 @@ class KeywordPerformanceDashboard {
           <span class="score-indicator ${scoreClass}">${scorePercent}%</span>
         </td>
         <td class="actions-cell">
-          <button class="action-btn reset-btn" 
+          ${keyword.isContext ? '' : `<button class="action-btn reset-btn" 
                   data-keyword="${this.escapeHtml(keyword.keyword)}"
                   data-category="${keyword.categoryId}"
                   title="Reset statistics">
@@ -287,7 +461,7 @@ class KeywordPerformanceDashboard {
                   data-category="${keyword.categoryId}"
                   title="Remove keyword">
             ✕
-          </button>
+          </button>`}
         </td>
       </tr>
     `;
@@ -384,6 +558,75 @@ class KeywordPerformanceDashboard {
     }
   }
 
+  /**
+   * Add a suggested keyword to its template
+   */
+  async handleAcceptSuggestion(templateId, keyword) {
+    try {
+      const template = await this.addKeywordToTemplate(templateId, keyword);
+      await this.learningEngine.resolveKeywordSuggestion(templateId, keyword, true);
+      this.showSuccess(`Added "${keyword}" to ${template.label}`);
+      await this.loadData();
+    } catch (error) {
+      console.error('Error adding suggested keyword:', error);
+      this.showError(error.message || 'Failed to add keyword');
+    }
+  }
+
+  /**
+   * Reject a suggested keyword so it isn't proposed again
+   */
+  async handleRejectSuggestion(templateId, keyword) {
+    const success = await this.learningEngine.resolveKeywordSuggestion(templateId, keyword, false);
+    if (success) {
+      this.showSuccess(`"${keyword}" won't be suggested again`);
+      await this.loadData();
+    } else {
+      this.showError('Failed to reject keyword');
+    }
+  }
+
+  /**
+   * Save a template with one more keyword, as a new revision, and tell an open side panel to reload
+   * @returns {Promise<Object>} Updated template
+   */
+  async addKeywordToTemplate(templateId, keyword) {
+    const result = await chrome.storage.local.get(['templates']);
+    const templates = result.templates || [];
+    const index = templates.findIndex(template => template.id === templateId);
+    if (index === -1) {
+      throw new Error('Template not found');
+    }
+
+    const previous = templates[index];
+    const keywords = previous.keywords || [];
+    if (keywords.some(existing => existing.toLowerCase() === keyword)) {
+      return previous;
+    }
+
+    const updated = {
+      ...previous,
+      keywords: [...keywords, keyword],
+      updatedAt: new Date().toISOString()
+    };
+    if (this.templateRevisions) {
+      this.templateRevisions.numberRevision(previous, updated);
+    }
+    templates[index] = updated;
+    await chrome.storage.local.set({ templates });
+
+    // Recorded the same way as edits made in the side panel
+    if (this.templateRevisions) {
+      await this.templateRevisions.recordEdit(this.storageManager, previous, updated, 'suggested', { keyword });
+    }
+
+    chrome.runtime.sendMessage({ type: 'TEMPLATES_UPDATED', templateId }).catch(() => {
+      // Side panel might not be open, which is fine
+    });
+
+    return updated;
+  }
+
   /**
    * Show success message
    */
@@ -12,12 +12,15 @@ class OnboardingWizard {
             companyUrl: '',
             aiProvider: 'gemini',
             apiKey: '',
+            serverUrl: '',
+            serverModel: '',
             generatedData: null,
             mergeStrategy: 'merge'
         };
         
         this.storageManager = null;
         this.aiClient = null;
+        this.defaultServerUrl = 'http://localhost:11434/v1';
         this.hasExistingData = false;
         
         this.init();
@@ -153,8 +156,19 @@ class OnboardingWizard {
     updateAPIKeyHelp() {
         const helpBox = document.getElementById('apiKeyHelp');
         const provider = this.data.aiProvider;
+        const isSelfHosted = provider === 'openai-compatible';
+
+        document.getElementById('localServerFields').style.display = isSelfHosted ? 'block' : 'none';
+        document.getElementById('apiKeyLabel').textContent = isSelfHosted ? 'API Key (optional)' : 'API Key';
         
-        if (provider === 'gemini') {
+        if (isSelfHosted) {
+            helpBox.innerHTML = `
+                📝 <strong>Connect your own server:</strong><br>
+                • Ollama: <code>http://localhost:11434/v1</code> with a pulled model such as <code>llama3.1</code><br>
+                • llama.cpp: <code>http://localhost:8080/v1</code> (run <code>llama-server</code>)<br>
+                Your business description and templates are only sent to this address.
+            `;
+        } else if (provider === 'gemini') {
             helpBox.innerHTML = `
                 📝 <strong>Get your Gemini API key:</strong><br>
                 1. Visit <a href="https://makersuite.google.com/app/apikey" target="_blank">Google AI Studio</a><br>
@@ -241,6 +255,19 @@ class OnboardingWizard {
                 return true; // Always valid, has default
 
             case 4: // API Key
+                if (this.data.aiProvider === 'openai-compatible') {
+                    const serverUrl = document.getElementById('serverUrl').value.trim() || this.defaultServerUrl;
+                    if (!/^https?:\/\//i.test(serverUrl) || !this.isValidUrl(serverUrl)) {
+                        this.showError('Please enter your server address (e.g., http://localhost:11434/v1)');
+                        return false;
+                    }
+                    if (!await this.requestServerPermission(serverUrl)) {
+                        this.showError('AdReply needs permission to reach your server.');
+                        return false;
+                    }
+                    return true;
+                }
+
                 const apiKey = document.getElementById('apiKey').value.trim();
                 if (!apiKey) {
                     this.showError('Please enter your API key.');
@@ -266,6 +293,8 @@ class OnboardingWizard {
                 break;
             case 4:
                 this.data.apiKey = document.getElementById('apiKey').value.trim();
+                this.data.serverUrl = document.getElementById('serverUrl').value.trim() || this.defaultServerUrl;
+                this.data.serverModel = document.getElementById('serverModel').value.trim();
                 break;
         }
     }
@@ -301,11 +330,33 @@ class OnboardingWizard {
             const AIClientModule = await import('../../scripts/ai-client.js');
             const AIClient = AIClientModule.default || AIClientModule.AIClient;
             
-            // Create AI client with API key
-            this.aiClient = AIClient.create(this.data.aiProvider, this.data.apiKey);
+            // Create AI client with API key (and server for self-hosted models)
+            this.aiClient = AIClient.create(this.data.aiProvider, this.data.apiKey, {
+                baseUrl: this.data.serverUrl,
+                model: this.data.serverModel
+            });
         } catch (error) {
             console.error('Failed to initialize AI client:', error);
-            throw new Error('Failed to initialize AI service. Please check your API key.');
+            throw new Error('Failed to initialize AI service. Please check your API key or server URL.');
+        }
+    }
+
+    /**
+     * Ask for access to a self-hosted server (localhost included - the manifest only lists it as optional)
+     * @param {string} serverUrl - Server base URL
+     * @returns {Promise<boolean>} True if AdReply may call the server
+     */
+    async requestServerPermission(serverUrl) {
+        const origins = [`${new URL(serverUrl).origin}/*`];
+
+        try {
+            if (await chrome.permissions.contains({ origins })) {
+                return true;
+            }
+            return await chrome.permissions.request({ origins });
+        } catch (error) {
+            console.error('Failed to request server permission:', error);
+            return false;
         }
     }
 
@@ -509,6 +560,18 @@ class OnboardingWizard {
             settings.aiProvider = this.data.aiProvider;
             settings.onboardingCompleted = true;
 
+            // Remember the self-hosted server for AIService and later wizard runs
+            if (this.data.aiProvider === 'openai-compatible') {
+                const registry = new window.AIProviderRegistry();
+                const saveResult = await registry.saveSettings({
+                    baseUrl: this.data.serverUrl,
+                    ...(this.data.serverModel ? { localModel: this.data.serverModel } : {})
+                });
+                if (!saveResult.success) {
+                    console.error('Failed to save AI server settings:', saveResult.error);
+                }
+            }
+
             // Encrypt and save API key using encryption utilities
             if (this.data.apiKey) {
                 // Import encryption utilities
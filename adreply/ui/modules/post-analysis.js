@@ -6,8 +6,25 @@ class PostAnalyzer {
         this.usageTracker = usageTracker;
         this.keywordLearningEngine = keywordLearningEngine;
         this.currentPost = null;
+        this.currentGroupId = null; // Group of the last analysed post, for per-group keyword stats
         this.currentMatches = []; // Store current matches for learning
         this.ignoreTimers = new Map(); // Track ignore timers for suggestions
+        this.templateVariants = typeof TemplateVariants !== 'undefined' ? new TemplateVariants() : null;
+        this.rotationPolicy = typeof RotationPolicyManager !== 'undefined' ? new RotationPolicyManager(usageTracker) : null;
+        this.templateMatcher = typeof TemplateMatcher !== 'undefined' ? new TemplateMatcher() : null;
+        // AI provider for intent classification (set up in AI Models; initialized by the side panel)
+        this.aiService = typeof AIService !== 'undefined' && typeof ChromeStorageManager !== 'undefined'
+            ? new AIService(new ChromeStorageManager())
+            : null;
+        this.intentClassifier = typeof IntentClassifier !== 'undefined' ? new IntentClassifier(this.aiService) : null;
+        this.safetyFilter = typeof SafetyFilter !== 'undefined' ? new SafetyFilter() : null;
+        this.groupRules = typeof GroupRulesChecker !== 'undefined' ? new GroupRulesChecker() : null;
+        this.businessProfile = typeof BusinessProfileManager !== 'undefined' ? new BusinessProfileManager() : null;
+        this.templateExpressions = typeof TemplateExpressions !== 'undefined' ? new TemplateExpressions() : null;
+        this.templateSchedule = typeof TemplateSchedule !== 'undefined' ? new TemplateSchedule() : null;
+        this.abTesting = typeof ABTestManager !== 'undefined' ? new ABTestManager() : null;
+        this.suggestionBandit = typeof SuggestionBandit !== 'undefined' ? new SuggestionBandit() : null;
+        this.currentIntent = null;
     }
 
     async generateSuggestions(postContent, isProLicense = false) {
@@ -46,19 +63,77 @@ class PostAnalyzer {
             }
         }
         
+        // Never promote on tragedy, medical or political posts
+        if (this.safetyFilter) {
+            try {
+                await this.safetyFilter.loadSettings();
+                const safety = this.safetyFilter.check(postContent);
+                
+                if (safety.blocked) {
+                    console.log('AdReply: Safety filter blocked suggestions:', safety.category, safety.matchedTerms);
+                    const terms = safety.matchedTerms.slice(0, 3).map(term => `"${term}"`).join(', ');
+                    return [{
+                        text: `⚠️ Not appropriate to promote here. This post mentions ${terms} (${safety.categoryLabel}). Suggestions are hidden to protect your reputation in this group.`,
+                        templateId: 'safety_blocked',
+                        templateLabel: 'Sensitive Post',
+                        isNotice: true
+                    }];
+                }
+            } catch (error) {
+                console.error('AdReply: Error checking safety filter:', error);
+            }
+        }
+        
+        // Respect intents the user never wants to pitch on (grief, complaints, ...)
+        this.currentIntent = null;
+        if (this.intentClassifier) {
+            try {
+                await this.intentClassifier.loadSettings();
+                this.currentIntent = await this.intentClassifier.classify(postContent);
+                console.log('AdReply: Post intent:', this.currentIntent.intent, this.currentIntent.confidence);
+                
+                if (this.intentClassifier.shouldSuppress(this.currentIntent)) {
+                    const intentLabel = this.intentClassifier.getIntentLabel(this.currentIntent.intent);
+                    return [{
+                        text: `🚫 Suggestions hidden: this post looks like "${intentLabel}", which you chose not to promote on. Change this under Post Intent Filter in settings.`,
+                        templateId: 'intent_suppressed',
+                        templateLabel: 'Post Intent',
+                        isNotice: true
+                    }];
+                }
+            } catch (error) {
+                console.error('AdReply: Error classifying post intent:', error);
+            }
+        }
+        
+        // Respect the promotion rules recorded for this group (promo days, weekly cap, links)
+        let groupRulesContext = null;
+        if (this.groupRules) {
+            try {
+                groupRulesContext = await this.loadGroupRulesContext();
+                const evaluation = this.groupRules.evaluate(groupRulesContext.rules, { recentUsage: groupRulesContext.recentUsage });
+                
+                if (evaluation.blocked) {
+                    console.log('AdReply: Group rules blocked suggestions:', evaluation.violations);
+                    return [{
+                        text: `📋 Suggestions hidden by this group's rules: ${evaluation.violations.map(v => v.message).join('; ')}. Change this under Group Rules in settings.`,
+                        templateId: 'group_rules_blocked',
+                        templateLabel: 'Group Rules',
+                        isNotice: true
+                    }];
+                }
+            } catch (error) {
+                console.error('AdReply: Error checking group rules:', error);
+            }
+        }
+        
         const suggestions = [];
 
-        // Get default promo URL from settings
-        let defaultPromoUrl = '';
-        try {
-            const result = await chrome.storage.local.get(['defaultPromoUrl']);
-            defaultPromoUrl = result.defaultPromoUrl || '';
-        } catch (error) {
-            console.warn('AdReply: Could not get default promo URL:', error);
-        }
+        // Everything placeholders and expressions need (URL, business profile, custom placeholders, group)
+        const renderContext = await this.loadRenderContext();
         
         // Match templates based on keywords
-        const matchedTemplates = await this.matchTemplatesWithPost(postContent);
+        const matchedTemplates = await this.matchTemplatesWithPost(postContent, renderContext);
         console.log('AdReply: Matched templates:', matchedTemplates.length);
         
         // Store matches for learning engine
@@ -71,7 +146,7 @@ class PostAnalyzer {
                 const allKeywords = matchedTemplates.flatMap(match => 
                     (match.template.keywords || []).filter(k => !k.startsWith('-'))
                 );
-                await this.keywordLearningEngine.recordMatch(postContent, matchedTemplates, allKeywords);
+                await this.keywordLearningEngine.recordMatch(postContent, matchedTemplates, allKeywords, this.getLearningContext());
             } catch (error) {
                 console.error('AdReply: Error recording matches with learning engine:', error);
             }
@@ -79,51 +154,37 @@ class PostAnalyzer {
         
         if (matchedTemplates.length > 0) {
             // Use matched templates
-            for (const match of matchedTemplates) { // All matches - 24h usage tracking provides natural rotation
+            for (const match of matchedTemplates) { // All matches - rotation policy marks blocked ones as recently used
                 const template = match.template;
-                const variant = match.variant;
-                
-                // Format the suggestion with URL replacement
-                let suggestion = variant || template.template;
-
-                // Get the URL to use (template URL takes priority over default)
-                const urlToUse = template.url || defaultPromoUrl;
                 
-                console.log('AdReply: Processing template:', template.label);
-                console.log('AdReply: Template URL:', template.url);
-                console.log('AdReply: Default URL:', defaultPromoUrl);
-                console.log('AdReply: URL to use:', urlToUse);
-                console.log('AdReply: Original suggestion:', suggestion);
-
-                // Replace {url} placeholder with the URL
-                if (suggestion.includes('{url}')) {
-                    suggestion = suggestion.replace(/{url}/g, urlToUse);
-                    console.log('AdReply: After {url} replacement:', suggestion);
-                }
-                
-                // Replace {site} placeholder for backward compatibility
-                if (suggestion.includes('{site}')) {
-                    suggestion = suggestion.replace(/{site}/g, urlToUse || 'our website');
-                    console.log('AdReply: After {site} replacement:', suggestion);
-                }
+                // Variant text already has placeholders and spintax resolved - add the promo URL if needed
+                const suggestion = this.finalizeSuggestionText(match.variant || template.template, template, renderContext);
                 
-                // If no placeholder was found but we have a URL, append it
-                if (!suggestion.includes('{url}') && !suggestion.includes('{site}') && urlToUse) {
-                    // Check if the suggestion already ends with a URL
-                    const urlPattern = /https?:\/\/[^\s]+$/;
-                    if (!urlPattern.test(suggestion.trim())) {
-                        suggestion = suggestion.trim() + ' ' + urlToUse;
-                        console.log('AdReply: After URL append:', suggestion);
-                    }
-                }
+                // Business placeholders the profile has no value for
+                const rawBody = this.templateVariants
+                    ? this.templateVariants.getVariants(template)[match.variantIndex || 0] || template.template
+                    : template.template;
+                const missingPlaceholders = this.businessProfile
+                    ? this.businessProfile.findMissingPlaceholders(rawBody)
+                    : [];
                 
-                console.log('AdReply: Final suggestion:', suggestion);
+                console.log('AdReply: Final suggestion:', template.label, suggestion);
                 
                 suggestions.push({
                     text: suggestion,
                     templateId: template.id,
                     templateLabel: template.label,
-                    variantIndex: match.variantIndex || 0
+                    variantIndex: match.variantIndex || 0,
+                    recentlyUsed: match.recentlyUsed,
+                    rotationReason: match.rotationReason || null,
+                    locale: template.locale || '',
+                    languageMismatch: !!match.languageMismatch,
+                    experimentId: match.experimentId || null,
+                    experimentArm: match.experimentArm || null,
+                    learnedRank: match.learnedRank || null,
+                    explored: !!match.explored,
+                    unweightedRank: match.unweightedRank || null,
+                    missingPlaceholders
                 });
             }
         } else {
@@ -131,9 +192,182 @@ class PostAnalyzer {
             suggestions.push(...await this.generateFallbackSuggestions(postContent));
         }
         
+        // Flag suggestions that would break the group's rules (e.g. a link where links are banned)
+        if (groupRulesContext && groupRulesContext.rules) {
+            for (const suggestion of suggestions) {
+                const evaluation = this.groupRules.evaluate(groupRulesContext.rules, {
+                    text: suggestion.text,
+                    recentUsage: groupRulesContext.recentUsage
+                });
+                suggestion.ruleViolations = evaluation.violations.map(v => v.message);
+                suggestion.ruleBlocked = evaluation.blocked;
+            }
+        }
+        
         return suggestions;
     }
 
+    /**
+     * Load what rendering a template needs, so suggestions and the editor preview come out the same
+     * @param {string} groupId - Current group ID (looked up when omitted)
+     * @returns {Promise<Object>} { defaultPromoUrl, affiliateLinks, groupId, post, now }
+     */
+    async loadRenderContext(groupId = null) {
+        const context = {
+            defaultPromoUrl: '',
+            affiliateLinks: { default: '', categoryOverrides: {} },
+            groupId: groupId || await this.getCurrentGroupId(),
+            post: this.currentPost, // Author, group name and text for {author_first_name}, {group_name}, {post_topic}
+            now: new Date()
+        };
+        
+        try {
+            const result = await chrome.storage.local.get(['settings', 'defaultPromoUrl']);
+            context.defaultPromoUrl = result.defaultPromoUrl || '';
+            context.affiliateLinks = { ...context.affiliateLinks, ...(result.settings?.affiliateLinks || {}) };
+        } catch (error) {
+            console.warn('AdReply: Could not get default promo URL:', error);
+        }
+        
+        // Business details for {phone}, {email}, {location}, {contact}, {hours} and {business}
+        if (this.businessProfile) {
+            await this.businessProfile.loadProfile();
+        }
+        
+        // User-defined placeholders such as {promo_code}
+        if (this.templateExpressions) {
+            await this.templateExpressions.loadCustomPlaceholders();
+        }
+        
+        return context;
+    }
+
+    /**
+     * Resolve placeholders, filters, conditionals and {{link}} in one template body (spintax is left for spinning)
+     * @param {string} body - Template body or variant
+     * @param {Object} template - Template (url, category and optional affiliateLink override)
+     * @param {Object} context - Render context from loadRenderContext
+     * @returns {string}
+     */
+    renderTemplateBody(body, template, context) {
+        const urlToUse = template.url || context.defaultPromoUrl;
+        const inGroup = /\/groups\//.test(context.groupId || '');
+        const hour = context.now.getHours();
+        
+        const variables = {
+            url: urlToUse,
+            site: urlToUse,
+            website: urlToUse,
+            link: urlToUse,
+            group: inGroup ? 'this group' : '',
+            time: hour < 12 ? 'this morning' : hour < 17 ? 'this afternoon' : 'this evening',
+            date: context.now,
+            ...(this.templateExpressions ? this.templateExpressions.getPostVariables(context.post) : {}),
+            ...(this.businessProfile ? this.businessProfile.getPlaceholderVariables() : {}),
+            ...(this.templateExpressions ? this.templateExpressions.customPlaceholders : {})
+        };
+        const fallbacks = {
+            site: 'our website',
+            website: 'our website',
+            link: 'link in bio',
+            group: 'this group',
+            ...(this.templateExpressions ? this.templateExpressions.getPostFallbacks() : {}),
+            ...(this.businessProfile ? this.businessProfile.getPlaceholderFallbacks() : {})
+        };
+        
+        let rendered = body || '';
+        if (this.templateExpressions) {
+            rendered = this.templateExpressions.render(rendered, variables, { fallbacks });
+        } else {
+            rendered = rendered.replace(/{url}/g, urlToUse).replace(/{site}/g, urlToUse || 'our website');
+        }
+        
+        // {{link}}: the template's own override, then the category override, then the default affiliate link
+        if (rendered.includes('{{link}}')) {
+            const affiliateLinks = context.affiliateLinks;
+            const affiliateLink = (template.affiliateLink && template.affiliateLink.trim())
+                || (affiliateLinks.categoryOverrides || {})[template.category]
+                || affiliateLinks.default;
+            
+            if (affiliateLink) {
+                rendered = rendered.replace(/\{\{link\}\}/g, affiliateLink);
+            } else {
+                // Remove lines with {{link}} if no affiliate link
+                rendered = rendered
+                    .split('\n')
+                    .filter(line => !line.includes('{{link}}'))
+                    .join('\n')
+                    .trim();
+            }
+        }
+        
+        return rendered;
+    }
+
+    /**
+     * Append the promo URL when the rendered text doesn't already end with a link
+     * @param {string} text - Rendered suggestion text
+     * @param {Object} template - Template (url)
+     * @param {Object} context - Render context from loadRenderContext
+     * @returns {string}
+     */
+    finalizeSuggestionText(text, template, context) {
+        const urlToUse = template.url || context.defaultPromoUrl;
+        
+        if (urlToUse && !/https?:\/\/[^\s]+$/.test(text.trim()) && !text.includes(urlToUse)) {
+            return text.trim() + ' ' + urlToUse;
+        }
+        
+        return text;
+    }
+
+    /**
+     * Render a template exactly as a suggestion would be rendered (used by the editor preview)
+     * @param {Object} template - { template, url, category, affiliateLink }
+     * @returns {Promise<string>}
+     */
+    async renderTemplatePreview(template) {
+        const context = await this.loadRenderContext();
+        const body = this.renderTemplateBody(template.template, template, context);
+        const spun = this.templateVariants ? this.templateVariants.spin(body) : body;
+        return this.finalizeSuggestionText(spun, template, context);
+    }
+
+    /**
+     * Load the current group's promotion rules and its last 7 days of usage
+     * @returns {Promise<Object>} { groupId, rules, recentUsage }
+     */
+    async loadGroupRulesContext() {
+        const groupId = await this.getCurrentGroupId();
+        const rules = await this.connectionManager.getGroupRules(groupId);
+        
+        let recentUsage = [];
+        if (rules && this.usageTracker) {
+            recentUsage = await this.usageTracker.getGroupUsage(groupId, 7 * 24);
+        }
+        
+        return { groupId, rules, recentUsage };
+    }
+
+    /**
+     * Check text against the current group's rules right before it is copied or posted
+     * @param {string} text - Comment text
+     * @returns {Promise<Object|null>} Rules evaluation, or null if rules are unavailable
+     */
+    async checkGroupRules(text) {
+        if (!this.groupRules) {
+            return null;
+        }
+        
+        try {
+            const { rules, recentUsage } = await this.loadGroupRulesContext();
+            return this.groupRules.evaluate(rules, { text, recentUsage });
+        } catch (error) {
+            console.error('AdReply: Error checking group rules:', error);
+            return null;
+        }
+    }
+
     async generateFallbackSuggestions(postContent) {
         const suggestions = [];
         
@@ -190,12 +424,19 @@ class PostAnalyzer {
         return suggestions;
     }
 
-    async matchTemplatesWithPost(postContent) {
+    async matchTemplatesWithPost(postContent, renderContext = null) {
         console.log('AdReply: Matching templates with post content:', postContent.substring(0, 100) + '...');
         
-        const templates = this.templateManager.getTemplates();
+        let templates = this.templateManager.getTemplates();
         console.log('AdReply: Available templates:', templates.length);
         
+        // Skip templates outside their own or their category's schedule (seasonal offers, weekday/hour windows)
+        if (this.templateSchedule) {
+            await this.templateSchedule.loadCategorySchedules();
+            templates = this.templateSchedule.filterActiveTemplates(templates);
+            console.log('AdReply: Templates active on schedule:', templates.length);
+        }
+        
         const matches = [];
         
         // Get user's preferred category
@@ -208,126 +449,155 @@ class PostAnalyzer {
             console.warn('AdReply: Could not get preferred category:', error);
         }
         
-        // Clean and split post content, removing punctuation for better matching
-        const cleanedContent = postContent.toLowerCase().replace(/[^\w\s]/g, ' ');
-        const postWords = cleanedContent.split(/\s+/).filter(word => word.length > 0);
-        console.log('AdReply: Post words:', postWords.slice(0, 10)); // Show first 10 words
-        console.log('AdReply: Original content:', postContent.substring(0, 100) + '...');
-        console.log('AdReply: Cleaned content:', cleanedContent.substring(0, 100) + '...');
-        
         // Get current group ID for usage filtering
         let currentGroupId = await this.getCurrentGroupId();
+        this.currentGroupId = currentGroupId;
         
-        // Get recent usage for this group
+        if (!renderContext) {
+            renderContext = await this.loadRenderContext(currentGroupId);
+        }
+        
+        // Get recent usage for this group (window covers the longest configured rotation policy)
         let recentUsage = [];
+        if (this.rotationPolicy) {
+            await this.rotationPolicy.loadPolicies();
+        }
         if (this.usageTracker) {
             try {
-                recentUsage = await this.usageTracker.getGroupUsage(currentGroupId, 24);
+                const hoursBack = this.rotationPolicy ? this.rotationPolicy.getUsageWindowHours() : 24;
+                recentUsage = await this.usageTracker.getGroupUsage(currentGroupId, hoursBack);
             } catch (error) {
                 console.warn('AdReply: Could not get usage history:', error);
             }
         }
         
-        for (const template of templates) {
-            let score = 0;
-            
-            console.log('AdReply: Checking template:', template.label, 'Keywords:', template.keywords);
-            
-            // Safety check for keywords
-            if (!template.keywords || !Array.isArray(template.keywords)) {
-                console.warn('AdReply: Template has invalid keywords:', template);
-                continue;
-            }
+        if (!this.templateMatcher) {
+            console.error('AdReply: TemplateMatcher not available');
+            return [];
+        }
+        
+        // Running A/B experiments decide which variant of their template is served
+        if (this.abTesting) {
+            await this.abTesting.loadExperiments();
+        }
+        
+        // Keywords that usually lead to a pick count for more (null when learned weighting is off)
+        let keywordWeights = null;
+        if (this.keywordLearningEngine) {
+            keywordWeights = await this.keywordLearningEngine.getKeywordWeights();
+        }
+        
+        // Score templates with the shared matcher (negative keywords, phrases, TF-IDF similarity, category preference)
+        const scoredTemplates = this.templateMatcher.matchTemplates(postContent, templates, { preferredCategory, keywordWeights });
+        
+        // Rank without learned weights too, so suggestions can show where learning moved them
+        const unweightedRanks = new Map();
+        if (keywordWeights) {
+            this.templateMatcher.matchTemplates(postContent, templates, { preferredCategory })
+                .forEach((matchResult, index) => unweightedRanks.set(matchResult.template.id, index + 1));
+        }
+        
+        scoredTemplates.forEach((matchResult, index) => {
+            console.log('AdReply: Template score:', matchResult.template.label, matchResult.score, matchResult.matchedKeywords,
+                matchResult.semanticOnly ? `(similar: ${matchResult.sharedTerms.join(', ')})` : '');
             
-            // Calculate relevance score based on keyword matches
-            let hasNegativeMatch = false;
-
-            for (const keyword of template.keywords) {
-                const keywordLower = keyword.toLowerCase().trim();
-                if (!keywordLower) continue; // Skip empty keywords
-
-                // Check if this is a negative keyword (starts with -)
-                if (keywordLower.startsWith('-')) {
-                    const negativeKeyword = keywordLower.substring(1); // Remove the - prefix
-                    if (!negativeKeyword) continue; // Skip if empty after removing -
-
-                    // Check if negative keyword is present in post
-                    const exactNegativeMatch = postWords.includes(negativeKeyword);
-                    const partialNegativeMatch = postWords.some(word => word.includes(negativeKeyword) && negativeKeyword.length > 2);
-
-                    console.log(`AdReply: Testing negative keyword "${keyword}" (${negativeKeyword}) against post words:`, postWords);
-                    console.log(`AdReply: Negative exact match for "${negativeKeyword}":`, exactNegativeMatch);
-                    console.log(`AdReply: Negative partial match for "${negativeKeyword}":`, partialNegativeMatch);
-
-                    if (exactNegativeMatch || partialNegativeMatch) {
-                        hasNegativeMatch = true;
-                        console.log('AdReply: ❌ Negative keyword match found:', keyword, '- template excluded');
-                        break; // Exit early if negative keyword found
-                    }
-                } else {
-                    // Regular positive keyword matching
-                    const exactMatch = postWords.includes(keywordLower);
-                    const partialMatch = postWords.some(word => word.includes(keywordLower) && keywordLower.length > 2);
-
-                    console.log(`AdReply: Testing keyword "${keyword}" (${keywordLower}) against post words:`, postWords);
-                    console.log(`AdReply: Exact match for "${keywordLower}":`, exactMatch);
-                    console.log(`AdReply: Partial match for "${keywordLower}":`, partialMatch);
-
-                    if (exactMatch || partialMatch) {
-                        score += exactMatch ? 2 : 1; // Exact matches get higher score
-                        console.log('AdReply: ✅ Keyword match found:', keyword, exactMatch ? '(exact)' : '(partial)', 'in post words');
-                    } else {
-                        console.log('AdReply: ❌ No match for keyword:', keyword);
-                    }
-                }
+            if (keywordWeights) {
+                matchResult.learnedRank = index + 1;
+                matchResult.unweightedRank = unweightedRanks.get(matchResult.template.id) || null;
             }
-
-            // If negative keyword matched, exclude this template completely
-            if (hasNegativeMatch) {
-                console.log('AdReply: Template excluded due to negative keyword match:', template.label);
-                continue; // Skip this template entirely
-            }
-
-            // Add category priority bonus
-            if (preferredCategory && template.category === preferredCategory) {
-                score += 3; // Significant bonus for preferred category
-                console.log('AdReply: Category bonus applied for:', template.label, 'Category:', template.category);
-            }
-            
-            console.log('AdReply: Template score:', template.label, score);
             
-            if (score > 0) {
-                // Add main template and variants
-                this.addTemplateMatches(template, score, recentUsage, matches);
+            // Add main template and variants
+            this.addTemplateMatches(matchResult, recentUsage, matches, currentGroupId, renderContext);
+        });
+        
+        // Explore mode samples each template's pick rate, so rarely shown templates still get a turn
+        let exploreRate = 0;
+        if (this.suggestionBandit && this.keywordLearningEngine) {
+            const ordering = await this.suggestionBandit.loadSettings();
+            if (ordering.mode === 'explore' && ordering.exploreRate > 0) {
+                const templateOutcomes = await this.keywordLearningEngine.getTemplateOutcomes();
+                this.suggestionBandit.scoreMatches(matches, templateOutcomes, ordering.exploreRate);
+                exploreRate = ordering.exploreRate;
             }
         }
         
-        return this.sortAndFilterMatches(matches);
+        return this.sortAndFilterMatches(matches, exploreRate > 0);
     }
 
-    addTemplateMatches(template, score, recentUsage, matches) {
-        // Add template (no variants system anymore - each template is individual)
-        const isTemplateUsed = recentUsage.some(usage => 
-            usage.templateId === template.id && usage.variantIndex === 0
-        );
+    addTemplateMatches(matchResult, recentUsage, matches, groupId = null, renderContext = null) {
+        const { template, score, matchedKeywords, isPreferredCategory, languageMismatch } = matchResult;
+        const rankFields = matchResult.learnedRank
+            ? { learnedRank: matchResult.learnedRank, unweightedRank: matchResult.unweightedRank }
+            : {};
+        const render = renderContext ? (body) => this.renderTemplateBody(body, template, renderContext) : null;
+        const experiment = this.abTesting ? this.abTesting.getRunningExperiment(template.id) : null;
+        const experimentIndex = experiment ? this.abTesting.assignVariant(experiment) : null;
+        
+        // Pick the wording (main body or alternative variant) least recently used in this group,
+        // unless an A/B experiment is alternating the variants
+        const { variantIndex, text } = this.templateVariants
+            ? this.templateVariants.pickVariant(template, recentUsage, Math.random, render, experimentIndex)
+            : { variantIndex: 0, text: render ? render(template.template) : template.template };
+        const experimentFields = experiment && variantIndex === experimentIndex
+            ? { experimentId: experiment.id, experimentArm: this.abTesting.getArmLabel(experiment, variantIndex) }
+            : {};
+        
+        // Cooldown, weekly cap and group gap come from the rotation policy for this group/category
+        if (this.rotationPolicy) {
+            const evaluation = this.rotationPolicy.evaluateTemplate(template, groupId, recentUsage);
+            matches.push({
+                template,
+                variant: text,
+                variantIndex,
+                score,
+                matchedKeywords,
+                isPreferredCategory,
+                languageMismatch,
+                recentlyUsed: !evaluation.allowed,
+                rotationReason: evaluation.reason,
+                lastUsed: evaluation.lastUsed,
+                ...experimentFields,
+                ...rankFields
+            });
+            return;
+        }
+        
+        const variantUsage = recentUsage
+            .filter(usage => usage.templateId === template.id && (usage.variantIndex || 0) === variantIndex)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const isVariantUsed = variantUsage.length > 0;
         
         matches.push({
             template,
-            variant: template.template,
-            variantIndex: 0,
+            variant: text,
+            variantIndex,
             score,
-            recentlyUsed: isTemplateUsed,
-            lastUsed: isTemplateUsed ? recentUsage.find(u => u.templateId === template.id && u.variantIndex === 0)?.timestamp : null
+            matchedKeywords,
+            isPreferredCategory,
+            languageMismatch,
+            recentlyUsed: isVariantUsed,
+            lastUsed: isVariantUsed ? variantUsage[0].timestamp : null,
+            ...experimentFields,
+            ...rankFields
         });
     }
 
-    sortAndFilterMatches(matches) {
+    sortAndFilterMatches(matches, explore = false) {
         // Separate unused and recently used
         const unusedMatches = matches.filter(m => !m.recentlyUsed);
         const recentlyUsedMatches = matches.filter(m => m.recentlyUsed);
         
-        // Sort unused by score (highest first)
-        unusedMatches.sort((a, b) => b.score - a.score);
+        // Sort unused by preferred category, then score (highest first)
+        unusedMatches.sort((a, b) => this.templateMatcher.compareMatches(a, b));
+        
+        // Exploring: re-rank by the sampled score and flag templates that jumped ahead of a better match
+        if (explore) {
+            const scoreRanks = new Map(unusedMatches.map((match, index) => [match, index]));
+            unusedMatches.sort((a, b) => this.templateMatcher.compareMatches(a, b, 'banditScore'));
+            unusedMatches.forEach((match, index) => {
+                match.explored = index < scoreRanks.get(match);
+            });
+        }
         
         // Sort recently used by oldest first (for fallback)
         recentlyUsedMatches.sort((a, b) => {
@@ -409,6 +679,9 @@ class PostAnalyzer {
                     await this.connectionManager.storePost({
                         content: response.content,
                         groupId: response.groupId || 'manual',
+                        authorName: response.authorName || null,
+                        groupName: response.groupName || null,
+                        postUrl: response.postUrl || null,
                         timestamp: Date.now(),
                         source: 'manual_analysis'
                     });
@@ -416,7 +689,10 @@ class PostAnalyzer {
                     return {
                         success: true,
                         content: response.content,
-                        groupId: response.groupId
+                        groupId: response.groupId,
+                        authorName: response.authorName || null,
+                        groupName: response.groupName || null,
+                        postUrl: response.postUrl || null
                     };
                 } else {
                     throw new Error('No post content found on current page');
@@ -452,7 +728,12 @@ class PostAnalyzer {
             const keywords = template.keywords || [];
             const categoryId = template.category || 'custom';
             
-            await this.keywordLearningEngine.recordSelection(templateId, keywords, categoryId);
+            const revision = this.keywordLearningEngine.getTemplateRevision(template);
+            
+            // Post text lets the engine mine new keyword candidates for this template
+            const postContent = this.currentPost?.content || '';
+            
+            await this.keywordLearningEngine.recordSelection(templateId, keywords, categoryId, revision, postContent, this.getLearningContext());
             
             // Clear any pending ignore timer for this template
             if (this.ignoreTimers.has(templateId)) {
@@ -481,13 +762,19 @@ class PostAnalyzer {
             clearTimeout(this.ignoreTimers.get(templateId));
         }
 
+        // The post may change before the timer fires, so keep the one the suggestion was shown for
+        const postContent = this.currentPost?.content || '';
+        const context = this.getLearningContext();
+        
         // Start 10-second timer
         const timer = setTimeout(async () => {
             try {
                 const keywords = template.keywords || [];
                 const categoryId = template.category || 'custom';
                 
-                await this.keywordLearningEngine.recordIgnore(templateId, keywords, categoryId);
+                const revision = this.keywordLearningEngine.getTemplateRevision(template);
+                
+                await this.keywordLearningEngine.recordIgnore(templateId, keywords, categoryId, revision, postContent, context);
                 
                 this.ignoreTimers.delete(templateId);
                 console.log('AdReply: Recorded template ignore after 10 seconds');
@@ -499,6 +786,17 @@ class PostAnalyzer {
         this.ignoreTimers.set(templateId, timer);
     }
 
+    /**
+     * Group the current suggestions were made in, for per-group keyword stats
+     * @returns {Object} { groupId, groupName }
+     */
+    getLearningContext() {
+        return {
+            groupId: this.currentGroupId,
+            groupName: this.currentPost?.groupName || null
+        };
+    }
+
     /**
      * Cancel ignore timer (called when user interacts with suggestion)
      * @param {string} templateId - ID of template
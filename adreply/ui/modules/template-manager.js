@@ -1,9 +1,15 @@
 // Template management - CRUD operations for templates
 class TemplateManager {
-    constructor() {
+    constructor(connectionManager = null) {
+        this.connectionManager = connectionManager;
         this.templates = [];
         this.isProLicense = false;
         this.editingTemplateId = null;
+        this.templateVariants = typeof TemplateVariants !== 'undefined' ? new TemplateVariants() : null;
+        this.templateExpressions = typeof TemplateExpressions !== 'undefined' ? new TemplateExpressions() : null;
+        this.keywordExpression = typeof KeywordExpression !== 'undefined' ? new KeywordExpression() : null;
+        this.templateSchedule = typeof TemplateSchedule !== 'undefined' ? new TemplateSchedule() : null;
+        this.templateRevisions = typeof TemplateRevisions !== 'undefined' ? new TemplateRevisions() : null;
     }
 
     async loadTemplates() {
@@ -169,6 +175,16 @@ class TemplateManager {
             throw new Error('Please enter a valid URL (e.g., https://yourwebsite.com)');
         }
         
+        const parsedKeywords = this.parseKeywords(keywords);
+        const keywordErrors = this.validateKeywords(parsedKeywords);
+        if (keywordErrors.length > 0) {
+            throw new Error(keywordErrors[0]);
+        }
+        
+        const variants = this.parseVariants(templateData.variants);
+        this.validateTemplateBodies(content, variants);
+        const schedule = this.parseSchedule(templateData.schedule);
+        
         // Check template limit for free users (only for new user templates)
         const userTemplates = this.templates.filter(template => !template.isPrebuilt);
         if (!this.isProLicense && userTemplates.length >= 10) {
@@ -179,9 +195,14 @@ class TemplateManager {
             id: Date.now().toString(),
             label: label,
             category: category || 'custom',
-            keywords: keywords.split(',').map(k => k.trim()),
+            keywords: parsedKeywords,
             template: content,
+            variants: variants,
+            matching: this.parseMatchingOptions(templateData.matching),
+            locale: this.parseLocale(templateData.locale),
+            schedule: schedule,
             url: url || '',
+            revision: 1,
             createdAt: new Date().toISOString(),
             usageCount: 0,
             isPrebuilt: false
@@ -193,6 +214,7 @@ class TemplateManager {
             // Only save user templates to storage
             const userTemplatesOnly = this.templates.filter(t => !t.isPrebuilt);
             await chrome.storage.local.set({ templates: userTemplatesOnly });
+            await this.recordRevision(template, 'created');
             return template;
         } catch (error) {
             // Remove from local array if save failed
@@ -213,33 +235,121 @@ class TemplateManager {
             throw new Error('Please enter a valid URL');
         }
         
+        const parsedKeywords = this.parseKeywords(keywords);
+        const keywordErrors = this.validateKeywords(parsedKeywords);
+        if (keywordErrors.length > 0) {
+            throw new Error(keywordErrors[0]);
+        }
+        
+        const variants = this.parseVariants(templateData.variants);
+        this.validateTemplateBodies(content, variants);
+        const schedule = this.parseSchedule(templateData.schedule);
+        
         // Find and update template
         const templateIndex = this.templates.findIndex(t => t.id === templateId);
         if (templateIndex === -1) {
             throw new Error('Template not found');
         }
         
+        const previousTemplate = this.templates[templateIndex];
         const updatedTemplate = {
-            ...this.templates[templateIndex],
+            ...previousTemplate,
             label: label,
             category: category || 'custom',
-            keywords: keywords.split(',').map(k => k.trim()),
+            keywords: parsedKeywords,
             template: content,
+            variants: variants,
+            matching: this.parseMatchingOptions(templateData.matching),
+            locale: this.parseLocale(templateData.locale),
+            schedule: schedule,
             url: url || '',
             updatedAt: new Date().toISOString()
         };
         
+        return this.commitRevision(templateIndex, previousTemplate, updatedTemplate, 'edited', 'Failed to update template');
+    }
+
+    /**
+     * Restore an earlier revision of a template
+     * The restore is saved as a new revision, so it can be undone the same way
+     * @param {string} templateId - Template ID
+     * @param {number} revisionNumber - Revision to restore
+     * @returns {Promise<Object>} Updated template
+     */
+    async rollbackTemplate(templateId, revisionNumber) {
+        const templateIndex = this.templates.findIndex(t => t.id === templateId);
+        if (templateIndex === -1) {
+            throw new Error('Template not found');
+        }
+        
+        const history = await this.getTemplateHistory(templateId);
+        const target = history.find(revision => revision.revision === revisionNumber);
+        if (!target) {
+            throw new Error(`Revision ${revisionNumber} not found`);
+        }
+        
+        const previousTemplate = this.templates[templateIndex];
+        const restoredTemplate = {
+            ...this.templateRevisions.applySnapshot(previousTemplate, target),
+            updatedAt: new Date().toISOString()
+        };
+        
+        return this.commitRevision(templateIndex, previousTemplate, restoredTemplate, 'rollback', 'Failed to restore revision', {
+            restoredFrom: revisionNumber
+        });
+    }
+
+    /**
+     * Get the revision history of a template, newest first
+     * @param {string} templateId - Template ID
+     * @returns {Promise<Array>} Revisions
+     */
+    async getTemplateHistory(templateId) {
+        if (!this.connectionManager || !this.templateRevisions) {
+            return [];
+        }
+        return this.connectionManager.getTemplateRevisions(templateId);
+    }
+
+    /**
+     * Save an edited template and record the edit as a new revision (see TemplateRevisions.recordEdit)
+     */
+    async commitRevision(templateIndex, previousTemplate, updatedTemplate, source, errorMessage, extra = {}) {
+        const changed = this.templateRevisions
+            ? this.templateRevisions.numberRevision(previousTemplate, updatedTemplate)
+            : false;
+        
         this.templates[templateIndex] = updatedTemplate;
         
         try {
             // Only save user templates to storage
             const userTemplatesOnly = this.templates.filter(t => !t.isPrebuilt);
             await chrome.storage.local.set({ templates: userTemplatesOnly });
-            return updatedTemplate;
         } catch (error) {
             // Revert changes if save failed
-            this.templates[templateIndex] = this.templates[templateIndex];
-            throw new Error('Failed to update template');
+            this.templates[templateIndex] = previousTemplate;
+            throw new Error(errorMessage);
+        }
+        
+        if (changed && this.connectionManager) {
+            await this.templateRevisions.recordEdit(this.connectionManager, previousTemplate, updatedTemplate, source, extra);
+        }
+        
+        return updatedTemplate;
+    }
+
+    /**
+     * Store a revision of a template; history is best-effort and never blocks saving the template
+     */
+    async recordRevision(template, source, extra = {}) {
+        if (!this.connectionManager || !this.templateRevisions) {
+            return;
+        }
+        
+        const snapshot = this.templateRevisions.createSnapshot(template, template.revision || 1, source, extra);
+        const result = await this.connectionManager.saveTemplateRevision(snapshot);
+        if (!result.success) {
+            console.warn('⚠️ Could not record template revision:', result.error);
         }
     }
 
@@ -262,6 +372,9 @@ class TemplateManager {
             // Only save user templates to storage
             const userTemplatesOnly = this.templates.filter(t => !t.isPrebuilt);
             await chrome.storage.local.set({ templates: userTemplatesOnly });
+            if (this.connectionManager) {
+                await this.connectionManager.deleteTemplateRevisions(templateId);
+            }
             return deletedTemplate;
         } catch (error) {
             // Restore template if save failed
@@ -274,6 +387,143 @@ class TemplateManager {
         return this.templates.find(t => t.id === templateId);
     }
 
+    /**
+     * Split the keywords field into keyword expressions
+     * Commas inside quotes, parentheses or /regex/ do not split
+     * @param {string} keywordsInput - Raw keywords field value
+     * @returns {string[]} Keyword expressions
+     */
+    parseKeywords(keywordsInput) {
+        if (this.keywordExpression) {
+            return this.keywordExpression.splitKeywordList(keywordsInput);
+        }
+        
+        return keywordsInput.split(',').map(k => k.trim()).filter(k => k.length > 0);
+    }
+
+    /**
+     * Validate keyword expression syntax
+     * @param {string[]} keywords - Keyword expressions
+     * @returns {string[]} Error messages (empty when valid)
+     */
+    validateKeywords(keywords) {
+        if (!this.keywordExpression) {
+            return [];
+        }
+        
+        const errors = [];
+        keywords.forEach(keyword => {
+            const error = this.keywordExpression.validate(keyword);
+            if (error) {
+                errors.push(`Keyword "${keyword}": ${error}`);
+            }
+        });
+        
+        return errors;
+    }
+
+    /**
+     * Normalize stemming / typo tolerance settings for a template
+     * @param {Object} matching - { stemming, typoTolerance } from the form or an import
+     * @returns {Object} Settings with defaults applied (stemming on, 1 typo)
+     */
+    parseMatchingOptions(matching = {}) {
+        const typoTolerance = parseInt(matching?.typoTolerance, 10);
+        
+        return {
+            stemming: matching?.stemming !== false,
+            typoTolerance: Number.isInteger(typoTolerance) ? Math.max(0, Math.min(2, typoTolerance)) : 1
+        };
+    }
+
+    /**
+     * Normalize a template locale ("ES" -> "es", "fr-ca" -> "fr-CA")
+     * @param {string} locale - Locale from the form or an import
+     * @returns {string} Locale code, or '' (any language) when missing or malformed
+     */
+    parseLocale(locale) {
+        if (!locale || typeof locale !== 'string') {
+            return '';
+        }
+        
+        const match = locale.trim().match(/^([a-zA-Z]{2})(?:[-_]([a-zA-Z]{2}))?$/);
+        if (!match) {
+            return '';
+        }
+        
+        return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+    }
+
+    /**
+     * Validate and normalize the schedule fields of a template
+     * @param {Object} schedule - { activeFrom, activeUntil, days, startHour, endHour } from the form
+     * @returns {Object|null} Normalized schedule, or null when the template is always active
+     * @throws {Error} If the schedule is invalid
+     */
+    parseSchedule(schedule) {
+        if (!this.templateSchedule || !schedule) {
+            return null;
+        }
+        
+        const validation = this.templateSchedule.validateSchedule(schedule, { requireDays: true });
+        if (!validation.isValid) {
+            throw new Error(`Schedule: ${validation.errors[0]}`);
+        }
+        
+        return this.templateSchedule.normalizeSchedule(schedule);
+    }
+
+    /**
+     * Split the variants textarea into alternative bodies
+     * Variants are separated by a line containing only "---"
+     * @param {string|Array} variantsInput - Raw textarea value or an existing array
+     * @returns {string[]} Non-empty variant bodies
+     */
+    parseVariants(variantsInput) {
+        if (!variantsInput) {
+            return [];
+        }
+        
+        const variants = Array.isArray(variantsInput)
+            ? variantsInput
+            : variantsInput.split(/^\s*---\s*$/m);
+        
+        return variants
+            .filter(variant => typeof variant === 'string')
+            .map(variant => variant.trim())
+            .filter(variant => variant.length > 0);
+    }
+
+    /**
+     * Validate the main body and variants (count and spintax syntax)
+     * @param {string} content - Main template body
+     * @param {string[]} variants - Alternative bodies
+     * @throws {Error} If any body is invalid
+     */
+    validateTemplateBodies(content, variants) {
+        if (this.templateVariants && variants.length > this.templateVariants.maxVariants) {
+            throw new Error(`A template can have at most ${this.templateVariants.maxVariants} variants`);
+        }
+        
+        [content, ...variants].forEach((body, index) => {
+            const where = index === 0 ? 'Template content' : `Variant ${index}`;
+            
+            if (this.templateExpressions) {
+                const expressionValidation = this.templateExpressions.validate(body);
+                if (!expressionValidation.isValid) {
+                    throw new Error(`${where}: ${expressionValidation.errors[0]}`);
+                }
+            }
+            
+            if (this.templateVariants) {
+                const validation = this.templateVariants.validateSpintax(body);
+                if (!validation.isValid) {
+                    throw new Error(`${where}: ${validation.errors[0]}`);
+                }
+            }
+        });
+    }
+
     isValidUrl(string) {
         try {
             new URL(string);
@@ -321,6 +571,10 @@ class TemplateManager {
                     category: template.category || 'custom',
                     keywords: template.keywords,
                     template: template.template,
+                    variants: template.variants || [],
+                    matching: this.parseMatchingOptions(template.matching),
+                    locale: this.parseLocale(template.locale),
+                    schedule: template.schedule || null,
                     url: template.url || '',
                     createdAt: template.createdAt,
                     updatedAt: template.updatedAt,
@@ -465,8 +719,14 @@ class TemplateManager {
                     id: Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9),
                     label: template.label,
                     category: template.category || 'custom',
-                    keywords: Array.isArray(template.keywords) ? template.keywords : template.keywords.split(',').map(k => k.trim()),
+                    keywords: Array.isArray(template.keywords) ? template.keywords : this.parseKeywords(template.keywords),
                     template: template.template,
+                    variants: this.parseVariants(template.variants),
+                    matching: this.parseMatchingOptions(template.matching),
+                    locale: this.parseLocale(template.locale),
+                    schedule: this.templateSchedule && this.templateSchedule.validateSchedule(template.schedule).isValid
+                        ? this.templateSchedule.normalizeSchedule(template.schedule)
+                        : null,
                     url: template.url || '',
                     createdAt: new Date().toISOString(),
                     usageCount: 0,
@@ -117,6 +117,29 @@ class UIManager {
             const templateLabel = typeof suggestion === 'object' ? suggestion.templateLabel : 'Fallback';
             const isRecentlyUsed = typeof suggestion === 'object' && suggestion.recentlyUsed;
             const isLimitMessage = typeof suggestion === 'object' && suggestion.isLimitMessage;
+            const isNotice = typeof suggestion === 'object' && suggestion.isNotice;
+            const ruleViolations = typeof suggestion === 'object' && Array.isArray(suggestion.ruleViolations) ? suggestion.ruleViolations : [];
+            const isRuleBlocked = typeof suggestion === 'object' && suggestion.ruleBlocked;
+            
+            // Templates written in another language than the post, and the A/B experiment arm being served
+            let displayLabel = typeof suggestion === 'object' && suggestion.languageMismatch && suggestion.locale
+                ? `${templateLabel} 🌐 ${suggestion.locale.toUpperCase()}`
+                : templateLabel;
+            if (typeof suggestion === 'object' && suggestion.experimentArm) {
+                displayLabel = `${displayLabel} 🧪 ${suggestion.experimentArm}`;
+            }
+            
+            // Learned keyword weights changed this template's rank
+            if (typeof suggestion === 'object' && suggestion.learnedRank && suggestion.unweightedRank &&
+                suggestion.learnedRank !== suggestion.unweightedRank) {
+                const arrow = suggestion.learnedRank < suggestion.unweightedRank ? '📈' : '📉';
+                displayLabel = `${displayLabel} ${arrow} learned #${suggestion.learnedRank} (was #${suggestion.unweightedRank})`;
+            }
+            
+            // Explore mode lifted this template above a better-scoring one to learn how it does
+            if (typeof suggestion === 'object' && suggestion.explored) {
+                displayLabel = `${displayLabel} 🎲 exploring`;
+            }
             
             const suggestionEl = document.createElement('div');
             
@@ -126,6 +149,11 @@ class UIManager {
                 suggestionEl.style.background = '#fff3cd';
                 suggestionEl.style.border = '1px solid #ffeaa7';
                 suggestionEl.style.color = '#856404';
+            } else if (isNotice) {
+                suggestionEl.className = 'suggestion notice-message';
+                suggestionEl.style.background = '#f8f9fa';
+                suggestionEl.style.border = '1px solid #ced4da';
+                suggestionEl.style.color = '#495057';
             } else {
                 suggestionEl.className = isRecentlyUsed ? 'suggestion recently-used' : 'suggestion';
             }
@@ -136,18 +164,41 @@ class UIManager {
             labelDiv.style.marginBottom = '4px';
             
             if (isRecentlyUsed) {
-                labelDiv.innerHTML = `${templateLabel} <span style="color: #ffc107; font-weight: bold;">⚠️ Recently Used</span>`;
+                const rotationReason = suggestion.rotationReason || 'Recently Used';
+                labelDiv.innerHTML = `${displayLabel} <span style="color: #ffc107; font-weight: bold;">⚠️ ${rotationReason}</span>`;
                 labelDiv.style.color = '#856404';
             } else {
-                labelDiv.textContent = templateLabel;
+                labelDiv.textContent = displayLabel;
                 labelDiv.style.color = isLimitMessage ? '#856404' : '#6c757d';
             }
             
             const textDiv = document.createElement('div');
             textDiv.textContent = suggestionText;
             
-            // Don't add buttons for limit messages
-            if (!isLimitMessage) {
+            // Group rules this suggestion would break
+            let rulesDiv = null;
+            if (ruleViolations.length > 0) {
+                rulesDiv = document.createElement('div');
+                rulesDiv.className = 'suggestion-rules';
+                rulesDiv.style.fontSize = '10px';
+                rulesDiv.style.marginTop = '4px';
+                rulesDiv.style.color = isRuleBlocked ? '#dc3545' : '#856404';
+                rulesDiv.textContent = `${isRuleBlocked ? '⛔' : '⚠️'} ${ruleViolations.join('; ')}`;
+            }
+            
+            // Business placeholders that fell back to generic text
+            let missingDiv = null;
+            if (typeof suggestion === 'object' && Array.isArray(suggestion.missingPlaceholders) && suggestion.missingPlaceholders.length > 0) {
+                missingDiv = document.createElement('div');
+                missingDiv.className = 'suggestion-missing-placeholders';
+                missingDiv.style.fontSize = '10px';
+                missingDiv.style.marginTop = '4px';
+                missingDiv.style.color = '#856404';
+                missingDiv.textContent = `⚠️ No value for ${suggestion.missingPlaceholders.join(', ')} - add it under Business Profile in settings`;
+            }
+            
+            // Don't add buttons for limit messages, notices or suggestions the group's rules block
+            if (!isLimitMessage && !isNotice && !isRuleBlocked) {
                 const copyBtn = document.createElement('button');
                 copyBtn.className = 'copy-btn';
                 copyBtn.textContent = 'Copy to Clipboard';
@@ -158,7 +209,7 @@ class UIManager {
                 if (postPublisherUI) {
                     postPublisherUI.addButtonToCard(suggestionEl, suggestionText, templateLabel);
                 }
-            } else {
+            } else if (isLimitMessage) {
                 // Add upgrade button for limit messages
                 const upgradeBtn = document.createElement('button');
                 upgradeBtn.className = 'copy-btn';
@@ -174,6 +225,12 @@ class UIManager {
             
             suggestionEl.appendChild(labelDiv);
             suggestionEl.appendChild(textDiv);
+            if (rulesDiv) {
+                suggestionEl.appendChild(rulesDiv);
+            }
+            if (missingDiv) {
+                suggestionEl.appendChild(missingDiv);
+            }
             listEl.appendChild(suggestionEl);
         });
         
@@ -231,7 +288,7 @@ class UIManager {
         });
     }
 
-    renderTemplatesInCategory(categoryTemplates, categoryName, onEdit, onDelete) {
+    renderTemplatesInCategory(categoryTemplates, categoryName, onEdit, onDelete, templateSchedule = null, onHistory = null) {
         const listEl = document.getElementById('templatesList');
         const titleEl = document.getElementById('currentCategoryTitle');
         
@@ -249,16 +306,37 @@ class UIManager {
                 <h4>${template.label}</h4>
                 <div class="template-actions">
                     <button class="btn btn-small edit-btn">Edit</button>
+                    <button class="btn btn-small secondary history-btn">History</button>
                     <button class="btn btn-small secondary delete-btn">Delete</button>
                 </div>
             `;
             
+            // Expired / scheduled badge for templates switched off by their own or their category's schedule
+            const status = templateSchedule ? templateSchedule.getTemplateStatus(template) : 'active';
+            if (status !== 'active') {
+                const badgeEl = document.createElement('span');
+                badgeEl.textContent = status === 'expired' ? 'Expired' : 'Scheduled';
+                badgeEl.title = templateSchedule.getStatus(template.schedule) !== 'active'
+                    ? templateSchedule.describeSchedule(template.schedule)
+                    : `Category: ${templateSchedule.describeSchedule((templateSchedule.categorySchedules || {})[template.category])}`;
+                badgeEl.style.cssText = `margin-left: 6px; padding: 1px 6px; border-radius: 8px; font-size: 10px; font-weight: 500; color: #fff; background: ${status === 'expired' ? '#6c757d' : '#17a2b8'};`;
+                templateEl.querySelector('h4').appendChild(badgeEl);
+            }
+            
             // Add event listeners
             const editBtn = templateEl.querySelector('.edit-btn');
             const deleteBtn = templateEl.querySelector('.delete-btn');
+            const historyBtn = templateEl.querySelector('.history-btn');
             
             if (editBtn) editBtn.addEventListener('click', () => onEdit(template.id));
             if (deleteBtn) deleteBtn.addEventListener('click', () => onDelete(template.id));
+            if (historyBtn) {
+                if (onHistory) {
+                    historyBtn.addEventListener('click', () => onHistory(template.id));
+                } else {
+                    historyBtn.remove();
+                }
+            }
             
             listEl.appendChild(templateEl);
         });
@@ -267,11 +345,120 @@ class UIManager {
     showCategoryView() {
         document.getElementById('categoryView').style.display = 'block';
         document.getElementById('templateView').style.display = 'none';
+        document.getElementById('historyView').style.display = 'none';
     }
 
     showTemplateView() {
         document.getElementById('categoryView').style.display = 'none';
         document.getElementById('templateView').style.display = 'block';
+        document.getElementById('historyView').style.display = 'none';
+    }
+
+    /**
+     * Render the revision list of a template, newest first
+     * @param {Object} template - Current template
+     * @param {Array} revisions - Revisions from TemplateManager.getTemplateHistory
+     * @param {Object} revisionStats - Map of revision number -> { matches, chosen, ignored }
+     * @param {TemplateRevisions} templateRevisions - Revision helper
+     * @param {Function} onRestore - Called with the revision number to restore
+     */
+    renderTemplateHistory(template, revisions, revisionStats, templateRevisions, onRestore) {
+        const titleEl = document.getElementById('historyTemplateTitle');
+        const listEl = document.getElementById('historyRevisionsList');
+        const olderSelect = document.getElementById('historyCompareFrom');
+        const newerSelect = document.getElementById('historyCompareTo');
+        
+        titleEl.textContent = `${template.label} - History`;
+        listEl.innerHTML = '';
+        olderSelect.innerHTML = '';
+        newerSelect.innerHTML = '';
+        
+        if (revisions.length === 0) {
+            listEl.innerHTML = '<div class="no-suggestions">No edits recorded yet. Revisions are saved every time this template is edited.</div>';
+            document.getElementById('historyCompare').style.display = 'none';
+            return;
+        }
+        
+        const currentRevision = template.revision || 1;
+        
+        revisions.forEach(revision => {
+            const stats = revisionStats[revision.revision];
+            const rowEl = document.createElement('div');
+            rowEl.className = 'template-item';
+            
+            const headingEl = document.createElement('h4');
+            headingEl.textContent = `v${revision.revision} - ${templateRevisions.describeSource(revision)}${revision.revision === currentRevision ? ' (current)' : ''}`;
+            rowEl.appendChild(headingEl);
+            
+            const metaEl = document.createElement('div');
+            metaEl.style.cssText = 'font-size: 11px; color: #6c757d; margin-bottom: 6px;';
+            metaEl.textContent = new Date(revision.createdAt).toLocaleString();
+            if (stats) {
+                metaEl.textContent += ` · ${stats.matches} shown, ${stats.chosen} used, ${stats.ignored} ignored`;
+            }
+            rowEl.appendChild(metaEl);
+            
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn-small secondary';
+            restoreBtn.textContent = revision.revision === currentRevision ? 'Current version' : `Restore v${revision.revision}`;
+            restoreBtn.disabled = revision.revision === currentRevision;
+            restoreBtn.addEventListener('click', () => onRestore(revision.revision));
+            rowEl.appendChild(restoreBtn);
+            
+            listEl.appendChild(rowEl);
+            
+            [olderSelect, newerSelect].forEach(select => {
+                const option = document.createElement('option');
+                option.value = revision.revision;
+                option.textContent = `v${revision.revision} - ${templateRevisions.describeSource(revision)}`;
+                select.appendChild(option);
+            });
+        });
+        
+        // Default comparison: the previous revision against the newest one
+        newerSelect.value = revisions[0].revision;
+        olderSelect.value = (revisions[1] || revisions[0]).revision;
+        document.getElementById('historyCompare').style.display = 'block';
+    }
+
+    /**
+     * Render a field-by-field word diff between two revisions
+     * @param {Array} changes - Result of TemplateRevisions.diffRevisions
+     */
+    renderRevisionDiff(changes) {
+        const diffEl = document.getElementById('historyDiff');
+        diffEl.innerHTML = '';
+        
+        if (changes.length === 0) {
+            diffEl.textContent = 'No differences between these revisions.';
+            return;
+        }
+        
+        changes.forEach(change => {
+            const fieldEl = document.createElement('div');
+            fieldEl.style.marginBottom = '8px';
+            
+            const labelEl = document.createElement('strong');
+            labelEl.textContent = change.label;
+            labelEl.style.display = 'block';
+            fieldEl.appendChild(labelEl);
+            
+            const textEl = document.createElement('div');
+            textEl.style.whiteSpace = 'pre-wrap';
+            change.parts.forEach(part => {
+                const partEl = document.createElement(part.type === 'added' ? 'ins' : part.type === 'removed' ? 'del' : 'span');
+                partEl.textContent = part.text;
+                if (part.type === 'added') {
+                    partEl.style.cssText = 'background: #d4edda; color: #155724; text-decoration: none;';
+                } else if (part.type === 'removed') {
+                    partEl.style.cssText = 'background: #f8d7da; color: #721c24;';
+                }
+                textEl.appendChild(partEl);
+            });
+            fieldEl.appendChild(textEl);
+            
+            diffEl.appendChild(fieldEl);
+        });
     }
 
     getCategoryDisplayName(categoryId) {
@@ -415,6 +602,12 @@ class UIManager {
         document.getElementById('templateCategory').value = 'custom';
         document.getElementById('templateKeywords').value = '';
         document.getElementById('templateContent').value = '';
+        document.getElementById('templateVariants').value = '';
+        document.getElementById('templateStemming').checked = true;
+        document.getElementById('templateTypoTolerance').value = '1';
+        document.getElementById('templateLocale').value = '';
+        this.setScheduleForm('templateSchedule', null);
+        this.showKeywordValidation([]);
         document.getElementById('templateUrl').value = '';
         
         // Hide category indicator
@@ -429,6 +622,11 @@ class UIManager {
         document.getElementById('templateCategory').value = template.category || 'custom';
         document.getElementById('templateKeywords').value = template.keywords.join(', ');
         document.getElementById('templateContent').value = template.template;
+        document.getElementById('templateVariants').value = (template.variants || []).join('\n---\n');
+        document.getElementById('templateStemming').checked = template.matching?.stemming !== false;
+        document.getElementById('templateTypoTolerance').value = String(template.matching?.typoTolerance ?? 1);
+        this.setTemplateLocale(template.locale || '');
+        this.setScheduleForm('templateSchedule', template.schedule);
         document.getElementById('templateUrl').value = template.url || '';
         document.getElementById('templateAffiliateLink').value = template.affiliateLink || '';
         
@@ -447,17 +645,601 @@ class UIManager {
         saveBtn.textContent = 'Update Template';
     }
 
+    showKeywordValidation(errors) {
+        const validationDiv = document.getElementById('templateKeywordsValidation');
+        if (!validationDiv) return;
+        
+        if (errors.length === 0) {
+            validationDiv.textContent = '';
+            validationDiv.style.display = 'none';
+            return;
+        }
+        
+        validationDiv.textContent = errors.map(error => `❌ ${error}`).join('\n');
+        validationDiv.style.whiteSpace = 'pre-line';
+        validationDiv.style.display = 'block';
+    }
+
+    displayRotationPolicies(policies) {
+        const listEl = document.getElementById('rotationPolicyList');
+        if (!listEl) return;
+        
+        const describe = (policy) => {
+            const parts = [];
+            if (policy.cooldownHours !== undefined) parts.push(`${policy.cooldownHours}h cooldown`);
+            if (policy.maxUsesPerWeek !== undefined) parts.push(policy.maxUsesPerWeek > 0 ? `${policy.maxUsesPerWeek}/week` : 'no weekly cap');
+            if (policy.minGapMinutes !== undefined) parts.push(policy.minGapMinutes > 0 ? `${policy.minGapMinutes}m gap` : 'no gap');
+            return parts.join(', ') || 'inherits global';
+        };
+        
+        const rows = [['Global', policies.global]];
+        Object.entries(policies.categoryOverrides).forEach(([categoryId, policy]) => {
+            rows.push([`Category ${categoryId}`, policy]);
+        });
+        Object.entries(policies.groupOverrides).forEach(([groupId, policy]) => {
+            rows.push([`Group ${groupId}`, policy]);
+        });
+        
+        listEl.innerHTML = '';
+        rows.forEach(([label, policy]) => {
+            const rowEl = document.createElement('div');
+            rowEl.style.marginBottom = '4px';
+            
+            const labelEl = document.createElement('strong');
+            labelEl.textContent = `${label}: `;
+            rowEl.appendChild(labelEl);
+            rowEl.appendChild(document.createTextNode(describe(policy)));
+            
+            listEl.appendChild(rowEl);
+        });
+    }
+
+    /**
+     * Add reply / reaction / lead buttons to a suggestion once its comment has been used
+     * @param {HTMLElement} suggestionEl - Suggestion card
+     * @param {Function} onOutcome - Called with (type, recorded) when a button is toggled
+     * @param {Object} recordedOutcomes - Outcomes already recorded (type -> time)
+     */
+    showOutcomeButtons(suggestionEl, onOutcome, recordedOutcomes = {}) {
+        if (!suggestionEl || suggestionEl.querySelector('.suggestion-outcomes')) return;
+        
+        const outcomesEl = document.createElement('div');
+        outcomesEl.className = 'suggestion-outcomes';
+        outcomesEl.style.cssText = 'display: flex; gap: 4px; margin-top: 6px;';
+        
+        [['reply', '💬 Reply'], ['reaction', '👍 Reaction'], ['lead', '🎯 Got a lead']].forEach(([type, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small secondary';
+            button.style.cssText = 'flex: 1; font-size: 10px; padding: 4px;';
+            button.textContent = label;
+            button.title = 'Record what happened after this comment (click again to undo)';
+            const setRecorded = (recorded) => {
+                button.dataset.recorded = recorded;
+                button.style.background = recorded ? '#28a745' : '';
+                button.style.color = recorded ? '#fff' : '';
+            };
+            setRecorded(!!recordedOutcomes[type]);
+            button.addEventListener('click', async () => {
+                const recorded = button.dataset.recorded !== 'true';
+                await onOutcome(type, recorded);
+                setRecorded(recorded);
+            });
+            outcomesEl.appendChild(button);
+        });
+        
+        suggestionEl.appendChild(outcomesEl);
+    }
+
+    /**
+     * Render A/B experiment results: per-variant conversion and the significance verdict
+     * @param {Array} results - ABTestManager.getResults for each experiment, newest first
+     * @param {Object} handlers - { onStop(id), onDelete(id), onOutcome(usageId, type, recorded) }
+     */
+    displayExperiments(results, handlers) {
+        const listEl = document.getElementById('experimentList');
+        if (!listEl) return;
+        
+        listEl.innerHTML = '';
+        
+        if (results.length === 0) {
+            listEl.textContent = 'No experiments yet.';
+            return;
+        }
+        
+        const verdictColors = { significant: '#28a745', trending: '#fd7e14', none: '#6c757d', insufficient: '#6c757d' };
+        
+        results.forEach(({ experiment, arms, leader, verdict, recent }) => {
+            const experimentEl = document.createElement('div');
+            experimentEl.className = 'template-item';
+            
+            const titleEl = document.createElement('h4');
+            titleEl.textContent = `${experiment.name} (${experiment.status === 'running' ? 'running' : 'stopped'})`;
+            experimentEl.appendChild(titleEl);
+            
+            const metaEl = document.createElement('div');
+            metaEl.style.cssText = 'font-size: 11px; color: #6c757d; margin-bottom: 6px;';
+            metaEl.textContent = `${experiment.templateLabel} · started ${new Date(experiment.startedAt).toLocaleDateString()}`;
+            experimentEl.appendChild(metaEl);
+            
+            arms.forEach(arm => {
+                const armEl = document.createElement('div');
+                armEl.style.marginBottom = '2px';
+                const lift = arm.lift !== undefined && arm.lift !== null ? ` (${arm.lift >= 0 ? '+' : ''}${Math.round(arm.lift * 100)}% vs A)` : '';
+                armEl.textContent = `${arm.label}${arm.variantIndex === 0 ? ' (main body)' : ` (variant ${arm.variantIndex})`}: ` +
+                    `${arm.conversions}/${arm.comments} converted · ${(arm.rate * 100).toFixed(1)}%${lift}` +
+                    ` · ${arm.reply} replies, ${arm.reaction} reactions, ${arm.lead} leads`;
+                if (arm === leader && arm.conversions > 0) {
+                    armEl.style.fontWeight = '600';
+                }
+                experimentEl.appendChild(armEl);
+            });
+            
+            const verdictEl = document.createElement('div');
+            verdictEl.style.cssText = `margin: 6px 0; font-weight: 500; color: ${verdictColors[verdict.level]};`;
+            verdictEl.textContent = `${verdict.level === 'significant' ? '✅' : verdict.level === 'trending' ? '📈' : '⏳'} ${verdict.message}` +
+                (typeof verdict.pValue === 'number' ? ` (p = ${verdict.pValue.toFixed(3)})` : '');
+            experimentEl.appendChild(verdictEl);
+            
+            // Latest comments, so outcomes that come in later can still be recorded
+            recent.forEach(exposure => {
+                const exposureEl = document.createElement('div');
+                exposureEl.style.cssText = 'font-size: 11px; color: #6c757d; border-top: 1px solid #f1f3f5; padding-top: 4px; margin-top: 4px;';
+                
+                const textEl = document.createElement('div');
+                textEl.textContent = `${arms.find(arm => arm.variantIndex === exposure.variantIndex)?.label || '?'} · ${new Date(exposure.createdAt).toLocaleString()} · ${exposure.text}`;
+                exposureEl.appendChild(textEl);
+                
+                this.showOutcomeButtons(exposureEl, (type, recorded) => handlers.onOutcome(exposure.id, type, recorded), exposure.outcomes || {});
+                
+                experimentEl.appendChild(exposureEl);
+            });
+            
+            const actionsEl = document.createElement('div');
+            actionsEl.className = 'template-actions';
+            actionsEl.style.marginTop = '6px';
+            if (experiment.status === 'running') {
+                const stopBtn = document.createElement('button');
+                stopBtn.className = 'btn btn-small secondary';
+                stopBtn.textContent = 'Stop';
+                stopBtn.addEventListener('click', () => handlers.onStop(experiment.id));
+                actionsEl.appendChild(stopBtn);
+            }
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-small secondary';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => handlers.onDelete(experiment.id));
+            actionsEl.appendChild(deleteBtn);
+            experimentEl.appendChild(actionsEl);
+            
+            listEl.appendChild(experimentEl);
+        });
+    }
+
+    displayLeads(leads, leadManager, handlers, totalCount = leads.length) {
+        const listEl = document.getElementById('leadsList');
+        const summaryEl = document.getElementById('leadSummary');
+        if (!listEl) return;
+
+        listEl.innerHTML = '';
+
+        if (summaryEl) {
+            const counts = leadManager.countByStatus(leads);
+            summaryEl.textContent = `${leads.length} of ${totalCount} leads · ` +
+                Object.entries(leadManager.statuses).map(([status, label]) => `${counts[status]} ${label.toLowerCase()}`).join(', ');
+        }
+
+        if (leads.length === 0) {
+            listEl.textContent = totalCount === 0
+                ? 'No leads yet. Copy a suggestion for a post to start tracking it here.'
+                : 'No leads match the current filter.';
+            return;
+        }
+
+        leads.forEach(lead => {
+            const leadEl = document.createElement('div');
+            leadEl.className = 'template-item';
+
+            const titleEl = document.createElement('h4');
+            titleEl.textContent = lead.authorName || 'Unknown author';
+            leadEl.appendChild(titleEl);
+
+            const metaEl = document.createElement('div');
+            metaEl.style.cssText = 'font-size: 11px; color: #6c757d; margin-bottom: 6px;';
+            metaEl.textContent = [
+                lead.groupName || lead.groupId,
+                lead.templateLabel,
+                `${lead.commentCount > 1 ? `${lead.commentCount} comments, last` : 'commented'} ${new Date(lead.lastCommentAt).toLocaleString()}`
+            ].filter(Boolean).join(' · ');
+            leadEl.appendChild(metaEl);
+
+            if (lead.postExcerpt) {
+                const excerptEl = document.createElement('div');
+                excerptEl.style.cssText = 'font-size: 11px; color: #495057; margin-bottom: 6px; white-space: pre-wrap;';
+                excerptEl.textContent = lead.postExcerpt;
+                leadEl.appendChild(excerptEl);
+            }
+
+            if (lead.postUrl) {
+                const linkEl = document.createElement('a');
+                linkEl.href = lead.postUrl;
+                linkEl.target = '_blank';
+                linkEl.rel = 'noopener noreferrer';
+                linkEl.textContent = 'Open post ↗';
+                linkEl.style.cssText = 'display: inline-block; font-size: 11px; margin-bottom: 6px;';
+                leadEl.appendChild(linkEl);
+            }
+
+            const statusSelect = document.createElement('select');
+            statusSelect.style.cssText = 'width: 100%; padding: 6px; border: 1px solid #ced4da; border-radius: 4px; font-size: 12px; margin-bottom: 6px;';
+            Object.entries(leadManager.statuses).forEach(([status, label]) => {
+                const option = document.createElement('option');
+                option.value = status;
+                option.textContent = label;
+                option.selected = lead.status === status;
+                statusSelect.appendChild(option);
+            });
+            statusSelect.addEventListener('change', () => handlers.onStatusChange(lead.id, statusSelect.value));
+            leadEl.appendChild(statusSelect);
+
+            const notesEl = document.createElement('textarea');
+            notesEl.rows = 2;
+            notesEl.maxLength = 2000;
+            notesEl.placeholder = 'Notes (saved when you leave the field)';
+            notesEl.value = lead.notes || '';
+            notesEl.style.cssText = 'width: 100%; padding: 6px; border: 1px solid #ced4da; border-radius: 4px; font-size: 12px; resize: vertical;';
+            notesEl.addEventListener('change', () => handlers.onNotesChange(lead.id, notesEl.value));
+            leadEl.appendChild(notesEl);
+
+            const actionsEl = document.createElement('div');
+            actionsEl.className = 'template-actions';
+            actionsEl.style.marginTop = '6px';
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-small secondary';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => handlers.onDelete(lead.id));
+            actionsEl.appendChild(deleteBtn);
+            leadEl.appendChild(actionsEl);
+
+            listEl.appendChild(leadEl);
+        });
+    }
+
+    displayCommentHistory(entries, categoryNames = {}) {
+        const listEl = document.getElementById('commentHistoryList');
+        const summaryEl = document.getElementById('commentHistorySummary');
+        if (!listEl) return;
+
+        listEl.innerHTML = '';
+
+        if (summaryEl) {
+            const groupCount = new Set(entries.map(entry => entry.groupId)).size;
+            summaryEl.textContent = `${entries.length} comment${entries.length === 1 ? '' : 's'} in ${groupCount} group${groupCount === 1 ? '' : 's'}`;
+        }
+
+        if (entries.length === 0) {
+            listEl.textContent = 'No comments match these filters.';
+            return;
+        }
+
+        const outcomeLabels = { reply: '💬 Reply', reaction: '👍 Reaction', lead: '🎯 Lead' };
+        let currentDay = null;
+
+        entries.forEach(entry => {
+            const time = new Date(entry.timestamp);
+
+            // Timeline: one heading per day
+            const day = time.toLocaleDateString();
+            if (day !== currentDay) {
+                currentDay = day;
+                const dayEl = document.createElement('h4');
+                dayEl.style.cssText = 'font-size: 12px; color: #6c757d; margin: 12px 0 6px;';
+                dayEl.textContent = day;
+                listEl.appendChild(dayEl);
+            }
+
+            const entryEl = document.createElement('div');
+            entryEl.className = 'template-item';
+
+            const metaEl = document.createElement('div');
+            metaEl.style.cssText = 'font-size: 11px; color: #6c757d; margin-bottom: 6px;';
+            metaEl.textContent = [
+                time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+                entry.groupName || entry.groupId,
+                entry.templateLabel || entry.templateId,
+                categoryNames[entry.category] || entry.category,
+                entry.variantIndex > 0 ? `variant ${entry.variantIndex}` : null
+            ].filter(Boolean).join(' · ');
+            entryEl.appendChild(metaEl);
+
+            if (entry.postContent) {
+                const postEl = document.createElement('div');
+                postEl.style.cssText = 'font-size: 11px; color: #6c757d; border-left: 3px solid #dee2e6; padding-left: 6px; margin-bottom: 6px;';
+                postEl.textContent = entry.postContent;
+                entryEl.appendChild(postEl);
+            }
+
+            const textEl = document.createElement('div');
+            textEl.style.cssText = 'white-space: pre-wrap; margin-bottom: 6px;';
+            textEl.textContent = entry.commentText || '(comment text not recorded)';
+            entryEl.appendChild(textEl);
+
+            const footerEl = document.createElement('div');
+            footerEl.style.cssText = 'display: flex; gap: 8px; font-size: 11px;';
+            Object.keys(entry.outcomes || {}).forEach(type => {
+                const outcomeEl = document.createElement('span');
+                outcomeEl.textContent = outcomeLabels[type] || type;
+                footerEl.appendChild(outcomeEl);
+            });
+            if (entry.postUrl) {
+                const linkEl = document.createElement('a');
+                linkEl.href = entry.postUrl;
+                linkEl.target = '_blank';
+                linkEl.rel = 'noopener noreferrer';
+                linkEl.textContent = 'Open post ↗';
+                linkEl.style.marginLeft = 'auto';
+                footerEl.appendChild(linkEl);
+            }
+            entryEl.appendChild(footerEl);
+
+            listEl.appendChild(entryEl);
+        });
+    }
+
+    displayAnalytics(report, charts) {
+        const summaryEl = document.getElementById('analyticsSummary');
+        if (!summaryEl) return;
+
+        const percent = (value) => value === null || value === undefined ? '–' : `${Math.round(value * 100)}%`;
+        const cards = [
+            ['Comments', report.totals.comments],
+            ['Groups', report.totals.groups],
+            ['Response rate', percent(report.totals.responseRate)],
+            ['Coverage', report.coverage.analysed > 0 ? `${percent(report.coverage.rate)} of ${report.coverage.analysed}` : '–']
+        ];
+
+        summaryEl.innerHTML = '';
+        cards.forEach(([label, value]) => {
+            const cardEl = document.createElement('div');
+            cardEl.style.cssText = 'background: white; border-radius: 6px; padding: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); text-align: center;';
+            const valueEl = document.createElement('div');
+            valueEl.style.cssText = 'font-size: 16px; font-weight: 600; color: #0866FF;';
+            valueEl.textContent = value;
+            const labelEl = document.createElement('div');
+            labelEl.style.cssText = 'font-size: 11px; color: #6c757d;';
+            labelEl.textContent = label;
+            cardEl.append(valueEl, labelEl);
+            summaryEl.appendChild(cardEl);
+        });
+
+        charts.drawBarChart(document.getElementById('analyticsDailyChart'), report.daily);
+        charts.drawBarChart(document.getElementById('analyticsWeeklyChart'), report.weekly, { color: '#6f42c1' });
+        charts.drawBarChart(document.getElementById('analyticsCoverageChart'), report.coverage.daily, { color: '#28a745', suffix: '%', maxValue: 100 });
+        charts.drawHorizontalBars(document.getElementById('analyticsTemplatesChart'), report.topTemplates);
+        charts.drawHorizontalBars(document.getElementById('analyticsGroupsChart'), report.topGroups);
+        charts.drawDonut(document.getElementById('analyticsCategoryChart'), report.categoryMix);
+
+        const fatigueEl = document.getElementById('analyticsFatigueList');
+        fatigueEl.innerHTML = '';
+
+        if (report.fatigue.length === 0) {
+            fatigueEl.textContent = 'No comments in this period.';
+            return;
+        }
+
+        const levelStyles = {
+            high: ['🔴 Fatigued', '#dc3545'],
+            medium: ['🟠 Overused', '#fd7e14'],
+            ok: ['🟢 Fresh', '#28a745']
+        };
+
+        report.fatigue.forEach(item => {
+            const [levelLabel, color] = levelStyles[item.level];
+            const rowEl = document.createElement('div');
+            rowEl.style.cssText = 'border-top: 1px solid #f1f3f5; padding: 6px 0;';
+
+            const headerEl = document.createElement('div');
+            headerEl.style.cssText = 'display: flex; justify-content: space-between; gap: 8px;';
+            const labelEl = document.createElement('strong');
+            labelEl.textContent = item.label;
+            const levelEl = document.createElement('span');
+            levelEl.style.cssText = `color: ${color}; white-space: nowrap;`;
+            levelEl.textContent = levelLabel;
+            headerEl.append(labelEl, levelEl);
+            rowEl.appendChild(headerEl);
+
+            const detailEl = document.createElement('div');
+            detailEl.style.cssText = 'font-size: 11px; color: #6c757d;';
+            detailEl.textContent = [
+                `${item.comments} comments (${item.lastWeek} last 7 days)`,
+                `responses ${percent(item.earlierRate)} → ${percent(item.recentRate)}`,
+                item.selectionRate !== null ? `picked ${percent(item.selectionRate)} of suggestions` : null
+            ].filter(Boolean).join(' · ');
+            rowEl.appendChild(detailEl);
+
+            if (item.reasons.length > 0) {
+                const reasonsEl = document.createElement('div');
+                reasonsEl.style.cssText = `font-size: 11px; color: ${color};`;
+                reasonsEl.textContent = item.reasons.join(' · ');
+                rowEl.appendChild(reasonsEl);
+            }
+
+            fatigueEl.appendChild(rowEl);
+        });
+    }
+
+    displayReplyNotifications(notifications, handlers) {
+        const sectionEl = document.getElementById('replyNotifications');
+        const titleEl = document.getElementById('replyNotificationsTitle');
+        const listEl = document.getElementById('replyNotificationsList');
+        if (!sectionEl || !listEl) return;
+
+        listEl.innerHTML = '';
+
+        if (notifications.length === 0) {
+            sectionEl.style.display = 'none';
+            return;
+        }
+
+        const unreadCount = notifications.filter(notification => !notification.read).length;
+        titleEl.textContent = unreadCount > 0 ? `💬 ${unreadCount} new repl${unreadCount === 1 ? 'y' : 'ies'}` : 'Replies to your comments';
+        sectionEl.style.display = 'block';
+
+        notifications.forEach(notification => {
+            const itemEl = document.createElement('div');
+            itemEl.style.cssText = `border-top: 1px solid #f1f3f5; padding: 6px 0; ${notification.read ? 'color: #6c757d;' : ''}`;
+
+            const headerEl = document.createElement('div');
+            headerEl.style.fontWeight = notification.read ? '400' : '600';
+            headerEl.textContent = `${notification.type === 'mention' ? '📣' : '💬'} ${notification.authorName || 'Someone'} ` +
+                `${notification.type === 'mention' ? 'mentioned you' : 'replied to your comment'}` +
+                `${notification.groupName ? ` in ${notification.groupName}` : ''}`;
+            itemEl.appendChild(headerEl);
+
+            const textEl = document.createElement('div');
+            textEl.style.cssText = 'margin: 2px 0 4px; white-space: pre-wrap;';
+            textEl.textContent = notification.text;
+            itemEl.appendChild(textEl);
+
+            const actionsEl = document.createElement('div');
+            actionsEl.style.cssText = 'display: flex; gap: 8px; align-items: center; font-size: 11px;';
+
+            const timeEl = document.createElement('span');
+            timeEl.textContent = new Date(notification.detectedAt).toLocaleString();
+            actionsEl.appendChild(timeEl);
+
+            if (notification.postUrl) {
+                const linkEl = document.createElement('a');
+                linkEl.href = notification.postUrl;
+                linkEl.target = '_blank';
+                linkEl.rel = 'noopener noreferrer';
+                linkEl.textContent = 'Open post ↗';
+                linkEl.addEventListener('click', () => handlers.onOpen(notification.id));
+                actionsEl.appendChild(linkEl);
+            }
+
+            const dismissBtn = document.createElement('button');
+            dismissBtn.className = 'btn btn-small secondary';
+            dismissBtn.textContent = 'Dismiss';
+            dismissBtn.style.marginLeft = 'auto';
+            dismissBtn.addEventListener('click', () => handlers.onDismiss(notification.id));
+            actionsEl.appendChild(dismissBtn);
+
+            itemEl.appendChild(actionsEl);
+            listEl.appendChild(itemEl);
+        });
+    }
+
+    displayGroupRules(groupRules, checker) {
+        const listEl = document.getElementById('groupRulesList');
+        if (!listEl) return;
+        
+        listEl.innerHTML = '';
+        
+        if (groupRules.length === 0) {
+            listEl.textContent = 'No group rules recorded yet.';
+            return;
+        }
+        
+        groupRules.forEach(({ groupId, rules }) => {
+            const rowEl = document.createElement('div');
+            rowEl.style.marginBottom = '4px';
+            
+            const labelEl = document.createElement('strong');
+            labelEl.textContent = `${groupId}: `;
+            rowEl.appendChild(labelEl);
+            rowEl.appendChild(document.createTextNode(checker.describeRules(rules)));
+            
+            listEl.appendChild(rowEl);
+        });
+    }
+
+    displayCategorySchedules(categorySchedules, templateSchedule) {
+        const listEl = document.getElementById('categoryScheduleList');
+        if (!listEl) return;
+        
+        listEl.innerHTML = '';
+        
+        const entries = Object.entries(categorySchedules || {});
+        if (entries.length === 0) {
+            listEl.textContent = 'No category schedules yet. Every category is always active.';
+            return;
+        }
+        
+        entries.forEach(([categoryId, schedule]) => {
+            const status = templateSchedule.getStatus(schedule);
+            const rowEl = document.createElement('div');
+            rowEl.style.marginBottom = '4px';
+            
+            const labelEl = document.createElement('strong');
+            labelEl.textContent = `${this.getCategoryDisplayName(categoryId)}: `;
+            rowEl.appendChild(labelEl);
+            rowEl.appendChild(document.createTextNode(`${templateSchedule.describeSchedule(schedule)} (${status})`));
+            
+            listEl.appendChild(rowEl);
+        });
+    }
+
+    /**
+     * Read a schedule form (ids: <prefix>ActiveFrom, <prefix>ActiveUntil, <prefix>Days, <prefix>StartHour, <prefix>EndHour)
+     * @param {string} prefix - 'templateSchedule' or 'categorySchedule'
+     * @returns {Object} Raw schedule for TemplateSchedule.validateSchedule / normalizeSchedule
+     */
+    getScheduleFormData(prefix) {
+        return {
+            activeFrom: document.getElementById(`${prefix}ActiveFrom`).value,
+            activeUntil: document.getElementById(`${prefix}ActiveUntil`).value,
+            days: Array.from(document.querySelectorAll(`#${prefix}Days .schedule-day-checkbox`))
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => Number(checkbox.value)),
+            startHour: document.getElementById(`${prefix}StartHour`).value,
+            endHour: document.getElementById(`${prefix}EndHour`).value
+        };
+    }
+
+    setScheduleForm(prefix, schedule) {
+        const days = schedule?.days || [];
+        
+        document.getElementById(`${prefix}ActiveFrom`).value = schedule?.activeFrom || '';
+        document.getElementById(`${prefix}ActiveUntil`).value = schedule?.activeUntil || '';
+        document.querySelectorAll(`#${prefix}Days .schedule-day-checkbox`).forEach(checkbox => {
+            checkbox.checked = days.length === 0 || days.includes(Number(checkbox.value));
+        });
+        document.getElementById(`${prefix}StartHour`).value = Number.isInteger(schedule?.startHour) ? schedule.startHour : '';
+        document.getElementById(`${prefix}EndHour`).value = Number.isInteger(schedule?.endHour) ? schedule.endHour : '';
+    }
+
     getTemplateFormData() {
         return {
             label: document.getElementById('templateLabel').value,
             category: document.getElementById('templateCategory').value,
             keywords: document.getElementById('templateKeywords').value,
             content: document.getElementById('templateContent').value,
+            variants: document.getElementById('templateVariants').value,
+            matching: {
+                stemming: document.getElementById('templateStemming').checked,
+                typoTolerance: parseInt(document.getElementById('templateTypoTolerance').value, 10)
+            },
+            locale: document.getElementById('templateLocale').value,
+            schedule: this.getScheduleFormData('templateSchedule'),
             url: document.getElementById('templateUrl').value,
             affiliateLink: document.getElementById('templateAffiliateLink').value
         };
     }
 
+    setTemplateLocale(locale) {
+        const selectEl = document.getElementById('templateLocale');
+        
+        // Regional locales from imports (e.g. "fr-CA") get their own option so saving keeps them
+        if (locale && !Array.from(selectEl.options).some(option => option.value === locale)) {
+            const optionEl = document.createElement('option');
+            optionEl.value = locale;
+            optionEl.textContent = locale;
+            selectEl.appendChild(optionEl);
+        }
+        
+        selectEl.value = locale;
+    }
+
 
 
     updateLicenseStatus(licenseInfo) {
@@ -21,7 +21,7 @@ class UsageTrackerManager {
         }
     }
 
-    async recordAdUsage(templateId, variantIndex, commentText, currentPost) {
+    async recordAdUsage(templateId, variantIndex, commentText, currentPost, template = null) {
         try {
             if (!this.usageTracker) {
                 console.warn('AdReply: Usage tracker not initialized');
@@ -50,14 +50,19 @@ class UsageTrackerManager {
             const postContent = currentPost?.content || '';
 
             // Record the usage
-            await this.usageTracker.recordUsage(
+            const usageRecord = await this.usageTracker.recordUsage(
                 templateId,
                 groupId,
                 postContent,
                 {
                     variantIndex: variantIndex,
-                    commentText: commentText.substring(0, 100),
-                    tabUrl: tab.url
+                    // Kept in full (within reason) for the comment history
+                    commentText: commentText.substring(0, 1000),
+                    tabUrl: tab.url,
+                    postUrl: currentPost?.postUrl || null,
+                    groupName: currentPost?.groupName || '',
+                    templateLabel: template?.label || '',
+                    category: template?.category || ''
                 }
             );
 
@@ -70,7 +75,7 @@ class UsageTrackerManager {
 
 
 
-            return { success: true, groupId };
+            return { success: true, groupId, usageId: usageRecord.usageId };
 
         } catch (error) {
             console.error('AdReply: Error recording ad usage:', error);
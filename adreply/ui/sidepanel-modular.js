@@ -6,12 +6,13 @@ import UsageTrackerManager from './modules/usage-tracker.js';
 import SettingsManager from './modules/settings-manager.js';
 import UIManager from './modules/ui-manager.js';
 import PostPublisherUI from './modules/post-publisher-ui.js';
+import AnalyticsCharts from './modules/analytics-charts.js';
 
 class AdReplySidePanel {
     constructor() {
         // Initialize all managers
         this.connectionManager = new ConnectionManager();
-        this.templateManager = new TemplateManager();
+        this.templateManager = new TemplateManager(this.connectionManager);
         this.usageTrackerManager = new UsageTrackerManager();
         this.settingsManager = new SettingsManager();
         this.uiManager = new UIManager();
@@ -28,6 +29,27 @@ class AdReplySidePanel {
             this.keywordLearningEngine
         );
         
+        // Rotation policy settings (loaded from script tag in HTML)
+        this.rotationPolicyManager = typeof RotationPolicyManager !== 'undefined'
+            ? new RotationPolicyManager(this.usageTrackerManager.getUsageTracker())
+            : null;
+        
+        // Lead tracking helpers (loaded from script tag in HTML)
+        this.leadManager = typeof LeadManager !== 'undefined' ? new LeadManager() : null;
+        this.leads = [];
+        
+        // Replies to our comments, found by the content script on watched posts
+        this.replyWatcher = typeof ReplyWatcher !== 'undefined' ? new ReplyWatcher() : null;
+        this.lastUnreadReplies = null;
+        
+        // Analytics dashboard - report built from local usage data, charts drawn on canvas
+        this.usageAnalytics = typeof UsageAnalytics !== 'undefined' ? new UsageAnalytics() : null;
+        this.analyticsCharts = new AnalyticsCharts();
+        this.analyticsReport = null;
+        
+        // Shared AI provider registry - models and temperatures for rephrasing and the setup wizard
+        this.aiProviderRegistry = typeof AIProviderRegistry !== 'undefined' ? new AIProviderRegistry() : null;
+        
         // Initialize post publisher (loaded from script tag in HTML)
         this.postPublisher = null;
         this.postPublisherUI = null;
@@ -271,6 +293,11 @@ class AdReplySidePanel {
         // Category navigation
         document.getElementById('backToCategoriesBtn').addEventListener('click', () => this.showCategoryView());
         
+        // Template history
+        document.getElementById('backFromHistoryBtn').addEventListener('click', () => this.hideTemplateHistory());
+        document.getElementById('historyCompareFrom').addEventListener('change', () => this.renderHistoryDiff());
+        document.getElementById('historyCompareTo').addEventListener('change', () => this.renderHistoryDiff());
+        
         // License
         document.getElementById('activateLicense').addEventListener('click', () => this.activateLicense());
         document.getElementById('checkLicense').addEventListener('click', () => this.checkLicense());
@@ -294,6 +321,61 @@ class AdReplySidePanel {
         document.getElementById('saveAffiliateLinkBtn').addEventListener('click', () => this.saveAffiliateLink());
         document.getElementById('clearAffiliateLinkBtn').addEventListener('click', () => this.clearAffiliateLink());
         
+        // Rotation rules
+        document.getElementById('rotationPolicyScope').addEventListener('change', () => this.showRotationPolicyForm());
+        document.getElementById('rotationPolicyCategory').addEventListener('change', () => this.showRotationPolicyForm());
+        document.getElementById('rotationPolicyGroup').addEventListener('change', () => this.showRotationPolicyForm());
+        document.getElementById('saveRotationPolicyBtn').addEventListener('click', () => this.saveRotationPolicy());
+        document.getElementById('removeRotationPolicyBtn').addEventListener('click', () => this.removeRotationPolicy());
+        document.getElementById('categoryScheduleCategory').addEventListener('change', () => this.showCategoryScheduleForm());
+        document.getElementById('saveCategoryScheduleBtn').addEventListener('click', () => this.saveCategorySchedule());
+        document.getElementById('removeCategoryScheduleBtn').addEventListener('click', () => this.removeCategorySchedule());
+        document.getElementById('saveBusinessProfileBtn').addEventListener('click', () => this.saveBusinessProfile());
+        document.getElementById('saveCustomPlaceholdersBtn').addEventListener('click', () => this.saveCustomPlaceholders());
+        document.getElementById('groupRulesGroup').addEventListener('change', () => this.showGroupRulesForm());
+        document.getElementById('saveGroupRulesBtn').addEventListener('click', () => this.saveGroupRules());
+        document.getElementById('removeGroupRulesBtn').addEventListener('click', () => this.removeGroupRules());
+        document.getElementById('saveIntentFilterBtn').addEventListener('click', () => this.saveIntentFilter());
+        document.getElementById('intentFilterMode').addEventListener('change', () => this.updateIntentFilterAIStatus());
+        document.getElementById('saveSafetyFilterBtn').addEventListener('click', () => this.saveSafetyFilter());
+        document.getElementById('saveKeywordWeightingBtn').addEventListener('click', () => this.saveKeywordWeighting());
+        document.getElementById('saveSuggestionOrderingBtn').addEventListener('click', () => this.saveSuggestionOrdering());
+        document.getElementById('saveAIModelsBtn').addEventListener('click', () => this.saveAIModels());
+        document.getElementById('startExperimentBtn').addEventListener('click', () => this.startExperiment());
+        
+        // Leads
+        document.getElementById('leadStatusFilter').addEventListener('change', () => this.loadLeads());
+        document.getElementById('leadSearch').addEventListener('input', () => this.renderLeads());
+        document.getElementById('exportLeadsBtn').addEventListener('click', () => this.exportLeadsCsv());
+        
+        // Reply notifications
+        document.getElementById('markRepliesReadBtn').addEventListener('click', () => this.markRepliesRead());
+        
+        // Comment history
+        ['commentHistoryGroup', 'commentHistoryCategory', 'commentHistoryTemplate', 'commentHistoryFrom', 'commentHistoryTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadCommentHistory());
+        });
+        document.getElementById('commentHistorySearch').addEventListener('input', () => {
+            // Wait for a pause in typing - every load reads the whole history
+            clearTimeout(this.commentHistorySearchTimer);
+            this.commentHistorySearchTimer = setTimeout(() => this.loadCommentHistory(), 300);
+        });
+        
+        // Keywords accepted in the Keyword Performance window change templates behind our back
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message?.type === 'TEMPLATES_UPDATED') {
+                this.reloadTemplates();
+            }
+        });
+        
+        // Analytics
+        document.getElementById('analyticsPeriod').addEventListener('change', () => this.loadAnalytics());
+        document.getElementById('exportAnalyticsCsvBtn').addEventListener('click', () => this.exportAnalyticsCsv());
+        document.querySelectorAll('.analytics-png-btn').forEach(button => {
+            button.addEventListener('click', () => this.exportAnalyticsChart(button.dataset.chart));
+        });
+        document.getElementById('resetCommentHistoryBtn').addEventListener('click', () => this.resetCommentHistoryFilters());
+        
         // Post analysis
         document.getElementById('analyzePostBtn').addEventListener('click', () => this.analyzeCurrentPost());
         
@@ -337,6 +419,15 @@ class AdReplySidePanel {
             });
         }
 
+        // Keyword expression validation while typing
+        const templateKeywordsInput = document.getElementById('templateKeywords');
+        if (templateKeywordsInput) {
+            templateKeywordsInput.addEventListener('input', () => {
+                const keywords = this.templateManager.parseKeywords(templateKeywordsInput.value);
+                this.uiManager.showKeywordValidation(this.templateManager.validateKeywords(keywords));
+            });
+        }
+
         // Template category selection feedback
         const templateCategorySelect = document.getElementById('templateCategory');
         if (templateCategorySelect) {
@@ -370,6 +461,33 @@ class AdReplySidePanel {
         // Load affiliate link
         await this.loadAffiliateLink();
         
+        // Load business profile and custom placeholders
+        await this.loadBusinessProfile();
+        await this.loadCustomPlaceholders();
+        
+        // Load rotation rules
+        await this.loadRotationPolicies();
+        
+        // Load category schedules (also used for the template list badges)
+        await this.loadCategorySchedules();
+        
+        // Load group promotion rules
+        await this.loadGroupRules();
+        
+        // Load A/B experiments and their results
+        await this.loadExperiments();
+        
+        // Load post intent filter and sensitive post guardrail
+        await this.initializeAIService();
+        await this.loadIntentFilter();
+        await this.loadSafetyFilter();
+        await this.loadKeywordWeighting();
+        await this.loadSuggestionOrdering();
+        await this.loadAIModels();
+        
+        // Load replies found on posts we commented on
+        await this.loadReplyNotifications();
+        
         // Update API key status
         await this.updateAPIKeyStatus();
     }
@@ -382,14 +500,21 @@ class AdReplySidePanel {
         const groupInfo = await this.connectionManager.getCurrentGroup();
         this.uiManager.updateStatus(groupInfo, this.connectionManager.isConnected);
         
+        // Pick up replies the content script found since the last refresh
+        await this.loadReplyNotifications();
+        
         const recentPost = await this.connectionManager.getRecentPosts();
         const result = this.uiManager.updatePostContent(recentPost);
         
         if (result.needsSuggestions && recentPost) {
             try {
+                // Author and group name feed {author_first_name}, {group_name} and {post_topic}
+                this.postAnalyzer.setCurrentPost(recentPost);
+                
                 const isProLicense = this.settingsManager.getProLicenseStatus();
                 const suggestions = await this.postAnalyzer.generateSuggestions(recentPost.content, isProLicense);
                 this.uiManager.displaySuggestions(suggestions, this.postPublisherUI);
+                this.recordCoverage(suggestions);
                 
                 // Start ignore timers for keyword learning
                 if (this.keywordLearningEngine) {
@@ -403,12 +528,33 @@ class AdReplySidePanel {
     }
 
     onTabChange(tabName) {
-        // Tab change handling - currently no special actions needed
+        // Leads change whenever a comment is copied, so refresh them on every visit
+        if (tabName === 'leads') {
+            this.loadLeads();
+        } else if (tabName === 'history') {
+            this.loadCommentHistory();
+        } else if (tabName === 'analytics') {
+            // Canvases have no size while their tab is hidden, so draw on every visit
+            this.loadAnalytics();
+        }
     }
 
     async handleCopyClick(text, btnElement, suggestion) {
         console.log('AdReply: Copy clicked!', { text, suggestion });
         
+        // Re-check the group's rules at copy time (the day or weekly count may have changed)
+        const ruleCheck = await this.postAnalyzer.checkGroupRules(text);
+        if (ruleCheck && ruleCheck.violations.length > 0) {
+            const messages = ruleCheck.violations.map(v => v.message).join('\n');
+            if (ruleCheck.blocked) {
+                this.uiManager.showNotification(`Blocked by group rules: ${messages}`, 'error');
+                return;
+            }
+            if (!confirm(`This comment breaks the group's rules:\n\n${messages}\n\nCopy anyway?`)) {
+                return;
+            }
+        }
+        
         try {
             await navigator.clipboard.writeText(text);
             
@@ -421,7 +567,8 @@ class AdReplySidePanel {
                         suggestion.templateId, 
                         suggestion.variantIndex || 0, 
                         text, 
-                        this.uiManager.getCurrentPost()
+                        this.uiManager.getCurrentPost(),
+                        this.templateManager.getTemplate(suggestion.templateId)
                     );
                     
                     console.log('AdReply: Usage recording result:', result);
@@ -429,6 +576,26 @@ class AdReplySidePanel {
                     if (result && result.success) {
                         console.log('AdReply: Usage recorded successfully for 24h tracking');
                         // No user notification needed - usage tracking is silent
+                        
+                        // Comments in an A/B experiment count towards their variant
+                        if (suggestion.experimentId && this.postAnalyzer.abTesting) {
+                            await this.postAnalyzer.abTesting.recordExposure(suggestion.experimentId, {
+                                usageId: result.usageId,
+                                templateId: suggestion.templateId,
+                                variantIndex: suggestion.variantIndex || 0,
+                                groupId: result.groupId,
+                                text
+                            });
+                            await this.loadExperiments();
+                        }
+                        
+                        // Track the conversation this comment starts as a lead
+                        await this.captureLead(suggestion, text, result);
+                        await this.watchPostForReplies(text, result);
+                        
+                        // Let the user record what happened after this comment
+                        this.uiManager.showOutcomeButtons(btnElement.parentElement,
+                            (type, recorded) => this.recordCommentOutcome(result.usageId, type, recorded));
                     } else {
                         console.warn('AdReply: Usage recording failed - no success result');
                     }
@@ -516,6 +683,12 @@ class AdReplySidePanel {
             // Debug: Log the form data to see if URL is being captured
             console.log('AdReply: Saving template with form data:', formData);
             
+            // Show keyword syntax errors next to the keywords field
+            const keywordErrors = this.templateManager.validateKeywords(
+                this.templateManager.parseKeywords(formData.keywords)
+            );
+            this.uiManager.showKeywordValidation(keywordErrors);
+            
             // Get category display name for feedback
             const categoryDisplayName = this.uiManager.getCategoryDisplayName(formData.category);
             
@@ -537,6 +710,9 @@ class AdReplySidePanel {
             this.hideTemplateForm();
             this.updateTemplateCount();
             
+            // Warn about business placeholders the profile can't fill yet
+            await this.warnMissingBusinessPlaceholders([formData.content, formData.variants].join('\n'));
+            
         } catch (error) {
             this.uiManager.showNotification(error.message, 'error');
         }
@@ -586,40 +762,13 @@ class AdReplySidePanel {
                 return;
             }
             
-            // Get settings for rendering
-            const result = await chrome.storage.local.get(['settings', 'defaultPromoUrl']);
-            const settings = result.settings || {};
-            const companyUrl = result.defaultPromoUrl || settings.companyUrl || '';
-            
-            // Get affiliate link (category-specific or default)
-            let affiliateLink = null;
-            if (formData.affiliateLink && formData.affiliateLink.trim().length > 0) {
-                affiliateLink = formData.affiliateLink.trim();
-            } else if (settings.affiliateLinks && settings.affiliateLinks.default) {
-                affiliateLink = settings.affiliateLinks.default;
-            }
-            
-            // Render template
-            let rendered = formData.content;
-            
-            // Replace {{link}} placeholder
-            if (rendered.includes('{{link}}')) {
-                if (affiliateLink) {
-                    rendered = rendered.replace(/\{\{link\}\}/g, affiliateLink);
-                } else {
-                    // Remove lines with {{link}} if no affiliate link
-                    rendered = rendered
-                        .split('\n')
-                        .filter(line => !line.includes('{{link}}'))
-                        .join('\n')
-                        .trim();
-                }
-            }
-            
-            // Append company URL if configured
-            if (companyUrl && companyUrl.trim().length > 0) {
-                rendered = rendered.trim() + '\n\n' + companyUrl.trim();
-            }
+            // Render through the same pipeline as suggestions (placeholders, expressions, spintax, URL)
+            const rendered = await this.postAnalyzer.renderTemplatePreview({
+                template: formData.content,
+                url: formData.url,
+                category: formData.category,
+                affiliateLink: formData.affiliateLink
+            });
             
             // Show preview
             previewText.textContent = rendered;
@@ -688,11 +837,75 @@ class AdReplySidePanel {
             categoryTemplates,
             categoryName,
             (id) => this.editTemplate(id),
-            (id) => this.deleteTemplate(id)
+            (id) => this.deleteTemplate(id),
+            this.templateManager.templateSchedule,
+            this.templateManager.templateRevisions ? (id) => this.showTemplateHistory(id) : null
         );
         this.uiManager.showTemplateView();
     }
 
+    // Template History Methods
+    async showTemplateHistory(templateId) {
+        const template = this.templateManager.getTemplate(templateId);
+        if (!template) return;
+        
+        try {
+            const revisions = await this.templateManager.getTemplateHistory(templateId);
+            const revisionStats = this.keywordLearningEngine
+                ? await this.keywordLearningEngine.getRevisionStats(templateId)
+                : {};
+            
+            this.historyTemplateId = templateId;
+            this.historyRevisions = revisions;
+            
+            this.uiManager.renderTemplateHistory(
+                template,
+                revisions,
+                revisionStats,
+                this.templateManager.templateRevisions,
+                (revision) => this.restoreTemplateRevision(templateId, revision)
+            );
+            this.renderHistoryDiff();
+            
+            document.getElementById('templateView').style.display = 'none';
+            document.getElementById('historyView').style.display = 'block';
+        } catch (error) {
+            console.error('AdReply: Failed to load template history:', error);
+            this.uiManager.showNotification('Failed to load template history', 'error');
+        }
+    }
+
+    renderHistoryDiff() {
+        const revisions = this.historyRevisions || [];
+        if (revisions.length === 0) return;
+        
+        const from = Number(document.getElementById('historyCompareFrom').value);
+        const to = Number(document.getElementById('historyCompareTo').value);
+        const older = revisions.find(revision => revision.revision === from);
+        const newer = revisions.find(revision => revision.revision === to);
+        
+        this.uiManager.renderRevisionDiff(this.templateManager.templateRevisions.diffRevisions(older, newer));
+    }
+
+    async restoreTemplateRevision(templateId, revision) {
+        if (!confirm(`Restore version ${revision} of this template? The current wording stays in the history.`)) return;
+        
+        try {
+            await this.templateManager.rollbackTemplate(templateId, revision);
+            this.uiManager.showNotification(`Version ${revision} restored`);
+            await this.showTemplateHistory(templateId);
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+        }
+    }
+
+    hideTemplateHistory() {
+        document.getElementById('historyView').style.display = 'none';
+        this.historyTemplateId = null;
+        this.historyRevisions = null;
+        this.showCategoryView();
+    }
+
     showCategoryView() {
         this.renderTemplatesList();
     }
@@ -884,6 +1097,15 @@ class AdReplySidePanel {
         }
     }
 
+    async reloadTemplates() {
+        try {
+            await this.templateManager.loadTemplates();
+            await this.updateTemplateCount();
+        } catch (error) {
+            console.error('Failed to reload templates:', error);
+        }
+    }
+
     openKeywordPerformance() {
         // Open the Keyword Performance Dashboard in a new window
         chrome.windows.create({
@@ -927,16 +1149,22 @@ class AdReplySidePanel {
                         userComments: result.userComments
                     });
                 } else {
-                    this.uiManager.updatePostContent({
+                    const post = {
                         content: result.content,
                         groupId: result.groupId,
+                        authorName: result.authorName,
+                        groupName: result.groupName,
+                        postUrl: result.postUrl,
                         source: 'manual_analysis'
-                    });
+                    };
+                    this.uiManager.updatePostContent(post);
+                    this.postAnalyzer.setCurrentPost(post);
                     
                     // Generate suggestions
                     const isProLicense = this.settingsManager.getProLicenseStatus();
                     const suggestions = await this.postAnalyzer.generateSuggestions(result.content, isProLicense);
                     this.uiManager.displaySuggestions(suggestions, this.postPublisherUI);
+                    this.recordCoverage(suggestions);
                     
                     // Start ignore timers for keyword learning
                     if (this.keywordLearningEngine) {
@@ -1148,86 +1376,1153 @@ class AdReplySidePanel {
         }
     }
 
-    // Category Management Methods
-    async initializeCategoryFunctionality() {
+    // Business Profile Management
+    async loadBusinessProfile() {
+        const businessProfile = this.postAnalyzer.businessProfile;
+        if (!businessProfile) {
+            return;
+        }
+        
         try {
-            await this.loadCategories();
-            await this.loadSavedCategoryPreference();
-            
-            // Refresh the category view to ensure buttons are rendered with updated categories
-            this.showCategoryView();
+            const profile = await businessProfile.loadProfile();
+            document.getElementById('businessProfileName').value = profile.businessName;
+            document.getElementById('businessProfilePhone').value = profile.phone;
+            document.getElementById('businessProfileEmail').value = profile.email;
+            document.getElementById('businessProfileServiceArea').value = profile.serviceArea;
+            document.getElementById('businessProfileHours').value = profile.hours;
         } catch (error) {
-            console.error('Failed to initialize category functionality:', error);
+            console.error('Failed to load business profile:', error);
+        }
+    }
+    
+    async saveBusinessProfile() {
+        const businessProfile = this.postAnalyzer.businessProfile;
+        if (!businessProfile) {
+            this.uiManager.showNotification('Business profile is not available', 'error');
+            return;
+        }
+        
+        const result = await businessProfile.saveProfile({
+            businessName: document.getElementById('businessProfileName').value,
+            phone: document.getElementById('businessProfilePhone').value,
+            email: document.getElementById('businessProfileEmail').value,
+            serviceArea: document.getElementById('businessProfileServiceArea').value,
+            hours: document.getElementById('businessProfileHours').value
+        });
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.uiManager.showNotification('Business profile saved successfully!');
+    }
+    
+    // Custom Placeholder Management
+    async loadCustomPlaceholders() {
+        const templateExpressions = this.postAnalyzer.templateExpressions;
+        if (!templateExpressions) {
+            return;
+        }
+        
+        try {
+            const placeholders = await templateExpressions.loadCustomPlaceholders();
+            document.getElementById('customPlaceholders').value = templateExpressions.formatCustomPlaceholders(placeholders);
+        } catch (error) {
+            console.error('Failed to load custom placeholders:', error);
+        }
+    }
+    
+    async saveCustomPlaceholders() {
+        const templateExpressions = this.postAnalyzer.templateExpressions;
+        if (!templateExpressions) {
+            this.uiManager.showNotification('Custom placeholders are not available', 'error');
+            return;
+        }
+        
+        const result = await templateExpressions.saveCustomPlaceholders(document.getElementById('customPlaceholders').value);
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        document.getElementById('customPlaceholders').value = templateExpressions.formatCustomPlaceholders(result.placeholders);
+        this.uiManager.showNotification('Custom placeholders saved successfully!');
+    }
+    
+    async warnMissingBusinessPlaceholders(templateText) {
+        const businessProfile = this.postAnalyzer.businessProfile;
+        if (!businessProfile) {
+            return;
+        }
+        
+        await businessProfile.loadProfile();
+        const missing = businessProfile.findMissingPlaceholders(templateText);
+        if (missing.length > 0) {
+            this.uiManager.showNotification(`Template uses ${missing.join(', ')} but your Business Profile has no value for it yet`, 'warning');
         }
     }
 
-    async loadCategories() {
+    // Rotation Policy Management
+    async loadRotationPolicies() {
+        if (!this.rotationPolicyManager) {
+            return;
+        }
+        
         try {
-            // Get pre-built categories
-            const prebuiltCategories = [
-                { id: 'automotive', name: 'Automotive Services', description: 'Car repair, maintenance, detailing' },
-                { id: 'fitness', name: 'Fitness & Health', description: 'Gyms, personal training, nutrition' },
-                { id: 'food', name: 'Food & Restaurants', description: 'Restaurants, catering, food delivery' },
-                { id: 'home-services', name: 'Home Services', description: 'Cleaning, repairs, landscaping' },
-                { id: 'beauty', name: 'Beauty & Wellness', description: 'Salons, spas, cosmetics' },
-                { id: 'real-estate', name: 'Real Estate', description: 'Property sales, rentals' },
-                { id: 'technology', name: 'Technology Services', description: 'IT support, web design, software' },
-                { id: 'education', name: 'Education & Training', description: 'Courses, tutoring, workshops' },
-                { id: 'financial', name: 'Financial Services', description: 'Insurance, loans, accounting' },
-                { id: 'legal', name: 'Legal Services', description: 'Lawyers, legal consultants' },
-                { id: 'pet-services', name: 'Pet Services', description: 'Veterinary, grooming, pet sitting' },
-                { id: 'events', name: 'Event Planning', description: 'Weddings, parties, corporate events' },
-                { id: 'photography', name: 'Photography', description: 'Portrait, event, commercial photography' },
-                { id: 'crafts', name: 'Crafts & Handmade', description: 'Etsy sellers, artisans, crafters' },
-                { id: 'construction', name: 'Construction', description: 'Contractors, builders, renovations' },
-                { id: 'transportation', name: 'Transportation', description: 'Moving, delivery, ride services' },
-                { id: 'entertainment', name: 'Entertainment', description: 'Musicians, DJs, performers' },
-                { id: 'retail', name: 'Retail & E-commerce', description: 'Online stores, boutiques' },
-                { id: 'professional', name: 'Professional Services', description: 'Consulting, marketing, design' },
-                { id: 'healthcare', name: 'Healthcare', description: 'Medical, dental, therapy' }
-            ];
+            await this.rotationPolicyManager.loadPolicies();
+            
+            // Pre-fill the group field with the group currently open in Facebook
+            const groupInput = document.getElementById('rotationPolicyGroup');
+            if (!groupInput.value) {
+                groupInput.value = await this.postAnalyzer.getCurrentGroupId();
+            }
+            
+            this.showRotationPolicyForm();
+        } catch (error) {
+            console.error('Failed to load rotation rules:', error);
+        }
+    }
+    
+    getRotationPolicyTarget() {
+        const scope = document.getElementById('rotationPolicyScope').value;
+        let targetId = null;
+        
+        if (scope === 'category') {
+            targetId = document.getElementById('rotationPolicyCategory').value;
+        } else if (scope === 'group') {
+            targetId = document.getElementById('rotationPolicyGroup').value.trim();
+        }
+        
+        return { scope, targetId };
+    }
+    
+    showRotationPolicyForm() {
+        if (!this.rotationPolicyManager || !this.rotationPolicyManager.policies) {
+            return;
+        }
+        
+        const { scope, targetId } = this.getRotationPolicyTarget();
+        const policies = this.rotationPolicyManager.policies;
+        
+        document.getElementById('rotationPolicyCategoryGroup').style.display = scope === 'category' ? 'block' : 'none';
+        document.getElementById('rotationPolicyGroupGroup').style.display = scope === 'group' ? 'block' : 'none';
+        
+        let policy = {};
+        if (scope === 'global') {
+            policy = policies.global;
+        } else if (scope === 'category') {
+            policy = policies.categoryOverrides[targetId] || {};
+        } else if (scope === 'group') {
+            policy = policies.groupOverrides[targetId] || {};
+        }
+        
+        const fieldValue = (value) => value === undefined || value === null ? '' : value;
+        document.getElementById('rotationCooldownHours').value = fieldValue(policy.cooldownHours);
+        document.getElementById('rotationMaxUsesPerWeek').value = fieldValue(policy.maxUsesPerWeek);
+        document.getElementById('rotationMinGapMinutes').value = fieldValue(policy.minGapMinutes);
+        
+        this.uiManager.displayRotationPolicies(policies);
+    }
+    
+    async saveRotationPolicy() {
+        if (!this.rotationPolicyManager) {
+            this.uiManager.showNotification('Rotation rules are not available', 'error');
+            return;
+        }
+        
+        const { scope, targetId } = this.getRotationPolicyTarget();
+        const policy = {
+            cooldownHours: document.getElementById('rotationCooldownHours').value,
+            maxUsesPerWeek: document.getElementById('rotationMaxUsesPerWeek').value,
+            minGapMinutes: document.getElementById('rotationMinGapMinutes').value
+        };
+        
+        const result = await this.rotationPolicyManager.savePolicy(scope, targetId, policy);
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.showRotationPolicyForm();
+        this.uiManager.showNotification('Rotation rule saved successfully!');
+    }
+    
+    async removeRotationPolicy() {
+        if (!this.rotationPolicyManager) {
+            return;
+        }
+        
+        const { scope, targetId } = this.getRotationPolicyTarget();
+        const result = await this.rotationPolicyManager.removePolicy(scope, targetId);
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.showRotationPolicyForm();
+        this.uiManager.showNotification(scope === 'global' ? 'Global rotation rule reset to defaults' : 'Rotation rule removed');
+    }
 
-            // Get custom categories from storage
-            const result = await chrome.storage.local.get(['customCategories']);
-            const customCategories = result.customCategories || [];
+    // Category Schedule Management
+    async loadCategorySchedules() {
+        const templateSchedule = this.templateManager.templateSchedule;
+        if (!templateSchedule) {
+            return;
+        }
+        
+        try {
+            await templateSchedule.loadCategorySchedules();
+            this.showCategoryScheduleForm();
+        } catch (error) {
+            console.error('Failed to load category schedules:', error);
+        }
+    }
+    
+    showCategoryScheduleForm() {
+        const templateSchedule = this.templateManager.templateSchedule;
+        if (!templateSchedule || !templateSchedule.categorySchedules) {
+            return;
+        }
+        
+        const categoryId = document.getElementById('categoryScheduleCategory').value;
+        this.uiManager.setScheduleForm('categorySchedule', templateSchedule.categorySchedules[categoryId] || null);
+        this.uiManager.displayCategorySchedules(templateSchedule.categorySchedules, templateSchedule);
+    }
+    
+    async saveCategorySchedule() {
+        const templateSchedule = this.templateManager.templateSchedule;
+        if (!templateSchedule) {
+            this.uiManager.showNotification('Category schedules are not available', 'error');
+            return;
+        }
+        
+        const categoryId = document.getElementById('categoryScheduleCategory').value;
+        const schedule = this.uiManager.getScheduleFormData('categorySchedule');
+        
+        const result = await templateSchedule.saveCategorySchedule(categoryId, schedule, { requireDays: true });
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.showCategoryScheduleForm();
+        this.uiManager.showNotification(result.schedule ? 'Category schedule saved successfully!' : 'Category is always active');
+    }
+    
+    async removeCategorySchedule() {
+        const templateSchedule = this.templateManager.templateSchedule;
+        if (!templateSchedule) {
+            return;
+        }
+        
+        const categoryId = document.getElementById('categoryScheduleCategory').value;
+        const result = await templateSchedule.removeCategorySchedule(categoryId);
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.showCategoryScheduleForm();
+        this.uiManager.showNotification('Category schedule removed');
+    }
 
-            // Get categories from templates (for imported templates with new categories)
-            const templates = this.templateManager.getAllTemplates();
-            const userTemplates = templates.filter(t => !t.isPrebuilt);
-            const templateCategories = new Set();
-            
-            userTemplates.forEach(template => {
-                const categoryId = template.category || 'custom';
-                if (categoryId !== 'custom') {
-                    templateCategories.add(categoryId);
-                }
-            });
+    // A/B Experiments
+    async loadExperiments() {
+        const abTesting = this.postAnalyzer.abTesting;
+        if (!abTesting) {
+            return;
+        }
+        
+        try {
+            const experiments = await abTesting.loadExperiments();
+            
+            // Only user templates with at least two variants can be tested
+            const select = document.getElementById('experimentTemplate');
+            const selected = select.value;
+            select.innerHTML = '';
+            this.templateManager.getAllTemplates()
+                .filter(template => !template.isPrebuilt && abTesting.getVariantCount(template) >= 2)
+                .forEach(template => {
+                    const option = document.createElement('option');
+                    option.value = template.id;
+                    option.textContent = `${template.label} (${abTesting.getVariantCount(template)} variants)`;
+                    select.appendChild(option);
+                });
+            if (selected) select.value = selected;
             
-            // Create category objects for template-based categories that aren't in customCategories
-            const prebuiltIds = new Set(prebuiltCategories.map(c => c.id));
-            const customIds = new Set(customCategories.map(c => c.id));
-            const templateBasedCategories = [];
+            const results = [...experiments]
+                .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+                .map(experiment => abTesting.getResults(experiment));
             
-            templateCategories.forEach(categoryId => {
-                if (!prebuiltIds.has(categoryId) && !customIds.has(categoryId)) {
-                    // Create a display name from the category ID
-                    const displayName = categoryId
-                        .split('-')
-                        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                        .join(' ');
-                    
-                    templateBasedCategories.push({
-                        id: categoryId,
-                        name: displayName,
-                        description: `Custom category: ${displayName}`,
-                        isPrebuilt: false
-                    });
-                }
+            this.uiManager.displayExperiments(results, {
+                onStop: (id) => this.stopExperiment(id),
+                onDelete: (id) => this.deleteExperiment(id),
+                onOutcome: (usageId, type, recorded) => this.recordCommentOutcome(usageId, type, recorded)
             });
-
-            // Combine all categories
-            const allCategories = [...prebuiltCategories, ...customCategories, ...templateBasedCategories];
-
+        } catch (error) {
+            console.error('Failed to load experiments:', error);
+        }
+    }
+    
+    async startExperiment() {
+        const abTesting = this.postAnalyzer.abTesting;
+        if (!abTesting) {
+            this.uiManager.showNotification('A/B testing is not available', 'error');
+            return;
+        }
+        
+        const template = this.templateManager.getTemplate(document.getElementById('experimentTemplate').value);
+        const result = await abTesting.createExperiment(template, {
+            name: document.getElementById('experimentName').value,
+            goal: document.getElementById('experimentGoal').value
+        });
+        
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        document.getElementById('experimentName').value = '';
+        await this.loadExperiments();
+        this.uiManager.showNotification('Experiment started - variants will now be served in turn');
+    }
+    
+    async stopExperiment(experimentId) {
+        const result = await this.postAnalyzer.abTesting.stopExperiment(experimentId);
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        await this.loadExperiments();
+        this.uiManager.showNotification('Experiment stopped');
+    }
+    
+    async deleteExperiment(experimentId) {
+        if (!confirm('Delete this experiment and its results?')) return;
+        
+        const result = await this.postAnalyzer.abTesting.deleteExperiment(experimentId);
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        await this.loadExperiments();
+        this.uiManager.showNotification('Experiment deleted');
+    }
+    
+    async recordCommentOutcome(usageId, type, recorded = true) {
+        try {
+            const usageTracker = this.usageTrackerManager.getUsageTracker();
+            if (usageTracker) {
+                await usageTracker.recordOutcome(usageId, type, recorded);
+            }
+            
+            if (this.postAnalyzer.abTesting && await this.postAnalyzer.abTesting.recordOutcome(usageId, type, recorded)) {
+                await this.loadExperiments();
+            }
+        } catch (error) {
+            console.error('AdReply: Failed to record comment outcome:', error);
+            this.uiManager.showNotification('Failed to record outcome', 'error');
+        }
+    }
+
+    // Leads
+    async captureLead(suggestion, text, usageResult) {
+        if (!this.leadManager) {
+            return;
+        }
+        
+        const lead = this.leadManager.buildLead(suggestion, this.uiManager.getCurrentPost(), {
+            usageId: usageResult.usageId,
+            groupId: usageResult.groupId,
+            text
+        });
+        
+        // A lead that isn't saved must not block the copy
+        const result = await this.connectionManager.captureLead(lead);
+        if (!result.success) {
+            console.warn('AdReply: Failed to capture lead:', result.error);
+        }
+    }
+    
+    async watchPostForReplies(text, usageResult) {
+        const post = this.uiManager.getCurrentPost();
+        if (!this.replyWatcher || !post?.postUrl) {
+            return;
+        }
+        
+        await this.connectionManager.watchPost({
+            postUrl: post.postUrl,
+            groupId: usageResult.groupId,
+            groupName: post.groupName,
+            authorName: post.authorName,
+            usageId: usageResult.usageId,
+            commentText: text
+        });
+    }
+    
+    async loadLeads() {
+        const status = document.getElementById('leadStatusFilter').value;
+        this.leads = await this.connectionManager.getLeads(status ? { status } : {});
+        this.renderLeads();
+    }
+    
+    renderLeads() {
+        if (!this.leadManager) {
+            return;
+        }
+        
+        const query = document.getElementById('leadSearch').value;
+        this.uiManager.displayLeads(this.leadManager.searchLeads(this.leads, query), this.leadManager, {
+            onStatusChange: (leadId, status) => this.updateLead(leadId, { status }),
+            onNotesChange: (leadId, notes) => this.updateLead(leadId, { notes }),
+            onDelete: (leadId) => this.deleteLead(leadId)
+        }, this.leads.length);
+    }
+    
+    async updateLead(leadId, updates) {
+        const result = await this.connectionManager.updateLead(leadId, updates);
+        if (!result.success) {
+            this.uiManager.showNotification('Failed to update lead: ' + result.error, 'error');
+            await this.loadLeads();
+            return;
+        }
+        
+        await this.loadLeads();
+        this.uiManager.showNotification(updates.status ? 'Lead status updated' : 'Lead notes saved');
+    }
+    
+    async deleteLead(leadId) {
+        if (!confirm('Delete this lead and its notes?')) return;
+        
+        const result = await this.connectionManager.deleteLead(leadId);
+        if (!result.success) {
+            this.uiManager.showNotification('Failed to delete lead: ' + result.error, 'error');
+            return;
+        }
+        
+        await this.loadLeads();
+        this.uiManager.showNotification('Lead deleted');
+    }
+    
+    async exportLeadsCsv() {
+        if (!this.leadManager) {
+            return;
+        }
+        
+        // Export every lead, whatever the current filter
+        const leads = await this.connectionManager.getLeads();
+        if (leads.length === 0) {
+            this.uiManager.showNotification('No leads to export yet', 'info');
+            return;
+        }
+        
+        // Byte order mark so spreadsheet apps read the file as UTF-8
+        const blob = new Blob(['\uFEFF' + this.leadManager.toCSV(leads)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        
+        // Create temporary download link (no downloads permission needed)
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = `adreply-leads-${timestamp}.csv`;
+        downloadLink.style.display = 'none';
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        
+        setTimeout(() => {
+            document.body.removeChild(downloadLink);
+            URL.revokeObjectURL(url);
+        }, 100);
+        
+        this.uiManager.showNotification(`Exported ${leads.length} leads`);
+    }
+
+    // Comment History
+    async loadCommentHistory() {
+        const usageTracker = this.usageTrackerManager.getUsageTracker();
+        if (!usageTracker) {
+            return;
+        }
+        
+        const value = (id) => document.getElementById(id).value;
+        const filters = {
+            groupId: value('commentHistoryGroup'),
+            category: value('commentHistoryCategory'),
+            templateId: value('commentHistoryTemplate'),
+            from: value('commentHistoryFrom'),
+            to: value('commentHistoryTo'),
+            query: value('commentHistorySearch')
+        };
+        
+        if (filters.from && filters.to && filters.to < filters.from) {
+            this.uiManager.showNotification('The "To" date must be on or after the "From" date', 'error');
+            return;
+        }
+        
+        try {
+            // Older records don't carry their category, so fall back to the template's current one
+            const templates = this.templateManager.getAllTemplates();
+            const templateCategories = Object.fromEntries(templates.map(template => [template.id, template.category]));
+            
+            // Group and template choices come from the whole history, so a filter never hides its own options
+            const allEntries = await usageTracker.getCommentHistory({}, templateCategories);
+            const groups = new Map(allEntries.map(entry => [entry.groupId, entry.groupName || entry.groupId]));
+            const templateLabels = new Map(allEntries.map(entry => [
+                entry.templateId,
+                this.templateManager.getTemplate(entry.templateId)?.label || entry.templateLabel || entry.templateId
+            ]));
+            this.setFilterOptions('commentHistoryGroup', [...groups], 'All groups');
+            this.setFilterOptions('commentHistoryTemplate', [...templateLabels], 'All templates');
+            
+            const entries = usageTracker.filterCommentHistory(allEntries, filters);
+            this.uiManager.displayCommentHistory(entries, this.categoryNames || {});
+        } catch (error) {
+            console.error('Failed to load comment history:', error);
+        }
+    }
+    
+    // Analytics
+    async loadAnalytics() {
+        const usageTracker = this.usageTrackerManager.getUsageTracker();
+        if (!usageTracker || !this.usageAnalytics) {
+            return;
+        }
+        
+        try {
+            const templates = this.templateManager.getAllTemplates();
+            const templateCategories = Object.fromEntries(templates.map(template => [template.id, template.category]));
+            const templateLabels = Object.fromEntries(templates.map(template => [template.id, template.label]));
+            
+            const [history, analysisStats, keywordStats] = await Promise.all([
+                usageTracker.getCommentHistory({}, templateCategories),
+                this.usageAnalytics.loadAnalysisStats(),
+                this.keywordLearningEngine ? this.keywordLearningEngine.getKeywordStats() : {}
+            ]);
+            
+            this.analyticsReport = this.usageAnalytics.buildReport(
+                { history, analysisStats, keywordStats },
+                {
+                    days: parseInt(document.getElementById('analyticsPeriod').value, 10),
+                    templateLabels,
+                    categoryNames: this.categoryNames || {}
+                }
+            );
+            this.uiManager.displayAnalytics(this.analyticsReport, this.analyticsCharts);
+        } catch (error) {
+            console.error('Failed to load analytics:', error);
+        }
+    }
+    
+    // Count analysed posts and whether a template matched, for the coverage chart
+    recordCoverage(suggestions) {
+        if (!this.usageAnalytics || !Array.isArray(suggestions)) {
+            return;
+        }
+        
+        // A post blocked by the daily limit wasn't really analysed
+        if (suggestions.some(suggestion => suggestion?.isLimitMessage)) {
+            return;
+        }
+        
+        const covered = suggestions.some(suggestion =>
+            suggestion && typeof suggestion === 'object' && suggestion.templateId &&
+            suggestion.templateId !== 'fallback' && !suggestion.isNotice
+        );
+        this.usageAnalytics.recordAnalysis(covered);
+    }
+    
+    exportAnalyticsCsv() {
+        if (!this.analyticsReport) {
+            return;
+        }
+        
+        const blob = new Blob(['\uFEFF' + this.usageAnalytics.toCSV(this.analyticsReport)], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = `adreply-analytics-${timestamp}.csv`;
+        downloadLink.style.display = 'none';
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        
+        setTimeout(() => {
+            document.body.removeChild(downloadLink);
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+    
+    exportAnalyticsChart(canvasId) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            return;
+        }
+        
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const chartName = canvasId.replace(/^analytics/, '').replace(/Chart$/, '').toLowerCase();
+        this.analyticsCharts.downloadPng(canvas, `adreply-${chartName}-${timestamp}.png`);
+    }
+    
+    resetCommentHistoryFilters() {
+        ['commentHistoryGroup', 'commentHistoryCategory', 'commentHistoryTemplate', 'commentHistoryFrom', 'commentHistoryTo', 'commentHistorySearch']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        this.loadCommentHistory();
+    }
+    
+    // Fill a filter <select> with [value, label] pairs after an "all" option, keeping the current choice
+    setFilterOptions(selectId, options, allLabel) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        
+        const currentValue = select.value;
+        select.innerHTML = '';
+        
+        const allOption = document.createElement('option');
+        allOption.value = '';
+        allOption.textContent = allLabel;
+        select.appendChild(allOption);
+        
+        options
+            .sort((a, b) => String(a[1]).localeCompare(String(b[1])))
+            .forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        
+        if (currentValue && options.some(([value]) => value === currentValue)) {
+            select.value = currentValue;
+        }
+    }
+
+    // Reply Notifications
+    async loadReplyNotifications() {
+        if (!this.replyWatcher) {
+            return;
+        }
+        
+        try {
+            const notifications = await this.replyWatcher.loadNotifications();
+            
+            // A reply to our comment is a reply outcome for that comment (A/B results, usage history)
+            const unrecorded = notifications.filter(n => n.type === 'reply' && n.usageId && !n.outcomeRecorded);
+            if (unrecorded.length > 0) {
+                for (const usageId of new Set(unrecorded.map(n => n.usageId))) {
+                    await this.recordCommentOutcome(usageId, 'reply', true);
+                }
+                await this.connectionManager.updateReplyNotifications(unrecorded.map(n => n.id), { outcomeRecorded: true });
+            }
+            
+            const unreadCount = notifications.filter(n => !n.read).length;
+            if (this.lastUnreadReplies !== null && unreadCount > this.lastUnreadReplies) {
+                this.uiManager.showNotification(`💬 ${unreadCount - this.lastUnreadReplies} new reply notification(s) - see the Adverts tab`);
+            }
+            this.lastUnreadReplies = unreadCount;
+            
+            this.uiManager.displayReplyNotifications(notifications, {
+                onOpen: (id) => this.markRepliesRead([id]),
+                onDismiss: (id) => this.dismissReplyNotification(id)
+            });
+        } catch (error) {
+            console.error('Failed to load reply notifications:', error);
+        }
+    }
+    
+    async markRepliesRead(ids = null) {
+        await this.connectionManager.updateReplyNotifications(ids, { read: true });
+        await this.loadReplyNotifications();
+    }
+    
+    async dismissReplyNotification(id) {
+        await this.connectionManager.dismissReplyNotification(id);
+        await this.loadReplyNotifications();
+    }
+
+    // Group Rules Management
+    async loadGroupRules() {
+        if (!this.postAnalyzer.groupRules) {
+            return;
+        }
+        
+        try {
+            // Pre-fill the group field with the group currently open in Facebook
+            const groupInput = document.getElementById('groupRulesGroup');
+            if (!groupInput.value) {
+                groupInput.value = await this.postAnalyzer.getCurrentGroupId();
+            }
+            
+            await this.showGroupRulesForm();
+        } catch (error) {
+            console.error('Failed to load group rules:', error);
+        }
+    }
+    
+    async showGroupRulesForm() {
+        const checker = this.postAnalyzer.groupRules;
+        if (!checker) {
+            return;
+        }
+        
+        const groupId = document.getElementById('groupRulesGroup').value.trim();
+        const storedRules = groupId ? await this.connectionManager.getGroupRules(groupId) : null;
+        const rules = checker.resolveRules(storedRules);
+        
+        document.getElementById('groupRulesPromoAllowed').checked = rules.promoAllowed;
+        document.getElementById('groupRulesLinksAllowed').checked = rules.linksAllowed;
+        document.querySelectorAll('.group-rules-day-checkbox').forEach(checkbox => {
+            checkbox.checked = rules.allowedDays.includes(Number(checkbox.value));
+        });
+        document.getElementById('groupRulesMaxPromosPerWeek').value = storedRules ? rules.maxPromosPerWeek : '';
+        document.getElementById('groupRulesEnforcement').value = rules.enforcement;
+        
+        const groupRules = await this.connectionManager.getAllGroupRules();
+        this.uiManager.displayGroupRules(groupRules, checker);
+    }
+    
+    async saveGroupRules() {
+        const checker = this.postAnalyzer.groupRules;
+        if (!checker) {
+            this.uiManager.showNotification('Group rules are not available', 'error');
+            return;
+        }
+        
+        const groupId = document.getElementById('groupRulesGroup').value.trim();
+        if (!groupId) {
+            this.uiManager.showNotification('Group ID is required', 'error');
+            return;
+        }
+        
+        const rules = {
+            promoAllowed: document.getElementById('groupRulesPromoAllowed').checked,
+            linksAllowed: document.getElementById('groupRulesLinksAllowed').checked,
+            allowedDays: Array.from(document.querySelectorAll('.group-rules-day-checkbox'))
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => Number(checkbox.value)),
+            maxPromosPerWeek: document.getElementById('groupRulesMaxPromosPerWeek').value,
+            enforcement: document.getElementById('groupRulesEnforcement').value
+        };
+        
+        const validation = checker.validateRules(rules);
+        if (!validation.isValid) {
+            this.uiManager.showNotification(validation.errors[0], 'error');
+            return;
+        }
+        
+        const result = await this.connectionManager.saveGroupRules(groupId, checker.normalizeRules(rules));
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        await this.showGroupRulesForm();
+        this.uiManager.showNotification('Group rules saved successfully!');
+    }
+    
+    async removeGroupRules() {
+        const groupId = document.getElementById('groupRulesGroup').value.trim();
+        if (!groupId) {
+            return;
+        }
+        
+        const result = await this.connectionManager.removeGroupRules(groupId);
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        await this.showGroupRulesForm();
+        this.uiManager.showNotification('Group rules removed');
+    }
+
+    // Post Intent Filter Management
+    async loadIntentFilter() {
+        const intentClassifier = this.postAnalyzer.intentClassifier;
+        if (!intentClassifier) {
+            return;
+        }
+        
+        try {
+            const settings = await intentClassifier.loadSettings();
+            document.getElementById('intentFilterMode').value = settings.mode;
+            document.querySelectorAll('.intent-suppress-checkbox').forEach(checkbox => {
+                checkbox.checked = settings.suppressedIntents.includes(checkbox.value);
+            });
+            this.updateIntentFilterAIStatus();
+        } catch (error) {
+            console.error('Failed to load intent filter:', error);
+        }
+    }
+    
+    // AI mode silently uses local rules without a provider, so say so next to the option
+    updateIntentFilterAIStatus() {
+        const aiSelected = document.getElementById('intentFilterMode').value === 'ai';
+        const aiReady = !!this.postAnalyzer.aiService?.isReady();
+        document.getElementById('intentFilterAIStatus').style.display = aiSelected && !aiReady ? 'block' : 'none';
+    }
+    
+    async saveIntentFilter() {
+        const intentClassifier = this.postAnalyzer.intentClassifier;
+        if (!intentClassifier) {
+            this.uiManager.showNotification('Intent filter is not available', 'error');
+            return;
+        }
+        
+        const suppressedIntents = Array.from(document.querySelectorAll('.intent-suppress-checkbox'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
+        
+        const result = await intentClassifier.saveSettings({
+            mode: document.getElementById('intentFilterMode').value,
+            suppressedIntents
+        });
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.updateIntentFilterAIStatus();
+        if (result.settings.mode === 'ai' && !this.postAnalyzer.aiService?.isReady()) {
+            this.uiManager.showNotification('Intent filter saved - no AI provider is set up, so local rules are used', 'warning');
+            return;
+        }
+        
+        this.uiManager.showNotification('Intent filter saved successfully!');
+    }
+
+    // Learned Keyword Weighting
+    async loadKeywordWeighting() {
+        if (!this.keywordLearningEngine) {
+            return;
+        }
+        
+        try {
+            const settings = await this.keywordLearningEngine.loadWeightingSettings();
+            document.getElementById('keywordWeightingEnabled').checked = settings.enabled;
+            document.getElementById('keywordWeightingHalfLife').value = settings.halfLifeDays;
+        } catch (error) {
+            console.error('Failed to load keyword weighting:', error);
+        }
+    }
+    
+    async saveKeywordWeighting() {
+        if (!this.keywordLearningEngine) {
+            this.uiManager.showNotification('Keyword learning is not available', 'error');
+            return;
+        }
+        
+        const result = await this.keywordLearningEngine.saveWeightingSettings({
+            enabled: document.getElementById('keywordWeightingEnabled').checked,
+            halfLifeDays: document.getElementById('keywordWeightingHalfLife').value
+        });
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.uiManager.showNotification('Keyword weighting saved successfully!');
+    }
+
+    // Suggestion Ordering (explore mode)
+    async loadSuggestionOrdering() {
+        const suggestionBandit = this.postAnalyzer.suggestionBandit;
+        if (!suggestionBandit) {
+            return;
+        }
+        
+        try {
+            const settings = await suggestionBandit.loadSettings();
+            document.getElementById('suggestionOrderingMode').value = settings.mode;
+            document.getElementById('suggestionExploreRate').value = Math.round(settings.exploreRate * 100);
+        } catch (error) {
+            console.error('Failed to load suggestion ordering:', error);
+        }
+    }
+    
+    async saveSuggestionOrdering() {
+        const suggestionBandit = this.postAnalyzer.suggestionBandit;
+        if (!suggestionBandit) {
+            this.uiManager.showNotification('Suggestion ordering is not available', 'error');
+            return;
+        }
+        
+        const exploreRate = parseFloat(document.getElementById('suggestionExploreRate').value);
+        const result = await suggestionBandit.saveSettings({
+            mode: document.getElementById('suggestionOrderingMode').value,
+            exploreRate: exploreRate / 100
+        });
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        this.uiManager.showNotification('Suggestion ordering saved successfully!');
+    }
+
+    // AI provider used by the side panel (post intent classification)
+    async initializeAIService() {
+        const aiService = this.postAnalyzer.aiService;
+        if (!aiService) {
+            return;
+        }
+        
+        try {
+            await aiService.initialize();
+            const aiSettings = await aiService.storageManager.getAISettings();
+            document.getElementById('aiServiceProvider').value = aiSettings.enabled ? aiSettings.provider : 'off';
+        } catch (error) {
+            console.error('Failed to initialize AI service:', error);
+        }
+    }
+    
+    // AI Models (shared by rephrasing and the setup wizard)
+    async loadAIModels() {
+        if (!this.aiProviderRegistry) {
+            return;
+        }
+        
+        try {
+            const settings = await this.aiProviderRegistry.loadSettings();
+            document.getElementById('aiServerUrl').value = settings.baseUrl || '';
+            document.getElementById('aiServerModel').value = settings.localModel || '';
+            
+            const container = document.getElementById('aiOperationModels');
+            container.innerHTML = Object.entries(this.aiProviderRegistry.operations).map(([operation, info]) => `
+                <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
+                    <span style="flex: 1; font-size: 11px; color: #495057;">${info.label}</span>
+                    <input type="text" class="ai-operation-model" data-operation="${operation}" placeholder="Default" style="width: 40%; padding: 6px; border: 1px solid #ced4da; border-radius: 4px; font-size: 11px;">
+                    <input type="number" class="ai-operation-temperature" data-operation="${operation}" min="0" max="2" step="0.1" title="Temperature" style="width: 56px; padding: 6px; border: 1px solid #ced4da; border-radius: 4px; font-size: 11px;">
+                </div>
+            `).join('');
+            
+            // Set values through the DOM so saved model names are never parsed as markup
+            Object.keys(this.aiProviderRegistry.operations).forEach(operation => {
+                const chosen = settings.operations?.[operation] || {};
+                container.querySelector(`.ai-operation-model[data-operation="${operation}"]`).value = chosen.model || '';
+                container.querySelector(`.ai-operation-temperature[data-operation="${operation}"]`).value =
+                    typeof chosen.temperature === 'number' ? chosen.temperature : this.aiProviderRegistry.operations[operation].temperature;
+            });
+        } catch (error) {
+            console.error('Failed to load AI models:', error);
+        }
+    }
+    
+    async saveAIModels() {
+        if (!this.aiProviderRegistry) {
+            this.uiManager.showNotification('AI model settings are not available', 'error');
+            return;
+        }
+        
+        const baseUrl = document.getElementById('aiServerUrl').value.trim();
+        const operations = {};
+        document.querySelectorAll('#aiOperationModels .ai-operation-model').forEach(input => {
+            const operation = input.dataset.operation;
+            const temperatureInput = document.querySelector(`.ai-operation-temperature[data-operation="${operation}"]`);
+            operations[operation] = {
+                model: input.value.trim(),
+                temperature: parseFloat(temperatureInput.value)
+            };
+        });
+        
+        const settings = { baseUrl, localModel: document.getElementById('aiServerModel').value.trim(), operations };
+        const validation = this.aiProviderRegistry.validateSettings(settings);
+        if (!validation.isValid) {
+            this.uiManager.showNotification(validation.errors[0], 'error');
+            return;
+        }
+        
+        // Self-hosted servers, localhost included, need a host permission, asked for while the click still counts as a gesture
+        if (baseUrl) {
+            const origins = [`${new URL(baseUrl).origin}/*`];
+            const granted = await chrome.permissions.contains({ origins }) || await chrome.permissions.request({ origins });
+            if (!granted) {
+                this.uiManager.showNotification('AdReply needs permission to reach your server', 'error');
+                return;
+            }
+        }
+        
+        const result = await this.aiProviderRegistry.saveSettings(settings);
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        const providerSaved = await this.saveAIServiceProvider();
+        if (!providerSaved) {
+            return;
+        }
+        
+        this.uiManager.showNotification('AI models saved successfully!');
+    }
+    
+    /**
+     * Save the side panel's AI provider and key, then reconnect AIService
+     * @returns {Promise<boolean>} True when saved
+     */
+    async saveAIServiceProvider() {
+        const aiService = this.postAnalyzer.aiService;
+        if (!aiService) {
+            return true;
+        }
+        
+        const provider = document.getElementById('aiServiceProvider').value;
+        const keyInput = document.getElementById('aiServiceApiKey');
+        const definition = this.aiProviderRegistry.getDefinition(provider);
+        
+        try {
+            const aiSettings = await aiService.storageManager.getAISettings();
+            if (definition && keyInput.value.trim()) {
+                aiSettings[definition.apiKeySetting] = keyInput.value.trim();
+            }
+            if (definition?.requiresApiKey && !aiSettings[definition.apiKeySetting]) {
+                this.uiManager.showNotification(`Enter an API key for ${definition.name}`, 'error');
+                return false;
+            }
+            
+            aiSettings.provider = provider;
+            aiSettings.enabled = provider !== 'off';
+            await aiService.storageManager.saveAISettings(aiSettings);
+            keyInput.value = '';
+            
+            await aiService.initialize();
+            this.updateIntentFilterAIStatus();
+            return true;
+        } catch (error) {
+            console.error('Failed to save AI provider:', error);
+            this.uiManager.showNotification('Failed to save AI provider: ' + error.message, 'error');
+            return false;
+        }
+    }
+
+    // Sensitive Post Guardrail Management
+    async loadSafetyFilter() {
+        const safetyFilter = this.postAnalyzer.safetyFilter;
+        if (!safetyFilter) {
+            return;
+        }
+        
+        try {
+            const settings = await safetyFilter.loadSettings();
+            document.getElementById('safetyFilterEnabled').checked = settings.enabled;
+            document.querySelectorAll('.safety-category-checkbox').forEach(checkbox => {
+                checkbox.checked = settings.categories[checkbox.value] !== false;
+            });
+            document.getElementById('safetyFilterCustomTerms').value = settings.customTerms.join(', ');
+        } catch (error) {
+            console.error('Failed to load safety filter:', error);
+        }
+    }
+    
+    async saveSafetyFilter() {
+        const safetyFilter = this.postAnalyzer.safetyFilter;
+        if (!safetyFilter) {
+            this.uiManager.showNotification('Sensitive post guardrail is not available', 'error');
+            return;
+        }
+        
+        const categories = {};
+        document.querySelectorAll('.safety-category-checkbox').forEach(checkbox => {
+            categories[checkbox.value] = checkbox.checked;
+        });
+        
+        const result = await safetyFilter.saveSettings({
+            enabled: document.getElementById('safetyFilterEnabled').checked,
+            categories,
+            customTerms: document.getElementById('safetyFilterCustomTerms').value
+        });
+        if (!result.success) {
+            this.uiManager.showNotification(result.error, 'error');
+            return;
+        }
+        
+        document.getElementById('safetyFilterCustomTerms').value = result.settings.customTerms.join(', ');
+        this.uiManager.showNotification('Guardrail saved successfully!');
+    }
+
+    // Category Management Methods
+    async initializeCategoryFunctionality() {
+        try {
+            await this.loadCategories();
+            await this.loadSavedCategoryPreference();
+            
+            // Refresh the category view to ensure buttons are rendered with updated categories
+            this.showCategoryView();
+        } catch (error) {
+            console.error('Failed to initialize category functionality:', error);
+        }
+    }
+
+    async loadCategories() {
+        try {
+            // Get pre-built categories
+            const prebuiltCategories = [
+                { id: 'automotive', name: 'Automotive Services', description: 'Car repair, maintenance, detailing' },
+                { id: 'fitness', name: 'Fitness & Health', description: 'Gyms, personal training, nutrition' },
+                { id: 'food', name: 'Food & Restaurants', description: 'Restaurants, catering, food delivery' },
+                { id: 'home-services', name: 'Home Services', description: 'Cleaning, repairs, landscaping' },
+                { id: 'beauty', name: 'Beauty & Wellness', description: 'Salons, spas, cosmetics' },
+                { id: 'real-estate', name: 'Real Estate', description: 'Property sales, rentals' },
+                { id: 'technology', name: 'Technology Services', description: 'IT support, web design, software' },
+                { id: 'education', name: 'Education & Training', description: 'Courses, tutoring, workshops' },
+                { id: 'financial', name: 'Financial Services', description: 'Insurance, loans, accounting' },
+                { id: 'legal', name: 'Legal Services', description: 'Lawyers, legal consultants' },
+                { id: 'pet-services', name: 'Pet Services', description: 'Veterinary, grooming, pet sitting' },
+                { id: 'events', name: 'Event Planning', description: 'Weddings, parties, corporate events' },
+                { id: 'photography', name: 'Photography', description: 'Portrait, event, commercial photography' },
+                { id: 'crafts', name: 'Crafts & Handmade', description: 'Etsy sellers, artisans, crafters' },
+                { id: 'construction', name: 'Construction', description: 'Contractors, builders, renovations' },
+                { id: 'transportation', name: 'Transportation', description: 'Moving, delivery, ride services' },
+                { id: 'entertainment', name: 'Entertainment', description: 'Musicians, DJs, performers' },
+                { id: 'retail', name: 'Retail & E-commerce', description: 'Online stores, boutiques' },
+                { id: 'professional', name: 'Professional Services', description: 'Consulting, marketing, design' },
+                { id: 'healthcare', name: 'Healthcare', description: 'Medical, dental, therapy' }
+            ];
+
+            // Get custom categories from storage
+            const result = await chrome.storage.local.get(['customCategories']);
+            const customCategories = result.customCategories || [];
+
+            // Get categories from templates (for imported templates with new categories)
+            const templates = this.templateManager.getAllTemplates();
+            const userTemplates = templates.filter(t => !t.isPrebuilt);
+            const templateCategories = new Set();
+            
+            userTemplates.forEach(template => {
+                const categoryId = template.category || 'custom';
+                if (categoryId !== 'custom') {
+                    templateCategories.add(categoryId);
+                }
+            });
+            
+            // Create category objects for template-based categories that aren't in customCategories
+            const prebuiltIds = new Set(prebuiltCategories.map(c => c.id));
+            const customIds = new Set(customCategories.map(c => c.id));
+            const templateBasedCategories = [];
+            
+            templateCategories.forEach(categoryId => {
+                if (!prebuiltIds.has(categoryId) && !customIds.has(categoryId)) {
+                    // Create a display name from the category ID
+                    const displayName = categoryId
+                        .split('-')
+                        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+                        .join(' ');
+                    
+                    templateBasedCategories.push({
+                        id: categoryId,
+                        name: displayName,
+                        description: `Custom category: ${displayName}`,
+                        isPrebuilt: false
+                    });
+                }
+            });
+
+            // Combine all categories
+            const allCategories = [...prebuiltCategories, ...customCategories, ...templateBasedCategories];
+            this.categoryNames = Object.fromEntries(allCategories.map(category => [category.id, category.name]));
+
             // Update main category selector
             const categorySelect = document.getElementById('categorySelect');
             if (categorySelect) {
@@ -1265,6 +2560,29 @@ class AdReplySidePanel {
                     templateCategorySelect.value = currentValue;
                 }
             }
+
+            // Update comment history filter
+            this.setFilterOptions('commentHistoryCategory', allCategories.map(category => [category.id, category.name]), 'All categories');
+
+            // Update rotation rule and category schedule selectors
+            ['rotationPolicyCategory', 'categoryScheduleCategory'].forEach(selectId => {
+                const categorySelect = document.getElementById(selectId);
+                if (!categorySelect) return;
+                
+                const currentValue = categorySelect.value;
+                categorySelect.innerHTML = '<option value="custom">Custom</option>';
+
+                allCategories.filter(cat => cat.id !== 'custom').forEach(category => {
+                    const option = document.createElement('option');
+                    option.value = category.id;
+                    option.textContent = category.name;
+                    categorySelect.appendChild(option);
+                });
+
+                if (currentValue && [...categorySelect.options].some(opt => opt.value === currentValue)) {
+                    categorySelect.value = currentValue;
+                }
+            });
         } catch (error) {
             console.error('Failed to load categories:', error);
         }
@@ -1460,6 +2778,7 @@ class AdReplySidePanel {
         // Hide category and template views
         document.getElementById('categoryView').style.display = 'none';
         document.getElementById('templateView').style.display = 'none';
+        document.getElementById('historyView').style.display = 'none';
         document.getElementById('templateForm').style.display = 'none';
         document.getElementById('templateCount').parentElement.style.display = 'none';
         
@@ -1676,7 +2995,7 @@ class AdReplySidePanel {
         for (const suggestion of suggestions) {
             if (suggestion && typeof suggestion === 'object' && 
                 suggestion.templateId && suggestion.templateId !== 'fallback' &&
-                !suggestion.isLimitMessage) {
+                !suggestion.isLimitMessage && !suggestion.isNotice) {
                 
                 const template = this.templateManager.getTemplate(suggestion.templateId);
                 if (template) {